@@ -2,13 +2,17 @@ const express = require('express');
 const walletController = require('./src/api/walletController');
 const pumpController = require('./src/api/pumpController'); // Require the new controller
 const bonkController = require('./src/api/bonkController'); // Require the Bonk controller
+const jobController = require('./src/api/jobController'); // Background job status
+const rpcController = require('./src/api/rpcController'); // RPC pool health and queue depth
 const uploadMiddleware = require('./src/middleware/uploadMiddleware'); // Upload middleware
+const idempotencyMiddleware = require('./src/middleware/idempotencyMiddleware'); // Idempotency-Key support for POST routes
 // const pumpController = require('./src/api/pumpController'); // Placeholder
 
 const app = express();
 const port = process.env.PORT || 3000;
 
 app.use(express.json()); // Middleware to parse JSON bodies
+app.use(idempotencyMiddleware); // Must run before the POST routes below (multipart routes repeat it after uploadMiddleware)
 
 // --- Wallet Management Routes ---
 app.post('/api/wallets/airdrop', walletController.createOrImportAirdropWallet);
@@ -40,19 +44,42 @@ app.get('/api/wallets/:publicKey/balance/tokens', walletController.getAllTokenBa
 // --- Funding Routes ---
 app.post('/api/wallets/fund-bundled', walletController.fundBundledWallets);
 app.post('/api/wallets/return-funds', walletController.returnFundsToMother);
+app.post('/api/wallets/close-token-accounts', walletController.closeTokenAccounts);
+app.post('/api/wallets/transfer-tokens', walletController.transferTokens);
 
-// --- Pump Portal Trading Routes ---
-app.post('/api/pump/create-and-buy', uploadMiddleware, pumpController.createAndBuy);
+// --- Pool-aware Trading Routes (adapter resolved from :pool) ---
+app.get('/api/pools', pumpController.listPools);
+app.post('/api/pools/:pool/create-and-buy', uploadMiddleware, idempotencyMiddleware, pumpController.createAndBuy);
+app.post('/api/pools/:pool/batch-buy', pumpController.batchBuy);
+app.post('/api/pools/:pool/sell-dev', pumpController.devSell);
+app.post('/api/pools/:pool/batch-sell', pumpController.batchSell);
+app.post('/api/pools/:pool/exit', pumpController.exit);
+app.post('/api/pools/:pool/quote', pumpController.quote);
+app.post('/api/pools/:pool/plan-create-and-buy', uploadMiddleware, idempotencyMiddleware, pumpController.planCreateAndBuy);
+
+// --- Pump Portal Trading Routes (pool from body, defaults to "pump") ---
+app.post('/api/pump/create-and-buy', uploadMiddleware, idempotencyMiddleware, pumpController.createAndBuy);
 app.post('/api/pump/batch-buy', pumpController.batchBuy);
 app.post('/api/pump/sell-dev', pumpController.devSell);
 app.post('/api/pump/batch-sell', pumpController.batchSell);
+app.post('/api/pump/exit', pumpController.exit); // Sell everything, then return SOL to the mother wallet
+app.post('/api/pump/quote', pumpController.quote); // Offline bonding curve quote
+app.post('/api/pump/plan-create-and-buy', uploadMiddleware, idempotencyMiddleware, pumpController.planCreateAndBuy); // Supply allocation plan, no keys
+app.get('/api/pump/tokens/:mint', pumpController.getTokenInfo); // Bonding curve state
 
-// --- Bonk Pool Trading Routes ---
-app.post('/api/bonk/create-and-buy', uploadMiddleware, bonkController.bonkCreateAndBuy);
+// --- Bonk Pool Trading Routes (aliases pinned to the "bonk" adapter) ---
+app.post('/api/bonk/create-and-buy', uploadMiddleware, idempotencyMiddleware, bonkController.bonkCreateAndBuy);
 app.post('/api/bonk/batch-buy', bonkController.bonkBatchBuy);
 app.post('/api/bonk/sell-dev', bonkController.bonkDevSell);
 app.post('/api/bonk/batch-sell', bonkController.bonkBatchSell);
 
+// --- Background Job Routes ---
+app.get('/api/jobs/:id', jobController.getJob);
+app.get('/api/jobs/:id/events', jobController.streamJobEvents); // Server-Sent Events
+
+// --- RPC Routes ---
+app.get('/api/rpc/status', rpcController.getRpcStatus);
+
 app.get('/', (req, res) => {
     res.send('PumpFun API Bundler is running!');
 });
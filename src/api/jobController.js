@@ -0,0 +1,115 @@
+const jobQueueService = require('../services/jobQueueService');
+
+/**
+ * Returns true when the client asked for the operation to run as a background job
+ * (`"async": true` in the body or `?async=true` in the query string).
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function isAsyncRequest(req) {
+    const flag = (req.body && req.body.async !== undefined) ? req.body.async : (req.query && req.query.async);
+    return flag === true || flag === 'true' || flag === '1';
+}
+
+/**
+ * Enqueues a long-running operation and responds 202 with the job ID.
+ * @param {import('express').Response} res
+ * @param {string} type - Job type, e.g. "pump.batch-buy".
+ * @param {Function} runner - async ({ jobId, onProgress }) => result object.
+ */
+function respondWithJob(res, type, runner) {
+    const job = jobQueueService.enqueueJob(type, runner);
+    res.status(202).json({
+        message: 'Job queued. Poll the status URL or stream the events URL for progress and the final result.',
+        data: {
+            jobId: job.id,
+            type: job.type,
+            status: job.status,
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
+        }
+    });
+}
+
+async function getJob(req, res) {
+    try {
+        const { id } = req.params;
+        const job = jobQueueService.getJob(id);
+        if (!job) {
+            return res.status(404).json({ message: `Job ${id} not found or expired.`, error: 'JOB_NOT_FOUND' });
+        }
+        res.status(200).json({ message: 'Job retrieved successfully.', data: job });
+    } catch (error) {
+        console.error('[APIError] /api/jobs/:id:', error.message);
+        res.status(500).json({ message: 'Error retrieving job.', error: error.message });
+    }
+}
+
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Streams a job's progress events as Server-Sent Events.
+ * Replays recorded events first (honouring Last-Event-ID / ?after=), then streams live
+ * events until the job finishes or the client disconnects.
+ */
+async function streamJobEvents(req, res) {
+    const { id } = req.params;
+    const job = jobQueueService.getJob(id);
+    if (!job) {
+        return res.status(404).json({ message: `Job ${id} not found or expired.`, error: 'JOB_NOT_FOUND' });
+    }
+
+    const afterEventId = parseInt(req.get('Last-Event-ID') || req.query.after, 10) || 0;
+
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx/Render)
+    });
+    res.flushHeaders();
+
+    const writeEvent = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    // Replay and subscribe happen synchronously, so no event can fall between them
+    let lastWrittenId = afterEventId;
+    for (const event of jobQueueService.getJobEvents(id, afterEventId) || []) {
+        lastWrittenId = event.id;
+        writeEvent(event);
+    }
+    unsubscribe = jobQueueService.subscribeToJob(id, (event) => {
+        if (event.id <= lastWrittenId) return;
+        lastWrittenId = event.id;
+        writeEvent(event);
+        if (event.type === 'job_status' && jobQueueService.isJobFinished(event.status)) close();
+    });
+
+    console.log(`[JobController] SSE client connected to job ${id} (replayed up to event ${lastWrittenId})`);
+    req.on('close', close);
+
+    if (jobQueueService.isJobFinished(jobQueueService.getJob(id))) {
+        close();
+    }
+}
+
+module.exports = {
+    getJob,
+    streamJobEvents,
+    isAsyncRequest,
+    respondWithJob
+};
@@ -1,11 +1,214 @@
-const pumpService = require('../services/pumpService');
-const fs = require('fs'); // For checking image file path
-const path = require('path');
+const { getPoolAdapter, getRegisteredPools, DEFAULT_POOL } = require('../services/pools');
+const fs = require('fs'); // For reading the adapter's latest mint file
+const { isAsyncRequest, respondWithJob } = require('./jobController');
+const { TX_BUILDERS, DEFAULT_TX_BUILDER, normalizeRetryPolicy } = require('../services/localTransactionService');
+const { getPumpTokenInfo } = require('../utils/solanaUtils');
+const { planCreateAndBuyService } = require('../services/bundlePlannerService');
+const { EXECUTION_MODES, DEFAULT_EXECUTION_MODE } = require('../services/jitoBundleExecutionService');
+const { normalizeTipStrategy } = require('../services/jitoTipService');
+const { normalizePriorityFeeStrategy, PRIORITY_FEE_MODES } = require('../services/priorityFeeService');
+const web3 = require('@solana/web3.js'); // For mint address validation
+
+/**
+ * Resolves the pool adapter for a request from the route `:pool` param or the `pool` body field.
+ * Sends a 400 response and returns null when the pool is not registered.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {object|null} Pool adapter or null if the response was already sent.
+ */
+function resolvePoolAdapter(req, res) {
+    const requestedPool = (req.params && req.params.pool) || (req.body && req.body.pool) || DEFAULT_POOL;
+    try {
+        return getPoolAdapter(requestedPool);
+    } catch (error) {
+        res.status(400).json({ message: error.message, error: 'UNSUPPORTED_POOL' });
+        return null;
+    }
+}
+
+/**
+ * Reads the `dryRun` flag from the body (JSON boolean or multipart string).
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function isDryRunRequest(req) {
+    const value = req.body && req.body.dryRun;
+    return value === true || value === 'true';
+}
+
+/**
+ * Resolves the `txBuilder` body field ("portal" | "native" | "auto") for the adapter.
+ * Sends a 400 response and returns null when the value is unknown or unsupported by the pool.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {object} adapter - Resolved pool adapter.
+ * @returns {string|null} Transaction builder or null if the response was already sent.
+ */
+function resolveTxBuilder(req, res, adapter) {
+    const requested = req.body && req.body.txBuilder;
+    if (!requested) {
+        return adapter.supportsNativeBuilder ? DEFAULT_TX_BUILDER : 'portal';
+    }
+    if (!TX_BUILDERS.includes(requested)) {
+        res.status(400).json({ message: `Invalid txBuilder "${requested}". Supported builders: ${TX_BUILDERS.join(', ')}.`, error: 'INVALID_TX_BUILDER' });
+        return null;
+    }
+    if (requested !== 'portal' && !adapter.supportsNativeBuilder) {
+        res.status(400).json({ message: `txBuilder "${requested}" is not supported for pool "${adapter.pool}".`, error: 'INVALID_TX_BUILDER' });
+        return null;
+    }
+    return requested;
+}
+
+/**
+ * Resolves the `executionMode` body field ("local-parallel" | "jito-bundle").
+ * Jito bundles are requested from Pump Portal in one call, so they cannot be combined with
+ * an explicit non-portal txBuilder. Sends a 400 response and returns null when invalid.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {string|null} Execution mode or null if the response was already sent.
+ */
+function resolveExecutionMode(req, res) {
+    const requested = (req.body && req.body.executionMode) || DEFAULT_EXECUTION_MODE;
+    if (!EXECUTION_MODES.includes(requested)) {
+        res.status(400).json({ message: `Invalid executionMode "${requested}". Supported modes: ${EXECUTION_MODES.join(', ')}.`, error: 'INVALID_EXECUTION_MODE' });
+        return null;
+    }
+    const requestedTxBuilder = req.body && req.body.txBuilder;
+    if (requested === 'jito-bundle' && requestedTxBuilder && requestedTxBuilder !== 'portal') {
+        res.status(400).json({ message: `executionMode "jito-bundle" requires txBuilder "portal" (got "${requestedTxBuilder}").`, error: 'INVALID_EXECUTION_MODE' });
+        return null;
+    }
+    return requested;
+}
+
+/**
+ * Resolves the `jitoTip` body field (object, or JSON string in multipart requests) into a
+ * normalized tip strategy. Only valid together with executionMode "jito-bundle".
+ * Sends a 400 response and returns null when invalid.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} executionMode - Resolved execution mode.
+ * @returns {object|null} Tip strategy (fixed default when omitted) or null if the response was already sent.
+ */
+function resolveJitoTip(req, res, executionMode) {
+    let requested = req.body && req.body.jitoTip;
+    if (requested === undefined || requested === null || requested === '') {
+        return normalizeTipStrategy();
+    }
+    if (executionMode !== 'jito-bundle') {
+        res.status(400).json({ message: 'jitoTip requires executionMode "jito-bundle".', error: 'INVALID_JITO_TIP' });
+        return null;
+    }
+    try {
+        if (typeof requested === 'string') {
+            requested = JSON.parse(requested);
+        }
+        if (typeof requested !== 'object' || Array.isArray(requested)) {
+            throw new Error('jitoTip must be an object');
+        }
+        return normalizeTipStrategy(requested);
+    } catch (error) {
+        res.status(400).json({ message: `Invalid jitoTip: ${error.message}`, error: 'INVALID_JITO_TIP' });
+        return null;
+    }
+}
+
+/**
+ * Reads the optional `retryPolicy` field (object, JSON string or `true` for defaults).
+ * Sends a 400 and returns null when it is invalid or combined with Jito bundles, which retry through jitoTip.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} [executionMode='local-parallel'] - Resolved execution mode.
+ * @returns {object|undefined|null} Normalized policy, undefined when not requested, or null if the response was already sent.
+ */
+function resolveRetryPolicy(req, res, executionMode = DEFAULT_EXECUTION_MODE) {
+    let requested = req.body && req.body.retryPolicy;
+    if (requested === undefined || requested === null || requested === '' || requested === false || requested === 'false') {
+        return undefined;
+    }
+    if (executionMode === 'jito-bundle') {
+        res.status(400).json({ message: 'retryPolicy applies to executionMode "local-parallel"; Jito bundles escalate through jitoTip.', error: 'INVALID_RETRY_POLICY' });
+        return null;
+    }
+    try {
+        if (typeof requested === 'string') {
+            requested = JSON.parse(requested);
+        }
+        if (requested !== true && (typeof requested !== 'object' || Array.isArray(requested))) {
+            throw new Error('retryPolicy must be an object or true');
+        }
+        return normalizeRetryPolicy(requested);
+    } catch (error) {
+        res.status(400).json({ message: `Invalid retryPolicy: ${error.message}`, error: 'INVALID_RETRY_POLICY' });
+        return null;
+    }
+}
 
-const LATEST_MINT_FILE = path.join(process.cwd(), 'data', 'latestMint_API.txt'); 
+/**
+ * Reads the optional `priorityFee` field: a mode name, or an object (or JSON string) with per-role overrides.
+ * Sends a 400 and returns null when it is invalid or combined with Jito bundles, which pay a nominal fee plus a tip.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} [executionMode='local-parallel'] - Resolved execution mode.
+ * @returns {object|undefined|null} Normalized strategy, undefined when not requested, or null if the response was already sent.
+ */
+function resolvePriorityFeeStrategy(req, res, executionMode = DEFAULT_EXECUTION_MODE) {
+    let requested = req.body && req.body.priorityFee;
+    if (requested === undefined || requested === null || requested === '') {
+        return undefined;
+    }
+    if (executionMode === 'jito-bundle') {
+        res.status(400).json({ message: 'priorityFee applies to executionMode "local-parallel"; Jito bundles are prioritized through jitoTip.', error: 'INVALID_PRIORITY_FEE' });
+        return null;
+    }
+    try {
+        if (typeof requested === 'string' && requested.trim().startsWith('{')) {
+            requested = JSON.parse(requested);
+        }
+        if (typeof requested !== 'string' && (typeof requested !== 'object' || Array.isArray(requested))) {
+            throw new Error(`priorityFee must be one of ${PRIORITY_FEE_MODES.join(', ')} or an object`);
+        }
+        return normalizePriorityFeeStrategy(requested);
+    } catch (error) {
+        res.status(400).json({ message: `Invalid priorityFee: ${error.message}`, error: 'INVALID_PRIORITY_FEE' });
+        return null;
+    }
+}
+
+/**
+ * Falls back to the adapter's latest mint file when mintAddress is not provided.
+ * Sends an error response and returns null when no mint address can be determined.
+ * @param {string|undefined} mintAddress - Mint address from the request body.
+ * @param {object} adapter - Resolved pool adapter.
+ * @param {import('express').Response} res
+ * @param {string} operation - Operation name used in logs.
+ * @returns {Promise<string|null>} Mint address or null if the response was already sent.
+ */
+async function resolveMintAddress(mintAddress, adapter, res, operation) {
+    if (mintAddress) return mintAddress;
+
+    const latestMintFile = adapter.latestMintFile;
+    try {
+        if (fs.existsSync(latestMintFile)) {
+            const fileMintAddress = (await fs.promises.readFile(latestMintFile, 'utf-8')).trim();
+            console.log(`Using mint address from ${latestMintFile}: ${fileMintAddress}`);
+            return fileMintAddress;
+        }
+        res.status(400).json({ message: 'Missing required parameter: mintAddress, and no fallback mint file found.' });
+        return null;
+    } catch (err) {
+        console.error(`Error reading latest mint file for ${operation}: ${err.message}`);
+        res.status(500).json({ message: 'Error accessing fallback mint address file.', error: err.message });
+        return null;
+    }
+}
 
 async function createAndBuy(req, res) {
     try {
+        const adapter = resolvePoolAdapter(req, res);
+        if (!adapter) return;
+
         const {
             name, 
             symbol, 
@@ -15,6 +218,7 @@ async function createAndBuy(req, res) {
             website,
             showName, // boolean
             imageFileName, // uploaded file name, server will map to a path
+            devWalletApiKey, // Lightning API key for dev wallet (bonk pool creation)
         } = req.body;
         
         // Parse numeric fields from multipart form data (they come as strings)
@@ -91,6 +295,29 @@ async function createAndBuy(req, res) {
             }
         }
 
+        // Venue-specific create options (e.g. bonk requires a Lightning API key)
+        const txBuilder = resolveTxBuilder(req, res, adapter);
+        if (!txBuilder) return;
+
+        const executionMode = resolveExecutionMode(req, res);
+        if (!executionMode) return;
+        if (executionMode === 'jito-bundle' && !adapter.supportsJitoCreate) {
+            return res.status(400).json({ message: `executionMode "jito-bundle" is not supported for token creation on pool "${adapter.pool}".`, error: 'INVALID_EXECUTION_MODE' });
+        }
+
+        const jitoTip = resolveJitoTip(req, res, executionMode);
+        if (!jitoTip) return;
+        const retryPolicy = resolveRetryPolicy(req, res, executionMode);
+        if (retryPolicy === null) return;
+        const priorityFee = resolvePriorityFeeStrategy(req, res, executionMode);
+        if (priorityFee === null) return;
+
+        const createOptions = { devWalletApiKey, dryRun: isDryRunRequest(req), txBuilder, executionMode, jitoTip, retryPolicy, priorityFee };
+        const createOptionsError = adapter.validateCreateOptions(createOptions);
+        if (createOptionsError) {
+            return res.status(400).json({ message: createOptionsError });
+        }
+
         const tokenMetadata = { name, symbol, description, twitter, telegram, website, showName, createAmountSOL };
         
         // Handle image upload - Now using multer memory storage
@@ -130,12 +357,19 @@ async function createAndBuy(req, res) {
             console.log(`[PumpController] No image provided. Proceeding with metadata-only token creation.`);
         }
 
-        const result = await pumpService.createAndBuyService(
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, `${adapter.pool}.create-and-buy`, ({ onProgress }) =>
+                adapter.createAndBuy(tokenMetadata, imageData, wallets, buyAmountsSOL, slippageBps, { ...createOptions, onProgress })
+            );
+        }
+
+        const result = await adapter.createAndBuy(
             tokenMetadata, 
             imageData, // Pass the image data object (buffer + metadata)
             wallets, // Pass the wallets array instead of loading from file
             buyAmountsSOL, 
-            slippageBps
+            slippageBps,
+            createOptions
         );
 
         if (result.success) {
@@ -146,30 +380,20 @@ async function createAndBuy(req, res) {
         }
 
     } catch (error) {
-        console.error('[APIError] /api/pump/create-and-buy:', error.message);
+        console.error(`[APIError] ${req.originalUrl}:`, error.message);
         res.status(500).json({ message: 'Error in create-and-buy process.', error: error.message });
     }
 }
 
 async function batchBuy(req, res) {
     try {
+        const adapter = resolvePoolAdapter(req, res);
+        if (!adapter) return;
+
         let { mintAddress, solAmountPerWallet, slippageBps, targetWalletNames, wallets } = req.body;
 
-        if (!mintAddress) {
-            // Try to load from LATEST_MINT_FILE if not provided
-            try {
-                if (fs.existsSync(LATEST_MINT_FILE)) {
-                    mintAddress = await fs.promises.readFile(LATEST_MINT_FILE, 'utf-8');
-                    mintAddress = mintAddress.trim();
-                    console.log(`Using mint address from ${LATEST_MINT_FILE}: ${mintAddress}`);
-                } else {
-                    return res.status(400).json({ message: 'Missing required parameter: mintAddress, and no fallback mint file found.' });
-                }
-            } catch (err) {
-                console.error(`Error reading latest mint file for batchBuy: ${err.message}`);
-                return res.status(500).json({ message: 'Error accessing fallback mint address file.', error: err.message });
-            }
-        }
+        mintAddress = await resolveMintAddress(mintAddress, adapter, res, 'batchBuy');
+        if (!mintAddress) return;
         if (!solAmountPerWallet || typeof solAmountPerWallet !== 'number' || solAmountPerWallet <= 0) {
             return res.status(400).json({ message: 'Missing or invalid required parameter: solAmountPerWallet (must be a positive number).' });
         }
@@ -186,12 +410,31 @@ async function batchBuy(req, res) {
         // slippageBps is optional, defaults in service
         // targetWalletNames is optional
 
-        const result = await pumpService.batchBuyService(
+        const dryRun = isDryRunRequest(req);
+        const txBuilder = resolveTxBuilder(req, res, adapter);
+        if (!txBuilder) return;
+        const executionMode = resolveExecutionMode(req, res);
+        if (!executionMode) return;
+        const jitoTip = resolveJitoTip(req, res, executionMode);
+        if (!jitoTip) return;
+        const retryPolicy = resolveRetryPolicy(req, res, executionMode);
+        if (retryPolicy === null) return;
+        const priorityFee = resolvePriorityFeeStrategy(req, res, executionMode);
+        if (priorityFee === null) return;
+
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, `${adapter.pool}.batch-buy`, ({ onProgress }) =>
+                adapter.batchBuy(mintAddress, solAmountPerWallet, slippageBps, targetWalletNames, wallets, { onProgress, dryRun, txBuilder, executionMode, jitoTip, retryPolicy, priorityFee })
+            );
+        }
+
+        const result = await adapter.batchBuy(
             mintAddress,
             solAmountPerWallet,
             slippageBps,
             targetWalletNames,
-            wallets // Pass wallets to service
+            wallets, // Pass wallets to service
+            { dryRun, txBuilder, executionMode, jitoTip, retryPolicy, priorityFee }
         );
 
         if (result.success) {
@@ -201,30 +444,20 @@ async function batchBuy(req, res) {
         }
 
     } catch (error) {
-        console.error('[APIError] /api/pump/batch-buy:', error.message);
+        console.error(`[APIError] ${req.originalUrl}:`, error.message);
         res.status(500).json({ message: 'Error in batch-buy process.', error: error.message });
     }
 }
 
 async function devSell(req, res) {
     try {
+        const adapter = resolvePoolAdapter(req, res);
+        if (!adapter) return;
+
         let { mintAddress, sellAmountPercentage, slippageBps, wallets } = req.body;
 
-        // Try to load from LATEST_MINT_FILE if mintAddress not provided
-        if (!mintAddress) {
-            try {
-                if (fs.existsSync(LATEST_MINT_FILE)) {
-                    mintAddress = await fs.promises.readFile(LATEST_MINT_FILE, 'utf-8');
-                    mintAddress = mintAddress.trim();
-                    console.log(`Using mint address from ${LATEST_MINT_FILE}: ${mintAddress}`);
-                } else {
-                    return res.status(400).json({ message: 'Missing required parameter: mintAddress, and no fallback mint file found.' });
-                }
-            } catch (err) {
-                console.error(`Error reading latest mint file for devSell: ${err.message}`);
-                return res.status(500).json({ message: 'Error accessing fallback mint address file.', error: err.message });
-            }
-        }
+        mintAddress = await resolveMintAddress(mintAddress, adapter, res, 'devSell');
+        if (!mintAddress) return;
 
         // Validate sellAmountPercentage
         if (!sellAmountPercentage) {
@@ -259,11 +492,26 @@ async function devSell(req, res) {
         }
 
         // Call the service
-        const result = await pumpService.devSellService(
+        const dryRun = isDryRunRequest(req);
+        const txBuilder = resolveTxBuilder(req, res, adapter);
+        if (!txBuilder) return;
+        const retryPolicy = resolveRetryPolicy(req, res);
+        if (retryPolicy === null) return;
+        const priorityFee = resolvePriorityFeeStrategy(req, res);
+        if (priorityFee === null) return;
+
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, `${adapter.pool}.sell-dev`, ({ onProgress }) =>
+                adapter.devSell(mintAddress, sellAmountPercentage, slippageBps, wallets, { onProgress, dryRun, txBuilder, retryPolicy, priorityFee })
+            );
+        }
+
+        const result = await adapter.devSell(
             mintAddress,
             sellAmountPercentage,
             slippageBps,
-            wallets // Pass wallets to service
+            wallets, // Pass wallets to service
+            { dryRun, txBuilder, retryPolicy, priorityFee }
         );
 
         if (result.success) {
@@ -273,30 +521,20 @@ async function devSell(req, res) {
         }
 
     } catch (error) {
-        console.error('[APIError] /api/pump/dev-sell:', error.message);
+        console.error(`[APIError] ${req.originalUrl}:`, error.message);
         res.status(500).json({ message: 'Error in DevWallet sell process.', error: error.message });
     }
 }
 
 async function batchSell(req, res) {
     try {
+        const adapter = resolvePoolAdapter(req, res);
+        if (!adapter) return;
+
         let { mintAddress, sellAmountPercentage, slippageBps, targetWalletNames, wallets } = req.body;
 
-        // Try to load from LATEST_MINT_FILE if mintAddress not provided
-        if (!mintAddress) {
-            try {
-                if (fs.existsSync(LATEST_MINT_FILE)) {
-                    mintAddress = await fs.promises.readFile(LATEST_MINT_FILE, 'utf-8');
-                    mintAddress = mintAddress.trim();
-                    console.log(`Using mint address from ${LATEST_MINT_FILE}: ${mintAddress}`);
-                } else {
-                    return res.status(400).json({ message: 'Missing required parameter: mintAddress, and no fallback mint file found.' });
-                }
-            } catch (err) {
-                console.error(`Error reading latest mint file for batchSell: ${err.message}`);
-                return res.status(500).json({ message: 'Error accessing fallback mint address file.', error: err.message });
-            }
-        }
+        mintAddress = await resolveMintAddress(mintAddress, adapter, res, 'batchSell');
+        if (!mintAddress) return;
 
         // Validate sellAmountPercentage
         if (!sellAmountPercentage) {
@@ -336,12 +574,31 @@ async function batchSell(req, res) {
         }
 
         // Call the service
-        const result = await pumpService.batchSellService(
+        const dryRun = isDryRunRequest(req);
+        const txBuilder = resolveTxBuilder(req, res, adapter);
+        if (!txBuilder) return;
+        const executionMode = resolveExecutionMode(req, res);
+        if (!executionMode) return;
+        const jitoTip = resolveJitoTip(req, res, executionMode);
+        if (!jitoTip) return;
+        const retryPolicy = resolveRetryPolicy(req, res, executionMode);
+        if (retryPolicy === null) return;
+        const priorityFee = resolvePriorityFeeStrategy(req, res, executionMode);
+        if (priorityFee === null) return;
+
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, `${adapter.pool}.batch-sell`, ({ onProgress }) =>
+                adapter.batchSell(mintAddress, sellAmountPercentage, slippageBps, targetWalletNames, wallets, { onProgress, dryRun, txBuilder, executionMode, jitoTip, retryPolicy, priorityFee })
+            );
+        }
+
+        const result = await adapter.batchSell(
             mintAddress,
             sellAmountPercentage,
             slippageBps,
             targetWalletNames,
-            wallets // Pass wallets to service
+            wallets, // Pass wallets to service
+            { dryRun, txBuilder, executionMode, jitoTip, retryPolicy, priorityFee }
         );
 
         if (result.success) {
@@ -351,14 +608,273 @@ async function batchSell(req, res) {
         }
 
     } catch (error) {
-        console.error('[APIError] /api/pump/batch-sell:', error.message);
+        console.error(`[APIError] ${req.originalUrl}:`, error.message);
         res.status(500).json({ message: 'Error in batch sell process.', error: error.message });
     }
 }
 
+/**
+ * Emergency exit: sells 100% from every holder (DevWallet included) and returns SOL to the mother wallet.
+ * Unlike the sell routes, mintAddress is required: there is no latest-mint fallback for an exit.
+ */
+async function exit(req, res) {
+    try {
+        const adapter = resolvePoolAdapter(req, res);
+        if (!adapter) return;
+
+        const { mintAddress, wallets, motherWalletPublicKeyBs58, returnMode = 'drain' } = req.body;
+        let slippageBps = req.body.slippageBps;
+
+        for (const [label, address] of [['mintAddress', mintAddress], ['motherWalletPublicKeyBs58', motherWalletPublicKeyBs58]]) {
+            try {
+                new web3.PublicKey(address);
+            } catch (error) {
+                return res.status(400).json({ message: `Missing or invalid required parameter: ${label}.`, error: label === 'mintAddress' ? 'INVALID_MINT_ADDRESS' : 'INVALID_PUBLIC_KEY' });
+            }
+        }
+        if (!wallets || !Array.isArray(wallets) || wallets.length === 0) {
+            return res.status(400).json({ message: 'Missing required parameter: wallets (array of wallet objects with name and privateKey).' });
+        }
+        for (const wallet of wallets) {
+            if (!wallet.name || !wallet.privateKey) {
+                return res.status(400).json({ message: 'Each wallet must have a name and privateKey.' });
+            }
+        }
+        if (!wallets.some(wallet => wallet.name === 'DevWallet')) {
+            return res.status(400).json({ message: 'wallets must include the DevWallet.' });
+        }
+        if (slippageBps !== undefined) {
+            slippageBps = parseInt(slippageBps);
+            if (isNaN(slippageBps) || slippageBps <= 0) {
+                return res.status(400).json({ message: 'Invalid slippageBps: must be a positive integer.' });
+            }
+        }
+        if (!['drain', 'standard'].includes(returnMode)) {
+            return res.status(400).json({ message: 'returnMode must be "drain" or "standard".', error: 'INVALID_RETURN_MODE' });
+        }
+
+        const dryRun = isDryRunRequest(req);
+        const txBuilder = resolveTxBuilder(req, res, adapter);
+        if (!txBuilder) return;
+        const executionMode = resolveExecutionMode(req, res);
+        if (!executionMode) return;
+        const jitoTip = resolveJitoTip(req, res, executionMode);
+        if (!jitoTip) return;
+        const retryPolicy = resolveRetryPolicy(req, res, executionMode);
+        if (retryPolicy === null) return;
+        const priorityFee = resolvePriorityFeeStrategy(req, res, executionMode);
+        if (priorityFee === null) return;
+
+        const exitOptions = { slippageBps, returnMode, dryRun, txBuilder, executionMode, jitoTip, retryPolicy, priorityFee };
+
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, `${adapter.pool}.exit`, ({ onProgress }) =>
+                adapter.exit(mintAddress, wallets, motherWalletPublicKeyBs58, { ...exitOptions, onProgress })
+            );
+        }
+
+        const result = await adapter.exit(mintAddress, wallets, motherWalletPublicKeyBs58, exitOptions);
+
+        if (result.success) {
+            res.status(200).json({ message: 'Exit process completed.', data: result });
+        } else {
+            res.status(500).json({ message: 'Exit process completed with failures.', error: result.message, details: result });
+        }
+
+    } catch (error) {
+        console.error(`[APIError] ${req.originalUrl}:`, error.message);
+        res.status(500).json({ message: 'Error in exit process.', error: error.message });
+    }
+}
+
+/**
+ * Quotes a planned sequence of buys/sells offline against the bonding curve.
+ * Uses the live curve when mintAddress is provided, otherwise the curve of a new token.
+ */
+async function quote(req, res) {
+    try {
+        const adapter = resolvePoolAdapter(req, res);
+        if (!adapter) return;
+
+        if (!adapter.supportsQuote) {
+            return res.status(400).json({ message: `Quotes are not supported for pool "${adapter.pool}".`, error: 'QUOTE_NOT_SUPPORTED' });
+        }
+
+        const { mintAddress, steps, slippageBps, feeBps } = req.body;
+
+        if (mintAddress) {
+            try {
+                new web3.PublicKey(mintAddress);
+            } catch (error) {
+                return res.status(400).json({ message: `Invalid mint address: ${mintAddress}`, error: 'INVALID_MINT_ADDRESS' });
+            }
+        }
+        if (!steps || !Array.isArray(steps) || steps.length === 0) {
+            return res.status(400).json({ message: 'Missing required parameter: steps (array of { action: "buy"|"sell", amount, walletName? }).' });
+        }
+        for (const [index, step] of steps.entries()) {
+            if (!step || (step.action !== 'buy' && step.action !== 'sell')) {
+                return res.status(400).json({ message: `steps[${index}].action must be "buy" or "sell".` });
+            }
+            const isPercentageSell = step.action === 'sell' && typeof step.amount === 'string' && step.amount.trim().endsWith('%');
+            if (!isPercentageSell && (typeof step.amount !== 'number' || step.amount <= 0)) {
+                return res.status(400).json({ message: `steps[${index}].amount must be a positive number (SOL for buys, tokens for sells) or a percentage string for sells.` });
+            }
+        }
+        for (const [name, value] of [['slippageBps', slippageBps], ['feeBps', feeBps]]) {
+            if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+                return res.status(400).json({ message: `${name} must be a non-negative integer.` });
+            }
+        }
+
+        const result = await adapter.quote({ mintAddress, steps, slippageBps, feeBps });
+
+        if (result.success) {
+            res.status(200).json({ message: 'Quote calculated successfully.', data: result });
+        } else {
+            res.status(400).json({ message: 'Quote could not be calculated.', error: result.message });
+        }
+
+    } catch (error) {
+        console.error(`[APIError] ${req.originalUrl}:`, error.message);
+        res.status(500).json({ message: 'Error calculating quote.', error: error.message });
+    }
+}
+
+/**
+ * Plans a create-and-buy launch without keys: per-wallet token allocation, cumulative
+ * supply share and SOL required. Accepts the same JSON or multipart fields as create-and-buy.
+ */
+async function planCreateAndBuy(req, res) {
+    try {
+        const adapter = resolvePoolAdapter(req, res);
+        if (!adapter) return;
+
+        if (!adapter.supportsQuote) {
+            return res.status(400).json({ message: `Bundle planning is not supported for pool "${adapter.pool}".`, error: 'QUOTE_NOT_SUPPORTED' });
+        }
+
+        // Multipart form fields arrive as strings
+        const parsed = {};
+        for (const field of ['buyAmountsSOL', 'wallets', 'walletNames']) {
+            parsed[field] = req.body[field];
+            if (parsed[field] && typeof parsed[field] === 'string') {
+                try {
+                    parsed[field] = JSON.parse(parsed[field]);
+                } catch (parseError) {
+                    return res.status(400).json({ message: `Invalid JSON format for ${field} parameter.`, error: 'INVALID_JSON_FORMAT' });
+                }
+            }
+        }
+        const numeric = {};
+        for (const field of ['createAmountSOL', 'slippageBps', 'supplyCapPercent', 'walletSupplyCapPercent']) {
+            if (req.body[field] === undefined || req.body[field] === '') continue;
+            numeric[field] = Number(req.body[field]);
+            if (!Number.isFinite(numeric[field]) || numeric[field] <= 0) {
+                return res.status(400).json({ message: `Invalid ${field}: must be a positive number.` });
+            }
+        }
+
+        const { buyAmountsSOL, wallets } = parsed;
+        if (!buyAmountsSOL || typeof buyAmountsSOL !== 'object' || Array.isArray(buyAmountsSOL)) {
+            return res.status(400).json({ message: 'Missing or invalid buyAmountsSOL object.' });
+        }
+        for (const [buyKey, amount] of Object.entries(buyAmountsSOL)) {
+            if (typeof amount !== 'number' || amount < 0) {
+                return res.status(400).json({ message: `buyAmountsSOL.${buyKey} must be a non-negative number.` });
+            }
+        }
+
+        // Only wallet names are used; private keys are neither required nor read
+        let walletNames = parsed.walletNames;
+        if (!walletNames && Array.isArray(wallets)) {
+            walletNames = wallets.map(wallet => wallet && wallet.name).filter(Boolean);
+        }
+        if (walletNames !== undefined && (!Array.isArray(walletNames) || walletNames.some(walletName => typeof walletName !== 'string'))) {
+            return res.status(400).json({ message: 'walletNames must be an array of wallet names.' });
+        }
+
+        const result = await planCreateAndBuyService(adapter, buyAmountsSOL, {
+            ...numeric,
+            walletNames
+        });
+
+        if (result.success) {
+            res.status(200).json({ message: 'Create-and-buy plan calculated successfully.', data: result });
+        } else {
+            res.status(400).json({ message: 'Create-and-buy plan could not be calculated.', error: result.message, details: result });
+        }
+
+    } catch (error) {
+        console.error(`[APIError] ${req.originalUrl}:`, error.message);
+        res.status(500).json({ message: 'Error planning create-and-buy.', error: error.message });
+    }
+}
+
+/**
+ * Returns pump.fun bonding curve info for a mint: reserves, price, market cap,
+ * graduation progress, complete flag and creator.
+ */
+async function getTokenInfo(req, res) {
+    const { mint } = req.params;
+    try {
+        new web3.PublicKey(mint);
+    } catch (error) {
+        return res.status(400).json({ message: `Invalid mint address: ${mint}`, error: 'INVALID_MINT_ADDRESS' });
+    }
+
+    try {
+        const tokenInfo = await getPumpTokenInfo(mint);
+        if (!tokenInfo) {
+            return res.status(404).json({ message: `No pump.fun bonding curve found for mint ${mint}.`, error: 'BONDING_CURVE_NOT_FOUND' });
+        }
+        res.status(200).json({ message: 'Token info retrieved successfully.', data: tokenInfo });
+    } catch (error) {
+        console.error(`[APIError] ${req.originalUrl}:`, error.message);
+        res.status(500).json({ message: 'Error retrieving token info.', error: error.message });
+    }
+}
+
+/**
+ * Lists the registered pool adapters.
+ */
+async function listPools(req, res) {
+    const pools = getRegisteredPools().map(pool => {
+        const adapter = getPoolAdapter(pool);
+        return {
+            pool: adapter.pool,
+            name: adapter.name,
+            defaultCreateAmountSOL: adapter.defaultCreateAmountSOL,
+            supportsQuote: adapter.supportsQuote,
+            supportsNativeBuilder: adapter.supportsNativeBuilder,
+            supportsJitoCreate: adapter.supportsJitoCreate
+        };
+    });
+    res.status(200).json({ message: 'Registered pools retrieved successfully.', data: { defaultPool: DEFAULT_POOL, pools } });
+}
+
+/**
+ * Wraps a pool-aware handler so it always runs against a fixed pool (legacy route aliases).
+ * @param {string} pool - Pool identifier to force.
+ * @param {Function} handler - Express handler from this controller.
+ * @returns {Function} Express handler.
+ */
+function withPool(pool, handler) {
+    return (req, res) => {
+        req.params = { ...req.params, pool };
+        return handler(req, res);
+    };
+}
+
 module.exports = {
     createAndBuy,
     batchBuy,
     devSell,
-    batchSell
+    batchSell,
+    exit,
+    quote,
+    planCreateAndBuy,
+    getTokenInfo,
+    listPools,
+    withPool
 }; 
\ No newline at end of file
@@ -0,0 +1,32 @@
+const { getRpcPoolStatus } = require('../utils/rpcPoolUtils');
+const { getBlockhashCacheStats } = require('../utils/blockhashCacheUtils');
+const { getConfirmationStats } = require('../services/confirmationService');
+
+/**
+ * Reports every RPC endpoint of the pool: weight, health, cooldown and its rate limiter
+ * (in-flight calls and queue depth per priority lane and method), plus the signatures
+ * awaiting confirmation and the blockhash cache.
+ */
+async function getRpcStatus(req, res) {
+    try {
+        const endpoints = getRpcPoolStatus();
+        const queued = endpoints.reduce((sum, endpoint) => sum + endpoint.rateLimiter.queued, 0);
+        res.status(200).json({
+            message: 'RPC pool status retrieved successfully.',
+            data: {
+                endpoints,
+                available: endpoints.filter(endpoint => endpoint.available).length,
+                queued,
+                confirmations: getConfirmationStats(),
+                blockhashCache: getBlockhashCacheStats()
+            }
+        });
+    } catch (error) {
+        console.error('[APIError] /api/rpc/status:', error.message);
+        res.status(500).json({ message: 'Error retrieving RPC pool status.', error: error.message });
+    }
+}
+
+module.exports = {
+    getRpcStatus
+};
@@ -1,4 +1,6 @@
+const web3 = require('@solana/web3.js');
 const walletService = require('../services/walletService');
+const { isAsyncRequest, respondWithJob } = require('./jobController');
 
 async function createOrImportAirdropWallet(req, res) {
     try {
@@ -18,10 +20,23 @@ async function createOrImportAirdropWallet(req, res) {
 
 async function createBundledWallets(req, res) {
     try {
-        const { count, devWalletName, firstBundledWalletBaseName } = req.body;
+        const { count, devWalletName, firstBundledWalletBaseName, fromMnemonic = false, wordCount = 24, passphrase = '' } = req.body;
         if (typeof count !== 'number' || count < 1) {
             return res.status(400).json({ message: 'Invalid input: count must be a number greater than 0.' });
         }
+        if (typeof fromMnemonic !== 'boolean') {
+            return res.status(400).json({ message: 'Invalid input: fromMnemonic must be a boolean.' });
+        }
+        if (fromMnemonic) {
+            if (wordCount !== 12 && wordCount !== 24) {
+                return res.status(400).json({ message: 'Invalid input: wordCount must be 12 or 24.' });
+            }
+            if (typeof passphrase !== 'string') {
+                return res.status(400).json({ message: 'Invalid input: passphrase must be a string.' });
+            }
+            const result = await walletService.createMnemonicBundledWalletsService(count, devWalletName, firstBundledWalletBaseName, { wordCount, passphrase });
+            return res.status(200).json({ message: `${result.wallets.length} bundled wallets created from a new mnemonic. Store the mnemonic securely; it is not saved.`, data: result });
+        }
         const walletsDetails = await walletService.createBundledWalletsService(count, devWalletName, firstBundledWalletBaseName);
         res.status(200).json({ message: `${walletsDetails.length} bundled wallets created successfully.`, data: walletsDetails });
     } catch (error) {
@@ -32,9 +47,25 @@ async function createBundledWallets(req, res) {
 
 async function importBundledWallets(req, res) {
     try {
-        const { wallets } = req.body; // Expects an array like [{name, privateKeyBs58}]
+        const { wallets, mnemonic, count, passphrase = '', devWalletName, firstBundledWalletBaseName } = req.body; // Expects [{name, privateKeyBs58}] or a mnemonic + count
+        if (mnemonic !== undefined) {
+            if (wallets !== undefined) {
+                return res.status(400).json({ message: 'Invalid input: provide either wallets or mnemonic, not both.' });
+            }
+            if (typeof mnemonic !== 'string' || mnemonic.trim() === '') {
+                return res.status(400).json({ message: 'Invalid input: mnemonic must be a non-empty string.' });
+            }
+            if (!Number.isInteger(count) || count < 1) {
+                return res.status(400).json({ message: 'Invalid input: count must be an integer greater than 0 when importing from a mnemonic.' });
+            }
+            if (typeof passphrase !== 'string') {
+                return res.status(400).json({ message: 'Invalid input: passphrase must be a string.' });
+            }
+            const derivedWallets = await walletService.importBundledWalletsFromMnemonicService(mnemonic, count, { passphrase, devWalletName, firstBundledWalletBaseName });
+            return res.status(200).json({ message: `${derivedWallets.length} bundled wallets re-derived from mnemonic successfully.`, data: derivedWallets });
+        }
         if (!Array.isArray(wallets) || wallets.length === 0) {
-            return res.status(400).json({ message: 'Invalid input: wallets must be a non-empty array.' });
+            return res.status(400).json({ message: 'Invalid input: wallets must be a non-empty array (or provide mnemonic and count).' });
         }
         const walletsDetails = await walletService.importBundledWalletsService(wallets);
         res.status(200).json({ message: `${walletsDetails.length} bundled wallets imported successfully.`, data: walletsDetails });
@@ -309,23 +340,49 @@ async function getAllTokenBalances(req, res) {
 
 async function fundBundledWallets(req, res) {
     try {
-        const { amountPerWalletSOL, childWallets, motherWalletPrivateKeyBs58, targetWalletNames } = req.body;
+        const { amountPerWalletSOL, amountsSOL, targetBalanceSOL, childWallets, motherWalletPrivateKeyBs58, targetWalletNames, useLookupTable = false } = req.body;
         
-        // Validation
-        if (typeof amountPerWalletSOL !== 'number' || amountPerWalletSOL <= 0) {
+        // Validation: exactly one funding mode
+        const fundingModes = [amountPerWalletSOL, amountsSOL, targetBalanceSOL].filter(value => value !== undefined && value !== null);
+        if (fundingModes.length !== 1) {
+            return res.status(400).json({ message: 'Invalid input: provide exactly one of amountPerWalletSOL, amountsSOL or targetBalanceSOL.' });
+        }
+        const isAmountMap = (value, allowZero) => value !== null && typeof value === 'object' && !Array.isArray(value)
+            && Object.keys(value).length > 0
+            && Object.values(value).every(amount => typeof amount === 'number' && Number.isFinite(amount) && (allowZero ? amount >= 0 : amount > 0));
+        if (amountPerWalletSOL !== undefined && amountPerWalletSOL !== null && (typeof amountPerWalletSOL !== 'number' || amountPerWalletSOL <= 0)) {
             return res.status(400).json({ message: 'Invalid input: amountPerWalletSOL must be a positive number.' });
         }
+        if (amountsSOL !== undefined && amountsSOL !== null && !isAmountMap(amountsSOL, false)) {
+            return res.status(400).json({ message: 'Invalid input: amountsSOL must map wallet names to positive SOL amounts.' });
+        }
+        if (targetBalanceSOL !== undefined && targetBalanceSOL !== null
+            && !(typeof targetBalanceSOL === 'number' && targetBalanceSOL > 0) && !isAmountMap(targetBalanceSOL, true)) {
+            return res.status(400).json({ message: 'Invalid input: targetBalanceSOL must be a positive number or map wallet names to SOL balances.' });
+        }
         if (!childWallets || !Array.isArray(childWallets) || childWallets.length === 0) {
             return res.status(400).json({ message: 'Invalid input: childWallets must be a non-empty array of wallet objects.' });
         }
         if (!motherWalletPrivateKeyBs58) {
             return res.status(400).json({ message: 'Invalid input: motherWalletPrivateKeyBs58 is required for stateless funding operation.' });
         }
+        if (typeof useLookupTable !== 'boolean') {
+            return res.status(400).json({ message: 'Invalid input: useLookupTable must be a boolean.' });
+        }
         
-        console.log(`[WalletController] Funding ${childWallets.length} child wallets with ${amountPerWalletSOL} SOL each`);
+        const fundingDescription = amountsSOL ? 'per-wallet amounts'
+            : (targetBalanceSOL !== undefined && targetBalanceSOL !== null ? 'top-up to target balance' : `${amountPerWalletSOL} SOL each`);
+        console.log(`[WalletController] Funding ${childWallets.length} child wallets (${fundingDescription})`);
+        const fundingOptions = { useLookupTable, amountsSOL, targetBalanceSOL };
         
         // Call service with updated signature
-        const results = await walletService.fundChildWalletsService(amountPerWalletSOL, childWallets, motherWalletPrivateKeyBs58, targetWalletNames);
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, 'wallets.fund-bundled', ({ onProgress }) =>
+                walletService.fundChildWalletsService(amountPerWalletSOL, childWallets, motherWalletPrivateKeyBs58, targetWalletNames, { ...fundingOptions, onProgress })
+            );
+        }
+
+        const results = await walletService.fundChildWalletsService(amountPerWalletSOL, childWallets, motherWalletPrivateKeyBs58, targetWalletNames, fundingOptions);
         res.status(200).json({ message: 'Funding process completed.', data: results });
     } catch (error) {
         console.error('[APIError] /api/wallets/fund-bundled:', error.message);
@@ -335,7 +392,7 @@ async function fundBundledWallets(req, res) {
 
 async function returnFundsToMother(req, res) {
     try {
-        const { childWallets, motherWalletPublicKeyBs58, sourceWalletNames } = req.body;
+        const { childWallets, motherWalletPublicKeyBs58, sourceWalletNames, mode = 'standard' } = req.body;
         
         // Validation
         if (!childWallets || !Array.isArray(childWallets) || childWallets.length === 0) {
@@ -344,11 +401,20 @@ async function returnFundsToMother(req, res) {
         if (!motherWalletPublicKeyBs58) {
             return res.status(400).json({ message: 'Invalid input: motherWalletPublicKeyBs58 is required.' });
         }
+        if (!['standard', 'drain'].includes(mode)) {
+            return res.status(400).json({ message: 'Invalid input: mode must be "standard" or "drain".' });
+        }
         
-        console.log(`[WalletController] Returning funds from ${childWallets.length} child wallets to mother wallet`);
+        console.log(`[WalletController] Returning funds from ${childWallets.length} child wallets to mother wallet (${mode} mode)`);
         
         // Call service with updated signature  
-        const results = await walletService.returnFundsToMotherWalletService(childWallets, motherWalletPublicKeyBs58, sourceWalletNames);
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, 'wallets.return-funds', ({ onProgress }) =>
+                walletService.returnFundsToMotherWalletService(childWallets, motherWalletPublicKeyBs58, sourceWalletNames, { onProgress, mode })
+            );
+        }
+
+        const results = await walletService.returnFundsToMotherWalletService(childWallets, motherWalletPublicKeyBs58, sourceWalletNames, { mode });
         res.status(200).json({ message: 'Return funds process completed.', data: results });
     } catch (error) {
         console.error('[APIError] /api/wallets/return-funds:', error.message);
@@ -356,6 +422,94 @@ async function returnFundsToMother(req, res) {
     }
 }
 
+/**
+ * Closes empty (optionally dust) token accounts across the provided wallets and sends the rent to a destination.
+ */
+async function closeTokenAccounts(req, res) {
+    try {
+        const { childWallets, destinationPublicKeyBs58, feePayerPrivateKeyBs58, mints, burnDust = false, dustThreshold = 1 } = req.body;
+
+        if (!childWallets || !Array.isArray(childWallets) || childWallets.length === 0) {
+            return res.status(400).json({ message: 'Invalid input: childWallets must be a non-empty array of wallet objects.' });
+        }
+        for (const [label, address] of [['destinationPublicKeyBs58', destinationPublicKeyBs58], ...(Array.isArray(mints) ? mints.map((mint, index) => [`mints[${index}]`, mint]) : [])]) {
+            if (address === undefined || address === null) continue;
+            try {
+                new web3.PublicKey(address);
+            } catch (error) {
+                return res.status(400).json({ message: `Invalid input: ${label} is not a valid public key.`, error: 'INVALID_PUBLIC_KEY' });
+            }
+        }
+        if (mints !== undefined && !Array.isArray(mints)) {
+            return res.status(400).json({ message: 'Invalid input: mints must be an array of mint addresses.' });
+        }
+        if (typeof burnDust !== 'boolean') {
+            return res.status(400).json({ message: 'Invalid input: burnDust must be a boolean.' });
+        }
+        if (typeof dustThreshold !== 'number' || !Number.isFinite(dustThreshold) || dustThreshold <= 0) {
+            return res.status(400).json({ message: 'Invalid input: dustThreshold must be a positive number.' });
+        }
+
+        console.log(`[WalletController] Closing token accounts across ${childWallets.length} wallets`);
+        const serviceOptions = { destinationPublicKeyBs58, feePayerPrivateKeyBs58, mints, burnDust, dustThreshold };
+
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, 'wallets.close-token-accounts', ({ onProgress }) =>
+                walletService.closeTokenAccountsService(childWallets, { ...serviceOptions, onProgress })
+            );
+        }
+
+        const result = await walletService.closeTokenAccountsService(childWallets, serviceOptions);
+        res.status(200).json({ message: result.message, data: result });
+    } catch (error) {
+        console.error('[APIError] /api/wallets/close-token-accounts:', error.message);
+        res.status(500).json({ message: 'Error closing token accounts.', error: error.message });
+    }
+}
+
+/**
+ * Moves SPL tokens of one mint from managed wallets to a destination wallet (one-to-one or many-to-one).
+ */
+async function transferTokens(req, res) {
+    try {
+        const { sourceWallets, destinationPublicKeyBs58, mintAddress, amount = '100%', amounts, feePayerPrivateKeyBs58 } = req.body;
+
+        if (!sourceWallets || !Array.isArray(sourceWallets) || sourceWallets.length === 0) {
+            return res.status(400).json({ message: 'Invalid input: sourceWallets must be a non-empty array of wallet objects.' });
+        }
+        for (const [label, address] of [['destinationPublicKeyBs58', destinationPublicKeyBs58], ['mintAddress', mintAddress]]) {
+            try {
+                new web3.PublicKey(address);
+            } catch (error) {
+                return res.status(400).json({ message: `Invalid input: ${label} is required and must be a valid public key.`, error: 'INVALID_PUBLIC_KEY' });
+            }
+        }
+        const isValidAmount = (value) => (typeof value === 'number' && Number.isFinite(value) && value > 0)
+            || (typeof value === 'string' && /^\d+(\.\d+)?%$/.test(value.trim()) && parseFloat(value) > 0 && parseFloat(value) <= 100);
+        if (!isValidAmount(amount)) {
+            return res.status(400).json({ message: 'Invalid input: amount must be a positive token amount or a percentage like "50%".' });
+        }
+        if (amounts !== undefined && (amounts === null || typeof amounts !== 'object' || Array.isArray(amounts) || !Object.values(amounts).every(isValidAmount))) {
+            return res.status(400).json({ message: 'Invalid input: amounts must map wallet names to positive token amounts or percentages.' });
+        }
+
+        console.log(`[WalletController] Transferring ${mintAddress} from ${sourceWallets.length} wallet(s) to ${destinationPublicKeyBs58}`);
+        const serviceOptions = { amount, amounts, feePayerPrivateKeyBs58 };
+
+        if (isAsyncRequest(req)) {
+            return respondWithJob(res, 'wallets.transfer-tokens', ({ onProgress }) =>
+                walletService.transferTokensService(sourceWallets, destinationPublicKeyBs58, mintAddress, { ...serviceOptions, onProgress })
+            );
+        }
+
+        const result = await walletService.transferTokensService(sourceWallets, destinationPublicKeyBs58, mintAddress, serviceOptions);
+        res.status(200).json({ message: result.message, data: result });
+    } catch (error) {
+        console.error('[APIError] /api/wallets/transfer-tokens:', error.message);
+        res.status(500).json({ message: 'Error transferring tokens.', error: error.message });
+    }
+}
+
 module.exports = {
     // Existing controllers (backward compatibility maintained)
     createOrImportAirdropWallet,
@@ -364,6 +518,8 @@ module.exports = {
     getWalletBalance, // Original balance endpoint - maintains existing functionality
     fundBundledWallets,
     returnFundsToMother,
+    closeTokenAccounts,
+    transferTokens,
     
     // PHASE 3: Enhanced Balance API Controllers - Option B
     getWalletBalanceSOL,      // GET /api/wallets/:publicKey/balance/sol
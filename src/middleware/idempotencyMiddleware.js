@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { getIdempotencyStore } = require('./idempotencyStore');
+
+/**
+ * Idempotency middleware for state-changing (POST) routes
+ *
+ * Clients send an `Idempotency-Key` header; the first request with a key runs normally and
+ * its JSON response is stored. Retries with the same key:
+ * - receive the stored response (with `Idempotent-Replayed: true`) once the first one finished
+ * - receive 409 while the first request is still running
+ * - receive 422 if the request body differs from the original request
+ *
+ * Multipart bodies (create-and-buy with an image) are only parsed by uploadMiddleware, so the
+ * app-level instance passes them through untouched and the same middleware runs again on those
+ * routes after uploadMiddleware, where the form fields and the uploaded file are fingerprinted.
+ *
+ * 4xx responses are not stored, so a corrected request can reuse the key. 2xx and 5xx
+ * responses are stored because a failed trade may still have broadcast transactions.
+ *
+ * MONOCODE Compliance:
+ * - Explicit Error Handling: Store failures never block the request (logged and bypassed)
+ * - Observable Implementation: Replays and conflicts are logged with the scoped key
+ */
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const RESPONSE_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS, 10) || 24 * 60 * 60 * 1000; // 24 hours
+const IN_PROGRESS_TTL_MS = 30 * 60 * 1000; // Abandoned reservations expire after 30 minutes
+
+/**
+ * Hashes the request body so a reused key with a different payload can be detected.
+ * JSON bodies are hashed as sent; multipart bodies as their sorted form fields plus the
+ * uploaded file's name, type and content hash.
+ * @param {import('express').Request} req
+ * @returns {string} Hex digest.
+ */
+function fingerprintRequest(req) {
+    let body = '';
+    if (req.is('application/json') && req.body) {
+        body = JSON.stringify(req.body);
+    } else if (req.is('multipart/form-data')) {
+        const fields = Object.keys(req.body || {}).sort().map(field => [field, req.body[field]]);
+        const file = req.file
+            ? { field: req.file.fieldname, name: req.file.originalname, type: req.file.mimetype, sha256: crypto.createHash('sha256').update(req.file.buffer).digest('hex') }
+            : null;
+        body = JSON.stringify({ fields, file });
+    }
+    return crypto.createHash('sha256').update(`${req.method} ${req.path}\n${body}`).digest('hex');
+}
+
+const idempotencyMiddleware = async (req, res, next) => {
+    const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+    if (req.method !== 'POST' || !idempotencyKey || req.idempotencyHandled) {
+        return next();
+    }
+    if (req.is('multipart/form-data') && req.body === undefined) {
+        return next(); // Not parsed yet: handled by the instance after uploadMiddleware
+    }
+    req.idempotencyHandled = true;
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            message: `${IDEMPOTENCY_HEADER} must be at most ${MAX_KEY_LENGTH} characters.`,
+            error: 'INVALID_IDEMPOTENCY_KEY'
+        });
+    }
+
+    const store = getIdempotencyStore();
+    const scopedKey = `${req.method}:${req.path}:${idempotencyKey}`;
+    const fingerprint = fingerprintRequest(req);
+
+    let existing;
+    try {
+        existing = await store.reserve(scopedKey, {
+            status: 'in_progress',
+            fingerprint,
+            createdAt: new Date().toISOString(),
+            expiresAt: Date.now() + IN_PROGRESS_TTL_MS,
+            response: null
+        });
+    } catch (error) {
+        console.error(`[IdempotencyMiddleware] Store unavailable, processing ${scopedKey} without idempotency: ${error.message}`);
+        return next();
+    }
+
+    if (existing) {
+        if (existing.fingerprint !== fingerprint) {
+            console.warn(`[IdempotencyMiddleware] Key reused with a different payload: ${scopedKey}`);
+            return res.status(422).json({
+                message: `${IDEMPOTENCY_HEADER} was already used with a different request body.`,
+                error: 'IDEMPOTENCY_KEY_REUSED'
+            });
+        }
+        if (existing.status === 'in_progress') {
+            console.warn(`[IdempotencyMiddleware] Duplicate request while original is in progress: ${scopedKey}`);
+            return res.status(409).json({
+                message: 'A request with this Idempotency-Key is still being processed. Retry later to receive its result.',
+                error: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+            });
+        }
+        console.log(`[IdempotencyMiddleware] Replaying stored response for ${scopedKey} (status ${existing.response.statusCode})`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Capture the JSON response of the first request
+    let settled = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        if (!settled) {
+            settled = true;
+            const statusCode = res.statusCode;
+            const operation = statusCode >= 400 && statusCode < 500
+                ? store.release(scopedKey)
+                : store.complete(scopedKey, {
+                    status: 'completed',
+                    fingerprint,
+                    createdAt: new Date().toISOString(),
+                    expiresAt: Date.now() + RESPONSE_TTL_MS,
+                    response: { statusCode, body }
+                });
+            Promise.resolve(operation).catch(error => {
+                console.error(`[IdempotencyMiddleware] Failed to store response for ${scopedKey}: ${error.message}`);
+            });
+        }
+        return originalJson(body);
+    };
+
+    // Responses not sent through res.json (e.g. the generic error handler) release the key
+    res.on('finish', () => {
+        if (!settled) {
+            settled = true;
+            Promise.resolve(store.release(scopedKey)).catch(() => {});
+        }
+    });
+
+    next();
+};
+
+module.exports = idempotencyMiddleware;
@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const { mkdirSync } = require('fs');
+const path = require('path');
+
+/**
+ * Idempotency record stores
+ *
+ * A store keeps one record per scoped idempotency key:
+ *   { status: 'in_progress' | 'completed', fingerprint, createdAt, expiresAt, response: { statusCode, body } | null }
+ *
+ * Store interface (all methods async):
+ *   reserve(key, record) -> existing record, or null if the key was free and is now reserved
+ *   complete(key, record) -> void (overwrites the reservation with the final record)
+ *   release(key)          -> void (drops the reservation so the key can be retried)
+ *
+ * reserve() must be atomic for the process: two concurrent requests with the same key must
+ * never both get null. Custom stores (e.g. Redis backed) can be plugged in with
+ * setIdempotencyStore(store).
+ *
+ * MONOCODE Compliance: Explicit store selection via IDEMPOTENCY_STORE (memory | file | sqlite).
+ */
+
+const DEFAULT_FILE_STORE_PATH = path.join(process.cwd(), 'data', 'idempotencyKeys.json');
+const DEFAULT_SQLITE_STORE_PATH = path.join(process.cwd(), 'data', 'idempotencyKeys.sqlite');
+
+/**
+ * @param {object|undefined} record - Stored record.
+ * @returns {boolean} True if the record exists and has not expired.
+ */
+function isLive(record) {
+    return Boolean(record) && record.expiresAt > Date.now();
+}
+
+/**
+ * In-memory store (default). Records are lost on restart.
+ * @returns {object} Idempotency store.
+ */
+function createMemoryStore() {
+    const records = new Map();
+
+    const sweep = setInterval(() => {
+        for (const [key, record] of records) {
+            if (!isLive(record)) records.delete(key);
+        }
+    }, 10 * 60 * 1000);
+    sweep.unref();
+
+    return {
+        name: 'memory',
+        async reserve(key, record) {
+            const existing = records.get(key);
+            if (isLive(existing)) return existing;
+            records.set(key, record);
+            return null;
+        },
+        async complete(key, record) {
+            records.set(key, record);
+        },
+        async release(key) {
+            records.delete(key);
+        }
+    };
+}
+
+/**
+ * JSON file store. Survives restarts of a single instance; operations are serialized
+ * in-process so reserve() stays atomic.
+ * @param {string} [filePath=DEFAULT_FILE_STORE_PATH] - Location of the JSON file.
+ * @returns {object} Idempotency store.
+ */
+function createFileStore(filePath = DEFAULT_FILE_STORE_PATH) {
+    let records = null;
+    let queue = Promise.resolve();
+
+    const load = async () => {
+        if (records) return records;
+        try {
+            records = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`[IdempotencyStore] Could not read ${filePath}, starting empty: ${error.message}`);
+            }
+            records = {};
+        }
+        return records;
+    };
+
+    const persist = async () => {
+        for (const key of Object.keys(records)) {
+            if (!isLive(records[key])) delete records[key];
+        }
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(records), 'utf-8');
+    };
+
+    // Serialize every operation so concurrent requests see a consistent view
+    const enqueue = (operation) => {
+        const run = queue.then(async () => operation(await load()));
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    return {
+        name: 'file',
+        reserve: (key, record) => enqueue(async (current) => {
+            if (isLive(current[key])) return current[key];
+            current[key] = record;
+            await persist();
+            return null;
+        }),
+        complete: (key, record) => enqueue(async (current) => {
+            current[key] = record;
+            await persist();
+        }),
+        release: (key) => enqueue(async (current) => {
+            delete current[key];
+            await persist();
+        })
+    };
+}
+
+/**
+ * SQLite store. Survives restarts and can be shared by several processes on one host:
+ * reserve() runs in an IMMEDIATE transaction, so it is atomic across processes too.
+ * @param {string} [filePath=DEFAULT_SQLITE_STORE_PATH] - Location of the database file.
+ * @returns {object} Idempotency store.
+ */
+function createSqliteStore(filePath = DEFAULT_SQLITE_STORE_PATH) {
+    const Database = require('better-sqlite3'); // Native module: only loaded when this store is selected
+
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.exec(`CREATE TABLE IF NOT EXISTS idempotency_keys (
+        key TEXT PRIMARY KEY,
+        record TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+    )`);
+
+    const selectRecord = db.prepare('SELECT record, expires_at FROM idempotency_keys WHERE key = ?');
+    const upsertRecord = db.prepare(`INSERT INTO idempotency_keys (key, record, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET record = excluded.record, expires_at = excluded.expires_at`);
+    const deleteRecord = db.prepare('DELETE FROM idempotency_keys WHERE key = ?');
+    const deleteExpired = db.prepare('DELETE FROM idempotency_keys WHERE expires_at <= ?');
+
+    const reserve = db.transaction((key, record) => {
+        const row = selectRecord.get(key);
+        if (row && row.expires_at > Date.now()) return JSON.parse(row.record);
+        upsertRecord.run(key, JSON.stringify(record), record.expiresAt);
+        return null;
+    });
+
+    const sweep = setInterval(() => {
+        try {
+            deleteExpired.run(Date.now());
+        } catch (error) {
+            console.warn(`[IdempotencyStore] Could not sweep expired keys from ${filePath}: ${error.message}`);
+        }
+    }, 10 * 60 * 1000);
+    sweep.unref();
+
+    return {
+        name: 'sqlite',
+        async reserve(key, record) {
+            return reserve.immediate(key, record);
+        },
+        async complete(key, record) {
+            upsertRecord.run(key, JSON.stringify(record), record.expiresAt);
+        },
+        async release(key) {
+            deleteRecord.run(key);
+        }
+    };
+}
+
+/**
+ * Builds the store selected by IDEMPOTENCY_STORE.
+ * @returns {object} Idempotency store.
+ */
+function createStoreFromEnv() {
+    const storeType = (process.env.IDEMPOTENCY_STORE || 'memory').toLowerCase();
+    if (storeType === 'file') {
+        const filePath = process.env.IDEMPOTENCY_STORE_PATH || DEFAULT_FILE_STORE_PATH;
+        console.log(`[IdempotencyStore] Using file store: ${filePath}`);
+        return createFileStore(filePath);
+    }
+    if (storeType === 'sqlite') {
+        const filePath = process.env.IDEMPOTENCY_STORE_PATH || DEFAULT_SQLITE_STORE_PATH;
+        console.log(`[IdempotencyStore] Using SQLite store: ${filePath}`);
+        return createSqliteStore(filePath);
+    }
+    if (storeType !== 'memory') {
+        console.warn(`[IdempotencyStore] Unknown IDEMPOTENCY_STORE "${storeType}", falling back to memory store`);
+    }
+    return createMemoryStore();
+}
+
+let activeStore = null;
+
+/**
+ * @returns {object} The active idempotency store (created from env on first use).
+ */
+function getIdempotencyStore() {
+    if (!activeStore) activeStore = createStoreFromEnv();
+    return activeStore;
+}
+
+/**
+ * Replaces the active store, e.g. with a Redis backed implementation.
+ * @param {object} store - Object implementing reserve/complete/release.
+ */
+function setIdempotencyStore(store) {
+    const missing = ['reserve', 'complete', 'release'].filter(method => typeof (store && store[method]) !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Invalid idempotency store: missing ${missing.join(', ')}`);
+    }
+    activeStore = store;
+    console.log(`[IdempotencyStore] Using custom store${store.name ? `: ${store.name}` : ''}`);
+}
+
+module.exports = {
+    createMemoryStore,
+    createFileStore,
+    createSqliteStore,
+    getIdempotencyStore,
+    setIdempotencyStore
+};
@@ -0,0 +1,193 @@
+/**
+ * BUNDLE PLANNER SERVICE - Supply allocation plan for create-and-buy launches
+ *
+ * Replays what createAndBuyService would do on a fresh bonding curve — the DevWallet dev buy
+ * inside the create transaction, then every buyAmountsSOL entry in order — and reports each
+ * wallet's token allocation, cumulative supply share and the SOL it must hold (spend plus the
+ * MIN_SOL_BALANCE_TIPPER / MIN_SOL_BALANCE_NON_TIPPER reserves). Nothing touches the network.
+ *
+ * MONOCODE Compliance: Reuses the quote engine and the create-and-buy buyer resolution so the
+ * plan matches what would actually be sent.
+ */
+
+const { quoteTradeSequence } = require('./quoteService');
+const {
+    resolveBuyersFromBuyAmounts,
+    DEV_WALLET_NAME,
+    MIN_SOL_BALANCE_TIPPER,
+    MIN_SOL_BALANCE_NON_TIPPER
+} = require('./tradingService');
+const { getInitialBondingCurveState, getBondingCurveMetrics } = require('../utils/pumpProgramUtils');
+
+// Warn when the bundle would hold more than this share of supply (override per request)
+const DEFAULT_SUPPLY_CAP_PERCENT = parseFloat(process.env.BUNDLE_SUPPLY_CAP_PERCENT) || 20;
+
+const roundSol = (value) => Math.round(value * 1e9) / 1e9;
+
+/**
+ * Derives a wallet name from a buyAmountsSOL key when no wallet names are supplied,
+ * e.g. "firstBundledWallet1BuySOL" -> "First Bundled Wallet 1", "devWalletBuySOL" -> "DevWallet".
+ * @param {string} buyKey
+ * @returns {string}
+ */
+function walletNameFromBuyKey(buyKey) {
+    const base = buyKey.replace('BuySOL', '');
+    if (base.toLowerCase() === DEV_WALLET_NAME.toLowerCase()) {
+        return DEV_WALLET_NAME;
+    }
+    return base
+        .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+        .replace(/^./, first => first.toUpperCase());
+}
+
+/**
+ * Plans the supply allocation of a create-and-buy launch.
+ * @param {object} adapter - Pool adapter (must support quotes)
+ * @param {object} buyAmountsSOL - Same object as create-and-buy, e.g. { devWalletBuySOL: 0.5, firstBundledWallet1BuySOL: 1 }
+ * @param {object} [options={}]
+ * @param {number} [options.createAmountSOL] - Dev buy inside the create transaction (adapter default when omitted)
+ * @param {number} [options.slippageBps=2500] - Used to report each buy's maximum SOL cost
+ * @param {string[]} [options.walletNames] - Wallet names to match buy keys against, as create-and-buy would
+ * @param {number} [options.supplyCapPercent] - Bundle supply share that triggers a warning
+ * @param {number} [options.walletSupplyCapPercent] - Per-wallet supply share that triggers a warning
+ * @returns {Promise<object>} { success, message, wallets, steps, totals, finalCurve, warnings, skippedBuyKeys, failingBuys }
+ *   When a buy completes the curve the plan stops there; the later buys are listed in failingBuys
+ */
+async function planCreateAndBuyService(adapter, buyAmountsSOL, options = {}) {
+    const {
+        slippageBps = 2500,
+        walletNames,
+        supplyCapPercent = DEFAULT_SUPPLY_CAP_PERCENT,
+        walletSupplyCapPercent
+    } = options;
+    const createAmountSOL = options.createAmountSOL || adapter.defaultCreateAmountSOL;
+    const warnings = [];
+
+    console.log(`[BundlePlannerService] Planning create-and-buy on pool "${adapter.pool}" with ${Object.keys(buyAmountsSOL).length} buy keys`);
+
+    // Match buy keys exactly like createAndBuyService; without names, derive them from the keys
+    const candidateWallets = (walletNames && walletNames.length > 0)
+        ? walletNames.map(name => ({ name }))
+        : Object.keys(buyAmountsSOL).map(buyKey => ({ name: walletNameFromBuyKey(buyKey) }));
+    if (!candidateWallets.some(wallet => wallet.name === DEV_WALLET_NAME)) {
+        candidateWallets.push({ name: DEV_WALLET_NAME });
+    }
+    const buyers = resolveBuyersFromBuyAmounts(candidateWallets, buyAmountsSOL);
+    const matchedKeys = new Set(buyers.map(buyer => buyer.buyKey));
+    const skippedBuyKeys = Object.keys(buyAmountsSOL).filter(key => buyAmountsSOL[key] > 0 && !matchedKeys.has(key));
+    if (skippedBuyKeys.length > 0) {
+        warnings.push(`No wallet matches buy keys ${skippedBuyKeys.join(', ')}; create-and-buy would skip them.`);
+    }
+
+    // Step order: dev buy inside the create transaction, then the buys in buyAmountsSOL order
+    const steps = [
+        { action: 'buy', amount: createAmountSOL, walletName: DEV_WALLET_NAME, source: 'create' },
+        ...buyers.map(buyer => ({ action: 'buy', amount: buyer.buySOL, walletName: buyer.wallet.name, source: 'buy' }))
+    ];
+
+    let quote;
+    try {
+        quote = quoteTradeSequence(getInitialBondingCurveState(null), steps, { slippageBps, stopAtComplete: true });
+    } catch (error) {
+        return { success: false, message: error.message, warnings, skippedBuyKeys };
+    }
+
+    // Aggregate per wallet, keeping first-appearance order (DevWallet first)
+    const walletPlans = new Map();
+    quote.steps.forEach((quotedStep, index) => {
+        const walletName = quotedStep.walletName;
+        if (!walletPlans.has(walletName)) {
+            const isTipper = walletName === DEV_WALLET_NAME;
+            walletPlans.set(walletName, {
+                walletName,
+                role: isTipper ? 'creator' : 'buyer',
+                isTipper,
+                buys: [],
+                solSpend: 0,
+                reserveSOL: isTipper ? MIN_SOL_BALANCE_TIPPER : MIN_SOL_BALANCE_NON_TIPPER,
+                tokens: 0,
+                supplySharePercent: 0,
+                cumulativeSupplySharePercent: 0
+            });
+        }
+        const plan = walletPlans.get(walletName);
+        plan.buys.push({
+            step: quotedStep.step,
+            source: steps[index].source,
+            solIn: quotedStep.solIn,
+            tokensOut: quotedStep.tokensOut,
+            maxSolCost: quotedStep.maxSolCost,
+            priceImpactPercent: quotedStep.priceImpactPercent
+        });
+        plan.solSpend = roundSol(plan.solSpend + steps[index].amount);
+        plan.tokens += quotedStep.tokensOut;
+        plan.supplySharePercent = Math.round((plan.supplySharePercent + quotedStep.supplySharePercent) * 10000) / 10000;
+        plan.cumulativeSupplySharePercent = quotedStep.cumulativeSupplySharePercent;
+        if (quotedStep.capped) {
+            warnings.push(`Step ${quotedStep.step} (${walletName}) exhausts the bonding curve; the token would graduate${quote.unquotedSteps.length > 0 ? ` and the ${quote.unquotedSteps.length} later buy(s) in failingBuys would fail` : ''}.`);
+        }
+    });
+
+    // Buys after the curve completes cannot execute on the bonding curve
+    const failingBuys = quote.unquotedSteps.map(unquoted => ({
+        step: unquoted.step,
+        walletName: unquoted.walletName,
+        source: steps[unquoted.step - 1].source,
+        amountSOL: unquoted.amount,
+        reason: 'Bonding curve complete (token graduated) before this buy'
+    }));
+
+    const wallets = Array.from(walletPlans.values()).map(plan => ({
+        ...plan,
+        requiredSOL: roundSol(plan.solSpend + plan.reserveSOL)
+    }));
+
+    const totalSpend = roundSol(wallets.reduce((sum, wallet) => sum + wallet.solSpend, 0));
+    const totalReserve = roundSol(wallets.reduce((sum, wallet) => sum + wallet.reserveSOL, 0));
+    const bundleSupplySharePercent = quote.totals.netSupplySharePercent;
+
+    if (bundleSupplySharePercent > supplyCapPercent) {
+        warnings.push(`Bundle would hold ${bundleSupplySharePercent}% of supply, above the ${supplyCapPercent}% cap.`);
+    }
+    if (walletSupplyCapPercent !== undefined) {
+        wallets
+            .filter(wallet => wallet.supplySharePercent > walletSupplyCapPercent)
+            .forEach(wallet => warnings.push(`${wallet.walletName} would hold ${wallet.supplySharePercent}% of supply, above the ${walletSupplyCapPercent}% per-wallet cap.`));
+    }
+
+    const finalMetrics = getBondingCurveMetrics(quote.finalCurve);
+    console.log(`[BundlePlannerService] ✅ Plan: ${wallets.length} wallets, ${bundleSupplySharePercent}% of supply, ${roundSol(totalSpend + totalReserve)} SOL required, ${warnings.length} warning(s)`);
+
+    return {
+        success: true,
+        message: failingBuys.length > 0
+            ? `Planned ${quote.steps.length} of ${steps.length} buys across ${wallets.length} wallets; the curve completes before the remaining ${failingBuys.length}.`
+            : `Planned ${steps.length} buys across ${wallets.length} wallets.`,
+        pool: adapter.pool,
+        createAmountSOL,
+        slippageBps,
+        supplyCapPercent,
+        walletSupplyCapPercent: walletSupplyCapPercent !== undefined ? walletSupplyCapPercent : null,
+        wallets,
+        totals: {
+            solSpend: totalSpend,
+            reserveSOL: totalReserve,
+            totalSOLRequired: roundSol(totalSpend + totalReserve),
+            tokens: quote.totals.tokensBought,
+            bundleSupplySharePercent,
+            feesSOL: quote.totals.feesSOL
+        },
+        finalCurve: {
+            ...finalMetrics,
+            complete: quote.finalCurve.complete
+        },
+        warnings,
+        skippedBuyKeys,
+        failingBuys
+    };
+}
+
+module.exports = {
+    planCreateAndBuyService,
+    DEFAULT_SUPPLY_CAP_PERCENT
+};
@@ -0,0 +1,195 @@
+/**
+ * CONFIRMATION SERVICE - Central tracker for pending transaction signatures
+ *
+ * Every signature awaiting confirmation is registered here once, however many callers wait on
+ * it. A single loop polls all pending signatures with getSignatureStatuses in chunks of
+ * STATUS_CHUNK_SIZE every CONFIRMATION_POLL_INTERVAL_MS, so confirming 100+ wallets costs one
+ * call per chunk instead of a subscription and a status call per signature.
+ *
+ * With useWebSocket (off unless CONFIRMATION_WEBSOCKET=true) each pending signature is also
+ * subscribed on the primary connection's WebSocket, which web3 multiplexes over one socket;
+ * a notification resolves its waiters immediately and polling stays the fallback.
+ *
+ * Waiters resolve (never reject) with { signature, confirmed, status, slot, err }:
+ *   status "confirmed" | "finalized" - reached the requested commitment without error
+ *   status "failed"                  - reached the requested commitment with meta.err
+ *   status "timeout"                 - not confirmed within timeoutMs (slot of the last sighting, if any)
+ *
+ * MONOCODE Compliance: Bounded RPC usage, structured logging and observable state through
+ * getConfirmationStats.
+ */
+
+const { getSolanaConnection } = require('../utils/walletUtils');
+const { rateLimitedRpcCall } = require('../utils/transactionUtils');
+
+const STATUS_CHUNK_SIZE = 256; // getSignatureStatuses limit
+const CONFIRMATION_POLL_INTERVAL_MS = parseInt(process.env.CONFIRMATION_POLL_INTERVAL_MS, 10) || 1500;
+const DEFAULT_USE_WEBSOCKET = process.env.CONFIRMATION_WEBSOCKET === 'true';
+const DEFAULT_CONFIRMATION_TIMEOUT_MS = 30000;
+const COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+
+// `${commitment}:${signature}` -> { signature, commitment, waiters, subscriptionId, lastSeenSlot }
+const pendingConfirmations = new Map();
+let pollTimer = null;
+const pollStats = { polls: 0, lastPollAt: null, lastPollError: null };
+
+/**
+ * Resolves every waiter of a pending entry and forgets the entry.
+ */
+function settleEntry(key, outcome) {
+    const entry = pendingConfirmations.get(key);
+    if (!entry) return;
+    pendingConfirmations.delete(key);
+    if (entry.subscriptionId !== null) {
+        getSolanaConnection().removeSignatureListener(entry.subscriptionId).catch(() => { });
+    }
+    for (const waiter of entry.waiters) {
+        clearTimeout(waiter.timer);
+        waiter.resolve({ signature: entry.signature, ...outcome });
+    }
+}
+
+function describeStatus(status, commitment) {
+    return {
+        confirmed: !status.err,
+        status: status.err ? 'failed' : (status.confirmationStatus === 'finalized' ? 'finalized' : commitment),
+        slot: status.slot,
+        err: status.err || null
+    };
+}
+
+/**
+ * Polls every pending signature once, in chunks of STATUS_CHUNK_SIZE.
+ */
+async function pollPendingSignatures() {
+    const entries = Array.from(pendingConfirmations.entries());
+    const connection = getSolanaConnection();
+    for (let i = 0; i < entries.length; i += STATUS_CHUNK_SIZE) {
+        const chunk = entries.slice(i, i + STATUS_CHUNK_SIZE);
+        const response = await rateLimitedRpcCall(async () => {
+            return await connection.getSignatureStatuses(chunk.map(([, entry]) => entry.signature));
+        });
+        chunk.forEach(([key, entry], index) => {
+            const status = response.value[index];
+            if (!status) return;
+            entry.lastSeenSlot = status.slot;
+            const reached = COMMITMENT_RANK[status.confirmationStatus] >= COMMITMENT_RANK[entry.commitment];
+            if (reached) {
+                settleEntry(key, describeStatus(status, entry.commitment));
+            }
+        });
+    }
+    pollStats.polls++;
+    pollStats.lastPollAt = new Date().toISOString();
+}
+
+/**
+ * Keeps the poll loop running while signatures are pending.
+ */
+function schedulePoll() {
+    if (pollTimer || pendingConfirmations.size === 0) return;
+    pollTimer = setTimeout(async () => {
+        try {
+            await pollPendingSignatures();
+            pollStats.lastPollError = null;
+        } catch (error) {
+            pollStats.lastPollError = error.message;
+            console.warn(`[ConfirmationService] Status poll failed (${pendingConfirmations.size} pending): ${error.message}`);
+        }
+        pollTimer = null;
+        schedulePoll();
+    }, CONFIRMATION_POLL_INTERVAL_MS);
+}
+
+/**
+ * Subscribes a pending signature on the primary connection's WebSocket.
+ */
+function subscribeEntry(key, entry) {
+    try {
+        entry.subscriptionId = getSolanaConnection().onSignatureWithOptions(
+            entry.signature,
+            (notification, context) => {
+                entry.subscriptionId = null; // signatureSubscribe auto-unsubscribes after one notification
+                settleEntry(key, describeStatus({ err: notification.err, slot: context.slot, confirmationStatus: entry.commitment }, entry.commitment));
+            },
+            { commitment: entry.commitment }
+        );
+    } catch (error) {
+        console.warn(`[ConfirmationService] WebSocket subscription failed for ${entry.signature.slice(0, 8)}, polling only: ${error.message}`);
+    }
+}
+
+/**
+ * Waits until a signature reaches the commitment, fails, or the timeout expires.
+ * @param {string} signature
+ * @param {object} [options={}]
+ * @param {string} [options.commitment='confirmed'] - "processed" | "confirmed" | "finalized"
+ * @param {number} [options.timeoutMs=30000]
+ * @param {boolean} [options.useWebSocket] - Also subscribe on the WebSocket (CONFIRMATION_WEBSOCKET by default)
+ * @returns {Promise<{signature: string, confirmed: boolean, status: string, slot: number|null, err: object|null}>}
+ */
+function waitForConfirmation(signature, options = {}) {
+    const {
+        commitment = 'confirmed',
+        timeoutMs = DEFAULT_CONFIRMATION_TIMEOUT_MS,
+        useWebSocket = DEFAULT_USE_WEBSOCKET
+    } = options;
+    if (COMMITMENT_RANK[commitment] === undefined) {
+        throw new Error(`Unsupported commitment "${commitment}"`);
+    }
+
+    const key = `${commitment}:${signature}`;
+    let entry = pendingConfirmations.get(key);
+    if (!entry) {
+        entry = { signature, commitment, waiters: [], subscriptionId: null, lastSeenSlot: null };
+        pendingConfirmations.set(key, entry);
+        if (useWebSocket) subscribeEntry(key, entry);
+    }
+
+    return new Promise(resolve => {
+        const waiter = { resolve };
+        waiter.timer = setTimeout(() => {
+            entry.waiters = entry.waiters.filter(other => other !== waiter);
+            if (entry.waiters.length === 0) {
+                settleEntry(key, {}); // No waiters left: stop tracking
+            }
+            console.warn(`[ConfirmationService] Confirmation timed out for ${signature.slice(0, 8)} after ${timeoutMs}ms`);
+            resolve({ signature, confirmed: false, status: 'timeout', slot: entry.lastSeenSlot, err: null });
+        }, timeoutMs);
+        entry.waiters.push(waiter);
+        schedulePoll();
+    });
+}
+
+/**
+ * Waits for many signatures at once; they share the poll loop (one call per STATUS_CHUNK_SIZE signatures).
+ * @param {string[]} signatures
+ * @param {object} [options={}] - Same options as waitForConfirmation
+ * @returns {Promise<Array<{signature: string, confirmed: boolean, status: string, slot: number|null, err: object|null}>>} In input order
+ */
+async function waitForConfirmations(signatures, options = {}) {
+    return Promise.all(signatures.map(signature => waitForConfirmation(signature, options)));
+}
+
+/**
+ * Current state of the confirmation tracker.
+ * @returns {{pending: number, waiters: number, subscriptions: number, pollIntervalMs: number, polls: number, lastPollAt: string|null, lastPollError: string|null}}
+ */
+function getConfirmationStats() {
+    const entries = Array.from(pendingConfirmations.values());
+    return {
+        pending: entries.length,
+        waiters: entries.reduce((sum, entry) => sum + entry.waiters.length, 0),
+        subscriptions: entries.filter(entry => entry.subscriptionId !== null).length,
+        pollIntervalMs: CONFIRMATION_POLL_INTERVAL_MS,
+        ...pollStats
+    };
+}
+
+module.exports = {
+    waitForConfirmation,
+    waitForConfirmations,
+    getConfirmationStats,
+    STATUS_CHUNK_SIZE,
+    CONFIRMATION_POLL_INTERVAL_MS
+};
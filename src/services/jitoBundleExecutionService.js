@@ -0,0 +1,313 @@
+/**
+ * JITO BUNDLE EXECUTION SERVICE - executionMode "jito-bundle" for trading flows
+ *
+ * Alternative to executeParallelTransactions: transactions are chunked into bundles of up to
+ * MAX_TRANSACTIONS_PER_JITO_BUNDLE, requested from Pump Portal in one trade-local call per bundle,
+ * tipped through an explicit transfer appended to the last transaction (see jitoTipService),
+ * re-signed on a fresh blockhash, sent to the Jito block engine and confirmed on the first
+ * signature. Bundles are atomic: every transaction of a bundle lands in the same block, or none does.
+ * Escalating tip strategies re-request and resend a bundle that did not land with a higher tip.
+ *
+ * MONOCODE Compliance: Reuses the existing Jito helpers (pumpAndJitoUtils / jitoService),
+ * structured logging and per-transaction results matching executeParallelTransactions.
+ */
+
+const { getSolanaConnection } = require('../utils/walletUtils');
+const { getRecentBlockhash, rateLimitedRpcCall, sleep } = require('../utils/transactionUtils');
+const { emitProgress } = require('../utils/progressUtils');
+const {
+    getTransactionsFromPumpPortal,
+    preparePumpTransactionsForJito,
+    DEFAULT_PUMP_PORTAL_NOMINAL_SUBSEQUENT_TX_FEE_SOL
+} = require('../utils/pumpAndJitoUtils');
+const { sendJitoBundleWithEndpointRotation, confirmBundleWebSocketOnly } = require('./jitoService');
+const { normalizeTipStrategy, resolveTip, getRandomTipAccount, appendTipToEncodedTransaction } = require('./jitoTipService');
+const { buildTradeRequestBody } = require('./localTransactionService');
+
+const EXECUTION_MODES = ['local-parallel', 'jito-bundle'];
+const DEFAULT_EXECUTION_MODE = 'local-parallel';
+const MAX_TRANSACTIONS_PER_JITO_BUNDLE = 5; // Jito block engine limit
+const BUNDLE_CONFIRMATION_TIMEOUT_MS = 60000;
+const BUNDLE_EXPIRY_POLL_INTERVAL_MS = 2000;
+const BUNDLE_EXPIRY_MAX_WAIT_MS = 120000; // A blockhash expires ~150 blocks (about a minute) after it was fetched
+
+/**
+ * Builds the Pump Portal request body for one bundle transaction. Requests may carry a prebuilt
+ * `requestBody` (e.g. a create transaction); otherwise a buy/sell body is built from the trade fields.
+ * Every transaction pays a nominal priority fee: the Jito tip is a separate transfer.
+ * @param {object} request - Transaction request (see executeJitoBundleTransactions)
+ * @returns {object} trade-local request body
+ */
+function buildBundleRequestBody(request) {
+    const requestBody = request.requestBody || buildTradeRequestBody(
+        request.action,
+        request.mintAddress,
+        request.signerKeypair,
+        request.amount,
+        request.denominatedInSol,
+        request.slippage,
+        request.pool || 'pump'
+    );
+    return { ...requestBody, priorityFee: DEFAULT_PUMP_PORTAL_NOMINAL_SUBSEQUENT_TX_FEE_SOL };
+}
+
+/**
+ * Splits transaction requests into bundles of at most MAX_TRANSACTIONS_PER_JITO_BUNDLE.
+ * @param {Array} requests
+ * @returns {Array<Array>} Bundles in send order
+ */
+function chunkIntoBundles(requests) {
+    const bundles = [];
+    for (let i = 0; i < requests.length; i += MAX_TRANSACTIONS_PER_JITO_BUNDLE) {
+        bundles.push(requests.slice(i, i + MAX_TRANSACTIONS_PER_JITO_BUNDLE));
+    }
+    return bundles;
+}
+
+/**
+ * Requests, tips, signs, sends and confirms one Jito bundle attempt.
+ * @returns {Promise<{bundleId: string, signatures: string[]}>}
+ * @throws {Error} If any step fails; once the bundle was sent the error carries `bundleId`, `signatures`
+ *   and `lastValidBlockHeight` (of the blockhash the bundle was signed with)
+ */
+async function sendBundleAttempt(bundleRequests, bundleIndex, tip, tipAccount, { onProgress, mintKeypair }) {
+    const requestBodies = bundleRequests.map(buildBundleRequestBody);
+    bundleRequests.forEach((request, position) => emitProgress(onProgress, 'tx_requested', {
+        walletName: request.walletName,
+        action: request.action,
+        pool: requestBodies[position].pool,
+        amount: requestBodies[position].amount,
+        executionMode: 'jito-bundle',
+        bundleIndex,
+        attempt: tip.attempt
+    }));
+    const rawTransactions = await getTransactionsFromPumpPortal(requestBodies);
+
+    const connection = getSolanaConnection();
+    const tipperPosition = bundleRequests.length - 1;
+    rawTransactions[tipperPosition] = await appendTipToEncodedTransaction(
+        rawTransactions[tipperPosition],
+        bundleRequests[tipperPosition].signerKeypair.publicKey,
+        tip.lamports,
+        tipAccount,
+        connection
+    );
+
+    const blockhashData = await getRecentBlockhash(connection, 'confirmed');
+    const walletBatch = bundleRequests.map(request => ({
+        name: request.walletName,
+        keypair: request.signerKeypair,
+        publicKey: request.signerKeypair.publicKey.toBase58()
+    }));
+    // preparePumpTransactionsForJito co-signs position 0 with the mint keypair (create transactions only)
+    const createMintKeypair = bundleRequests[0].action === 'create' ? mintKeypair : undefined;
+    const prepared = await preparePumpTransactionsForJito(rawTransactions, walletBatch, blockhashData, createMintKeypair);
+
+    const bundleId = await sendJitoBundleWithEndpointRotation(prepared.signedEncodedTransactions);
+    console.log(`[JitoBundleExecutionService] Bundle ${bundleIndex} attempt ${tip.attempt} sent (${bundleRequests.length} txs, tip ${tip.amountSOL} SOL): ${bundleId}`);
+    bundleRequests.forEach((request, position) => emitProgress(onProgress, 'tx_sent', {
+        walletName: request.walletName,
+        action: request.action,
+        signature: prepared.primarySignatures[position],
+        bundleId
+    }));
+
+    // Bundles are atomic: the first transaction landing means every transaction landed
+    try {
+        await confirmBundleWebSocketOnly(connection, prepared.primarySignatures[0], { commitment: 'confirmed', timeoutMs: BUNDLE_CONFIRMATION_TIMEOUT_MS });
+    } catch (error) {
+        error.bundleId = bundleId;
+        error.signatures = prepared.primarySignatures;
+        error.lastValidBlockHeight = blockhashData.lastValidBlockHeight;
+        throw error;
+    }
+    return { bundleId, signatures: prepared.primarySignatures };
+}
+
+/**
+ * Settles a sent bundle whose confirmation failed. A bundle can still land after the confirmation
+ * timeout (or be only "processed" when it fires), so it is resent only once its blockhash has
+ * expired and none of its signatures has a status in the transaction history.
+ * @param {web3.Connection} connection
+ * @param {string[]} signatures - Primary signatures of the bundle
+ * @param {number} lastValidBlockHeight - Of the blockhash the bundle was signed with
+ * @returns {Promise<{outcome: string, error: string|null}>}
+ *   outcome: "landed" | "failed" (landed with an error) | "expired" (safe to resend) | "unknown" (not safe to resend)
+ */
+async function settleUnconfirmedBundle(connection, signatures, lastValidBlockHeight) {
+    const startedAt = Date.now();
+    let lastError = null;
+    while (Date.now() - startedAt < BUNDLE_EXPIRY_MAX_WAIT_MS) {
+        try {
+            const blockHeight = await rateLimitedRpcCall(() => connection.getBlockHeight('confirmed'));
+            const statuses = await rateLimitedRpcCall(() => connection.getSignatureStatuses(signatures, { searchTransactionHistory: true }));
+            const status = statuses.value.find(Boolean);
+            if (status && status.err) {
+                return { outcome: 'failed', error: `Bundle landed with an error: ${JSON.stringify(status.err)}` };
+            }
+            if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+                return { outcome: 'landed', error: null };
+            }
+            if (!status && blockHeight > lastValidBlockHeight) {
+                return { outcome: 'expired', error: null };
+            }
+            lastError = null;
+        } catch (error) {
+            lastError = error.message;
+            console.warn(`[JitoBundleExecutionService] Bundle expiry check failed: ${error.message}`);
+        }
+        await sleep(BUNDLE_EXPIRY_POLL_INTERVAL_MS);
+    }
+    return {
+        outcome: 'unknown',
+        error: `Bundle status could not be settled within ${BUNDLE_EXPIRY_MAX_WAIT_MS / 1000}s${lastError ? ` (${lastError})` : ''}; not resent to avoid landing it twice`
+    };
+}
+
+/**
+ * Executes one Jito bundle, retrying with a higher tip while the strategy allows (escalate).
+ * The last transaction of the bundle pays the tip. A sent bundle that did not confirm is settled
+ * first (settleUnconfirmedBundle) and only resent once it has provably expired.
+ * @param {Array} bundleRequests - Up to MAX_TRANSACTIONS_PER_JITO_BUNDLE transaction requests
+ * @param {number} bundleIndex - 1-based bundle number used in logs and results
+ * @param {object} options - { onProgress, mintKeypair, tipStrategy }
+ * @returns {Promise<{bundle: object, results: Array}>} Bundle summary and per-transaction results
+ */
+async function executeJitoBundle(bundleRequests, bundleIndex, { onProgress, mintKeypair, tipStrategy }) {
+    const bundle = {
+        bundleIndex,
+        bundleId: null,
+        size: bundleRequests.length,
+        landed: false,
+        tip: null,
+        attempts: [],
+        signatures: [],
+        error: null
+    };
+    const tipperWalletName = bundleRequests[bundleRequests.length - 1].walletName;
+    let settled = false; // Landed, failed on-chain or unknown: never resend
+
+    for (let attempt = 1; attempt <= tipStrategy.maxAttempts && !settled; attempt++) {
+        let signatures = [];
+        let tip = null;
+        let tipAccount = null;
+        let bundleId = null;
+        let error = null;
+        try {
+            tip = await resolveTip(tipStrategy, attempt);
+            tipAccount = getRandomTipAccount();
+            ({ bundleId, signatures } = await sendBundleAttempt(bundleRequests, bundleIndex, tip, tipAccount, { onProgress, mintKeypair }));
+            bundle.landed = true;
+            settled = true;
+            console.log(`[JitoBundleExecutionService] ✅ Bundle ${bundleIndex} landed on attempt ${attempt}`);
+        } catch (attemptError) {
+            error = attemptError.message;
+            bundleId = attemptError.bundleId || null;
+            signatures = attemptError.signatures || [];
+            console.error(`[JitoBundleExecutionService] ❌ Bundle ${bundleIndex} attempt ${attempt}/${tipStrategy.maxAttempts} failed: ${error}`);
+
+            if (signatures.length > 0 && attemptError.lastValidBlockHeight) {
+                console.log(`[JitoBundleExecutionService] Waiting for bundle ${bundleIndex} attempt ${attempt} to land or expire before escalating`);
+                const settlement = await settleUnconfirmedBundle(getSolanaConnection(), signatures, attemptError.lastValidBlockHeight);
+                if (settlement.outcome === 'landed') {
+                    bundle.landed = true;
+                    error = null;
+                    console.log(`[JitoBundleExecutionService] ✅ Bundle ${bundleIndex} landed on attempt ${attempt} after the confirmation timeout`);
+                } else if (settlement.outcome !== 'expired') {
+                    error = settlement.error;
+                    console.error(`[JitoBundleExecutionService] ❌ Bundle ${bundleIndex} not escalated: ${error}`);
+                }
+                settled = settlement.outcome !== 'expired';
+            }
+        }
+
+        bundle.bundleId = bundleId;
+        bundle.signatures = signatures;
+        bundle.error = error;
+        if (tip) {
+            bundle.tip = {
+                ...tip,
+                account: tipAccount.toBase58(),
+                payerWalletName: tipperWalletName
+            };
+        }
+        bundle.attempts.push({
+            attempt,
+            bundleId,
+            tipSOL: tip ? tip.amountSOL : null,
+            tipAccount: tipAccount ? tipAccount.toBase58() : null,
+            landed: bundle.landed,
+            error
+        });
+    }
+
+    const results = bundleRequests.map((request, position) => {
+        const signature = bundle.signatures[position] || null;
+        emitProgress(onProgress, bundle.landed ? 'tx_confirmed' : 'tx_failed', {
+            walletName: request.walletName,
+            action: request.action,
+            ...(signature ? { signature } : {}),
+            ...(bundle.landed ? {} : { error: bundle.error })
+        });
+        return {
+            success: bundle.landed,
+            signature,
+            error: bundle.landed ? null : bundle.error,
+            walletName: request.walletName,
+            action: request.action,
+            amount: request.amount,
+            bundleId: bundle.bundleId,
+            bundleIndex
+        };
+    });
+    return { bundle, results };
+}
+
+/**
+ * Executes transaction requests as sequential Jito bundles of up to MAX_TRANSACTIONS_PER_JITO_BUNDLE.
+ * A bundle is only sent after the previous one landed or failed, so later bundles can depend on earlier ones.
+ * @param {Array} transactionRequests - Same shape as executeParallelTransactions requests
+ *   ({ action, mintAddress, signerKeypair, amount, denominatedInSol, slippage, pool, walletName }),
+ *   or { action: 'create', requestBody, signerKeypair, amount, walletName } with a prebuilt trade-local body
+ * @param {object} [options={}]
+ * @param {Function} [options.onProgress] - Progress listener (tx_requested / tx_sent / tx_confirmed / tx_failed / bundle_complete)
+ * @param {web3.Keypair} [options.mintKeypair] - Mint keypair co-signing a create transaction at the start of a bundle
+ * @param {number} [options.firstBundleIndex=1] - Number given to the first bundle (for callers splitting their bundles)
+ * @param {object} [options.tipStrategy] - Tip strategy (see jitoTipService.normalizeTipStrategy); fixed default tip when omitted
+ * @returns {Promise<{results: Array, bundles: Array}>} Per-transaction results (landed = success) and per-bundle summaries
+ */
+async function executeJitoBundleTransactions(transactionRequests, options = {}) {
+    const { onProgress, mintKeypair, firstBundleIndex = 1 } = options;
+    const tipStrategy = normalizeTipStrategy(options.tipStrategy);
+    const bundleChunks = chunkIntoBundles(transactionRequests);
+    console.log(`[JitoBundleExecutionService] Executing ${transactionRequests.length} transactions as ${bundleChunks.length} Jito bundle(s)`);
+
+    const results = [];
+    const bundles = [];
+    for (let i = 0; i < bundleChunks.length; i++) {
+        const bundleIndex = firstBundleIndex + i;
+        const execution = await executeJitoBundle(bundleChunks[i], bundleIndex, { onProgress, mintKeypair, tipStrategy });
+        results.push(...execution.results);
+        bundles.push(execution.bundle);
+        emitProgress(onProgress, 'bundle_complete', {
+            bundleIndex,
+            bundleId: execution.bundle.bundleId,
+            size: execution.bundle.size,
+            landed: execution.bundle.landed,
+            tipSOL: execution.bundle.tip ? execution.bundle.tip.amountSOL : null,
+            attempts: execution.bundle.attempts.length,
+            error: execution.bundle.error
+        });
+    }
+
+    const landedCount = bundles.filter(bundle => bundle.landed).length;
+    console.log(`[JitoBundleExecutionService] ✅ Jito execution complete: ${landedCount}/${bundles.length} bundles landed`);
+    return { results, bundles };
+}
+
+module.exports = {
+    executeJitoBundleTransactions,
+    EXECUTION_MODES,
+    DEFAULT_EXECUTION_MODE,
+    MAX_TRANSACTIONS_PER_JITO_BUNDLE
+};
@@ -0,0 +1,240 @@
+/**
+ * JITO TIP SERVICE - Explicit Jito tips for bundles
+ *
+ * Resolves how much a bundle tips (fixed amount, a percentile of the Jito tip floor, or an
+ * amount that escalates on every retry) and appends the tip as a SystemProgram transfer to a
+ * randomly chosen Jito tip account in the last transaction of the bundle.
+ *
+ * The tip floor is read from JITO_TIP_FLOOR_SOURCE (Jito's tip_floor endpoint by default).
+ * Setting it to "local" — or any failure of the remote source — uses LOCAL_TIP_FLOOR instead.
+ *
+ * MONOCODE Compliance: Explicit validation of tip strategies, observable fallbacks and no
+ * hidden tip inside Pump Portal's priorityFee.
+ */
+
+const fetch = require('node-fetch');
+const bs58 = require('bs58');
+const web3 = require('@solana/web3.js');
+const { rateLimitedRpcCall } = require('../utils/transactionUtils');
+
+const bs58Codec = bs58.default || bs58;
+
+// Jito mainnet tip accounts (https://jito-labs.gitbook.io/mev/searcher-resources/bundles)
+const JITO_TIP_ACCOUNTS = [
+    '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+    'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+    'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+    'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+    'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+    'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+    'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+    '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+];
+
+const TIP_STRATEGIES = ['fixed', 'percentile', 'escalate'];
+const TIP_PERCENTILES = [25, 50, 75, 95, 99];
+const DEFAULT_JITO_TIP_SOL = parseFloat(process.env.JITO_TIP_SOL) || 0.0039; // Previous tip sent via Pump Portal's priorityFee
+const MIN_JITO_TIP_LAMPORTS = 1000; // Jito rejects bundles tipping less
+const DEFAULT_ESCALATION_MULTIPLIER = 1.5;
+const DEFAULT_ESCALATION_ATTEMPTS = 3;
+const MAX_ESCALATION_ATTEMPTS = 5;
+
+const JITO_TIP_FLOOR_SOURCE = process.env.JITO_TIP_FLOOR_SOURCE || 'https://bundles.jito.wtf/api/v1/bundles/tip_floor';
+const TIP_FLOOR_CACHE_MS = 10000;
+const TIP_FLOOR_FETCH_TIMEOUT_MS = 5000;
+
+// Local stand-in for the tip floor (SOL per landed bundle by percentile)
+const LOCAL_TIP_FLOOR = { 25: 0.00001, 50: 0.00005, 75: 0.0002, 95: 0.002, 99: 0.01 };
+
+let cachedTipFloor = null;
+
+const roundSol = (value) => Math.round(value * 1e9) / 1e9;
+
+/**
+ * Picks one of the Jito tip accounts at random (spreads write locks across accounts).
+ * @returns {web3.PublicKey}
+ */
+function getRandomTipAccount() {
+    return new web3.PublicKey(JITO_TIP_ACCOUNTS[Math.floor(Math.random() * JITO_TIP_ACCOUNTS.length)]);
+}
+
+/**
+ * Reads the current tip floor by percentile, cached for TIP_FLOOR_CACHE_MS.
+ * @returns {Promise<{source: string, percentiles: object}>} Percentiles in SOL keyed by 25/50/75/95/99
+ */
+async function getTipFloor() {
+    if (JITO_TIP_FLOOR_SOURCE === 'local') {
+        return { source: 'local', percentiles: LOCAL_TIP_FLOOR };
+    }
+    if (cachedTipFloor && Date.now() - cachedTipFloor.fetchedAt < TIP_FLOOR_CACHE_MS) {
+        return cachedTipFloor.floor;
+    }
+
+    try {
+        const response = await fetch(JITO_TIP_FLOOR_SOURCE, { timeout: TIP_FLOOR_FETCH_TIMEOUT_MS });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        const latest = Array.isArray(data) ? data[0] : data;
+        const percentiles = {};
+        for (const percentile of TIP_PERCENTILES) {
+            const value = Number(latest && latest[`landed_tips_${percentile}th_percentile`]);
+            if (!Number.isFinite(value)) {
+                throw new Error(`missing landed_tips_${percentile}th_percentile`);
+            }
+            percentiles[percentile] = value;
+        }
+        const floor = { source: JITO_TIP_FLOOR_SOURCE, percentiles };
+        cachedTipFloor = { floor, fetchedAt: Date.now() };
+        return floor;
+    } catch (error) {
+        console.warn(`[JitoTipService] Tip floor unavailable from ${JITO_TIP_FLOOR_SOURCE} (${error.message}); using local stand-in`);
+        return { source: 'local', percentiles: LOCAL_TIP_FLOOR };
+    }
+}
+
+/**
+ * Validates a tip strategy from a request and fills in defaults.
+ * @param {object} [input] - { strategy, amountSOL, percentile, minSOL, maxSOL, multiplier, maxAttempts }
+ * @returns {object} Normalized strategy (fixed/percentile: maxAttempts 1)
+ * @throws {Error} If a field is invalid
+ */
+function normalizeTipStrategy(input = {}) {
+    const strategy = input.strategy || 'fixed';
+    if (!TIP_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unsupported tip strategy "${strategy}". Supported strategies: ${TIP_STRATEGIES.join(', ')}`);
+    }
+
+    const readSol = (field) => {
+        if (input[field] === undefined || input[field] === null) return undefined;
+        const value = Number(input[field]);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Invalid ${field}: must be a positive number of SOL`);
+        }
+        return value;
+    };
+    const amountSOL = readSol('amountSOL');
+    const minSOL = readSol('minSOL');
+    const maxSOL = readSol('maxSOL');
+
+    let percentile;
+    if (input.percentile !== undefined) {
+        percentile = Number(input.percentile);
+        if (!TIP_PERCENTILES.includes(percentile)) {
+            throw new Error(`Invalid percentile: must be one of ${TIP_PERCENTILES.join(', ')}`);
+        }
+    }
+    if (strategy === 'percentile' && percentile === undefined) {
+        percentile = 75;
+    }
+    if (strategy === 'escalate' && amountSOL !== undefined && percentile !== undefined) {
+        throw new Error('Escalating tips start from either amountSOL or percentile, not both');
+    }
+
+    let multiplier = 1;
+    let maxAttempts = 1;
+    if (strategy === 'escalate') {
+        multiplier = input.multiplier !== undefined ? Number(input.multiplier) : DEFAULT_ESCALATION_MULTIPLIER;
+        if (!Number.isFinite(multiplier) || multiplier < 1) {
+            throw new Error('Invalid multiplier: must be a number >= 1');
+        }
+        maxAttempts = input.maxAttempts !== undefined ? Number(input.maxAttempts) : DEFAULT_ESCALATION_ATTEMPTS;
+        if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ESCALATION_ATTEMPTS) {
+            throw new Error(`Invalid maxAttempts: must be an integer between 1 and ${MAX_ESCALATION_ATTEMPTS}`);
+        }
+    }
+    if (minSOL !== undefined && maxSOL !== undefined && minSOL > maxSOL) {
+        throw new Error('Invalid tip bounds: minSOL is greater than maxSOL');
+    }
+
+    return {
+        strategy,
+        amountSOL: strategy === 'fixed' ? (amountSOL || DEFAULT_JITO_TIP_SOL) : amountSOL,
+        percentile,
+        minSOL,
+        maxSOL,
+        multiplier,
+        maxAttempts
+    };
+}
+
+/**
+ * Resolves the tip of one bundle attempt.
+ * @param {object} tipStrategy - Normalized strategy (see normalizeTipStrategy)
+ * @param {number} [attempt=1] - 1-based attempt; escalating tips grow by `multiplier` per retry
+ * @returns {Promise<{strategy: string, attempt: number, amountSOL: number, lamports: number, percentile: number|null, floorSource: string|null}>}
+ */
+async function resolveTip(tipStrategy, attempt = 1) {
+    let baseSOL = tipStrategy.amountSOL;
+    let floorSource = null;
+    if (baseSOL === undefined && tipStrategy.percentile !== undefined) {
+        const floor = await getTipFloor();
+        baseSOL = floor.percentiles[tipStrategy.percentile];
+        floorSource = floor.source;
+    }
+    if (baseSOL === undefined) {
+        baseSOL = DEFAULT_JITO_TIP_SOL;
+    }
+
+    let amountSOL = baseSOL * Math.pow(tipStrategy.multiplier, attempt - 1);
+    if (tipStrategy.minSOL !== undefined) amountSOL = Math.max(amountSOL, tipStrategy.minSOL);
+    if (tipStrategy.maxSOL !== undefined) amountSOL = Math.min(amountSOL, tipStrategy.maxSOL);
+
+    const lamports = Math.max(Math.round(amountSOL * web3.LAMPORTS_PER_SOL), MIN_JITO_TIP_LAMPORTS);
+    return {
+        strategy: tipStrategy.strategy,
+        attempt,
+        amountSOL: roundSol(lamports / web3.LAMPORTS_PER_SOL),
+        lamports,
+        percentile: tipStrategy.percentile !== undefined ? tipStrategy.percentile : null,
+        floorSource
+    };
+}
+
+/**
+ * Appends a tip transfer to an unsigned base58 transaction from Pump Portal.
+ * The message is decompiled (resolving address lookup tables if any), the transfer is added
+ * as the last instruction and the message is recompiled in its original version.
+ * @param {string} encodedTransaction - Base58 unsigned transaction
+ * @param {web3.PublicKey} payer - Wallet paying the tip (the transaction's fee payer)
+ * @param {number} lamports - Tip amount
+ * @param {web3.PublicKey} tipAccount - Jito tip account
+ * @param {web3.Connection} connection - Used to load address lookup tables
+ * @returns {Promise<string>} Base58 unsigned transaction including the tip
+ */
+async function appendTipToEncodedTransaction(encodedTransaction, payer, lamports, tipAccount, connection) {
+    const transaction = web3.VersionedTransaction.deserialize(bs58Codec.decode(encodedTransaction));
+    const lookups = transaction.message.addressTableLookups || [];
+    const lookupTables = [];
+    for (const lookup of lookups) {
+        const result = await rateLimitedRpcCall(() => connection.getAddressLookupTable(lookup.accountKey));
+        if (!result.value) {
+            throw new Error(`Address lookup table ${lookup.accountKey.toBase58()} not found`);
+        }
+        lookupTables.push(result.value);
+    }
+
+    const decompiled = web3.TransactionMessage.decompile(transaction.message, { addressLookupTableAccounts: lookupTables });
+    decompiled.instructions.push(web3.SystemProgram.transfer({ fromPubkey: payer, toPubkey: tipAccount, lamports }));
+    const message = transaction.version === 'legacy'
+        ? decompiled.compileToLegacyMessage()
+        : decompiled.compileToV0Message(lookupTables);
+
+    return bs58Codec.encode(new web3.VersionedTransaction(message).serialize());
+}
+
+module.exports = {
+    getRandomTipAccount,
+    getTipFloor,
+    normalizeTipStrategy,
+    resolveTip,
+    appendTipToEncodedTransaction,
+    JITO_TIP_ACCOUNTS,
+    TIP_STRATEGIES,
+    TIP_PERCENTILES,
+    DEFAULT_JITO_TIP_SOL,
+    MIN_JITO_TIP_LAMPORTS,
+    LOCAL_TIP_FLOOR,
+    JITO_TIP_FLOOR_SOURCE
+};
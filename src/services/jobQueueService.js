@@ -0,0 +1,300 @@
+/**
+ * JOB QUEUE SERVICE - In-process queue for long-running trading operations
+ *
+ * Batch trading, create-and-buy and funding flows can take minutes (batches, inter-batch
+ * delays, WebSocket confirmations) and exceed proxy timeouts. Controllers can enqueue the
+ * work here, return the job ID immediately and let clients poll GET /api/jobs/:id.
+ *
+ * Every progress event is also appended to the job's event log and published on a
+ * per-job channel so it can be streamed live (GET /api/jobs/:id/events).
+ *
+ * Jobs are kept in memory only; they do not survive a restart and are evicted JOB_TTL_MS
+ * after they finish.
+ *
+ * MONOCODE Compliance: Observable implementation with structured logging and explicit
+ * job state transitions (queued -> running -> completed | failed).
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_QUEUE_CONCURRENCY, 10) || 1);
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 60 * 60 * 1000; // 1 hour
+const JOB_CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_EVENTS_PER_JOB = 2000; // Oldest events are dropped from the replay log beyond this
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+const jobs = new Map(); // jobId -> job
+const pendingJobIds = [];
+let runningJobs = 0;
+
+const jobEvents = new EventEmitter(); // Channel name = jobId
+jobEvents.setMaxListeners(0); // One listener per connected stream
+
+/**
+ * Applies a progress event (see utils/progressUtils) to a job's per-transaction progress.
+ * @param {object} job - Job record.
+ * @param {object} event - Progress event.
+ */
+function applyProgressEvent(job, event) {
+    const progress = job.progress;
+    progress.lastEventAt = event.timestamp;
+
+    if (event.type === 'batch_complete') {
+        progress.batchesCompleted++;
+        if (event.totalBatches) progress.totalBatches = event.totalBatches;
+        return;
+    }
+
+    if (!['tx_sent', 'tx_confirmed', 'tx_failed'].includes(event.type)) return;
+
+    // Match by signature first, then by wallet/action for transactions that never got one
+    let entry = event.signature
+        ? progress.transactions.find(tx => tx.signature === event.signature)
+        : null;
+    if (!entry && event.walletName) {
+        entry = progress.transactions.find(tx =>
+            tx.walletName === event.walletName && tx.action === event.action && tx.status === 'pending'
+        );
+    }
+    if (!entry) {
+        entry = {
+            walletName: event.walletName || null,
+            action: event.action || null,
+            signature: event.signature || null,
+            status: 'pending',
+            error: null
+        };
+        progress.transactions.push(entry);
+    }
+
+    entry.signature = event.signature || entry.signature;
+    entry.walletName = entry.walletName || event.walletName || null;
+    entry.action = entry.action || event.action || null;
+    entry.updatedAt = event.timestamp;
+
+    if (event.type === 'tx_sent') {
+        entry.status = 'sent';
+    } else if (event.type === 'tx_confirmed') {
+        entry.status = 'confirmed';
+    } else {
+        entry.status = 'failed';
+        entry.error = event.error || null;
+    }
+
+    progress.sent = progress.transactions.filter(tx => tx.signature).length;
+    progress.confirmed = progress.transactions.filter(tx => tx.status === 'confirmed').length;
+    progress.failed = progress.transactions.filter(tx => tx.status === 'failed').length;
+}
+
+/**
+ * Appends an event to the job's replay log and publishes it to live subscribers.
+ * @param {object} job - Job record.
+ * @param {object} event - Progress or job_status event.
+ */
+function recordEvent(job, event) {
+    const sequencedEvent = { id: ++job.lastEventId, jobId: job.id, ...event };
+    job.events.push(sequencedEvent);
+    if (job.events.length > MAX_EVENTS_PER_JOB) {
+        job.events.shift();
+    }
+    jobEvents.emit(job.id, sequencedEvent);
+}
+
+/**
+ * Records a job state transition as a job_status event.
+ * @param {object} job - Job record.
+ */
+function recordStatus(job) {
+    recordEvent(job, {
+        type: 'job_status',
+        timestamp: new Date().toISOString(),
+        status: job.status,
+        error: job.error || null
+    });
+}
+
+/**
+ * Runs queued jobs while below the concurrency limit.
+ */
+function drainQueue() {
+    while (runningJobs < JOB_CONCURRENCY && pendingJobIds.length > 0) {
+        const job = jobs.get(pendingJobIds.shift());
+        if (!job) continue;
+        runningJobs++;
+        runJob(job).finally(() => {
+            runningJobs--;
+            drainQueue();
+        });
+    }
+}
+
+/**
+ * Executes a job's runner and records the outcome.
+ * A runner result with `success: false` marks the job as failed but keeps the result.
+ * @param {object} job - Job record.
+ */
+async function runJob(job) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    recordStatus(job);
+    console.log(`[JobQueueService] ▶ Running job ${job.id} (${job.type})`);
+
+    try {
+        const result = await job.runner({
+            jobId: job.id,
+            onProgress: (event) => {
+                applyProgressEvent(job, event);
+                recordEvent(job, event);
+            }
+        });
+        job.result = result;
+        job.status = result && result.success === false ? JOB_STATUS.FAILED : JOB_STATUS.COMPLETED;
+        job.error = job.status === JOB_STATUS.FAILED ? (result.message || 'Operation reported failure.') : null;
+    } catch (error) {
+        console.error(`[JobQueueService] ❌ Job ${job.id} (${job.type}) threw: ${error.message}`);
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        job.runner = null; // Release closures (wallet keypairs) as soon as the job is done
+        recordStatus(job);
+        console.log(`[JobQueueService] ■ Job ${job.id} (${job.type}) finished with status: ${job.status}`);
+    }
+}
+
+/**
+ * Enqueues a long-running operation.
+ * @param {string} type - Job type, e.g. "pump.batch-buy".
+ * @param {Function} runner - async ({ jobId, onProgress }) => result object.
+ * @returns {object} Public view of the queued job.
+ */
+function enqueueJob(type, runner) {
+    if (typeof runner !== 'function') {
+        throw new Error('Job runner must be a function.');
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: JOB_STATUS.QUEUED,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        progress: {
+            transactions: [],
+            sent: 0,
+            confirmed: 0,
+            failed: 0,
+            batchesCompleted: 0,
+            totalBatches: null,
+            lastEventAt: null
+        },
+        result: null,
+        error: null,
+        events: [],
+        lastEventId: 0,
+        runner
+    };
+
+    jobs.set(job.id, job);
+    recordStatus(job);
+    pendingJobIds.push(job.id);
+    console.log(`[JobQueueService] Queued job ${job.id} (${type}). Queue depth: ${pendingJobIds.length}`);
+
+    // Start on the next tick so the caller can respond with 202 first
+    setImmediate(drainQueue);
+    return serializeJob(job);
+}
+
+/**
+ * Returns the public view of a job without internal fields.
+ * @param {object} job - Job record.
+ * @returns {object} Serializable job.
+ */
+function serializeJob(job) {
+    const { runner, events, lastEventId, ...publicJob } = job;
+    return {
+        ...publicJob,
+        eventCount: lastEventId,
+        queuePosition: job.status === JOB_STATUS.QUEUED ? pendingJobIds.indexOf(job.id) + 1 : null
+    };
+}
+
+/**
+ * @param {string} jobId - Job ID.
+ * @returns {object|null} Public view of the job, or null if unknown/expired.
+ */
+function getJob(jobId) {
+    const job = jobs.get(jobId);
+    return job ? serializeJob(job) : null;
+}
+
+/**
+ * @param {object|string} jobOrStatus - Job (public view) or status string.
+ * @returns {boolean} True when the job can no longer change.
+ */
+function isJobFinished(jobOrStatus) {
+    const status = typeof jobOrStatus === 'string' ? jobOrStatus : jobOrStatus.status;
+    return status === JOB_STATUS.COMPLETED || status === JOB_STATUS.FAILED;
+}
+
+/**
+ * Returns recorded events for a job, optionally only those after a given event ID.
+ * @param {string} jobId - Job ID.
+ * @param {number} [afterEventId=0] - Only return events with a greater ID (for stream resumption).
+ * @returns {Array<object>|null} Events, or null if the job is unknown/expired.
+ */
+function getJobEvents(jobId, afterEventId = 0) {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    return job.events.filter(event => event.id > afterEventId);
+}
+
+/**
+ * Subscribes to live events for a job.
+ * @param {string} jobId - Job ID.
+ * @param {Function} listener - Called with each new event.
+ * @returns {Function} Unsubscribe function.
+ */
+function subscribeToJob(jobId, listener) {
+    jobEvents.on(jobId, listener);
+    return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Evicts finished jobs older than JOB_TTL_MS.
+ * @returns {number} Number of evicted jobs.
+ */
+function cleanupExpiredJobs() {
+    const cutoff = Date.now() - JOB_TTL_MS;
+    let evicted = 0;
+    for (const [jobId, job] of jobs) {
+        if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+            jobs.delete(jobId);
+            evicted++;
+        }
+    }
+    if (evicted > 0) {
+        console.log(`[JobQueueService] Evicted ${evicted} expired job(s)`);
+    }
+    return evicted;
+}
+
+setInterval(cleanupExpiredJobs, JOB_CLEANUP_INTERVAL_MS).unref();
+
+module.exports = {
+    enqueueJob,
+    getJob,
+    getJobEvents,
+    subscribeToJob,
+    isJobFinished,
+    cleanupExpiredJobs,
+    JOB_STATUS
+};
@@ -12,16 +12,115 @@ const web3 = require('@solana/web3.js');
 const bs58 = require('bs58');
 const fetch = require('node-fetch');
 const FormData = require('form-data'); // MONOCODE Fix: Use form-data package for proper multipart headers with node-fetch v2
+const { getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
 const { getSolanaConnection } = require('../utils/walletUtils');
+const { isFailoverError } = require('../utils/rpcPoolUtils');
 const { sleep, confirmTransactionAdvanced, rateLimitedRpcCall } = require('../utils/transactionUtils');
+const { emitProgress } = require('../utils/progressUtils');
+const { waitForConfirmation, waitForConfirmations } = require('./confirmationService');
+const { buildNativeCreateTransaction, buildNativeTradeTransaction } = require('./pumpNativeTransactionService');
+const { PUMP_PROGRAM_ID, PUMP_PROGRAM_ERRORS } = require('../utils/pumpProgramUtils');
+
+const bs58Decoder = bs58.default || bs58;
 
 // Constants for local transactions
 const PUMP_PORTAL_TRADE_LOCAL_ENDPOINT = 'https://pumpportal.fun/api/trade-local';
 const DEFAULT_PRIORITY_FEE = 0.0005; // 0.0005 SOL as specified
 const UNIFIED_PARALLEL_BATCH_SIZE = 15; // Single visible constant for all parallel batch processing
 const FETCH_TIMEOUT_MS = 20000; // Abort fetch if Pump Portal hangs
-const MAX_RETRIES = 3;
-const RETRY_DELAY_MS = 2000;
+const MAX_RETRIES = 3; // Default attempts (fresh transactions) of a retry policy
+const RETRY_DELAY_MS = 2000; // Default rebroadcast interval of a retry policy
+
+// Retry policy: rebroadcast a signed transaction until its blockhash expires, then re-request
+const MAX_RETRY_ATTEMPTS = 10;
+const MIN_REBROADCAST_INTERVAL_MS = 500;
+const MAX_REBROADCAST_MS = 90000; // Safety cap per attempt; a blockhash expires after ~150 blocks
+const DEFAULT_RETRY_MAX_SLIPPAGE_BPS = 5000;
+const DEFAULT_RETRY_MAX_PRIORITY_FEE_SOL = 0.005;
+const RETRYABLE_PROGRAM_ERRORS = ['TooMuchSolRequired', 'TooLittleSolReceived']; // Slippage exceeded
+
+// Transaction builders: Pump Portal trade-local, in-process pump.fun builder, or Portal with native fallback
+const TX_BUILDERS = ['portal', 'native', 'auto'];
+const DEFAULT_TX_BUILDER = TX_BUILDERS.includes(process.env.PUMP_TX_BUILDER) ? process.env.PUMP_TX_BUILDER : 'portal';
+
+/**
+ * Requests a serialized transaction from the Pump Portal trade-local API.
+ * @param {object} requestBody - trade-local request body
+ * @param {string} label - Operation label used in error messages (e.g. "Create", "buy")
+ * @returns {Promise<web3.VersionedTransaction>} Unsigned transaction
+ */
+async function fetchTradeLocalTransaction(requestBody, label) {
+    const response = await fetch(PUMP_PORTAL_TRADE_LOCAL_ENDPOINT, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json"
+        },
+        body: JSON.stringify(requestBody),
+        timeout: FETCH_TIMEOUT_MS
+    });
+
+    if (response.status !== 200) {
+        const errorText = await response.text();
+        throw new Error(`${label} transaction request failed: ${response.status} ${errorText}`);
+    }
+
+    const transactionData = await response.arrayBuffer();
+    return web3.VersionedTransaction.deserialize(new Uint8Array(transactionData));
+}
+
+/**
+ * Obtains the unsigned transaction from the selected builder.
+ * "auto" falls back to the native builder when the Pump Portal request fails (pump pool only).
+ * @param {object} requestBody - trade-local request body (its `pool` decides native eligibility)
+ * @param {string} label - Operation label used in error messages
+ * @param {Function} buildNative - Returns a Promise of the natively built transaction
+ * @param {string} [txBuilder=DEFAULT_TX_BUILDER] - "portal" | "native" | "auto"
+ * @returns {Promise<web3.VersionedTransaction>} Unsigned transaction
+ * @throws {Error} If the builder is unknown or native building is requested for another pool
+ */
+async function resolveUnsignedTransaction(requestBody, label, buildNative, txBuilder = DEFAULT_TX_BUILDER) {
+    if (!TX_BUILDERS.includes(txBuilder)) {
+        throw new Error(`Unsupported txBuilder "${txBuilder}". Supported builders: ${TX_BUILDERS.join(', ')}`);
+    }
+    if (txBuilder === 'native') {
+        if (requestBody.pool !== 'pump') {
+            throw new Error(`Native transaction builder only supports the "pump" pool (got "${requestBody.pool}")`);
+        }
+        return buildNative();
+    }
+
+    try {
+        return await fetchTradeLocalTransaction(requestBody, label);
+    } catch (error) {
+        if (txBuilder !== 'auto' || requestBody.pool !== 'pump') {
+            throw error;
+        }
+        console.warn(`[LocalTransactionService] Pump Portal request failed (${error.message}); falling back to native builder`);
+        return buildNative();
+    }
+}
+
+/**
+ * Builds the trade-local request body for token creation.
+ * @returns {object} trade-local request body
+ */
+function buildCreateRequestBody(tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount, slippage) {
+    return {
+        publicKey: signerKeypair.publicKey.toBase58(),
+        action: "create",
+        tokenMetadata: {
+            name: tokenMetadata.name,
+            symbol: tokenMetadata.symbol,
+            uri: metadataUri
+        },
+        mint: mintKeypair.publicKey.toBase58(),
+        denominatedInSol: "true",
+        amount: devBuyAmount,
+        slippage: slippage / 100, // Convert basis points to percentage
+        priorityFee: DEFAULT_PRIORITY_FEE,
+        pool: "pump"
+    };
+}
 
 /**
  * Creates a token using Pump Portal local transaction API
@@ -31,9 +130,15 @@ const RETRY_DELAY_MS = 2000;
  * @param {web3.Keypair} signerKeypair - Keypair of the wallet creating the token
  * @param {number} devBuyAmount - Amount of SOL for dev buy (default 1 SOL)
  * @param {number} slippage - Slippage tolerance in basis points (default 1000 = 10%)
+ * @param {object} [options={}] - Execution options
+ * @param {Function} [options.onProgress] - Progress listener (tx_requested event)
+ * @param {string} [options.walletName] - Wallet name reported in progress events
+ * @param {string} [options.txBuilder] - "portal" | "native" | "auto" (defaults to PUMP_TX_BUILDER or "portal")
+ * @param {number} [options.priorityFeeSOL=DEFAULT_PRIORITY_FEE] - Priority fee in SOL (see priorityFeeService)
  * @returns {Promise<string>} Transaction signature
  */
-async function createTokenLocalTransaction(tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount = 1, slippage = 1000) {
+async function createTokenLocalTransaction(tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount = 1, slippage = 1000, options = {}) {
+    const { onProgress, walletName, txBuilder = DEFAULT_TX_BUILDER, priorityFeeSOL = DEFAULT_PRIORITY_FEE } = options;
     console.log(`[LocalTransactionService] Creating token ${tokenMetadata.symbol} with dev buy of ${devBuyAmount} SOL`);
     
     try {
@@ -42,40 +147,14 @@ async function createTokenLocalTransaction(tokenMetadata, metadataUri, mintKeypa
         console.log(`[LocalTransactionService] Using provided metadata URI: ${metadataUri}`);
 
         // Get create transaction from Pump Portal
-        const createRequestBody = {
-            publicKey: signerKeypair.publicKey.toBase58(),
-            action: "create",
-            tokenMetadata: {
-                name: tokenMetadata.name,
-                symbol: tokenMetadata.symbol,
-                uri: metadataUri
-            },
-            mint: mintKeypair.publicKey.toBase58(),
-            denominatedInSol: "true",
-            amount: devBuyAmount,
-            slippage: slippage / 100, // Convert basis points to percentage
-            priorityFee: DEFAULT_PRIORITY_FEE,
-            pool: "pump"
-        };
+        const createRequestBody = buildCreateRequestBody(tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount, slippage);
+        createRequestBody.priorityFee = priorityFeeSOL;
 
         console.log(`[LocalTransactionService] Requesting create transaction from Pump Portal...`);
-        const createResponse = await fetch(PUMP_PORTAL_TRADE_LOCAL_ENDPOINT, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(createRequestBody),
-            timeout: FETCH_TIMEOUT_MS
-        });
-
-        if (createResponse.status !== 200) {
-            const errorText = await createResponse.text();
-            throw new Error(`Create transaction request failed: ${createResponse.status} ${errorText}`);
-        }
-
-        // Deserialize and sign the transaction
-        const transactionData = await createResponse.arrayBuffer();
-        const transaction = web3.VersionedTransaction.deserialize(new Uint8Array(transactionData));
+        emitProgress(onProgress, 'tx_requested', { walletName, action: 'create', pool: 'pump', amount: devBuyAmount, txBuilder, priorityFeeSOL });
+        const transaction = await resolveUnsignedTransaction(createRequestBody, 'Create', () => buildNativeCreateTransaction({
+            tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount, slippage, priorityFee: createRequestBody.priorityFee
+        }), txBuilder);
         transaction.sign([mintKeypair, signerKeypair]);
 
         // Send the transaction
@@ -93,6 +172,72 @@ async function createTokenLocalTransaction(tokenMetadata, metadataUri, mintKeypa
     }
 }
 
+/**
+ * Dry-run counterpart of createTokenLocalTransaction: fetches and signs the create
+ * transaction, then simulates it instead of sending it.
+ * @returns {Promise<object>} Simulation result (see simulateSignedTransaction)
+ */
+async function simulateCreateTokenLocalTransaction(tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount = 1, slippage = 1000, options = {}) {
+    const { onProgress, walletName, txBuilder = DEFAULT_TX_BUILDER, priorityFeeSOL = DEFAULT_PRIORITY_FEE } = options;
+    console.log(`[LocalTransactionService] [DRY RUN] Simulating creation of ${tokenMetadata.symbol} with dev buy of ${devBuyAmount} SOL`);
+
+    const createRequestBody = buildCreateRequestBody(tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount, slippage);
+    createRequestBody.priorityFee = priorityFeeSOL;
+    emitProgress(onProgress, 'tx_requested', { walletName, action: 'create', pool: 'pump', amount: devBuyAmount, txBuilder, priorityFeeSOL, dryRun: true });
+    const transaction = await resolveUnsignedTransaction(createRequestBody, 'Create', () => buildNativeCreateTransaction({
+        tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount, slippage, priorityFee: createRequestBody.priorityFee
+    }), txBuilder);
+    transaction.sign([mintKeypair, signerKeypair]);
+
+    return simulateSignedTransaction(transaction, signerKeypair.publicKey, mintKeypair.publicKey);
+}
+
+/**
+ * Validates trade arguments and builds the trade-local request body for a buy or sell.
+ * @returns {object} trade-local request body
+ * @throws {Error} If the sell amount is invalid
+ */
+function buildTradeRequestBody(action, mintAddress, signerKeypair, amount, denominatedInSol, slippage, pool) {
+    // Guard against invalid sell amounts to prevent zero-amount attempts and redundant retries
+    if (action === 'sell') {
+        // Allow either a numeric token amount (>0) or a percentage string like "100%"
+        if (typeof amount === 'string' && amount.trim().endsWith('%')) {
+            const pct = parseFloat(amount.trim().replace('%', ''));
+            if (Number.isNaN(pct) || pct <= 0 || pct > 100) {
+                throw new Error(`Invalid sell amount percentage: ${amount}. Must be between 0 and 100%.`);
+            }
+        } else {
+            const amtNum = Number(amount);
+            if (!Number.isFinite(amtNum) || amtNum <= 0) {
+                throw new Error(`Invalid sell amount: ${amount}. Must be > 0 tokens.`);
+            }
+            // Enforce integer token amount when denominatedInSol=false
+            if (denominatedInSol === false && !Number.isInteger(amtNum)) {
+                amount = Math.floor(amtNum);
+            }
+        }
+        if (denominatedInSol === true) {
+            console.warn(`[LocalTransactionService] Warning: 'sell' with denominatedInSol=true; expected false (token amount).`);
+        }
+    }
+
+    // MONOCODE Fix: For sell operations, percentage amounts stay strings (e.g. "100%")
+    const requestBody = {
+        publicKey: signerKeypair.publicKey.toBase58(),
+        action: action,
+        mint: mintAddress,
+        denominatedInSol: denominatedInSol.toString(),
+        amount: amount,
+        slippage: slippage / 100, // Convert basis points to percentage
+        priorityFee: DEFAULT_PRIORITY_FEE,
+        pool: pool
+    };
+
+    // Sanitized request log for debugging (no private keys)
+    console.log(`[LocalTransactionService] trade-local request: action=${action}, mint=${mintAddress}, denominatedInSol=${denominatedInSol}, amount=${requestBody.amount}, slippage=${slippage / 100}, pool=${pool}`);
+    return requestBody;
+}
+
 /**
  * Executes a buy or sell transaction using Pump Portal local transaction API
  * @param {string} action - "buy" or "sell"
@@ -102,70 +247,26 @@ async function createTokenLocalTransaction(tokenMetadata, metadataUri, mintKeypa
  * @param {boolean} denominatedInSol - Whether amount is in SOL (true) or tokens (false)
  * @param {number} slippage - Slippage tolerance in basis points
  * @param {string} pool - Pool to use ("pump", "bonk", etc.)
+ * @param {object} [options={}] - Execution options
+ * @param {Function} [options.onProgress] - Progress listener (tx_requested event)
+ * @param {string} [options.walletName] - Wallet name reported in progress events
+ * @param {string} [options.txBuilder] - "portal" | "native" | "auto" (defaults to PUMP_TX_BUILDER or "portal")
+ * @param {number} [options.priorityFeeSOL=DEFAULT_PRIORITY_FEE] - Priority fee in SOL (see priorityFeeService)
  * @returns {Promise<string>} Transaction signature
  */
-async function executeTradeLocalTransaction(action, mintAddress, signerKeypair, amount, denominatedInSol = true, slippage = 2500, pool = "pump") {
+async function executeTradeLocalTransaction(action, mintAddress, signerKeypair, amount, denominatedInSol = true, slippage = 2500, pool = "pump", options = {}) {
+    const { onProgress, walletName, txBuilder = DEFAULT_TX_BUILDER, priorityFeeSOL = DEFAULT_PRIORITY_FEE } = options;
     console.log(`[LocalTransactionService] Executing ${action} for ${amount} ${denominatedInSol ? 'SOL' : 'tokens'} on ${mintAddress}`);
     
     try {
-        // Guard against invalid sell amounts to prevent zero-amount attempts and redundant retries
-        if (action === 'sell') {
-            // Allow either a numeric token amount (>0) or a percentage string like "100%"
-            if (typeof amount === 'string' && amount.trim().endsWith('%')) {
-                const pct = parseFloat(amount.trim().replace('%', ''));
-                if (Number.isNaN(pct) || pct <= 0 || pct > 100) {
-                    throw new Error(`Invalid sell amount percentage: ${amount}. Must be between 0 and 100%.`);
-                }
-            } else {
-                const amtNum = Number(amount);
-                if (!Number.isFinite(amtNum) || amtNum <= 0) {
-                    throw new Error(`Invalid sell amount: ${amount}. Must be > 0 tokens.`);
-                }
-                // Enforce integer token amount when denominatedInSol=false
-                if (denominatedInSol === false && !Number.isInteger(amtNum)) {
-                    amount = Math.floor(amtNum);
-                }
-            }
-            if (denominatedInSol === true) {
-                console.warn(`[LocalTransactionService] Warning: 'sell' with denominatedInSol=true; expected false (token amount).`);
-            }
-        }
-
-        const requestBody = {
-            publicKey: signerKeypair.publicKey.toBase58(),
-            action: action,
-            mint: mintAddress,
-            denominatedInSol: denominatedInSol.toString(),
-            amount: amount,
-            slippage: slippage / 100, // Convert basis points to percentage
-            priorityFee: DEFAULT_PRIORITY_FEE,
-            pool: pool
-        };
-        
-        // MONOCODE Fix: For sell operations, ensure amount is string when using percentage
-        if (action === 'sell' && typeof amount === 'string' && amount.includes('%')) {
-            requestBody.amount = amount; // Keep percentage as string
-        }
-        // Sanitized request log for debugging (no private keys)
-        console.log(`[LocalTransactionService] trade-local request: action=${action}, mint=${mintAddress}, denominatedInSol=${denominatedInSol}, amount=${requestBody.amount}, slippage=${slippage / 100}, pool=${pool}`);
-
-        const response = await fetch(PUMP_PORTAL_TRADE_LOCAL_ENDPOINT, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify(requestBody),
-            timeout: FETCH_TIMEOUT_MS
-        });
-
-        if (response.status !== 200) {
-            const errorText = await response.text();
-            throw new Error(`${action} transaction request failed: ${response.status} ${errorText}`);
-        }
+        const requestBody = buildTradeRequestBody(action, mintAddress, signerKeypair, amount, denominatedInSol, slippage, pool);
+        requestBody.priorityFee = priorityFeeSOL;
+        emitProgress(onProgress, 'tx_requested', { walletName, action, pool, amount: requestBody.amount, txBuilder, priorityFeeSOL });
 
         // Deserialize and sign the transaction
-        const transactionData = await response.arrayBuffer();
-        const transaction = web3.VersionedTransaction.deserialize(new Uint8Array(transactionData));
+        const transaction = await resolveUnsignedTransaction(requestBody, action, () => buildNativeTradeTransaction({
+            action, mintAddress, signerKeypair, amount: requestBody.amount, denominatedInSol, slippage, priorityFee: requestBody.priorityFee
+        }), txBuilder);
         transaction.sign([signerKeypair]);
 
         // Send the transaction
@@ -183,21 +284,418 @@ async function executeTradeLocalTransaction(action, mintAddress, signerKeypair,
     }
 }
 
+/**
+ * Validates a retry policy from a request and fills in defaults.
+ * Slippage and priority fee only step up when a step is given, and never beyond their caps.
+ * @param {object|boolean} [input={}] - `true` for defaults, or
+ *   { maxAttempts, rebroadcastIntervalMs, slippageStepBps, maxSlippageBps, priorityFeeStepSOL, maxPriorityFeeSOL }
+ * @returns {object} Normalized retry policy
+ * @throws {Error} If a field is invalid
+ */
+function normalizeRetryPolicy(input = {}) {
+    const policy = input === true ? {} : input;
+    const read = (field, fallback) => {
+        if (policy[field] === undefined || policy[field] === null) return fallback;
+        const value = Number(policy[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid ${field}: must be a non-negative number`);
+        }
+        return value;
+    };
+
+    const maxAttempts = read('maxAttempts', MAX_RETRIES);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_RETRY_ATTEMPTS) {
+        throw new Error(`Invalid maxAttempts: must be an integer between 1 and ${MAX_RETRY_ATTEMPTS}`);
+    }
+    const rebroadcastIntervalMs = read('rebroadcastIntervalMs', RETRY_DELAY_MS);
+    if (rebroadcastIntervalMs < MIN_REBROADCAST_INTERVAL_MS) {
+        throw new Error(`Invalid rebroadcastIntervalMs: must be at least ${MIN_REBROADCAST_INTERVAL_MS}`);
+    }
+
+    return {
+        maxAttempts,
+        rebroadcastIntervalMs,
+        slippageStepBps: read('slippageStepBps', 0),
+        maxSlippageBps: read('maxSlippageBps', DEFAULT_RETRY_MAX_SLIPPAGE_BPS),
+        priorityFeeStepSOL: read('priorityFeeStepSOL', 0),
+        maxPriorityFeeSOL: read('maxPriorityFeeSOL', DEFAULT_RETRY_MAX_PRIORITY_FEE_SOL)
+    };
+}
+
+/**
+ * Decides whether a transaction that has no status on one endpoint really expired. Pooled reads
+ * can hit different endpoints, so a null status next to an expired blockhash is not proof the
+ * transaction never landed: the status is re-read with searchTransactionHistory, and "expired"
+ * is only returned when it is still null and the blockhash is (still) invalid.
+ * @returns {Promise<{outcome: string, slot: number|null, err: object|null}|null>} Final outcome,
+ *   or null while the transaction may still land (seen but unconfirmed, blockhash valid, or RPC error)
+ */
+async function resolveUnseenSignature(connection, signature, blockhash) {
+    try {
+        const statuses = await rateLimitedRpcCall(() => connection.getSignatureStatuses([signature], { searchTransactionHistory: true }));
+        const status = statuses.value[0];
+        if (status) {
+            if (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized') {
+                return { outcome: status.err ? 'failed' : 'landed', slot: status.slot, err: status.err || null };
+            }
+            return null;
+        }
+        const blockhashValidity = await rateLimitedRpcCall(() => connection.isBlockhashValid(blockhash, { commitment: 'processed' }));
+        return blockhashValidity.value ? null : { outcome: 'expired', slot: null, err: null };
+    } catch (error) {
+        console.warn(`[LocalTransactionService] Expiry check failed for ${signature.slice(0, 8)}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Rebroadcasts a sent transaction every `rebroadcastIntervalMs` until it is confirmed or its
+ * blockhash expires. A transaction the cluster has seen is not rebroadcast while it stays
+ * visible and is polled until it confirms (or MAX_REBROADCAST_MS passes); if it disappears
+ * (dropped on a fork) rebroadcasting resumes. Expiry is confirmed with resolveUnseenSignature.
+ * @param {web3.Connection} connection
+ * @param {web3.VersionedTransaction} transaction - Signed transaction (already sent once)
+ * @param {string} signature
+ * @param {number} rebroadcastIntervalMs
+ * @returns {Promise<{outcome: string, broadcasts: number, slot: number|null, err: object|null}>}
+ *   outcome: "landed" | "failed" (confirmed with meta.err) | "expired" | "pending" (may still land)
+ */
+async function rebroadcastUntilExpiry(connection, transaction, signature, rebroadcastIntervalMs) {
+    const blockhash = transaction.message.recentBlockhash;
+    const rawTransaction = transaction.serialize();
+    const startedAt = Date.now();
+    let broadcasts = 1;
+    let lastSeenSlot = null;
+
+    while (Date.now() - startedAt < MAX_REBROADCAST_MS) {
+        await sleep(rebroadcastIntervalMs);
+        try {
+            const statuses = await rateLimitedRpcCall(() => connection.getSignatureStatuses([signature]));
+            const status = statuses.value[0];
+            if (status && (status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized')) {
+                return { outcome: status.err ? 'failed' : 'landed', broadcasts, slot: status.slot, err: status.err || null };
+            }
+            if (status) {
+                lastSeenSlot = status.slot;
+                continue; // Seen by the cluster: wait for confirmation instead of rebroadcasting
+            }
+
+            const blockhashValidity = await rateLimitedRpcCall(() => connection.isBlockhashValid(blockhash, { commitment: 'processed' }));
+            if (!blockhashValidity.value) {
+                const resolved = await resolveUnseenSignature(connection, signature, blockhash);
+                if (resolved) return { ...resolved, broadcasts };
+                continue;
+            }
+            await rateLimitedRpcCall(() => connection.sendRawTransaction(rawTransaction, { skipPreflight: true, maxRetries: 0 }));
+            broadcasts++;
+        } catch (error) {
+            console.warn(`[LocalTransactionService] Rebroadcast check failed for ${signature.slice(0, 8)}: ${error.message}`);
+        }
+    }
+    const resolved = await resolveUnseenSignature(connection, signature, blockhash);
+    return resolved ? { ...resolved, broadcasts } : { outcome: 'pending', broadcasts, slot: lastSeenSlot, err: null };
+}
+
+/**
+ * Reads the logs of a failed transaction and decodes its program error.
+ * @returns {Promise<object>} Program error (see extractProgramError)
+ */
+async function readFailedProgramError(connection, signature, err) {
+    try {
+        const transaction = await rateLimitedRpcCall(() => connection.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 }));
+        return extractProgramError(err, transaction && transaction.meta ? transaction.meta.logMessages : []);
+    } catch (error) {
+        return extractProgramError(err, []);
+    }
+}
+
+/**
+ * Executes a buy or sell with a retry policy. Each attempt requests and signs a fresh
+ * transaction, sends it and rebroadcasts it until it lands or its blockhash expires; the next
+ * attempt steps slippage and priority fee up (when configured). A new attempt is only made
+ * when the previous transaction expired, was rejected by the RPC before being broadcast, or failed
+ * on-chain with a slippage error while slippage can still be raised. A landed transaction is never
+ * retried, and neither is one that may still land: seen but not confirmed, or sent without a
+ * response (timeout, connection error) and not proven expired.
+ * Same parameters as executeTradeLocalTransaction, plus `options.retryPolicy` (see normalizeRetryPolicy);
+ * `options.priorityFeeSOL` is the first attempt's priority fee.
+ * @returns {Promise<{signature: string|null, landed: boolean, error: string|null, attempts: Array}>}
+ *   attempts: [{ attempt, signature, slippageBps, priorityFeeSOL, broadcasts, outcome, slot, programError, error }]
+ * @throws {Error} If the trade arguments are invalid
+ */
+async function executeTradeLocalTransactionWithRetry(action, mintAddress, signerKeypair, amount, denominatedInSol = true, slippage = 2500, pool = "pump", options = {}) {
+    const { onProgress, walletName, txBuilder = DEFAULT_TX_BUILDER, priorityFeeSOL: basePriorityFeeSOL = DEFAULT_PRIORITY_FEE } = options;
+    const policy = normalizeRetryPolicy(options.retryPolicy);
+    const connection = getSolanaConnection();
+    const attempts = [];
+    console.log(`[LocalTransactionService] Executing ${action} for ${amount} ${denominatedInSol ? 'SOL' : 'tokens'} on ${mintAddress} with up to ${policy.maxAttempts} attempts`);
+
+    for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+        const steps = attempt - 1;
+        const slippageBps = Math.max(slippage, Math.min(slippage + policy.slippageStepBps * steps, policy.maxSlippageBps));
+        const priorityFeeSOL = Math.round(Math.max(basePriorityFeeSOL, Math.min(basePriorityFeeSOL + policy.priorityFeeStepSOL * steps, policy.maxPriorityFeeSOL)) * 1e9) / 1e9;
+        const record = { attempt, signature: null, slippageBps, priorityFeeSOL, broadcasts: 0, outcome: null, slot: null, programError: null, error: null };
+        attempts.push(record);
+        if (attempt > 1) {
+            emitProgress(onProgress, 'tx_retry', { walletName, action, attempt, slippageBps, priorityFeeSOL, previousOutcome: attempts[attempt - 2].outcome });
+        }
+
+        // Invalid trade arguments are not retryable: let them throw
+        const requestBody = buildTradeRequestBody(action, mintAddress, signerKeypair, amount, denominatedInSol, slippageBps, pool);
+        requestBody.priorityFee = priorityFeeSOL;
+        let transaction;
+        try {
+            emitProgress(onProgress, 'tx_requested', { walletName, action, pool, amount: requestBody.amount, txBuilder, priorityFeeSOL, attempt });
+            transaction = await resolveUnsignedTransaction(requestBody, action, () => buildNativeTradeTransaction({
+                action, mintAddress, signerKeypair, amount: requestBody.amount, denominatedInSol, slippage: slippageBps, priorityFee: priorityFeeSOL
+            }), txBuilder);
+            transaction.sign([signerKeypair]);
+            record.signature = bs58Decoder.encode(transaction.signatures[0]); // Known before sending, so a lost send response can still be tracked;
+        } catch (error) {
+            record.outcome = 'send_failed'; // Nothing was signed or sent
+            record.error = error.message;
+        }
+
+        if (record.signature) {
+            let broadcast = true;
+            try {
+                await rateLimitedRpcCall(async () => {
+                    return await connection.sendTransaction(transaction);
+                });
+            } catch (error) {
+                // A rejection (e.g. failed preflight) was never broadcast; a timeout or connection error may have been
+                broadcast = isFailoverError(error);
+                if (broadcast) {
+                    console.warn(`[LocalTransactionService] ${action} send for ${record.signature.slice(0, 8)} failed (${error.message}); tracking it in case it was broadcast`);
+                } else {
+                    Object.assign(record, { outcome: 'send_failed', signature: null, error: error.message });
+                }
+            }
+            if (broadcast) {
+                emitProgress(onProgress, 'tx_sent', { walletName, action, signature: record.signature, attempt });
+                try {
+                    Object.assign(record, await rebroadcastUntilExpiry(connection, transaction, record.signature, policy.rebroadcastIntervalMs));
+                } catch (error) {
+                    // The transaction may be on-chain: only a proven expiry allows another attempt
+                    const resolved = await resolveUnseenSignature(connection, record.signature, transaction.message.recentBlockhash);
+                    Object.assign(record, resolved || { outcome: 'pending', slot: null, err: null });
+                }
+            }
+        }
+
+        if (record.outcome === 'failed') {
+            record.programError = await readFailedProgramError(connection, record.signature, record.err);
+            record.error = record.programError.name ? `${record.programError.name}: ${record.programError.message}` : record.programError.message;
+        } else if (record.outcome === 'expired') {
+            record.error = 'Blockhash expired before the transaction landed';
+        } else if (record.outcome === 'pending') {
+            record.error = 'Transaction seen but not confirmed';
+        }
+        delete record.err;
+        console.log(`[LocalTransactionService] ${action} attempt ${attempt}/${policy.maxAttempts} for ${walletName || signerKeypair.publicKey.toBase58()}: ${record.outcome}${record.error ? ` (${record.error})` : ''}`);
+
+        if (record.outcome === 'landed') {
+            return { signature: record.signature, landed: true, error: null, attempts };
+        }
+        if (record.outcome === 'pending') {
+            break; // May still land: another attempt could execute the trade twice
+        }
+        if (record.outcome === 'failed') {
+            const canRaiseSlippage = policy.slippageStepBps > 0 && slippageBps < policy.maxSlippageBps;
+            if (!(record.programError && RETRYABLE_PROGRAM_ERRORS.includes(record.programError.name) && canRaiseSlippage)) {
+                break;
+            }
+        }
+        if (record.outcome === 'send_failed' && attempt < policy.maxAttempts) {
+            await sleep(policy.rebroadcastIntervalMs);
+        }
+    }
+
+    const lastAttempt = attempts[attempts.length - 1];
+    return { signature: lastAttempt.signature, landed: false, error: lastAttempt.error, attempts };
+}
+
+/**
+ * Dry-run counterpart of executeTradeLocalTransaction: fetches and signs the buy/sell
+ * transaction from trade-local, then simulates it instead of sending it.
+ * Same parameters as executeTradeLocalTransaction.
+ * @returns {Promise<object>} Simulation result (see simulateSignedTransaction)
+ */
+async function simulateTradeLocalTransaction(action, mintAddress, signerKeypair, amount, denominatedInSol = true, slippage = 2500, pool = "pump", options = {}) {
+    const { onProgress, walletName, txBuilder = DEFAULT_TX_BUILDER, priorityFeeSOL = DEFAULT_PRIORITY_FEE } = options;
+    console.log(`[LocalTransactionService] [DRY RUN] Simulating ${action} for ${amount} ${denominatedInSol ? 'SOL' : 'tokens'} on ${mintAddress}`);
+
+    const requestBody = buildTradeRequestBody(action, mintAddress, signerKeypair, amount, denominatedInSol, slippage, pool);
+    requestBody.priorityFee = priorityFeeSOL;
+    emitProgress(onProgress, 'tx_requested', { walletName, action, pool, amount: requestBody.amount, txBuilder, priorityFeeSOL, dryRun: true });
+    const transaction = await resolveUnsignedTransaction(requestBody, action, () => buildNativeTradeTransaction({
+        action, mintAddress, signerKeypair, amount: requestBody.amount, denominatedInSol, slippage, priorityFee: requestBody.priorityFee
+    }), txBuilder);
+    transaction.sign([signerKeypair]);
+
+    return simulateSignedTransaction(transaction, signerKeypair.publicKey, new web3.PublicKey(mintAddress));
+}
+
+/**
+ * Reads the lamports and token amount of the watched accounts from raw account infos.
+ * Token accounts (legacy SPL or Token-2022) store the u64 amount at byte offset 64.
+ * @param {Array<object|null>} accountInfos - [wallet, legacy ATA, Token-2022 ATA] account infos
+ * @returns {{lamports: number, tokenAmount: string|null}}
+ */
+function readWatchedBalances(accountInfos) {
+    const [walletInfo, ...tokenAccountInfos] = accountInfos;
+    const lamports = walletInfo ? walletInfo.lamports : 0;
+
+    let tokenAmount = null;
+    for (const info of tokenAccountInfos) {
+        if (!info || !info.data) continue;
+        const data = Array.isArray(info.data) ? Buffer.from(info.data[0], 'base64') : Buffer.from(info.data);
+        if (data.length >= 72) {
+            tokenAmount = data.readBigUInt64LE(64).toString();
+            break;
+        }
+    }
+    return { lamports, tokenAmount };
+}
+
+/**
+ * Extracts the program error from a failed simulation or landed transaction.
+ * The error name comes from the Anchor "Error Code:" log line, or from PUMP_PROGRAM_ERRORS
+ * when the pump.fun program failed with a custom error code.
+ * @param {object|string|null} err - Transaction error (simulation `err` or `meta.err`)
+ * @param {string[]} logs - Simulation or transaction logs
+ * @returns {object|null} { instructionIndex, customCode, programId, name, message } or null if no error
+ */
+function extractProgramError(err, logs) {
+    if (!err) return null;
+
+    const programError = {
+        instructionIndex: null,
+        customCode: null,
+        programId: null,
+        name: null,
+        message: typeof err === 'string' ? err : JSON.stringify(err)
+    };
+    if (err.InstructionError) {
+        const [instructionIndex, detail] = err.InstructionError;
+        programError.instructionIndex = instructionIndex;
+        if (detail && detail.Custom !== undefined) {
+            programError.customCode = detail.Custom;
+        } else if (typeof detail === 'string') {
+            programError.name = detail; // Built-in errors, e.g. "InsufficientFunds"
+        }
+    }
+
+    const lines = logs || [];
+    const failedLog = lines.find(line => / failed: /.test(line));
+    const failedProgram = failedLog && failedLog.match(/^Program (\w+) failed: /);
+    if (failedProgram) {
+        programError.programId = failedProgram[1];
+    }
+    const anchorLog = lines.find(line => line.includes('Error Code:'));
+    const anchorCode = anchorLog && anchorLog.match(/Error Code: (\w+)/);
+    if (anchorCode) {
+        programError.name = anchorCode[1];
+    } else if (programError.customCode !== null && programError.programId === PUMP_PROGRAM_ID.toBase58()) {
+        programError.name = PUMP_PROGRAM_ERRORS[programError.customCode] || null;
+    }
+
+    // Anchor programs log a readable message, e.g. "Error Message: slippage: Too much SOL required to buy the given amount of tokens."
+    const anchorMessage = anchorLog && anchorLog.match(/Error Message: (.*)$/);
+    if (anchorMessage) {
+        programError.message = anchorMessage[1].trim();
+    } else if (failedLog) {
+        programError.message = failedLog;
+    }
+    return programError;
+}
+
+/**
+ * Simulates a signed transaction and reports compute units, logs, program error and the
+ * signer's SOL/token balance changes. Nothing is broadcast.
+ * @param {web3.VersionedTransaction} transaction - Signed transaction
+ * @param {web3.PublicKey} walletPublicKey - Wallet whose balances are reported
+ * @param {web3.PublicKey} mintPublicKey - Token mint whose balance change is reported
+ * @returns {Promise<object>} { success, computeUnitsConsumed, logs, err, programError, balanceChanges }
+ */
+async function simulateSignedTransaction(transaction, walletPublicKey, mintPublicKey) {
+    const connection = getSolanaConnection();
+    const watchedAccounts = [
+        walletPublicKey,
+        getAssociatedTokenAddressSync(mintPublicKey, walletPublicKey, true, TOKEN_PROGRAM_ID),
+        getAssociatedTokenAddressSync(mintPublicKey, walletPublicKey, true, TOKEN_2022_PROGRAM_ID)
+    ];
+
+    const preAccountInfos = await rateLimitedRpcCall(async () => {
+        return await connection.getMultipleAccountsInfo(watchedAccounts, 'confirmed');
+    });
+
+    const simulation = await rateLimitedRpcCall(async () => {
+        return await connection.simulateTransaction(transaction, {
+            sigVerify: true,
+            commitment: 'confirmed',
+            accounts: {
+                encoding: 'base64',
+                addresses: watchedAccounts.map(account => account.toBase58())
+            }
+        });
+    });
+
+    const { err, logs, unitsConsumed, accounts } = simulation.value;
+    const pre = readWatchedBalances(preAccountInfos);
+    const post = err ? pre : readWatchedBalances(accounts || []);
+
+    const result = {
+        success: !err,
+        computeUnitsConsumed: unitsConsumed !== undefined ? unitsConsumed : null,
+        logs: logs || [],
+        err: err || null,
+        programError: extractProgramError(err, logs),
+        balanceChanges: {
+            sol: {
+                pre: pre.lamports / web3.LAMPORTS_PER_SOL,
+                post: post.lamports / web3.LAMPORTS_PER_SOL,
+                change: (post.lamports - pre.lamports) / web3.LAMPORTS_PER_SOL
+            },
+            token: {
+                mint: mintPublicKey.toBase58(),
+                pre: pre.tokenAmount,
+                post: post.tokenAmount,
+                change: (BigInt(post.tokenAmount || 0) - BigInt(pre.tokenAmount || 0)).toString()
+            }
+        }
+    };
+
+    if (result.success) {
+        console.log(`[LocalTransactionService] [DRY RUN] ✅ Simulation succeeded: ${result.computeUnitsConsumed} CU, SOL change ${result.balanceChanges.sol.change}`);
+    } else {
+        console.warn(`[LocalTransactionService] [DRY RUN] ❌ Simulation failed: ${result.programError.message}`);
+    }
+    return result;
+}
+
 /**
  * Executes multiple trade transactions in parallel batches.
- * @param {Array} transactionRequests - Array of transaction request objects
+ * @param {Array} transactionRequests - Array of transaction request objects; `priorityFeeSOL` / `priorityFeeMode`
+ *   (see priorityFeeService) set the fee of a request and are echoed in its result
  * @param {number} batchSize - Number of transactions to process in parallel (auto-detected based on RPC)
+ * @param {object} [options={}] - Execution options
+ * @param {Function} [options.onProgress] - Progress listener (tx_sent / tx_failed events)
+ * @param {boolean} [options.dryRun=false] - Simulate instead of sending; results carry a `simulation` object
+ * @param {string} [options.txBuilder] - Transaction builder passed to every trade (see resolveUnsignedTransaction)
+ * @param {object} [options.retryPolicy] - Retry policy (see normalizeRetryPolicy); results then carry `attempts`
+ *   and `confirmed: true` once landed, so they need no separate confirmation
  * @returns {Promise<Array>} Array of transaction signatures
  */
-async function executeParallelTransactions(transactionRequests, batchSize = null) {
+async function executeParallelTransactions(transactionRequests, batchSize = null, options = {}) {
+    const { onProgress, dryRun = false, txBuilder, retryPolicy } = options;
     // MONOCODE: Unified batch size for Pump Portal local API flows
     if (batchSize === null) {
         batchSize = UNIFIED_PARALLEL_BATCH_SIZE;
     }
-    console.log(`[LocalTransactionService] Executing ${transactionRequests.length} transactions in parallel batches of ${batchSize}`);
+    console.log(`[LocalTransactionService] ${dryRun ? '[DRY RUN] Simulating' : 'Executing'} ${transactionRequests.length} transactions in parallel batches of ${batchSize}`);
     
     const results = [];
-    const connection = getSolanaConnection();
     
     // Process transactions in batches
     for (let i = 0; i < transactionRequests.length; i += batchSize) {
@@ -205,33 +703,87 @@ async function executeParallelTransactions(transactionRequests, batchSize = null
         console.log(`[LocalTransactionService] Processing batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(transactionRequests.length/batchSize)} (${batch.length} transactions)`);
         
         // Execute batch in parallel
-        const batchPromises = batch.map(async (request, index) => {
+        const batchPromises = batch.map(async (request) => {
+            const tradeArgs = [
+                request.action,
+                request.mintAddress,
+                request.signerKeypair,
+                request.amount,
+                request.denominatedInSol,
+                request.slippage,
+                request.pool || "pump",
+                { onProgress, walletName: request.walletName, txBuilder, retryPolicy, priorityFeeSOL: request.priorityFeeSOL }
+            ];
+            const priorityFee = request.priorityFeeSOL !== undefined
+                ? { priorityFeeSOL: request.priorityFeeSOL, priorityFeeMode: request.priorityFeeMode || 'fixed' }
+                : {};
             try {
-                const signature = await executeTradeLocalTransaction(
-                    request.action,
-                    request.mintAddress,
-                    request.signerKeypair,
-                    request.amount,
-                    request.denominatedInSol,
-                    request.slippage,
-                    request.pool || "pump"
-                );
+                if (dryRun) {
+                    const simulation = await simulateTradeLocalTransaction(...tradeArgs);
+                    return {
+                        success: simulation.success,
+                        signature: null,
+                        error: simulation.success ? null : simulation.programError.message,
+                        simulation,
+                        walletName: request.walletName,
+                        action: request.action,
+                        amount: request.amount,
+                        ...priorityFee
+                    };
+                }
+
+                if (retryPolicy) {
+                    const execution = await executeTradeLocalTransactionWithRetry(...tradeArgs);
+                    emitProgress(onProgress, execution.landed ? 'tx_confirmed' : 'tx_failed', {
+                        walletName: request.walletName,
+                        action: request.action,
+                        ...(execution.signature ? { signature: execution.signature } : {}),
+                        ...(execution.landed ? {} : { error: execution.error })
+                    });
+                    return {
+                        success: execution.landed,
+                        signature: execution.signature,
+                        error: execution.error,
+                        confirmed: execution.landed,
+                        attempts: execution.attempts,
+                        walletName: request.walletName,
+                        action: request.action,
+                        amount: request.amount,
+                        ...priorityFee,
+                        // The fee actually paid by the last attempt (retries may step it up)
+                        ...(request.priorityFeeSOL !== undefined ? { priorityFeeSOL: execution.attempts[execution.attempts.length - 1].priorityFeeSOL } : {})
+                    };
+                }
+
+                const signature = await executeTradeLocalTransaction(...tradeArgs);
+                emitProgress(onProgress, 'tx_sent', {
+                    walletName: request.walletName,
+                    action: request.action,
+                    signature
+                });
                 
                 return {
                     success: true,
                     signature: signature,
                     walletName: request.walletName,
                     action: request.action,
-                    amount: request.amount
+                    amount: request.amount,
+                    ...priorityFee
                 };
             } catch (error) {
                 console.error(`[LocalTransactionService] Transaction failed for ${request.walletName}: ${error.message}`);
+                emitProgress(onProgress, 'tx_failed', {
+                    walletName: request.walletName,
+                    action: request.action,
+                    error: error.message
+                });
                 return {
                     success: false,
                     error: error.message,
                     walletName: request.walletName,
                     action: request.action,
-                    amount: request.amount
+                    amount: request.amount,
+                    ...priorityFee
                 };
             }
         });
@@ -246,144 +798,83 @@ async function executeParallelTransactions(transactionRequests, batchSize = null
     }
     
     const successCount = results.filter(r => r.success).length;
-    console.log(`[LocalTransactionService] ✅ Parallel execution complete: ${successCount}/${results.length} transactions successful`);
+    console.log(`[LocalTransactionService] ✅ Parallel ${dryRun ? 'simulation' : 'execution'} complete: ${successCount}/${results.length} transactions successful`);
     
     return results;
 }
-
 /**
- * Confirms a single transaction via WebSocket to avoid RPC rate limiting
+ * Confirms a single transaction through the confirmation service (batched status polling,
+ * plus a WebSocket subscription when CONFIRMATION_WEBSOCKET=true)
  * @param {string} signature - Transaction signature to confirm
  * @param {string} commitment - Commitment level (default 'confirmed')
  * @param {number} timeoutMs - Timeout in milliseconds (default 30000)
  * @returns {Promise<boolean>} True if confirmed, false otherwise
  */
 async function confirmTransactionViaWebSocket(signature, commitment = 'confirmed', timeoutMs = 30000) {
-    const connection = getSolanaConnection();
-    console.log(`[LocalTransactionService] Confirming transaction via WebSocket: ${signature.slice(0, 8)}...`);
-
-    return new Promise((resolve) => {
-        let subscriptionId = null;
-        let timeoutId = null;
-        let resolved = false;
-
-        const cleanup = () => {
-            if (timeoutId) {
-                clearTimeout(timeoutId);
-                timeoutId = null;
-            }
-            if (subscriptionId) {
-                const subId = subscriptionId;
-                subscriptionId = null;
-                connection.removeSignatureListener(subId).catch(() => { });
-            }
-        };
-
-        const handleResult = (result, isTimeout = false) => {
-            if (resolved) return;
-            resolved = true;
-            cleanup();
-
-            if (isTimeout) {
-                console.warn(`[LocalTransactionService] WebSocket confirmation timed out for ${signature.slice(0, 8)}`);
-                resolve(false);
-            } else if (result.err) {
-                console.warn(`[LocalTransactionService] Transaction failed: ${signature.slice(0, 8)} - ${JSON.stringify(result.err)}`);
-                resolve(false);
-            } else {
-                console.log(`[LocalTransactionService] ✅ Transaction confirmed via WebSocket: ${signature.slice(0, 8)}`);
-                resolve(true);
-            }
-        };
-
-        try {
-            // Set up WebSocket listener for transaction signature
-            subscriptionId = connection.onSignatureWithOptions(
-                signature,
-                (notificationResult, context) => {
-                    console.log(`[LocalTransactionService] WebSocket notification received for ${signature.slice(0, 8)} in slot: ${context.slot}`);
-                    handleResult(notificationResult);
-                },
-                { commitment: commitment }
-            );
-
-            // Set timeout with fallback RPC check
-            timeoutId = setTimeout(async () => {
-                if (resolved) return;
-
-                console.log(`[LocalTransactionService] WebSocket timeout reached for ${signature.slice(0, 8)}, doing final RPC check...`);
-
-                try {
-                    const statusResult = await rateLimitedRpcCall(async () => {
-                        return await connection.getSignatureStatus(signature);
-                    });
-
-                    if (statusResult && statusResult.value) {
-                        const status = statusResult.value;
-                        const isConfirmed = status.confirmationStatus === commitment ||
-                            (commitment === 'confirmed' && status.confirmationStatus === 'finalized');
-
-                        if (isConfirmed && !status.err) {
-                            console.log(`[LocalTransactionService] ✅ Transaction confirmed by fallback RPC check: ${signature.slice(0, 8)}`);
-                            handleResult(status);
-                            return;
-                        }
-                    }
-
-                    handleResult(null, true); // Timeout
-                } catch (error) {
-                    console.warn(`[LocalTransactionService] Fallback RPC check failed for ${signature.slice(0, 8)}: ${error.message}`);
-                    handleResult(null, true); // Timeout
-                }
-            }, timeoutMs);
-
-        } catch (error) {
-            cleanup();
-            console.warn(`[LocalTransactionService] WebSocket setup failed for ${signature.slice(0, 8)}: ${error.message}`);
-            resolve(false);
-        }
-    });
+    console.log(`[LocalTransactionService] Confirming transaction: ${signature.slice(0, 8)}...`);
+    const result = await waitForConfirmation(signature, { commitment, timeoutMs });
+    if (result.confirmed) {
+        console.log(`[LocalTransactionService] ✅ Transaction confirmed: ${signature.slice(0, 8)} in slot ${result.slot}`);
+    } else if (result.status === 'failed') {
+        console.warn(`[LocalTransactionService] Transaction failed: ${signature.slice(0, 8)} - ${JSON.stringify(result.err)}`);
+    }
+    return result.confirmed;
 }
 
 /**
- * Confirms multiple transactions in parallel using WebSocket confirmations
+ * Confirms multiple transactions together: the confirmation service polls them with
+ * getSignatureStatuses in chunks of 256 instead of one subscription per signature
  * @param {Array<string>} signatures - Array of transaction signatures to confirm
  * @param {string} commitment - Commitment level (default 'confirmed')
  * @param {number} timeoutMs - Timeout in milliseconds (default 30000)
- * @returns {Promise<Array>} Array of confirmation results
+ * @param {object} [options={}] - Confirmation options
+ * @param {Function} [options.onProgress] - Progress listener (tx_confirmed / tx_failed events)
+ * @returns {Promise<Array>} Array of { signature, confirmed, status, slot, err, error } in input order
  */
-async function confirmParallelTransactions(signatures, commitment = 'confirmed', timeoutMs = 30000) {
-    console.log(`[LocalTransactionService] Confirming ${signatures.length} transactions in parallel via WebSocket...`);
-    
-    const confirmationPromises = signatures.map(async (signature) => {
-        try {
-            const confirmed = await confirmTransactionViaWebSocket(signature, commitment, timeoutMs);
-            return { signature, confirmed };
-        } catch (error) {
-            console.warn(`[LocalTransactionService] Confirmation failed for ${signature}: ${error.message}`);
-            return { signature, confirmed: false, error: error.message };
+async function confirmParallelTransactions(signatures, commitment = 'confirmed', timeoutMs = 30000, options = {}) {
+    const { onProgress } = options;
+    console.log(`[LocalTransactionService] Confirming ${signatures.length} transactions via batched status polling...`);
+
+    const results = await waitForConfirmations(signatures, { commitment, timeoutMs });
+    for (const result of results) {
+        if (result.confirmed) {
+            emitProgress(onProgress, 'tx_confirmed', { signature: result.signature, slot: result.slot });
+        } else {
+            result.error = result.status === 'failed' ? `Transaction failed: ${JSON.stringify(result.err)}` : 'Transaction not confirmed';
+            emitProgress(onProgress, 'tx_failed', { signature: result.signature, error: result.error });
         }
-    });
-    
-    const results = await Promise.all(confirmationPromises);
+    }
+
     const confirmedCount = results.filter(r => r.confirmed).length;
-    console.log(`[LocalTransactionService] ✅ WebSocket confirmation complete: ${confirmedCount}/${signatures.length} transactions confirmed`);
-    
+    console.log(`[LocalTransactionService] ✅ Confirmation complete: ${confirmedCount}/${signatures.length} transactions confirmed`);
+
     return results;
 }
 
 module.exports = {
     createTokenLocalTransaction,
     executeTradeLocalTransaction,
+    executeTradeLocalTransactionWithRetry,
+    normalizeRetryPolicy,
+    simulateCreateTokenLocalTransaction,
+    simulateTradeLocalTransaction,
+    simulateSignedTransaction,
+    extractProgramError,
     confirmTransactionViaWebSocket,
     executeParallelTransactions,
     confirmParallelTransactions,
+    buildCreateRequestBody,
+    buildTradeRequestBody,
     
     // Constants
     PUMP_PORTAL_TRADE_LOCAL_ENDPOINT,
+    TX_BUILDERS,
+    DEFAULT_TX_BUILDER,
     DEFAULT_PRIORITY_FEE,
     UNIFIED_PARALLEL_BATCH_SIZE,
     FETCH_TIMEOUT_MS,
     MAX_RETRIES,
-    RETRY_DELAY_MS
+    RETRY_DELAY_MS,
+    MAX_RETRY_ATTEMPTS,
+    RETRYABLE_PROGRAM_ERRORS
 };
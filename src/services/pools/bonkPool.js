@@ -0,0 +1,166 @@
+/**
+ * BONK POOL ADAPTER - letsbonk.fun pool via Pump Portal
+ *
+ * - Token creation uses Lightning API with external IPFS (nft-storage.letsbonk22.workers.dev)
+ * - Buy/Sell operations use local transactions with pool: "bonk"
+ * - Creation requires the DevWallet Lightning API key (devWalletApiKey)
+ */
+
+const bs58 = require('bs58');
+const path = require('path');
+const fetch = require('node-fetch');
+const FormData = require('form-data');
+const { emitProgress } = require('../../utils/progressUtils');
+
+const BONK_IPFS_IMG_ENDPOINT = 'https://nft-storage.letsbonk22.workers.dev/upload/img';
+const BONK_IPFS_META_ENDPOINT = 'https://nft-storage.letsbonk22.workers.dev/upload/meta';
+const PUMP_PORTAL_TRADE_ENDPOINT = 'https://pumpportal.fun/api/trade';
+const DEFAULT_LIGHTNING_PRIORITY_FEE = 0.00005; // SOL, when the request sets no priority fee strategy
+
+const LATEST_MINT_FILE = path.join(process.cwd(), 'data', 'latestMint_BONK_API.txt');
+
+// MONOCODE Compliance: Fix bs58 encoder compatibility issue
+const bs58Codec = bs58.default || bs58;
+
+/**
+ * Uploads Bonk token metadata (and optional image) to Bonk's IPFS service
+ * @param {object} tokenMetadata - Token metadata
+ * @param {object|null} imageData - Image buffer and metadata, or null for metadata only
+ * @returns {Promise<string>} Metadata URI
+ */
+async function uploadToBonkIPFS(tokenMetadata, imageData) {
+    try {
+        let imgUri;
+        if (imageData && imageData.buffer) {
+            console.log(`[BonkPool] Uploading image to Bonk IPFS service...`);
+            const formData = new FormData();
+            formData.append('image', imageData.buffer, {
+                filename: imageData.fileName,
+                contentType: imageData.mimetype
+            });
+
+            const imgResponse = await fetch(BONK_IPFS_IMG_ENDPOINT, {
+                method: 'POST',
+                body: formData
+            });
+
+            if (!imgResponse.ok) {
+                throw new Error(`Image upload failed: ${imgResponse.status} ${imgResponse.statusText}`);
+            }
+
+            imgUri = await imgResponse.text();
+            console.log(`[BonkPool] Image uploaded to IPFS: ${imgUri}`);
+        }
+
+        const metadataPayload = {
+            createdOn: "https://bonk.fun",
+            description: tokenMetadata.description || "Token created via Bonk pool",
+            ...(imgUri ? { image: imgUri } : {}),
+            name: tokenMetadata.name,
+            symbol: tokenMetadata.symbol,
+            website: tokenMetadata.website || "https://pumpportal.fun"
+        };
+
+        const metadataResponse = await fetch(BONK_IPFS_META_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(metadataPayload)
+        });
+
+        if (!metadataResponse.ok) {
+            throw new Error(`Metadata upload failed: ${metadataResponse.status} ${metadataResponse.statusText}`);
+        }
+
+        const metadataUri = await metadataResponse.text();
+        console.log(`[BonkPool] Metadata uploaded to IPFS: ${metadataUri}`);
+
+        return metadataUri;
+
+    } catch (error) {
+        console.error(`[BonkPool] ❌ Failed to upload to Bonk IPFS:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Creates a Bonk token using Lightning API
+ * @param {object} tokenMetadata - Token metadata
+ * @param {string} metadataUri - IPFS metadata URI
+ * @param {web3.Keypair} mintKeypair - Token mint keypair
+ * @param {string} devWalletApiKey - Lightning API key for dev wallet (replaces private key)
+ * @param {number} devBuyAmount - Dev buy amount in SOL
+ * @param {number} slippage - Slippage in basis points
+ * @param {number} [priorityFee=DEFAULT_LIGHTNING_PRIORITY_FEE] - Priority fee in SOL
+ * @returns {Promise<string>} Transaction signature
+ */
+async function createBonkTokenViaLightning(tokenMetadata, metadataUri, mintKeypair, devWalletApiKey, devBuyAmount, slippage, priorityFee = DEFAULT_LIGHTNING_PRIORITY_FEE) {
+    console.log(`[BonkPool] Creating Bonk token via Lightning API...`);
+
+    try {
+        if (!devWalletApiKey) {
+            throw new Error('Dev wallet API key is required for Bonk token creation via Lightning API');
+        }
+
+        const requestBody = {
+            action: "create",
+            tokenMetadata: {
+                name: tokenMetadata.name,
+                symbol: tokenMetadata.symbol,
+                uri: metadataUri
+            },
+            mint: bs58Codec.encode(mintKeypair.secretKey),
+            denominatedInSol: "true",
+            amount: devBuyAmount,
+            slippage: slippage / 100, // Convert basis points to percentage
+            priorityFee: priorityFee,
+            pool: "bonk"
+        };
+
+        const response = await fetch(`${PUMP_PORTAL_TRADE_ENDPOINT}?api-key=${devWalletApiKey}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(requestBody)
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`Lightning API request failed: ${response.status} ${response.statusText} - ${errorText}`);
+        }
+
+        const data = await response.json();
+        console.log(`[BonkPool] ✅ Bonk token created via Lightning API: ${data.signature}`);
+
+        return data.signature;
+
+    } catch (error) {
+        console.error(`[BonkPool] ❌ Failed to create Bonk token via Lightning API:`, error);
+        throw error;
+    }
+}
+
+module.exports = {
+    name: 'letsbonk.fun',
+    pool: 'bonk',
+    defaultCreateAmountSOL: 0.5,
+    defaultCreatePriorityFeeSOL: DEFAULT_LIGHTNING_PRIORITY_FEE,
+    latestMintFile: LATEST_MINT_FILE,
+    uploadMetadata: uploadToBonkIPFS,
+    createToken: ({ tokenMetadata, metadataUri, mintKeypair, devWallet, createAmountSOL, slippageBps, options = {} }) => {
+        const priorityFeeSOL = options.priorityFeeSOL !== undefined ? options.priorityFeeSOL : DEFAULT_LIGHTNING_PRIORITY_FEE;
+        emitProgress(options.onProgress, 'tx_requested', { walletName: devWallet.name, action: 'create', pool: 'bonk', amount: createAmountSOL, priorityFeeSOL });
+        return createBonkTokenViaLightning(tokenMetadata, metadataUri, mintKeypair, options.devWalletApiKey, createAmountSOL, slippageBps, priorityFeeSOL);
+    },
+    validateCreateOptions: (options = {}) => {
+        // Lightning API signs and sends server-side, so there is nothing to simulate locally
+        if (options.dryRun) return 'dryRun is not supported for Bonk token creation (Lightning API sends the transaction server-side).';
+        return options.devWalletApiKey ? null : 'devWalletApiKey is required for Bonk token creation via Lightning API';
+    },
+
+    // Exposed for direct use and debugging
+    uploadToBonkIPFS,
+    createBonkTokenViaLightning
+};
@@ -0,0 +1,15 @@
+/**
+ * POOLS - Built-in pool adapter registration
+ *
+ * Importing this module registers the pump and bonk adapters. Additional venues can be
+ * plugged in with registerPoolAdapter(definition) without touching the trading flows.
+ */
+
+const poolRegistry = require('./poolRegistry');
+const pumpPool = require('./pumpPool');
+const bonkPool = require('./bonkPool');
+
+poolRegistry.registerPoolAdapter(pumpPool);
+poolRegistry.registerPoolAdapter(bonkPool);
+
+module.exports = poolRegistry;
@@ -0,0 +1,108 @@
+/**
+ * POOL REGISTRY - Pluggable Launchpad/Pool Adapter Layer
+ *
+ * Every launchpad the API can trade on (pump.fun, bonk, ...) is described by a small
+ * adapter definition and registered here. The shared create/buy/sell flows live in
+ * tradingService; an adapter only supplies what differs between venues:
+ *
+ *   name                   - Human readable name used in logs
+ *   pool                   - Pool identifier (also the `pool` value sent to Pump Portal)
+ *   defaultCreateAmountSOL - Dev buy used when createAmountSOL is not provided
+ *   defaultCreatePriorityFeeSOL - Fixed create priority fee when the request sets no amount (optional)
+ *   latestMintFile         - Where the last created mint address is persisted
+ *   supportsNativeBuilder  - Whether txBuilder "native"/"auto" can build its transactions in-process (optional)
+ *   uploadMetadata(tokenMetadata, imageData)             -> Promise<metadataUri>
+ *   createToken({ tokenMetadata, metadataUri, mintKeypair, devWallet,
+ *                 createAmountSOL, slippageBps, options }) -> Promise<signature>
+ *   simulateCreateToken({ ...same as createToken })      -> Promise<simulation> (optional, enables dryRun create)
+ *   createBundleRequest({ ...same as createToken })      -> trade-local create body (optional, enables jito-bundle create)
+ *   validateCreateOptions(options)                        -> error message or null (optional)
+ *   quote(params)                                         -> Promise<quote> (optional)
+ *
+ * MONOCODE Compliance: Explicit registration, no implicit fallbacks for unknown pools.
+ */
+
+const tradingService = require('../tradingService');
+
+const DEFAULT_POOL = 'pump';
+
+const adapters = new Map();
+
+/**
+ * Builds a pool adapter from a venue definition by binding the shared trading flows to it.
+ * @param {object} definition - Adapter definition (see module header for the contract).
+ * @returns {object} Adapter exposing createAndBuy, batchBuy, devSell, batchSell, exit and quote.
+ * @throws {Error} If the definition is missing required members.
+ */
+function createPoolAdapter(definition) {
+    const required = ['name', 'pool', 'latestMintFile', 'uploadMetadata', 'createToken'];
+    const missing = required.filter(key => !definition || definition[key] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Invalid pool adapter definition: missing ${missing.join(', ')}`);
+    }
+
+    const adapter = {
+        defaultCreateAmountSOL: 0.001,
+        validateCreateOptions: () => null,
+        supportsNativeBuilder: false,
+        ...definition
+    };
+
+    adapter.createAndBuy = (...args) => tradingService.createAndBuyService(adapter, ...args);
+    adapter.batchBuy = (...args) => tradingService.batchBuyService(adapter, ...args);
+    adapter.devSell = (...args) => tradingService.devSellService(adapter, ...args);
+    adapter.batchSell = (...args) => tradingService.batchSellService(adapter, ...args);
+    adapter.exit = (...args) => tradingService.exitPositionService(adapter, ...args);
+    adapter.quote = typeof definition.quote === 'function'
+        ? (...args) => definition.quote(...args)
+        : async () => { throw new Error(`Quotes are not supported for pool "${adapter.pool}".`); };
+    adapter.supportsQuote = typeof definition.quote === 'function';
+    adapter.supportsJitoCreate = typeof definition.createBundleRequest === 'function';
+
+    return adapter;
+}
+
+/**
+ * Registers a pool adapter definition under its pool identifier.
+ * @param {object} definition - Adapter definition.
+ * @returns {object} The registered adapter.
+ */
+function registerPoolAdapter(definition) {
+    const adapter = createPoolAdapter(definition);
+    if (adapters.has(adapter.pool)) {
+        console.warn(`[PoolRegistry] Replacing existing adapter for pool "${adapter.pool}"`);
+    }
+    adapters.set(adapter.pool, adapter);
+    console.log(`[PoolRegistry] Registered pool adapter "${adapter.pool}" (${adapter.name})`);
+    return adapter;
+}
+
+/**
+ * Resolves the adapter for a pool identifier.
+ * @param {string} [pool=DEFAULT_POOL] - Pool identifier (case-insensitive).
+ * @returns {object} The registered adapter.
+ * @throws {Error} If no adapter is registered for the pool.
+ */
+function getPoolAdapter(pool = DEFAULT_POOL) {
+    const key = String(pool || DEFAULT_POOL).trim().toLowerCase();
+    const adapter = adapters.get(key);
+    if (!adapter) {
+        throw new Error(`Unsupported pool "${pool}". Supported pools: ${getRegisteredPools().join(', ')}`);
+    }
+    return adapter;
+}
+
+/**
+ * @returns {string[]} Identifiers of all registered pools.
+ */
+function getRegisteredPools() {
+    return Array.from(adapters.keys());
+}
+
+module.exports = {
+    createPoolAdapter,
+    registerPoolAdapter,
+    getPoolAdapter,
+    getRegisteredPools,
+    DEFAULT_POOL
+};
@@ -0,0 +1,111 @@
+/**
+ * PUMP POOL ADAPTER - pump.fun bonding curve via Pump Portal
+ *
+ * - Metadata is uploaded to IPFS through Pinata (uploadMetadataToPumpPortal)
+ * - Token creation uses a Pump Portal local transaction signed by DevWallet
+ * - Buy/Sell operations use local transactions with pool: "pump"
+ * - Quotes replay planned trades on the bonding curve offline (quoteService)
+ * - txBuilder "native"/"auto" builds the same transactions in-process when Pump Portal is unavailable
+ * - executionMode "jito-bundle" bundles the create transaction with the first buys (createBundleRequest)
+ */
+
+const path = require('path');
+const { uploadMetadataToPumpPortal } = require('../../utils/pumpAndJitoUtils');
+const { createTokenLocalTransaction, simulateCreateTokenLocalTransaction, buildCreateRequestBody } = require('../localTransactionService');
+const { quotePumpTradeSequence } = require('../quoteService');
+
+const LATEST_MINT_FILE = path.join(process.cwd(), 'data', 'latestMint_API.txt');
+
+/**
+ * Uploads pump.fun token metadata (and optional image) to IPFS.
+ * @param {object} tokenMetadata - { name, symbol, description, twitter, telegram, website, showName }
+ * @param {object|null} imageData - { buffer, fileName } or null
+ * @returns {Promise<string>} Metadata URI
+ */
+async function uploadMetadata(tokenMetadata, imageData) {
+    // Filter tokenMetadata to only include fields needed for IPFS metadata (exclude createAmountSOL)
+    const metadataForUpload = {
+        name: tokenMetadata.name,
+        symbol: tokenMetadata.symbol,
+        description: tokenMetadata.description,
+        twitter: tokenMetadata.twitter,
+        telegram: tokenMetadata.telegram,
+        website: tokenMetadata.website,
+        showName: tokenMetadata.showName
+    };
+
+    const hasImage = imageData && imageData.buffer;
+    return uploadMetadataToPumpPortal(
+        metadataForUpload,
+        hasImage ? imageData.buffer : undefined,
+        hasImage ? imageData.fileName : undefined
+    );
+}
+
+/**
+ * Creates the token with DevWallet using a Pump Portal local transaction.
+ * @returns {Promise<string>} Create transaction signature
+ */
+async function createToken({ tokenMetadata, metadataUri, mintKeypair, devWallet, createAmountSOL, slippageBps, options = {} }) {
+    return createTokenLocalTransaction(
+        {
+            name: tokenMetadata.name,
+            symbol: tokenMetadata.symbol,
+            description: tokenMetadata.description,
+            twitter: tokenMetadata.twitter,
+            telegram: tokenMetadata.telegram,
+            website: tokenMetadata.website
+        },
+        metadataUri,
+        mintKeypair,
+        devWallet.keypair,
+        createAmountSOL,
+        Math.floor(slippageBps / 100),
+        { onProgress: options.onProgress, walletName: devWallet.name, txBuilder: options.txBuilder, priorityFeeSOL: options.priorityFeeSOL }
+    );
+}
+
+/**
+ * Dry run: fetches and signs the create transaction, then simulates it without sending.
+ * @returns {Promise<object>} Simulation result
+ */
+async function simulateCreateToken({ tokenMetadata, metadataUri, mintKeypair, devWallet, createAmountSOL, slippageBps, options = {} }) {
+    return simulateCreateTokenLocalTransaction(
+        tokenMetadata,
+        metadataUri,
+        mintKeypair,
+        devWallet.keypair,
+        createAmountSOL,
+        Math.floor(slippageBps / 100),
+        { onProgress: options.onProgress, walletName: devWallet.name, txBuilder: options.txBuilder, priorityFeeSOL: options.priorityFeeSOL }
+    );
+}
+
+/**
+ * Builds the Pump Portal trade-local request body of the create transaction for a Jito bundle.
+ * Uses the same slippage conversion as createToken.
+ * @returns {object} trade-local request body
+ */
+function createBundleRequest({ tokenMetadata, metadataUri, mintKeypair, devWallet, createAmountSOL, slippageBps }) {
+    return buildCreateRequestBody(
+        tokenMetadata,
+        metadataUri,
+        mintKeypair,
+        devWallet.keypair,
+        createAmountSOL,
+        Math.floor(slippageBps / 100)
+    );
+}
+
+module.exports = {
+    name: 'pump.fun',
+    pool: 'pump',
+    defaultCreateAmountSOL: 0.001,
+    latestMintFile: LATEST_MINT_FILE,
+    supportsNativeBuilder: true, // See pumpNativeTransactionService
+    uploadMetadata,
+    createToken,
+    simulateCreateToken,
+    createBundleRequest,
+    quote: quotePumpTradeSequence
+};
@@ -0,0 +1,165 @@
+/**
+ * PRIORITY FEE SERVICE - Priority fee strategies for local (Pump Portal / native) transactions
+ *
+ * Pump Portal's trade-local `priorityFee` is a total fee in SOL. A strategy picks it per transaction:
+ *   fixed      - amountSOL (DEFAULT_PRIORITY_FEE when omitted)
+ *   percentile - a percentile of recent prioritization fees on the transaction's writable accounts
+ *                (bonding curve, associated bonding curve, fee recipient), priced at the
+ *                transaction's compute budget
+ *   aggressive - the 95th percentile times `multiplier`, never below `multiplier` x amountSOL;
+ *                meant for the create transaction, which everything else waits on
+ * A strategy has defaults plus optional overrides per wallet role: create (the token creation
+ * transaction), devWallet (DevWallet buys and sells) and childWallets (every other wallet).
+ *
+ * MONOCODE Compliance: Explicit validation, bounded fees (maxSOL) and the chosen fee reported
+ * on every transaction.
+ */
+
+const web3 = require('@solana/web3.js');
+const { getSolanaConnection } = require('../utils/walletUtils');
+const { getDynamicPriorityFee } = require('../utils/transactionUtils');
+const { getBondingCurvePda, getAssociatedBondingCurve, PUMP_FEE_RECIPIENT } = require('../utils/pumpProgramUtils');
+const { NATIVE_CREATE_COMPUTE_UNITS, NATIVE_TRADE_COMPUTE_UNITS } = require('./pumpNativeTransactionService');
+const { DEFAULT_PRIORITY_FEE } = require('./localTransactionService');
+
+const PRIORITY_FEE_MODES = ['fixed', 'percentile', 'aggressive'];
+const PRIORITY_FEE_ROLES = ['create', 'devWallet', 'childWallets'];
+const DEFAULT_FEE_PERCENTILE = 75;
+const AGGRESSIVE_FEE_PERCENTILE = 95;
+const DEFAULT_AGGRESSIVE_MULTIPLIER = 2;
+const DEFAULT_MAX_PRIORITY_FEE_SOL = 0.01; // Upper bound of percentile/aggressive fees unless the request sets maxSOL
+
+const roundSol = (value) => Math.round(value * 1e9) / 1e9;
+
+/**
+ * Validates one priority fee spec and fills in defaults.
+ * @param {object} input - { mode, amountSOL, percentile, multiplier, minSOL, maxSOL }
+ * @returns {object} Normalized spec
+ * @throws {Error} If a field is invalid
+ */
+function normalizePriorityFeeSpec(input) {
+    const mode = input.mode || 'fixed';
+    if (!PRIORITY_FEE_MODES.includes(mode)) {
+        throw new Error(`Unsupported priority fee mode "${mode}". Supported modes: ${PRIORITY_FEE_MODES.join(', ')}`);
+    }
+
+    const readSol = (field) => {
+        if (input[field] === undefined || input[field] === null) return undefined;
+        const value = Number(input[field]);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid ${field}: must be a non-negative number of SOL`);
+        }
+        return value;
+    };
+    const minSOL = readSol('minSOL');
+    const maxSOL = readSol('maxSOL');
+    if (minSOL !== undefined && maxSOL !== undefined && minSOL > maxSOL) {
+        throw new Error('Invalid priority fee bounds: minSOL is greater than maxSOL');
+    }
+
+    let percentile = null;
+    if (mode === 'percentile') {
+        percentile = input.percentile !== undefined ? Number(input.percentile) : DEFAULT_FEE_PERCENTILE;
+        if (!Number.isInteger(percentile) || percentile < 1 || percentile > 100) {
+            throw new Error('Invalid percentile: must be an integer between 1 and 100');
+        }
+    } else if (mode === 'aggressive') {
+        percentile = AGGRESSIVE_FEE_PERCENTILE;
+    }
+
+    let multiplier = 1;
+    if (mode === 'aggressive') {
+        multiplier = input.multiplier !== undefined ? Number(input.multiplier) : DEFAULT_AGGRESSIVE_MULTIPLIER;
+        if (!Number.isFinite(multiplier) || multiplier < 1) {
+            throw new Error('Invalid multiplier: must be a number >= 1');
+        }
+    }
+
+    return {
+        mode,
+        amountSOL: readSol('amountSOL'), // undefined: context default or DEFAULT_PRIORITY_FEE
+        percentile,
+        multiplier,
+        minSOL: minSOL !== undefined ? minSOL : 0,
+        // Fixed amounts are taken as given; market-priced modes are capped
+        maxSOL: maxSOL !== undefined ? maxSOL : (mode === 'fixed' ? Infinity : DEFAULT_MAX_PRIORITY_FEE_SOL)
+    };
+}
+
+/**
+ * Validates a priority fee strategy from a request. Role overrides inherit the top-level fields.
+ * @param {object|string} [input={}] - A mode name, or { mode, amountSOL, percentile, multiplier, minSOL, maxSOL,
+ *   roles: { create, devWallet, childWallets } } where each role takes the same fields
+ * @returns {{roles: object}} Normalized spec for every role
+ * @throws {Error} If a field or role is invalid
+ */
+function normalizePriorityFeeStrategy(input = {}) {
+    const strategy = typeof input === 'string' ? { mode: input } : input;
+    const { roles: roleOverrides = {}, ...defaults } = strategy;
+    if (typeof roleOverrides !== 'object' || Array.isArray(roleOverrides)) {
+        throw new Error('roles must be an object keyed by wallet role');
+    }
+
+    const roles = {};
+    for (const role of Object.keys(roleOverrides)) {
+        if (!PRIORITY_FEE_ROLES.includes(role)) {
+            throw new Error(`Unknown wallet role "${role}". Supported roles: ${PRIORITY_FEE_ROLES.join(', ')}`);
+        }
+    }
+    for (const role of PRIORITY_FEE_ROLES) {
+        const override = typeof roleOverrides[role] === 'string' ? { mode: roleOverrides[role] } : roleOverrides[role];
+        try {
+            roles[role] = normalizePriorityFeeSpec({ ...defaults, ...(override || {}) });
+        } catch (error) {
+            throw new Error(override ? `${role}: ${error.message}` : error.message);
+        }
+    }
+    return { roles };
+}
+
+/**
+ * Writable accounts whose recent fees price a pump.fun transaction.
+ * Other pools fall back to recent fees across the cluster.
+ * @returns {web3.PublicKey[]}
+ */
+function getFeeAccounts(pool, mintAddress) {
+    if (pool !== 'pump' || !mintAddress) return [];
+    const mint = new web3.PublicKey(mintAddress);
+    return [getBondingCurvePda(mint), getAssociatedBondingCurve(mint), PUMP_FEE_RECIPIENT];
+}
+
+/**
+ * Resolves the priority fee of a transaction for a wallet role.
+ * @param {object} [strategy] - Normalized strategy (see normalizePriorityFeeStrategy); fixed default when omitted
+ * @param {string} role - "create" | "devWallet" | "childWallets"
+ * @param {object} [context={}] - { pool, mintAddress, action, defaultAmountSOL }; defaultAmountSOL replaces
+ *   DEFAULT_PRIORITY_FEE when the strategy sets no amountSOL (e.g. the Lightning API create fee)
+ * @returns {Promise<{role: string, mode: string, priorityFeeSOL: number, percentile: number|null, microLamportsPerCu: number|null}>}
+ */
+async function resolvePriorityFee(strategy, role, { pool, mintAddress, action, defaultAmountSOL = DEFAULT_PRIORITY_FEE } = {}) {
+    const spec = (strategy || normalizePriorityFeeStrategy()).roles[role];
+    const amountSOL = spec.amountSOL !== undefined ? spec.amountSOL : defaultAmountSOL;
+    let feeSOL = amountSOL;
+    let microLamportsPerCu = null;
+
+    if (spec.mode !== 'fixed') {
+        const computeUnits = action === 'create' ? NATIVE_CREATE_COMPUTE_UNITS : NATIVE_TRADE_COMPUTE_UNITS;
+        microLamportsPerCu = await getDynamicPriorityFee(getSolanaConnection(), getFeeAccounts(pool, mintAddress), spec.percentile);
+        feeSOL = microLamportsPerCu * computeUnits / 1e6 / web3.LAMPORTS_PER_SOL;
+        if (spec.mode === 'aggressive') {
+            feeSOL = Math.max(feeSOL * spec.multiplier, amountSOL * spec.multiplier);
+        }
+    }
+
+    const priorityFeeSOL = roundSol(Math.min(Math.max(feeSOL, spec.minSOL), spec.maxSOL));
+    console.log(`[PriorityFeeService] ${role} priority fee (${spec.mode}${spec.percentile ? ` p${spec.percentile}` : ''}): ${priorityFeeSOL} SOL`);
+    return { role, mode: spec.mode, priorityFeeSOL, percentile: spec.percentile, microLamportsPerCu };
+}
+
+module.exports = {
+    normalizePriorityFeeStrategy,
+    resolvePriorityFee,
+    PRIORITY_FEE_MODES,
+    PRIORITY_FEE_ROLES,
+    DEFAULT_MAX_PRIORITY_FEE_SOL
+};
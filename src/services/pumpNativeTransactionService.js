@@ -0,0 +1,357 @@
+/**
+ * PUMP NATIVE TRANSACTION SERVICE - In-process pump.fun transaction builder
+ *
+ * Builds the same unsigned VersionedTransaction that Pump Portal's trade-local API returns
+ * for the "pump" pool (compute budget + create/buy/sell instructions), so launches keep
+ * working during a Pump Portal outage or rate limit. Selected per request through the
+ * `txBuilder` option of localTransactionService ("portal" | "native" | "auto").
+ *
+ * MONOCODE Compliance: Observable implementation with structured logging,
+ * explicit error handling, and dependency transparency.
+ */
+
+const web3 = require('@solana/web3.js');
+const {
+    getAssociatedTokenAddressSync,
+    createAssociatedTokenAccountIdempotentInstruction,
+    TOKEN_PROGRAM_ID,
+    ASSOCIATED_TOKEN_PROGRAM_ID
+} = require('@solana/spl-token');
+const { getSolanaConnection } = require('../utils/walletUtils');
+const { rateLimitedRpcCall, getRecentBlockhash } = require('../utils/transactionUtils');
+const { getBondingCurveState } = require('../utils/solanaUtils');
+const {
+    getGlobalPda,
+    getMintAuthorityPda,
+    getEventAuthorityPda,
+    getGlobalVolumeAccumulatorPda,
+    getUserVolumeAccumulatorPda,
+    getFeeConfigPda,
+    getBondingCurvePda,
+    getAssociatedBondingCurve,
+    getCreatorVaultPda,
+    getMetadataPda,
+    getInitialBondingCurveState,
+    getBuyTokenAmountFromSol,
+    getBuySolCostForTokens,
+    getSellSolAmountFromTokens,
+    PUMP_PROGRAM_ID,
+    PUMP_FEE_PROGRAM_ID,
+    PUMP_FEE_RECIPIENT,
+    MPL_TOKEN_METADATA_PROGRAM_ID,
+    CREATE_DISCRIMINATOR,
+    BUY_DISCRIMINATOR,
+    SELL_DISCRIMINATOR,
+    PUMP_TOKEN_DECIMALS
+} = require('../utils/pumpProgramUtils');
+
+// Compute unit limits (create includes Metaplex metadata CPI, ATA creation and the dev buy)
+const NATIVE_CREATE_COMPUTE_UNITS = 300000;
+const NATIVE_TRADE_COMPUTE_UNITS = 150000;
+
+/**
+ * Builds compute budget instructions that spend `priorityFeeSOL` in total at `computeUnits`.
+ * Mirrors Pump Portal's priorityFee semantics (a total fee in SOL, not a per-CU price).
+ * @param {number} priorityFeeSOL - Total priority fee in SOL
+ * @param {number} computeUnits - Compute unit limit
+ * @returns {web3.TransactionInstruction[]}
+ */
+function buildComputeBudgetInstructions(priorityFeeSOL, computeUnits) {
+    const microLamportsPerCu = Math.floor(priorityFeeSOL * web3.LAMPORTS_PER_SOL * 1e6 / computeUnits);
+    return [
+        web3.ComputeBudgetProgram.setComputeUnitLimit({ units: computeUnits }),
+        web3.ComputeBudgetProgram.setComputeUnitPrice({ microLamports: microLamportsPerCu })
+    ];
+}
+
+/**
+ * Encodes a Borsh string (u32 little-endian length + UTF-8 bytes).
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function encodeBorshString(value) {
+    const bytes = Buffer.from(value || '', 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(bytes.length);
+    return Buffer.concat([length, bytes]);
+}
+
+/**
+ * Encodes instruction data made of a discriminator followed by u64 arguments.
+ * @param {Buffer} discriminator - 8-byte instruction discriminator
+ * @param {bigint[]} values - u64 arguments
+ * @returns {Buffer}
+ */
+function encodeU64Instruction(discriminator, values) {
+    const data = Buffer.alloc(8 + values.length * 8);
+    discriminator.copy(data, 0);
+    values.forEach((value, index) => data.writeBigUInt64LE(value, 8 + index * 8));
+    return data;
+}
+
+/**
+ * Converts a UI token amount (decimal tokens) to raw base units.
+ * @param {number|string} amount
+ * @returns {bigint}
+ */
+function toRawTokenAmount(amount) {
+    return BigInt(Math.floor(Number(amount) * 10 ** PUMP_TOKEN_DECIMALS));
+}
+
+/**
+ * Fetches and decodes the bonding curve for a mint.
+ * @param {web3.PublicKey} mint - Token mint
+ * @returns {Promise<object>} Decoded bonding curve state
+ * @throws {Error} If the bonding curve does not exist
+ */
+async function fetchBondingCurveState(mint) {
+    const curve = await getBondingCurveState(mint.toBase58());
+    if (!curve) {
+        throw new Error(`Bonding curve not found for mint ${mint.toBase58()}`);
+    }
+    return curve;
+}
+
+/**
+ * Builds the pump.fun buy instruction.
+ * @returns {web3.TransactionInstruction}
+ */
+function buildBuyInstruction(mint, user, creator, tokenAmount, maxSolCost) {
+    return new web3.TransactionInstruction({
+        programId: PUMP_PROGRAM_ID,
+        keys: [
+            { pubkey: getGlobalPda(), isSigner: false, isWritable: false },
+            { pubkey: PUMP_FEE_RECIPIENT, isSigner: false, isWritable: true },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: getBondingCurvePda(mint), isSigner: false, isWritable: true },
+            { pubkey: getAssociatedBondingCurve(mint), isSigner: false, isWritable: true },
+            { pubkey: getAssociatedTokenAddressSync(mint, user, false, TOKEN_PROGRAM_ID), isSigner: false, isWritable: true },
+            { pubkey: user, isSigner: true, isWritable: true },
+            { pubkey: web3.SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: getCreatorVaultPda(creator), isSigner: false, isWritable: true },
+            { pubkey: getEventAuthorityPda(), isSigner: false, isWritable: false },
+            { pubkey: PUMP_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: getGlobalVolumeAccumulatorPda(), isSigner: false, isWritable: true },
+            { pubkey: getUserVolumeAccumulatorPda(user), isSigner: false, isWritable: true },
+            { pubkey: getFeeConfigPda(), isSigner: false, isWritable: false },
+            { pubkey: PUMP_FEE_PROGRAM_ID, isSigner: false, isWritable: false }
+        ],
+        data: encodeU64Instruction(BUY_DISCRIMINATOR, [tokenAmount, maxSolCost])
+    });
+}
+
+/**
+ * Builds the pump.fun sell instruction.
+ * @returns {web3.TransactionInstruction}
+ */
+function buildSellInstruction(mint, user, creator, tokenAmount, minSolOutput) {
+    return new web3.TransactionInstruction({
+        programId: PUMP_PROGRAM_ID,
+        keys: [
+            { pubkey: getGlobalPda(), isSigner: false, isWritable: false },
+            { pubkey: PUMP_FEE_RECIPIENT, isSigner: false, isWritable: true },
+            { pubkey: mint, isSigner: false, isWritable: false },
+            { pubkey: getBondingCurvePda(mint), isSigner: false, isWritable: true },
+            { pubkey: getAssociatedBondingCurve(mint), isSigner: false, isWritable: true },
+            { pubkey: getAssociatedTokenAddressSync(mint, user, false, TOKEN_PROGRAM_ID), isSigner: false, isWritable: true },
+            { pubkey: user, isSigner: true, isWritable: true },
+            { pubkey: web3.SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: getCreatorVaultPda(creator), isSigner: false, isWritable: true },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: getEventAuthorityPda(), isSigner: false, isWritable: false },
+            { pubkey: PUMP_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: getFeeConfigPda(), isSigner: false, isWritable: false },
+            { pubkey: PUMP_FEE_PROGRAM_ID, isSigner: false, isWritable: false }
+        ],
+        data: encodeU64Instruction(SELL_DISCRIMINATOR, [tokenAmount, minSolOutput])
+    });
+}
+
+/**
+ * Builds the pump.fun create instruction (token mint, bonding curve and Metaplex metadata).
+ * @returns {web3.TransactionInstruction}
+ */
+function buildCreateInstruction(mint, user, name, symbol, uri) {
+    return new web3.TransactionInstruction({
+        programId: PUMP_PROGRAM_ID,
+        keys: [
+            { pubkey: mint, isSigner: true, isWritable: true },
+            { pubkey: getMintAuthorityPda(), isSigner: false, isWritable: false },
+            { pubkey: getBondingCurvePda(mint), isSigner: false, isWritable: true },
+            { pubkey: getAssociatedBondingCurve(mint), isSigner: false, isWritable: true },
+            { pubkey: getGlobalPda(), isSigner: false, isWritable: false },
+            { pubkey: MPL_TOKEN_METADATA_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: getMetadataPda(mint), isSigner: false, isWritable: true },
+            { pubkey: user, isSigner: true, isWritable: true },
+            { pubkey: web3.SystemProgram.programId, isSigner: false, isWritable: false },
+            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: ASSOCIATED_TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+            { pubkey: web3.SYSVAR_RENT_PUBKEY, isSigner: false, isWritable: false },
+            { pubkey: getEventAuthorityPda(), isSigner: false, isWritable: false },
+            { pubkey: PUMP_PROGRAM_ID, isSigner: false, isWritable: false }
+        ],
+        data: Buffer.concat([
+            CREATE_DISCRIMINATOR,
+            encodeBorshString(name),
+            encodeBorshString(symbol),
+            encodeBorshString(uri),
+            user.toBuffer() // creator
+        ])
+    });
+}
+
+/**
+ * Builds the buy instructions (ATA + buy) for a SOL- or token-denominated amount.
+ * @returns {{instructions: web3.TransactionInstruction[], tokenAmount: bigint, maxSolCost: bigint}}
+ */
+function buildBuyInstructions(curve, mint, user, amount, denominatedInSol, slippagePercent) {
+    let tokenAmount;
+    let solCost;
+    if (denominatedInSol) {
+        solCost = BigInt(Math.floor(Number(amount) * web3.LAMPORTS_PER_SOL));
+        tokenAmount = getBuyTokenAmountFromSol(curve, solCost);
+    } else {
+        tokenAmount = toRawTokenAmount(amount);
+        solCost = getBuySolCostForTokens(curve, tokenAmount);
+    }
+    if (tokenAmount <= 0n) {
+        throw new Error(`Buy amount ${amount} ${denominatedInSol ? 'SOL' : 'tokens'} resolves to zero tokens`);
+    }
+    const maxSolCost = solCost * BigInt(Math.round((100 + slippagePercent) * 100)) / 10000n;
+
+    return {
+        instructions: [
+            createAssociatedTokenAccountIdempotentInstruction(user, getAssociatedTokenAddressSync(mint, user, false, TOKEN_PROGRAM_ID), user, mint, TOKEN_PROGRAM_ID),
+            buildBuyInstruction(mint, user, curve.creator, tokenAmount, maxSolCost)
+        ],
+        tokenAmount,
+        maxSolCost
+    };
+}
+
+/**
+ * Resolves a sell amount ("50%" or a UI token amount) to raw tokens, reading the
+ * wallet's token balance for percentages.
+ * @returns {Promise<bigint>} Raw token amount
+ */
+async function resolveSellTokenAmount(mint, user, amount) {
+    if (typeof amount === 'string' && amount.trim().endsWith('%')) {
+        const pct = parseFloat(amount.trim().replace('%', ''));
+        const connection = getSolanaConnection();
+        const userAta = getAssociatedTokenAddressSync(mint, user, false, TOKEN_PROGRAM_ID);
+        const balance = await rateLimitedRpcCall(async () => {
+            return await connection.getTokenAccountBalance(userAta, 'confirmed');
+        });
+        return BigInt(balance.value.amount) * BigInt(Math.round(pct * 100)) / 10000n;
+    }
+    return toRawTokenAmount(amount);
+}
+
+/**
+ * Compiles instructions into an unsigned v0 transaction with a recent (cached) blockhash.
+ * @returns {Promise<web3.VersionedTransaction>}
+ */
+async function compileVersionedTransaction(payer, instructions) {
+    const { blockhash } = await getRecentBlockhash(getSolanaConnection(), 'confirmed');
+    const message = new web3.TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: blockhash,
+        instructions
+    }).compileToV0Message();
+    return new web3.VersionedTransaction(message);
+}
+
+/**
+ * Builds an unsigned pump.fun create (+ optional dev buy) transaction.
+ * Arguments mirror the trade-local "create" request built by localTransactionService.
+ * @param {object} params
+ * @param {object} params.tokenMetadata - { name, symbol }
+ * @param {string} params.metadataUri - Metadata URI
+ * @param {web3.Keypair} params.mintKeypair - New mint keypair (must co-sign)
+ * @param {web3.Keypair} params.signerKeypair - Creator / dev wallet
+ * @param {number} params.devBuyAmount - Dev buy in SOL (0 to skip)
+ * @param {number} params.slippage - Slippage in basis points
+ * @param {number} params.priorityFee - Priority fee in SOL
+ * @returns {Promise<web3.VersionedTransaction>} Unsigned transaction
+ */
+async function buildNativeCreateTransaction({ tokenMetadata, metadataUri, mintKeypair, signerKeypair, devBuyAmount, slippage, priorityFee }) {
+    const mint = mintKeypair.publicKey;
+    const user = signerKeypair.publicKey;
+    console.log(`[PumpNativeTransactionService] Building create transaction for ${tokenMetadata.symbol} (mint ${mint.toBase58()})`);
+
+    const instructions = [
+        ...buildComputeBudgetInstructions(priorityFee, NATIVE_CREATE_COMPUTE_UNITS),
+        buildCreateInstruction(mint, user, tokenMetadata.name, tokenMetadata.symbol, metadataUri)
+    ];
+    if (Number(devBuyAmount) > 0) {
+        const devBuy = buildBuyInstructions(getInitialBondingCurveState(user), mint, user, devBuyAmount, true, slippage / 100);
+        instructions.push(...devBuy.instructions);
+        console.log(`[PumpNativeTransactionService] Dev buy: ${devBuy.tokenAmount} raw tokens, max cost ${devBuy.maxSolCost} lamports`);
+    }
+
+    return compileVersionedTransaction(user, instructions);
+}
+
+/**
+ * Builds an unsigned pump.fun buy or sell transaction against the live bonding curve.
+ * Arguments mirror the trade-local buy/sell request built by localTransactionService.
+ * @param {object} params
+ * @param {string} params.action - "buy" or "sell"
+ * @param {string} params.mintAddress - Token mint
+ * @param {web3.Keypair} params.signerKeypair - Trading wallet
+ * @param {number|string} params.amount - SOL or UI token amount, or a percentage string for sells
+ * @param {boolean} params.denominatedInSol - Whether a buy amount is in SOL
+ * @param {number} params.slippage - Slippage in basis points
+ * @param {number} params.priorityFee - Priority fee in SOL
+ * @returns {Promise<web3.VersionedTransaction>} Unsigned transaction
+ * @throws {Error} If the curve is complete (token migrated) or the amount is invalid
+ */
+async function buildNativeTradeTransaction({ action, mintAddress, signerKeypair, amount, denominatedInSol, slippage, priorityFee }) {
+    const mint = new web3.PublicKey(mintAddress);
+    const user = signerKeypair.publicKey;
+    const slippagePercent = slippage / 100;
+
+    const curve = await fetchBondingCurveState(mint);
+    if (curve.complete) {
+        throw new Error(`Bonding curve for ${mintAddress} is complete; the token has migrated and cannot be traded on pump.fun`);
+    }
+    if (!curve.creator) {
+        throw new Error(`Bonding curve for ${mintAddress} has no creator field; unsupported account version`);
+    }
+
+    const instructions = buildComputeBudgetInstructions(priorityFee, NATIVE_TRADE_COMPUTE_UNITS);
+    if (action === 'buy') {
+        const buy = buildBuyInstructions(curve, mint, user, amount, denominatedInSol, slippagePercent);
+        instructions.push(...buy.instructions);
+        console.log(`[PumpNativeTransactionService] Built buy: ${buy.tokenAmount} raw tokens, max cost ${buy.maxSolCost} lamports`);
+    } else if (action === 'sell') {
+        if (denominatedInSol === true) {
+            throw new Error('Native builder only supports token-denominated sells (denominatedInSol=false)');
+        }
+        const tokenAmount = await resolveSellTokenAmount(mint, user, amount);
+        if (tokenAmount <= 0n) {
+            throw new Error(`Sell amount ${amount} resolves to zero tokens for ${user.toBase58()}`);
+        }
+        const expectedSol = getSellSolAmountFromTokens(curve, tokenAmount);
+        const minSolOutput = slippagePercent >= 100
+            ? 0n
+            : expectedSol * BigInt(Math.round((100 - slippagePercent) * 100)) / 10000n;
+        instructions.push(buildSellInstruction(mint, user, curve.creator, tokenAmount, minSolOutput));
+        console.log(`[PumpNativeTransactionService] Built sell: ${tokenAmount} raw tokens, min output ${minSolOutput} lamports`);
+    } else {
+        throw new Error(`Unsupported action for native builder: ${action}`);
+    }
+
+    return compileVersionedTransaction(user, instructions);
+}
+
+module.exports = {
+    buildNativeCreateTransaction,
+    buildNativeTradeTransaction,
+    fetchBondingCurveState,
+
+    // Constants
+    NATIVE_CREATE_COMPUTE_UNITS,
+    NATIVE_TRADE_COMPUTE_UNITS
+};
@@ -0,0 +1,234 @@
+/**
+ * QUOTE SERVICE - Offline buy/sell quotes from pump.fun bonding curve math
+ *
+ * Replays a sequence of planned buys and sells against a bonding curve state (the live
+ * curve of an existing mint, or the initial curve of a token about to be created) using
+ * the constant-product formula with trade fees. No transaction is built or sent.
+ *
+ * MONOCODE Compliance: Pure quote computation separated from the single RPC read,
+ * structured logging and explicit errors for unquotable steps.
+ */
+
+const web3 = require('@solana/web3.js');
+const { getBondingCurveState } = require('../utils/solanaUtils');
+const {
+    getInitialBondingCurveState,
+    getBondingCurveMetrics,
+    applyBuyToCurve,
+    applySellToCurve,
+    PUMP_FEE_BPS,
+    PUMP_TOKEN_DECIMALS,
+    INITIAL_REAL_TOKEN_RESERVES
+} = require('../utils/pumpProgramUtils');
+
+const TOKEN_UNIT = 10 ** PUMP_TOKEN_DECIMALS;
+
+const toSol = (lamports) => Number(lamports) / web3.LAMPORTS_PER_SOL;
+const toUiTokens = (rawAmount) => Number(rawAmount) / TOKEN_UNIT;
+const toPercent = (part, whole) => whole > 0n ? Number(part * 1000000n / whole) / 10000 : 0;
+
+/**
+ * Summarizes a curve state for quote responses.
+ * @param {object} curve - Bonding curve state
+ * @returns {object} JSON-safe curve summary
+ */
+function summarizeCurve(curve) {
+    return {
+        ...getBondingCurveMetrics(curve),
+        complete: curve.complete,
+        virtualTokenReserves: curve.virtualTokenReserves.toString(),
+        virtualSolReserves: curve.virtualSolReserves.toString(),
+        realTokenReserves: curve.realTokenReserves.toString(),
+        realSolReserves: curve.realSolReserves.toString()
+    };
+}
+
+/**
+ * Resolves a sell step amount to raw tokens. Percentages ("50%") apply to the tokens
+ * the same walletName acquired earlier in the sequence.
+ * @returns {bigint} Raw token amount
+ * @throws {Error} If a percentage is used without a quoted position
+ */
+function resolveSellAmount(step, index, holdings) {
+    if (typeof step.amount === 'string' && step.amount.trim().endsWith('%')) {
+        const position = step.walletName ? holdings.get(step.walletName) : undefined;
+        if (!position) {
+            throw new Error(`Step ${index + 1}: percentage sells require a walletName that bought earlier in the sequence`);
+        }
+        const pct = parseFloat(step.amount.trim().replace('%', ''));
+        return position * BigInt(Math.round(pct * 100)) / 10000n;
+    }
+    return BigInt(Math.floor(Number(step.amount) * TOKEN_UNIT));
+}
+
+/**
+ * Quotes a sequence of buys and sells against a curve state.
+ * @param {object} startCurve - Bonding curve state to start from
+ * @param {Array<{action: string, amount: number|string, walletName?: string}>} steps -
+ *   Buys take `amount` in SOL (fee included); sells take a UI token amount or "x%" of a quoted position
+ * @param {object} [options={}]
+ * @param {number} [options.feeBps=PUMP_FEE_BPS] - Trade fee in basis points
+ * @param {number} [options.slippageBps] - When set, each step reports maxSolCost / minSolOutput
+ * @param {boolean} [options.stopAtComplete=false] - Stop at the step that completes the curve instead of
+ *   throwing; the steps after it are returned in `unquotedSteps`
+ * @returns {{steps: Array, holdings: Array, totals: object, finalCurve: object, unquotedSteps?: Array}}
+ * @throws {Error} If a step cannot be quoted (curve complete, oversell, invalid amount)
+ */
+function quoteTradeSequence(startCurve, steps, options = {}) {
+    const { feeBps = PUMP_FEE_BPS, slippageBps, stopAtComplete = false } = options;
+    const supply = startCurve.tokenTotalSupply;
+    const holdings = new Map();
+    const totals = { solIn: 0n, solOut: 0n, tokensBought: 0n, tokensSold: 0n, fees: 0n };
+
+    let curve = startCurve;
+    const unquotedSteps = [];
+    const quotedSteps = steps.map((step, index) => {
+        if (curve.complete) {
+            if (stopAtComplete) {
+                unquotedSteps.push({ step: index + 1, action: step.action, walletName: step.walletName || null, amount: step.amount });
+                return null;
+            }
+            throw new Error(`Step ${index + 1}: the bonding curve is complete; no further trades can be quoted`);
+        }
+        const priceBeforeSOL = getBondingCurveMetrics(curve).priceSOL;
+        let quote;
+
+        if (step.action === 'buy') {
+            const solLamports = BigInt(Math.floor(Number(step.amount) * web3.LAMPORTS_PER_SOL));
+            const buy = applyBuyToCurve(curve, solLamports, feeBps);
+            curve = buy.curve;
+            const solSpent = buy.solIntoCurve + buy.feeLamports;
+            totals.solIn += solSpent;
+            totals.tokensBought += buy.tokenAmount;
+            totals.fees += buy.feeLamports;
+            if (step.walletName) {
+                holdings.set(step.walletName, (holdings.get(step.walletName) || 0n) + buy.tokenAmount);
+            }
+            quote = {
+                solIn: toSol(solSpent),
+                tokensOut: toUiTokens(buy.tokenAmount),
+                tokensOutRaw: buy.tokenAmount.toString(),
+                feeSOL: toSol(buy.feeLamports),
+                averagePriceSOL: buy.tokenAmount > 0n ? toSol(solSpent) / toUiTokens(buy.tokenAmount) : 0,
+                supplySharePercent: toPercent(buy.tokenAmount, supply),
+                capped: buy.capped
+            };
+            if (slippageBps !== undefined) {
+                quote.maxSolCost = toSol(solSpent * BigInt(10000 + slippageBps) / 10000n);
+            }
+        } else if (step.action === 'sell') {
+            const tokenAmount = resolveSellAmount(step, index, holdings);
+            if (tokenAmount <= 0n) {
+                throw new Error(`Step ${index + 1}: sell amount resolves to zero tokens`);
+            }
+            // Only tokens that have left the curve can be sold back into it
+            const circulating = INITIAL_REAL_TOKEN_RESERVES - curve.realTokenReserves;
+            if (tokenAmount > circulating) {
+                throw new Error(`Step ${index + 1}: sell amount exceeds the ${toUiTokens(circulating)} tokens in circulation`);
+            }
+            const sell = applySellToCurve(curve, tokenAmount, feeBps);
+            curve = sell.curve;
+            totals.solOut += sell.solOut;
+            totals.tokensSold += tokenAmount;
+            totals.fees += sell.feeLamports;
+            if (step.walletName && holdings.has(step.walletName)) {
+                const remaining = holdings.get(step.walletName) - tokenAmount;
+                holdings.set(step.walletName, remaining > 0n ? remaining : 0n);
+            }
+            quote = {
+                tokensIn: toUiTokens(tokenAmount),
+                tokensInRaw: tokenAmount.toString(),
+                solOut: toSol(sell.solOut),
+                feeSOL: toSol(sell.feeLamports),
+                averagePriceSOL: toSol(sell.solOut) / toUiTokens(tokenAmount),
+                supplySharePercent: toPercent(tokenAmount, supply)
+            };
+            if (slippageBps !== undefined) {
+                quote.minSolOutput = slippageBps >= 10000 ? 0 : toSol(sell.solOut * BigInt(10000 - slippageBps) / 10000n);
+            }
+        } else {
+            throw new Error(`Step ${index + 1}: unsupported action "${step.action}" (expected "buy" or "sell")`);
+        }
+
+        const priceAfterSOL = getBondingCurveMetrics(curve).priceSOL;
+        return {
+            step: index + 1,
+            action: step.action,
+            walletName: step.walletName || null,
+            ...quote,
+            priceBeforeSOL,
+            priceAfterSOL,
+            priceImpactPercent: priceBeforeSOL > 0 ? (priceAfterSOL - priceBeforeSOL) / priceBeforeSOL * 100 : 0,
+            cumulativeSupplySharePercent: toPercent(totals.tokensBought - totals.tokensSold, supply)
+        };
+    });
+
+    return {
+        steps: quotedSteps.filter(Boolean),
+        holdings: Array.from(holdings.entries()).map(([walletName, tokens]) => ({
+            walletName,
+            tokens: toUiTokens(tokens),
+            tokensRaw: tokens.toString(),
+            supplySharePercent: toPercent(tokens, supply)
+        })),
+        totals: {
+            solIn: toSol(totals.solIn),
+            solOut: toSol(totals.solOut),
+            tokensBought: toUiTokens(totals.tokensBought),
+            tokensSold: toUiTokens(totals.tokensSold),
+            netSupplySharePercent: toPercent(totals.tokensBought - totals.tokensSold, supply),
+            feesSOL: toSol(totals.fees)
+        },
+        finalCurve: curve,
+        ...(stopAtComplete ? { unquotedSteps } : {})
+    };
+}
+
+/**
+ * Quotes a trade sequence on pump.fun. Uses the live bonding curve when `mintAddress` is
+ * given, otherwise the initial curve of a token that has not been created yet.
+ * @param {object} params
+ * @param {string} [params.mintAddress] - Existing pump.fun mint
+ * @param {Array} params.steps - Planned trades (see quoteTradeSequence)
+ * @param {number} [params.slippageBps] - Slippage used for maxSolCost / minSolOutput
+ * @param {number} [params.feeBps] - Override the trade fee
+ * @returns {Promise<object>} { success, message, source, mintAddress, initialCurve, steps, holdings, totals, finalCurve }
+ */
+async function quotePumpTradeSequence({ mintAddress, steps, slippageBps, feeBps = PUMP_FEE_BPS }) {
+    console.log(`[QuoteService] Quoting ${steps.length} steps on ${mintAddress ? `live curve of ${mintAddress}` : 'a new token curve'}`);
+
+    let startCurve;
+    if (mintAddress) {
+        startCurve = await getBondingCurveState(mintAddress);
+        if (!startCurve) {
+            return { success: false, message: `No pump.fun bonding curve found for mint ${mintAddress}.` };
+        }
+    } else {
+        startCurve = getInitialBondingCurveState(null);
+    }
+
+    try {
+        const quote = quoteTradeSequence(startCurve, steps, { feeBps, slippageBps });
+        console.log(`[QuoteService] ✅ Quote complete: ${quote.totals.tokensBought} tokens bought, net supply share ${quote.totals.netSupplySharePercent}%`);
+        return {
+            success: true,
+            message: `Quoted ${steps.length} steps.`,
+            source: mintAddress ? 'live' : 'initial',
+            mintAddress: mintAddress || null,
+            feeBps,
+            initialCurve: summarizeCurve(startCurve),
+            steps: quote.steps,
+            holdings: quote.holdings,
+            totals: quote.totals,
+            finalCurve: summarizeCurve(quote.finalCurve)
+        };
+    } catch (error) {
+        console.warn(`[QuoteService] Quote failed: ${error.message}`);
+        return { success: false, message: error.message };
+    }
+}
+
+module.exports = {
+    quoteTradeSequence,
+    quotePumpTradeSequence
+};
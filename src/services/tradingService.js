@@ -0,0 +1,1320 @@
+/**
+ * TRADING SERVICE - Pool-agnostic Token Creation and Trading Flows
+ *
+ * Shared create/buy/sell flows used by every registered pool adapter (see src/services/pools).
+ * Venue-specific behaviour (metadata upload target, token creation path, pool string) is
+ * provided by the adapter; everything else (wallet decoding, balance validation, parallel
+ * local transactions and confirmation) lives here once.
+ *
+ * MONOCODE Compliance: Observable implementation with structured logging,
+ * explicit error handling, and dependency transparency.
+ */
+
+const web3 = require('@solana/web3.js');
+const bs58 = require('bs58');
+const fs = require('fs').promises; // Needed for adapter.latestMintFile operations
+const path = require('path');
+const { Keypair } = web3;
+const { validateWalletsForTokenOperations, returnFundsToMotherWalletService } = require('./walletService');
+const {
+    executeTradeLocalTransaction,
+    executeTradeLocalTransactionWithRetry,
+    simulateTradeLocalTransaction,
+    executeParallelTransactions,
+    confirmParallelTransactions,
+    confirmTransactionViaWebSocket,
+    UNIFIED_PARALLEL_BATCH_SIZE
+} = require('./localTransactionService');
+const { executeJitoBundleTransactions, MAX_TRANSACTIONS_PER_JITO_BUNDLE } = require('./jitoBundleExecutionService');
+const { applyFinalStatuses } = require('./transactionStatusService');
+const { resolvePriorityFee } = require('./priorityFeeService');
+const { sleep } = require('../utils/transactionUtils');
+const { emitProgress } = require('../utils/progressUtils');
+const { getTokenAccountsByOwner } = require('../utils/solanaUtils');
+
+// MONOCODE Compliance: Fix bs58 decoder compatibility issue
+const bs58Decoder = bs58.default || bs58;
+
+const DEV_WALLET_NAME = "DevWallet";
+const FIRST_BUNDLED_BASE_NAME = "First Bundled Wallet";
+const MAX_BUYERS_IN_CREATE_BUNDLE = 4; // DevWallet + 4 First Bundled Wallets = 5 TXs max for create bundle
+const MAX_WALLETS_PER_BUNDLE = UNIFIED_PARALLEL_BATCH_SIZE;
+
+const MIN_SOL_BALANCE_TIPPER = 0.055;
+const MIN_SOL_BALANCE_NON_TIPPER = 0.025;
+
+// Dry runs never upload metadata; the create transaction only needs a syntactically valid URI
+const DRY_RUN_METADATA_URI = 'https://dry-run.invalid/metadata.json';
+
+/**
+ * Decodes API-provided wallets into keypair objects.
+ * @param {Array<{name: string, privateKey: string}>} wallets - Wallets from the API request.
+ * @returns {Array<{name: string, keypair: web3.Keypair, publicKey: string}>} Decoded wallets.
+ * @throws {Error} If no wallets are provided or a private key cannot be decoded.
+ */
+function loadWalletsFromRequest(wallets) {
+    if (!wallets || wallets.length === 0) {
+        throw new Error("No wallets provided in the request.");
+    }
+
+    const loadedWallets = [];
+    for (const wallet of wallets) {
+        try {
+            const keypair = Keypair.fromSecretKey(bs58Decoder.decode(wallet.privateKey));
+            loadedWallets.push({
+                name: wallet.name,
+                keypair,
+                publicKey: keypair.publicKey.toBase58()
+            });
+        } catch (error) {
+            console.error(`Failed to decode private key for wallet "${wallet.name}":`, error);
+            throw new Error(`Invalid private key for wallet "${wallet.name}".`);
+        }
+    }
+
+    console.log(`[TradingService] Successfully loaded ${loadedWallets.length} wallets from API request`);
+    return loadedWallets;
+}
+
+/**
+ * Matches buyAmountsSOL keys (e.g. "firstBundledWallet1BuySOL") to wallets by normalized name.
+ * @param {Array<{name: string}>} wallets - Candidate wallets (only `name` is required).
+ * @param {object} buyAmountsSOL - Map of `<camelCaseWalletName>BuySOL` keys to SOL amounts.
+ * @returns {Array<{wallet: object, buySOL: number, buyKey: string}>} Buyers in buyAmountsSOL key order.
+ */
+function resolveBuyersFromBuyAmounts(wallets, buyAmountsSOL) {
+    const buyers = [];
+
+    Object.keys(buyAmountsSOL).forEach(buyKey => {
+        if (buyAmountsSOL[buyKey] > 0) {
+            const normalizedBuyKey = buyKey.replace('BuySOL', '').toLowerCase();
+            const matchingWallet = wallets.find(wallet =>
+                wallet.name.toLowerCase().replace(/\s+/g, '') === normalizedBuyKey
+            );
+
+            if (matchingWallet) {
+                buyers.push({ wallet: matchingWallet, buySOL: buyAmountsSOL[buyKey], buyKey });
+                console.log(`[TradingService] Matched wallet "${matchingWallet.name}" to buy key "${buyKey}" (${buyAmountsSOL[buyKey]} SOL)`);
+            } else {
+                console.warn(`[TradingService] Warning: No wallet found matching buy key "${buyKey}". Available wallets: ${wallets.map(w => w.name).join(', ')}`);
+            }
+        }
+    });
+
+    return buyers;
+}
+
+/**
+ * Normalizes a sell percentage to the "NN%" string Pump Portal expects.
+ * @param {string|number} sellAmountPercentage - e.g. "50%", "50" or 50.
+ * @returns {string} Normalized percentage string.
+ * @throws {Error} If the percentage is not within 0-100.
+ */
+function normalizeSellPercentage(sellAmountPercentage) {
+    const pct = String(sellAmountPercentage).endsWith('%')
+        ? String(sellAmountPercentage)
+        : `${sellAmountPercentage}%`;
+    const num = parseFloat(pct.replace('%', ''));
+    if (isNaN(num) || num <= 0 || num > 100) {
+        throw new Error(`Invalid sell percentage: ${sellAmountPercentage}. Must be between 1-100.`);
+    }
+    return pct;
+}
+
+/**
+ * Validates SOL balances for wallets involved in token operations with rent consideration
+ * MONOCODE Compliance: Enhanced validation including rent exemption requirements for token accounts
+ * @param {object[]} wallets - Array of wallet objects { name, publicKey, keypair, isTipper }
+ * @param {Object} [operationOptions={}] - Options for the operation being validated
+ * @param {number} [operationOptions.solSpendPerWallet=0] - SOL amount each wallet will spend
+ * @param {Function} [operationOptions.onProgress] - Progress listener (wallet_validated events)
+ * @returns {Promise<boolean>} True if all balances are sufficient for token operations, false otherwise.
+ */
+async function checkWalletBalancesForTokenOperations(wallets, operationOptions = {}) {
+    const { solSpendPerWallet = 0, onProgress } = operationOptions;
+
+    console.log(`[TradingService] Validating ${wallets.length} wallets for token operations (may create ATAs)`);
+
+    // Group wallets by tipper status for more accurate validation
+    const groups = [
+        { label: 'tipper', isTipper: true, wallets: wallets.filter(w => w.isTipper) },
+        { label: 'non-tipper', isTipper: false, wallets: wallets.filter(w => !w.isTipper) }
+    ];
+
+    let allValid = true;
+
+    for (const group of groups) {
+        if (group.wallets.length === 0) continue;
+
+        console.log(`[TradingService] Validating ${group.wallets.length} ${group.label} wallet(s)...`);
+        const validation = await validateWalletsForTokenOperations(group.wallets, {
+            solSpendPerWallet: solSpendPerWallet,
+            mayCreateTokenAccounts: true,
+            isTipper: group.isTipper
+        });
+
+        for (const walletResult of [...validation.validWallets, ...validation.invalidWallets]) {
+            emitProgress(onProgress, 'wallet_validated', {
+                walletName: walletResult.name,
+                publicKey: walletResult.publicKey,
+                valid: Boolean(walletResult.validation && walletResult.validation.isValid),
+                isTipper: group.isTipper,
+                balanceSOL: walletResult.balance !== undefined ? walletResult.balance : null,
+                requiredSOL: walletResult.validation && walletResult.validation.totalRequired !== undefined ? walletResult.validation.totalRequired : null,
+                shortfallSOL: walletResult.validation && walletResult.validation.shortfall ? walletResult.validation.shortfall : 0,
+                error: walletResult.error || null
+            });
+        }
+
+        if (!validation.overallValid) {
+            console.error(`[TradingService] ❌ ${validation.summary.invalidCount} ${group.label} wallet(s) have insufficient balance`);
+            for (const invalid of validation.invalidWallets) {
+                if (invalid.validation && invalid.validation.shortfall) {
+                    console.error(`[TradingService]   ${invalid.name}: needs ${invalid.validation.shortfall.toFixed(8)} more SOL (has ${invalid.balance}, needs ${invalid.validation.totalRequired.toFixed(8)})`);
+                }
+            }
+            allValid = false;
+        }
+    }
+
+    if (allValid) {
+        console.log(`[TradingService] ✅ All wallets have sufficient balance for token operations (including rent exemption)`);
+    } else {
+        console.error(`[TradingService] ❌ Some wallets have insufficient balance. Token operations may fail with 'Insufficient Funds For Rent' errors.`);
+    }
+
+    return allValid;
+}
+
+/**
+ * Maps executeParallelTransactions results to the transaction entries returned by the API.
+ * @param {Array<object>} executionResults - Results from executeParallelTransactions.
+ * @returns {Array<object>} Transaction entries { walletName, action, signature, success, error, amount }.
+ */
+function toTransactionEntries(executionResults) {
+    return executionResults.map(result => ({
+        walletName: result.walletName,
+        action: result.action,
+        signature: result.signature || null,
+        success: result.success,
+        error: result.error || null,
+        amount: result.amount,
+        ...(result.bundleId !== undefined ? { bundleId: result.bundleId, bundleIndex: result.bundleIndex } : {}),
+        ...(result.simulation ? { simulation: result.simulation } : {}),
+        ...(result.priorityFeeSOL !== undefined ? { priorityFeeSOL: result.priorityFeeSOL, priorityFeeMode: result.priorityFeeMode } : {}),
+        ...(result.attempts ? { attempts: result.attempts } : {})
+    }));
+}
+
+/**
+ * Resolves the priority fee of every local transaction request from its wallet role
+ * (DevWallet or child wallet), once per role, and stores it on the request.
+ * @param {Array<object>} transactionRequests - executeParallelTransactions requests (updated in place)
+ * @param {object} [priorityFee] - Normalized strategy (see priorityFeeService); fixed default when omitted
+ * @param {string} pool - Pool the requests trade on
+ * @returns {Promise<Array<object>>} The same requests
+ */
+async function assignPriorityFees(transactionRequests, priorityFee, pool) {
+    const feesByRole = new Map();
+    for (const request of transactionRequests) {
+        const role = request.walletName === DEV_WALLET_NAME ? 'devWallet' : 'childWallets';
+        if (!feesByRole.has(role)) {
+            feesByRole.set(role, await resolvePriorityFee(priorityFee, role, { pool, mintAddress: request.mintAddress, action: request.action }));
+        }
+        request.priorityFeeSOL = feesByRole.get(role).priorityFeeSOL;
+        request.priorityFeeMode = feesByRole.get(role).mode;
+    }
+    return transactionRequests;
+}
+
+/**
+ * Marks entries whose transaction the confirmation step did not confirm, then attaches the
+ * final on-chain status (slot, meta.err, fee, decoded program error) to every entry.
+ * @param {Array<object>} transactionEntries - API transaction entries (updated in place)
+ * @param {Array<{signature: string, confirmed: boolean}>} [confirmResults=[]] - Confirmation step results
+ * @returns {Promise<Array<object>>} The same entries
+ */
+async function finalizeTransactionEntries(transactionEntries, confirmResults = []) {
+    const unconfirmed = new Set(confirmResults.filter(result => !result.confirmed).map(result => result.signature));
+    transactionEntries.forEach(entry => {
+        if (entry.signature && unconfirmed.has(entry.signature)) {
+            entry.success = false;
+            entry.error = entry.error || 'Transaction not confirmed';
+        }
+    });
+    return applyFinalStatuses(transactionEntries);
+}
+
+/**
+ * Dry-run branch of createAndBuyService: simulates the create transaction only.
+ * Buys cannot be simulated because the mint and bonding curve do not exist until the
+ * create transaction lands, so they are reported as skipped.
+ * @param {object} adapter - Pool adapter.
+ * @param {object} results - Result object being built by createAndBuyService.
+ * @param {object} context - { tokenMetadata, devWallet, buyers, createAmountSOL, slippageBps, options }
+ * @returns {Promise<object>} Completed result object.
+ */
+async function dryRunCreateAndBuy(adapter, results, { tokenMetadata, devWallet, buyers, createAmountSOL, slippageBps, options }) {
+    if (typeof adapter.simulateCreateToken !== 'function') {
+        throw new Error(`Dry run is not supported for token creation on pool "${adapter.pool}".`);
+    }
+
+    results.metadataUri = DRY_RUN_METADATA_URI;
+    const mintKeypair = Keypair.generate();
+    results.mintAddress = mintKeypair.publicKey.toBase58();
+    console.log(`[TradingService] [DRY RUN] Simulating token creation for ${tokenMetadata.symbol} (mint ${results.mintAddress})...`);
+
+    const createFee = await resolvePriorityFee(options.priorityFee, 'create', {
+        pool: adapter.pool, mintAddress: results.mintAddress, action: 'create', defaultAmountSOL: adapter.defaultCreatePriorityFeeSOL
+    });
+    const simulation = await adapter.simulateCreateToken({
+        tokenMetadata,
+        metadataUri: results.metadataUri,
+        mintKeypair,
+        devWallet,
+        createAmountSOL,
+        slippageBps,
+        options: { ...options, priorityFeeSOL: createFee.priorityFeeSOL }
+    });
+
+    results.transactions.push({
+        walletName: devWallet.name,
+        action: 'create',
+        signature: null,
+        success: simulation.success,
+        error: simulation.success ? null : simulation.programError.message,
+        amount: createAmountSOL,
+        priorityFeeSOL: createFee.priorityFeeSOL,
+        priorityFeeMode: createFee.mode,
+        simulation
+    });
+
+    buyers.forEach(buyerInfo => results.transactions.push({
+        walletName: buyerInfo.wallet.name,
+        action: 'buy',
+        signature: null,
+        success: null,
+        skipped: true,
+        error: null,
+        amount: buyerInfo.buySOL,
+        message: 'Not simulated: the token does not exist until the create transaction lands.'
+    }));
+
+    results.success = simulation.success;
+    results.message = simulation.success
+        ? `[DRY RUN] Create transaction for ${tokenMetadata.symbol} simulated successfully (${simulation.computeUnitsConsumed} CU). ${buyers.length} buy transactions not simulated.`
+        : `[DRY RUN] Create transaction simulation failed: ${simulation.programError.message}`;
+    return results;
+}
+
+/**
+ * Jito branch of createAndBuyService: the create transaction and the first
+ * MAX_BUYERS_IN_CREATE_BUNDLE buys go out as one atomic bundle, so they land in the same block.
+ * Remaining buys follow in bundles of MAX_TRANSACTIONS_PER_JITO_BUNDLE once the token exists.
+ * @param {object} adapter - Pool adapter (must provide createBundleRequest).
+ * @param {object} results - Result object being built by createAndBuyService.
+ * @param {object} context - { tokenMetadata, mintKeypair, devWallet, buyRequests, createAmountSOL, slippageBps, onProgress, jitoTip }
+ * @returns {Promise<number>} Number of buys that landed.
+ * @throws {Error} If the adapter cannot bundle its create transaction or the create bundle does not land.
+ */
+async function executeCreateAndBuyViaJito(adapter, results, { tokenMetadata, mintKeypair, devWallet, buyRequests, createAmountSOL, slippageBps, onProgress, jitoTip }) {
+    if (typeof adapter.createBundleRequest !== 'function') {
+        throw new Error(`executionMode "jito-bundle" is not supported for token creation on pool "${adapter.pool}".`);
+    }
+
+    const createRequest = {
+        action: 'create',
+        requestBody: adapter.createBundleRequest({ tokenMetadata, metadataUri: results.metadataUri, mintKeypair, devWallet, createAmountSOL, slippageBps }),
+        signerKeypair: devWallet.keypair,
+        amount: createAmountSOL,
+        walletName: devWallet.name
+    };
+
+    console.log(`[TradingService] Sending create bundle (create + ${Math.min(buyRequests.length, MAX_BUYERS_IN_CREATE_BUNDLE)} buys) via Jito...`);
+    const createBundle = await executeJitoBundleTransactions(
+        [createRequest, ...buyRequests.slice(0, MAX_BUYERS_IN_CREATE_BUNDLE)],
+        { onProgress, mintKeypair, tipStrategy: jitoTip }
+    );
+    results.bundleId = createBundle.bundles[0].bundleId;
+    results.bundles = [...createBundle.bundles];
+    results.transactions.push(...toTransactionEntries(createBundle.results));
+    if (!createBundle.bundles[0].landed) {
+        throw new Error(`Create bundle did not land: ${createBundle.bundles[0].error}`);
+    }
+    console.log(`[TradingService] ✅ Create bundle landed: ${results.bundleId}`);
+
+    const remainingBuyRequests = buyRequests.slice(MAX_BUYERS_IN_CREATE_BUNDLE);
+    if (remainingBuyRequests.length > 0) {
+        const followUp = await executeJitoBundleTransactions(remainingBuyRequests, { onProgress, firstBundleIndex: 2, tipStrategy: jitoTip });
+        results.bundles.push(...followUp.bundles);
+        results.transactions.push(...toTransactionEntries(followUp.results));
+    }
+
+    return results.transactions.filter(tx => tx.action === 'buy' && tx.success).length;
+}
+
+/**
+ * Service to create a token and perform initial buys on the adapter's pool.
+ * DevWallet creates the token via the adapter's creation path. Every wallet with a
+ * buyAmountsSOL entry (including DevWallet) then executes parallel buy transactions with confirmation.
+ *
+ * @param {object} adapter - Pool adapter resolved from the registry.
+ * @param {object} tokenMetadata - { name, symbol, description, twitter, telegram, website, showName, createAmountSOL }
+ * @param {object|null} imageData - { buffer, fileName, mimetype, size } or null
+ * @param {Array<{name: string, privateKey: string}>} wallets - API-provided wallets
+ * @param {object} buyAmountsSOL - { devWalletBuySOL: 0.01, firstBundledWallet1BuySOL: 0.01, ... }
+ * @param {number} [slippageBps=2500] - Slippage in basis points
+ * @param {object} [options={}] - Adapter-specific options (e.g. devWalletApiKey for Lightning creation)
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @param {boolean} [options.dryRun=false] - Simulate the create transaction instead of sending it (no upload, no broadcast)
+ * @param {string} [options.txBuilder] - "portal" | "native" | "auto" transaction builder for pump pool transactions
+ * @param {string} [options.executionMode="local-parallel"] - "jito-bundle" lands create + first buys atomically via Jito
+ * @param {object} [options.jitoTip] - Jito tip strategy for jito-bundle mode (see jitoTipService.normalizeTipStrategy)
+ * @param {object} [options.retryPolicy] - Retry policy for the buys in local-parallel mode (see localTransactionService.normalizeRetryPolicy)
+ * @param {object} [options.priorityFee] - Priority fee strategy per wallet role in local-parallel mode (see priorityFeeService)
+ * @returns {Promise<object>} Result object { success, mintAddress, transactions, message, metadataUri, pool }
+ */
+async function createAndBuyService(
+    adapter,
+    tokenMetadata,
+    imageData,
+    wallets,
+    buyAmountsSOL,
+    slippageBps = 2500,
+    options = {}
+) {
+    const { onProgress, dryRun = false, txBuilder, executionMode = 'local-parallel', jitoTip, retryPolicy, priorityFee } = options;
+    const results = {
+        success: false,
+        pool: adapter.pool,
+        dryRun,
+        executionMode,
+        mintAddress: null,
+        bundleId: null,
+        transactions: [],
+        message: '',
+        metadataUri: null,
+    };
+
+    try {
+        // 1. Load Wallets from API request (MONOCODE: Dependency Transparency)
+        console.log(`[TradingService] (${adapter.name}) Loading keypairs from API request...`);
+        const loadedWallets = loadWalletsFromRequest(wallets);
+
+        const devWallet = loadedWallets.find(w => w.name === DEV_WALLET_NAME);
+        if (!devWallet) {
+            throw new Error(`Creator wallet named "${DEV_WALLET_NAME}" must be provided in the wallets array.`);
+        }
+
+        const createAmountSOL = tokenMetadata.createAmountSOL || adapter.defaultCreateAmountSOL;
+        const buyers = resolveBuyersFromBuyAmounts(loadedWallets, buyAmountsSOL);
+
+        // DevWallet is the tipper (create transaction); every other buyer is a non-tipper
+        const walletsForBalanceCheck = [{ ...devWallet, isTipper: true }];
+        buyers.forEach((buyer, index) => {
+            if (buyer.wallet.publicKey === devWallet.publicKey) return;
+            // In jito-bundle mode the last transaction of every bundle pays its tip: the last buyer of the
+            // create bundle, then the last buyer of every follow-up bundle
+            const isLastBuyer = index === buyers.length - 1;
+            const followUpPosition = index - MAX_BUYERS_IN_CREATE_BUNDLE;
+            const isTipper = executionMode === 'jito-bundle' && (isLastBuyer
+                || index === MAX_BUYERS_IN_CREATE_BUNDLE - 1
+                || (followUpPosition >= 0 && followUpPosition % MAX_TRANSACTIONS_PER_JITO_BUNDLE === MAX_TRANSACTIONS_PER_JITO_BUNDLE - 1));
+            walletsForBalanceCheck.push({ ...buyer.wallet, isTipper });
+        });
+
+        // Calculate SOL spend per wallet for validation (sum of buy amounts + create amount for DevWallet)
+        const devWalletTotalSpend = createAmountSOL + (buyAmountsSOL.devWalletBuySOL || 0);
+        const maxBuyAmount = Math.max(
+            devWalletTotalSpend, // DevWallet spends on both create and buy
+            ...buyers.map(buyer => buyer.buySOL)
+        );
+
+        const balancesValid = await checkWalletBalancesForTokenOperations(walletsForBalanceCheck, {
+            solSpendPerWallet: maxBuyAmount,
+            onProgress
+        });
+        if (dryRun) {
+            // Report instead of aborting so the simulation still shows what would fail
+            results.balanceCheckPassed = balancesValid;
+            return await dryRunCreateAndBuy(adapter, results, { tokenMetadata, devWallet, buyers, createAmountSOL, slippageBps, options });
+        }
+        if (!balancesValid) {
+            throw new Error("Insufficient SOL balance in one or more participating wallets for token operations (including rent exemption requirements).");
+        }
+
+        // 2. Metadata and IPFS Upload (venue-specific)
+        if (imageData && imageData.buffer) {
+            console.log(`[TradingService] Using uploaded image: ${imageData.fileName} (${imageData.size} bytes, ${imageData.mimetype})`);
+        } else {
+            console.log(`[TradingService] No image provided. Creating token with metadata only.`);
+        }
+        results.metadataUri = await adapter.uploadMetadata(tokenMetadata, imageData);
+        console.log(`[TradingService] Token metadata uploaded: ${results.metadataUri}`);
+
+        // 3. Generate Mint Keypair
+        const mintKeypair = Keypair.generate();
+        results.mintAddress = mintKeypair.publicKey.toBase58();
+        console.log(`[TradingService] New token mint address: ${results.mintAddress}`);
+
+        // Local transactions support batching - no hard limit needed // but there is a pseudo hard limit for buyers length now at 200 wallets
+        console.log(`[TradingService] Processing ${buyers.length} buy transactions + 1 create transaction via ${executionMode} execution`);
+        if (buyers.length > 200) {
+            console.warn(`[TradingService] Warning: ${buyers.length} buy transactions requested. Consider using batch-buy endpoint for better performance.`);
+        }
+
+        const buyRequests = buyers.map(buyerInfo => ({
+            action: 'buy',
+            mintAddress: results.mintAddress,
+            signerKeypair: buyerInfo.wallet.keypair,
+            amount: buyerInfo.buySOL,
+            denominatedInSol: true,
+            slippage: slippageBps,
+            pool: adapter.pool,
+            walletName: buyerInfo.wallet.name
+        }));
+
+        let successfulBuys = 0;
+        let buyConfirmResults = [];
+        if (executionMode === 'jito-bundle') {
+            // 4-6. Create + first buys in one atomic Jito bundle, remaining buys in follow-up bundles
+            successfulBuys = await executeCreateAndBuyViaJito(adapter, results, {
+                tokenMetadata, mintKeypair, devWallet, buyRequests, createAmountSOL, slippageBps, onProgress, jitoTip
+            });
+        } else {
+            // 4. Create Token (venue-specific creation path)
+            console.log(`[TradingService] Creating token ${tokenMetadata.symbol} on pool "${adapter.pool}"...`);
+            const createFee = await resolvePriorityFee(priorityFee, 'create', {
+                pool: adapter.pool, mintAddress: results.mintAddress, action: 'create', defaultAmountSOL: adapter.defaultCreatePriorityFeeSOL
+            });
+            const createSignature = await adapter.createToken({
+                tokenMetadata,
+                metadataUri: results.metadataUri,
+                mintKeypair,
+                devWallet,
+                createAmountSOL,
+                slippageBps,
+                options: { ...options, priorityFeeSOL: createFee.priorityFeeSOL }
+            });
+
+            results.transactions.push({
+                walletName: devWallet.name,
+                action: 'create',
+                signature: createSignature,
+                success: true,
+                error: null,
+                amount: createAmountSOL,
+                priorityFeeSOL: createFee.priorityFeeSOL,
+                priorityFeeMode: createFee.mode
+            });
+
+            console.log(`[TradingService] ✅ Token creation transaction sent: ${createSignature}`);
+            emitProgress(onProgress, 'tx_sent', { walletName: devWallet.name, action: 'create', signature: createSignature });
+
+            // 5. Confirm Token Creation
+            console.log(`[TradingService] Confirming token creation transaction via WebSocket...`);
+            const createConfirmed = await confirmTransactionViaWebSocket(createSignature, 'confirmed', 30000);
+            if (!createConfirmed) {
+                const [createEntry] = await finalizeTransactionEntries(results.transactions, [{ signature: createSignature, confirmed: false }]);
+                emitProgress(onProgress, 'tx_failed', { walletName: devWallet.name, action: 'create', signature: createSignature, error: createEntry.error });
+                throw new Error(`Token creation transaction confirmation failed: ${createSignature} (${createEntry.error})`);
+            }
+            console.log(`[TradingService] ✅ Token creation confirmed via WebSocket!`);
+            emitProgress(onProgress, 'tx_confirmed', { walletName: devWallet.name, action: 'create', signature: createSignature });
+
+            // 6. Execute Parallel Buy Transactions
+            if (buyers.length > 0) {
+                console.log(`[TradingService] Executing ${buyers.length} parallel buy transactions...`);
+
+                await assignPriorityFees(buyRequests, priorityFee, adapter.pool);
+                const buyResults = await executeParallelTransactions(buyRequests, UNIFIED_PARALLEL_BATCH_SIZE, { onProgress, txBuilder, retryPolicy });
+                results.transactions.push(...toTransactionEntries(buyResults));
+
+                successfulBuys = buyResults.filter(r => r.success).length;
+                console.log(`[TradingService] ✅ Buy transactions complete: ${successfulBuys}/${buyResults.length} successful`);
+
+                // Confirm buy transactions in parallel
+                // Transactions landed through a retry policy are already confirmed
+                const buySignatures = buyResults.filter(r => r.success && !r.confirmed).map(r => r.signature);
+                if (buySignatures.length > 0) {
+                    console.log(`[TradingService] Confirming ${buySignatures.length} buy transactions...`);
+                    buyConfirmResults = await confirmParallelTransactions(buySignatures, 'confirmed', 30000, { onProgress });
+                    const confirmedBuys = buyConfirmResults.filter(r => r.confirmed).length;
+                    console.log(`[TradingService] ✅ Buy confirmations complete: ${confirmedBuys}/${buySignatures.length} confirmed`);
+                }
+            }
+        }
+
+        // 7. Final on-chain status of every transaction (success = landed without error)
+        await finalizeTransactionEntries(results.transactions, buyConfirmResults);
+        successfulBuys = results.transactions.filter(tx => tx.action === 'buy' && tx.success).length;
+
+        results.success = true;
+        results.message = executionMode === 'jito-bundle'
+            ? `Token ${tokenMetadata.symbol} created and ${successfulBuys}/${buyers.length} buy transactions landed in ${results.bundles.length} Jito bundle(s). Mint: ${results.mintAddress}`
+            : `Token ${tokenMetadata.symbol} created and ${successfulBuys}/${buyers.length} buy transactions landed. Mint: ${results.mintAddress}`;
+        console.log(`[TradingService] ✅ Create and buy service completed successfully!`);
+
+        // Save mint address
+        await fs.mkdir(path.dirname(adapter.latestMintFile), { recursive: true });
+        await fs.writeFile(adapter.latestMintFile, results.mintAddress);
+        console.log(`Saved new mint address to ${adapter.latestMintFile}`);
+
+    } catch (error) {
+        console.error(`Error in createAndBuyService (${adapter.name}):`, error);
+        results.message = error.message;
+        results.success = false;
+        await finalizeTransactionEntries(results.transactions);
+    }
+    return results;
+}
+
+/**
+ * Service for batch buying a token with multiple child wallets.
+ * Excludes DevWallet and First Bundled Wallets 1-4.
+ * Buys in batches of up to MAX_WALLETS_PER_BUNDLE.
+ *
+ * @param {object} adapter - Pool adapter resolved from the registry.
+ * @param {string} mintAddress - Token mint address
+ * @param {number} solAmountPerWallet - SOL each wallet spends
+ * @param {number} [slippageBps=2500] - Slippage in basis points
+ * @param {string[]} [targetWalletNames] - Optional subset of eligible wallet names
+ * @param {Array<{name: string, privateKey: string}>} wallets - API-provided wallets
+ * @param {object} [options={}] - Execution options
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @param {boolean} [options.dryRun=false] - Simulate every transaction instead of sending it
+ * @param {string} [options.txBuilder] - "portal" | "native" | "auto" transaction builder for pump pool transactions
+ * @param {string} [options.executionMode="local-parallel"] - "jito-bundle" sends each batch as Jito bundles of up to 5 transactions
+ * @param {object} [options.jitoTip] - Jito tip strategy for jito-bundle mode (see jitoTipService.normalizeTipStrategy)
+ * @param {object} [options.retryPolicy] - Retry policy in local-parallel mode (see localTransactionService.normalizeRetryPolicy)
+ * @param {object} [options.priorityFee] - Priority fee strategy per wallet role in local-parallel mode (see priorityFeeService)
+ * @returns {Promise<object>} Overall result with per-batch bundleResults
+ */
+async function batchBuyService(
+    adapter,
+    mintAddress,
+    solAmountPerWallet,
+    slippageBps = 2500,
+    targetWalletNames,
+    wallets,
+    options = {}
+) {
+    const { onProgress, dryRun = false, txBuilder, executionMode = 'local-parallel', jitoTip, retryPolicy, priorityFee } = options;
+    // Dry runs simulate every transaction individually whatever the execution mode
+    const useJito = executionMode === 'jito-bundle' && !dryRun;
+    const overallResult = {
+        success: false,
+        pool: adapter.pool,
+        dryRun,
+        executionMode,
+        message: '',
+        mintAddress: mintAddress,
+        totalBundlesSent: 0,
+        successfulBundles: 0,
+        failedBundles: 0,
+        skippedBundles: 0,
+        bundleResults: [] // Array of { bundleId, success, message, transactions: [] }
+    };
+
+    try {
+        const loadedWallets = loadWalletsFromRequest(wallets);
+
+        // Filter for eligible wallets
+        let eligibleWallets = loadedWallets.filter(wallet => {
+            if (wallet.name === DEV_WALLET_NAME) return false;
+            for (let i = 1; i <= MAX_BUYERS_IN_CREATE_BUNDLE; i++) { // Max 4 "First Bundled Wallets"
+                if (wallet.name === `${FIRST_BUNDLED_BASE_NAME} ${i}`) return false;
+            }
+            return true;
+        });
+
+        if (targetWalletNames && targetWalletNames.length > 0) {
+            eligibleWallets = eligibleWallets.filter(ew => targetWalletNames.includes(ew.name));
+        }
+
+        if (eligibleWallets.length === 0) {
+            throw new Error("No eligible child wallets found for batch buy operation based on criteria.");
+        }
+
+        console.log(`[TradingService] (${adapter.name}) Attempting batch buy for ${mintAddress} with ${eligibleWallets.length} eligible wallets.`);
+
+        const numBatches = Math.ceil(eligibleWallets.length / MAX_WALLETS_PER_BUNDLE);
+
+        for (let i = 0; i < numBatches; i++) {
+            const batch = eligibleWallets.slice(i * MAX_WALLETS_PER_BUNDLE, (i + 1) * MAX_WALLETS_PER_BUNDLE);
+            if (batch.length === 0) continue;
+
+            console.log(`Processing batch ${i + 1}/${numBatches} with ${batch.length} wallets.`);
+            const batchBundleResult = {
+                bundleId: null,
+                success: false,
+                message: '',
+                skipped: false,
+                transactions: []
+            };
+
+            try {
+                const walletsForBalanceCheck = batch.map((wallet, index) => ({
+                    ...wallet,
+                    // First wallet in the batch is the tipper (jito-bundle: the last wallet of every bundle)
+                    isTipper: useJito
+                        ? index % MAX_TRANSACTIONS_PER_JITO_BUNDLE === MAX_TRANSACTIONS_PER_JITO_BUNDLE - 1 || index === batch.length - 1
+                        : index === 0
+                }));
+                const balancesValid = await checkWalletBalancesForTokenOperations(walletsForBalanceCheck, {
+                    solSpendPerWallet: solAmountPerWallet,
+                    onProgress
+                });
+                if (dryRun) {
+                    batchBundleResult.balanceCheckPassed = balancesValid; // Reported, not enforced, in dry runs
+                } else if (!balancesValid) {
+                    throw new Error(`Insufficient SOL balance in one or more wallets for batch ${i + 1} (including rent exemption requirements).`);
+                }
+
+                const buyRequests = batch.map(wallet => ({
+                    action: 'buy',
+                    mintAddress: mintAddress,
+                    signerKeypair: wallet.keypair,
+                    amount: solAmountPerWallet,
+                    denominatedInSol: true,
+                    slippage: slippageBps,
+                    pool: adapter.pool,
+                    walletName: wallet.name
+                }));
+
+                console.log(`[TradingService] Executing ${batch.length} parallel buy transactions for batch ${i + 1} of ${numBatches}...`);
+
+                let buyResults;
+                if (useJito) {
+                    const jitoExecution = await executeJitoBundleTransactions(buyRequests, { onProgress, tipStrategy: jitoTip });
+                    buyResults = jitoExecution.results;
+                    batchBundleResult.bundleId = jitoExecution.bundles[0].bundleId;
+                    batchBundleResult.bundles = jitoExecution.bundles;
+                } else {
+                    await assignPriorityFees(buyRequests, priorityFee, adapter.pool);
+                    buyResults = await executeParallelTransactions(buyRequests, UNIFIED_PARALLEL_BATCH_SIZE, { onProgress, dryRun, txBuilder, retryPolicy });
+                }
+                batchBundleResult.transactions.push(...toTransactionEntries(buyResults));
+
+                const sentBuys = buyResults.filter(r => r.success).length;
+                console.log(`[TradingService] ✅ Batch ${i + 1} buy transactions complete: ${sentBuys}/${buyResults.length} successful`);
+
+                // Confirm buy transactions in parallel (landed Jito bundles are already confirmed)
+                const buySignatures = useJito ? [] : buyResults.filter(r => r.success && r.signature && !r.confirmed).map(r => r.signature);
+                let confirmResults = [];
+                if (buySignatures.length > 0) {
+                    console.log(`[TradingService] Confirming ${buySignatures.length} buy transactions for batch ${i + 1}...`);
+                    confirmResults = await confirmParallelTransactions(buySignatures, 'confirmed', 30000, { onProgress });
+                    const confirmedBuys = confirmResults.filter(r => r.confirmed).length;
+                    console.log(`[TradingService] ✅ Batch ${i + 1} confirmations complete: ${confirmedBuys}/${buySignatures.length} confirmed`);
+                }
+
+                if (!dryRun) {
+                    await finalizeTransactionEntries(batchBundleResult.transactions, confirmResults);
+                }
+                const successfulBuys = batchBundleResult.transactions.filter(tx => tx.success).length;
+                batchBundleResult.success = successfulBuys > 0;
+                batchBundleResult.message = `Batch ${i + 1}: ${successfulBuys}/${batch.length} buy transactions ${dryRun ? 'simulated successfully' : 'landed'}`;
+                console.log(`[TradingService] ✅ Batch ${i + 1} processing complete!`);
+
+                if (batchBundleResult.success) {
+                    overallResult.successfulBundles++;
+                } else {
+                    overallResult.failedBundles++;
+                }
+            } catch (batchError) {
+                console.error(`Error processing batch ${i + 1}:`, batchError);
+                batchBundleResult.message = batchError.message;
+                batchBundleResult.success = false;
+                overallResult.failedBundles++;
+            }
+            overallResult.bundleResults.push(batchBundleResult);
+            overallResult.totalBundlesSent++;
+            emitProgress(onProgress, 'batch_complete', {
+                batchIndex: i + 1,
+                totalBatches: numBatches,
+                success: batchBundleResult.success,
+                successful: batchBundleResult.transactions.filter(tx => tx.success).length,
+                failed: batchBundleResult.transactions.filter(tx => !tx.success).length,
+                message: batchBundleResult.message
+            });
+            if (i < numBatches - 1 && !dryRun) await sleep(2000); // Delay between sending bundles
+        }
+
+        overallResult.success = overallResult.failedBundles === 0 && overallResult.totalBundlesSent > 0;
+        if (overallResult.success) {
+            overallResult.message = dryRun
+                ? `[DRY RUN] All ${overallResult.successfulBundles} batch buy bundles simulated successfully.`
+                : `All ${overallResult.successfulBundles} batch buy bundles confirmed successfully.`;
+        } else if (overallResult.totalBundlesSent > 0) {
+            overallResult.message = `Batch buy process completed with ${overallResult.successfulBundles} successful and ${overallResult.failedBundles} failed bundles out of ${overallResult.totalBundlesSent}.`;
+        } else {
+            overallResult.message = "No batches were processed.";
+        }
+
+    } catch (error) {
+        console.error(`Error in batchBuyService (${adapter.name}):`, error);
+        overallResult.message = error.message;
+        overallResult.success = false;
+    }
+    return overallResult;
+}
+
+/**
+ * Service for DevWallet to sell a percentage of tokens.
+ *
+ * @param {object} adapter - Pool adapter resolved from the registry.
+ * @param {string} mintAddress - Token mint address
+ * @param {string|number} sellAmountPercentage - e.g. "50%" or "100%"
+ * @param {number} [slippageBps=2500] - Slippage in basis points
+ * @param {Array<{name: string, privateKey: string}>} wallets - API-provided wallets (must include DevWallet)
+ * @param {object} [options={}] - Execution options
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @param {boolean} [options.dryRun=false] - Simulate the sell transaction instead of sending it
+ * @param {string} [options.txBuilder] - "portal" | "native" | "auto" transaction builder for pump pool transactions
+ * @param {object} [options.retryPolicy] - Retry policy for the sell (see localTransactionService.normalizeRetryPolicy)
+ * @param {object} [options.priorityFee] - Priority fee strategy; the sell uses the devWallet role (see priorityFeeService)
+ * @returns {Promise<object>} Result object { success, message, mintAddress, transactions, pool }
+ */
+async function devSellService(
+    adapter,
+    mintAddress,
+    sellAmountPercentage,
+    slippageBps = 2500,
+    wallets,
+    options = {}
+) {
+    const { onProgress, dryRun = false, txBuilder, retryPolicy, priorityFee } = options;
+    const results = {
+        success: false,
+        pool: adapter.pool,
+        dryRun,
+        message: '',
+        mintAddress: mintAddress,
+        bundleId: null,
+        transactions: []
+    };
+
+    try {
+        const loadedWallets = loadWalletsFromRequest(wallets);
+
+        const devWallet = loadedWallets.find(w => w.name === DEV_WALLET_NAME);
+        if (!devWallet) {
+            throw new Error("DevWallet not found in provided wallets array.");
+        }
+
+        console.log(`[TradingService] (${adapter.name}) Attempting to sell ${sellAmountPercentage} of ${mintAddress} from DevWallet (${devWallet.publicKey}).`);
+
+        // MONOCODE Fix: Validate & normalize percentage string only - Portal API handles balance lookup
+        const pct = normalizeSellPercentage(sellAmountPercentage);
+        console.log(`[TradingService] Validated sell percentage: ${pct} for ${mintAddress}`);
+
+        // DevWallet is the tipper for this single transaction
+        const balancesValid = await checkWalletBalancesForTokenOperations([{ ...devWallet, isTipper: true }], {
+            solSpendPerWallet: 0, // Selling tokens doesn't require SOL spend, but may need rent for ATAs
+            onProgress
+        });
+        const sellFee = await resolvePriorityFee(priorityFee, 'devWallet', { pool: adapter.pool, mintAddress, action: 'sell' });
+        const feeFields = { priorityFeeSOL: sellFee.priorityFeeSOL, priorityFeeMode: sellFee.mode };
+        if (dryRun) {
+            results.balanceCheckPassed = balancesValid; // Reported, not enforced, in dry runs
+            const simulation = await simulateTradeLocalTransaction(
+                'sell',
+                mintAddress,
+                devWallet.keypair,
+                pct,
+                false,
+                slippageBps,
+                adapter.pool,
+                { onProgress, walletName: devWallet.name, txBuilder, priorityFeeSOL: sellFee.priorityFeeSOL }
+            );
+            results.transactions.push({
+                walletName: devWallet.name,
+                action: "sell",
+                signature: null,
+                success: simulation.success,
+                error: simulation.success ? null : simulation.programError.message,
+                amount: pct,
+                ...feeFields,
+                simulation
+            });
+            results.success = simulation.success;
+            results.message = simulation.success
+                ? `[DRY RUN] DevWallet sell of ${pct} of ${mintAddress} simulated successfully (${simulation.computeUnitsConsumed} CU).`
+                : `[DRY RUN] DevWallet sell simulation failed: ${simulation.programError.message}`;
+            return results;
+        }
+        if (!balancesValid) {
+            throw new Error("Insufficient SOL balance in DevWallet to cover transaction and Jito tip (including rent exemption requirements).");
+        }
+
+        console.log(`[TradingService] Executing DevWallet sell transaction for ${pct} of ${mintAddress}...`);
+
+        // Portal API handles balance lookup and calculation internally
+        const sellArgs = [
+            'sell',
+            mintAddress,
+            devWallet.keypair,
+            pct, // Pass normalized percentage string
+            false, // denominatedInSol - false when using percentage
+            slippageBps,
+            adapter.pool,
+            { onProgress, walletName: devWallet.name, txBuilder, retryPolicy, priorityFeeSOL: sellFee.priorityFeeSOL }
+        ];
+
+        let sellSignature;
+        let confirmed;
+        if (retryPolicy) {
+            // Retries rebroadcast until the sell lands, so no separate confirmation is needed
+            const execution = await executeTradeLocalTransactionWithRetry(...sellArgs);
+            sellSignature = execution.signature;
+            confirmed = execution.landed;
+            results.transactions.push({
+                walletName: devWallet.name,
+                action: "sell",
+                signature: sellSignature,
+                success: execution.landed,
+                error: execution.error,
+                amount: pct,
+                ...feeFields,
+                priorityFeeSOL: execution.attempts[execution.attempts.length - 1].priorityFeeSOL,
+                attempts: execution.attempts
+            });
+        } else {
+            sellSignature = await executeTradeLocalTransaction(...sellArgs);
+
+            results.transactions.push({
+                walletName: devWallet.name,
+                action: "sell",
+                signature: sellSignature,
+                success: true,
+                error: null,
+                amount: pct, // Log percentage sold
+                ...feeFields
+            });
+
+            console.log(`[TradingService] ✅ DevWallet sell transaction successful: ${sellSignature}`);
+            emitProgress(onProgress, 'tx_sent', { walletName: devWallet.name, action: 'sell', signature: sellSignature });
+
+            // Confirm the sell transaction via WebSocket
+            console.log(`[TradingService] Confirming DevWallet sell transaction via WebSocket...`);
+            confirmed = await confirmTransactionViaWebSocket(sellSignature, 'confirmed', 30000);
+        }
+        const [sellEntry] = await finalizeTransactionEntries(results.transactions, [{ signature: sellSignature, confirmed }]);
+
+        if (confirmed) {
+            emitProgress(onProgress, 'tx_confirmed', { walletName: devWallet.name, action: 'sell', signature: sellSignature });
+            results.success = true;
+            results.message = `DevWallet successfully sold ${pct} of ${mintAddress}. Transaction: ${sellSignature}`;
+            console.log(`[TradingService] ✅ DevWallet sell transaction confirmed!`);
+        } else {
+            emitProgress(onProgress, 'tx_failed', { walletName: devWallet.name, action: 'sell', signature: sellSignature, error: sellEntry.error });
+            throw new Error(sellSignature
+                ? `DevWallet sell transaction ${sellSignature} confirmation failed (${sellEntry.error})`
+                : `DevWallet sell transaction failed (${sellEntry.error})`);
+        }
+
+    } catch (error) {
+        console.error(`Error in devSellService (${adapter.name}):`, error);
+        results.message = error.message;
+        results.success = false;
+    }
+    return results;
+}
+
+/**
+ * Service for batch selling tokens from all child wallets (excluding DevWallet).
+ * Executes parallel sell transactions in batches of up to MAX_WALLETS_PER_BUNDLE.
+ *
+ * @param {object} adapter - Pool adapter resolved from the registry.
+ * @param {string} mintAddress - Token mint address
+ * @param {string|number} sellAmountPercentage - e.g. "50%" or "100%"
+ * @param {number} [slippageBps=2500] - Slippage in basis points
+ * @param {string[]} [targetWalletNames] - Optional subset of eligible wallet names
+ * @param {Array<{name: string, privateKey: string}>} wallets - API-provided wallets
+ * @param {object} [options={}] - Execution options
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @param {boolean} [options.dryRun=false] - Simulate every transaction instead of sending it
+ * @param {string} [options.txBuilder] - "portal" | "native" | "auto" transaction builder for pump pool transactions
+ * @param {string} [options.executionMode="local-parallel"] - "jito-bundle" sends each batch as Jito bundles of up to 5 transactions
+ * @param {object} [options.jitoTip] - Jito tip strategy for jito-bundle mode (see jitoTipService.normalizeTipStrategy)
+ * @param {object} [options.retryPolicy] - Retry policy in local-parallel mode (see localTransactionService.normalizeRetryPolicy)
+ * @param {object} [options.priorityFee] - Priority fee strategy per wallet role in local-parallel mode (see priorityFeeService)
+ * @returns {Promise<object>} Overall result with per-batch bundleResults
+ */
+async function batchSellService(
+    adapter,
+    mintAddress,
+    sellAmountPercentage,
+    slippageBps = 2500,
+    targetWalletNames,
+    wallets,
+    options = {}
+) {
+    const { onProgress, dryRun = false, txBuilder, executionMode = 'local-parallel', jitoTip, retryPolicy, priorityFee } = options;
+    // Dry runs simulate every transaction individually whatever the execution mode
+    const useJito = executionMode === 'jito-bundle' && !dryRun;
+    const overallResult = {
+        success: false,
+        pool: adapter.pool,
+        dryRun,
+        executionMode,
+        message: '',
+        mintAddress: mintAddress,
+        totalBundlesSent: 0,
+        successfulBundles: 0,
+        failedBundles: 0,
+        skippedBundles: 0,
+        bundleResults: [] // Array of { bundleId, success, message, transactions: [] }
+    };
+
+    try {
+        const loadedWallets = loadWalletsFromRequest(wallets);
+
+        // Filter for eligible wallets (exclude DevWallet by default)
+        let eligibleWallets = loadedWallets.filter(wallet => wallet.name !== DEV_WALLET_NAME);
+
+        if (targetWalletNames && targetWalletNames.length > 0) {
+            eligibleWallets = eligibleWallets.filter(ew => targetWalletNames.includes(ew.name));
+        }
+
+        if (eligibleWallets.length === 0) {
+            throw new Error("No eligible child wallets found for batch sell operation based on criteria.");
+        }
+
+        console.log(`[TradingService] (${adapter.name}) Attempting batch sell for ${mintAddress} with ${eligibleWallets.length} eligible wallets.`);
+
+        // MONOCODE Fix: Validate & normalize percentage string - let Portal API handle balance lookup
+        const pct = normalizeSellPercentage(sellAmountPercentage);
+
+        const numBatches = Math.ceil(eligibleWallets.length / MAX_WALLETS_PER_BUNDLE);
+
+        for (let i = 0; i < numBatches; i++) {
+            const batch = eligibleWallets.slice(i * MAX_WALLETS_PER_BUNDLE, (i + 1) * MAX_WALLETS_PER_BUNDLE);
+            if (batch.length === 0) continue;
+
+            console.log(`Processing batch ${i + 1}/${numBatches} with ${batch.length} wallets.`);
+            const batchBundleResult = {
+                bundleId: null,
+                success: false,
+                message: '',
+                transactions: []
+            };
+
+            try {
+                const walletsForBalanceCheck = batch.map((wallet, index) => ({
+                    ...wallet,
+                    // First wallet in the batch is the tipper (jito-bundle: the last wallet of every bundle)
+                    isTipper: useJito
+                        ? index % MAX_TRANSACTIONS_PER_JITO_BUNDLE === MAX_TRANSACTIONS_PER_JITO_BUNDLE - 1 || index === batch.length - 1
+                        : index === 0
+                }));
+                const balancesValid = await checkWalletBalancesForTokenOperations(walletsForBalanceCheck, {
+                    solSpendPerWallet: 0, // Selling tokens doesn't require SOL spend, but may need rent for ATAs
+                    onProgress
+                });
+                if (dryRun) {
+                    batchBundleResult.balanceCheckPassed = balancesValid; // Reported, not enforced, in dry runs
+                } else if (!balancesValid) {
+                    throw new Error(`Insufficient SOL balance in one or more wallets for batch ${i + 1} (including rent exemption requirements).`);
+                }
+
+                // Pass percentage to all wallets; Portal API will handle zero-balance failures
+                const sellRequests = batch.map(wallet => ({
+                    action: 'sell',
+                    mintAddress,
+                    signerKeypair: wallet.keypair,
+                    amount: pct,
+                    denominatedInSol: false,
+                    slippage: slippageBps,
+                    pool: adapter.pool,
+                    walletName: wallet.name
+                }));
+
+                console.log(`[TradingService] Executing ${sellRequests.length} parallel sell transactions with ${pct} for batch ${i + 1} of ${numBatches}...`);
+
+                let sellResults;
+                if (useJito) {
+                    const jitoExecution = await executeJitoBundleTransactions(sellRequests, { onProgress, tipStrategy: jitoTip });
+                    sellResults = jitoExecution.results;
+                    batchBundleResult.bundleId = jitoExecution.bundles[0].bundleId;
+                    batchBundleResult.bundles = jitoExecution.bundles;
+                } else {
+                    await assignPriorityFees(sellRequests, priorityFee, adapter.pool);
+                    sellResults = await executeParallelTransactions(sellRequests, UNIFIED_PARALLEL_BATCH_SIZE, { onProgress, dryRun, txBuilder, retryPolicy });
+                }
+                batchBundleResult.transactions.push(...toTransactionEntries(sellResults));
+
+                const sentSells = sellResults.filter(r => r.success).length;
+                console.log(`[TradingService] ✅ Batch ${i + 1} sell transactions complete: ${sentSells}/${sellResults.length} successful`);
+
+                // Confirm sell transactions in parallel (landed Jito bundles are already confirmed)
+                const sellSignatures = useJito ? [] : sellResults.filter(r => r.success && r.signature && !r.confirmed).map(r => r.signature);
+                let confirmResults = [];
+                if (sellSignatures.length > 0) {
+                    console.log(`[TradingService] Confirming ${sellSignatures.length} sell transactions for batch ${i + 1}...`);
+                    confirmResults = await confirmParallelTransactions(sellSignatures, 'confirmed', 30000, { onProgress });
+                    const confirmedSells = confirmResults.filter(r => r.confirmed).length;
+                    console.log(`[TradingService] ✅ Batch ${i + 1} confirmations complete: ${confirmedSells}/${sellSignatures.length} confirmed`);
+                }
+
+                if (!dryRun) {
+                    await finalizeTransactionEntries(batchBundleResult.transactions, confirmResults);
+                }
+                const successfulSells = batchBundleResult.transactions.filter(tx => tx.success).length;
+                batchBundleResult.success = successfulSells > 0;
+                batchBundleResult.message = `Batch ${i + 1}: ${successfulSells}/${sellRequests.length} sell transactions ${dryRun ? 'simulated successfully' : 'landed'}`;
+                console.log(`[TradingService] ✅ Batch ${i + 1} processing complete!`);
+
+                if (batchBundleResult.success) {
+                    overallResult.successfulBundles++;
+                } else {
+                    overallResult.failedBundles++;
+                }
+            } catch (batchError) {
+                console.error(`Error processing batch ${i + 1}:`, batchError);
+                batchBundleResult.message = batchError.message;
+                batchBundleResult.success = false;
+                overallResult.failedBundles++;
+            }
+            overallResult.bundleResults.push(batchBundleResult);
+            overallResult.totalBundlesSent++;
+            emitProgress(onProgress, 'batch_complete', {
+                batchIndex: i + 1,
+                totalBatches: numBatches,
+                success: batchBundleResult.success,
+                successful: batchBundleResult.transactions.filter(tx => tx.success).length,
+                failed: batchBundleResult.transactions.filter(tx => !tx.success).length,
+                message: batchBundleResult.message
+            });
+            if (i < numBatches - 1 && !dryRun) await sleep(2000); // Delay between sending bundles
+        }
+
+        const executedBundles = overallResult.totalBundlesSent - overallResult.skippedBundles;
+        overallResult.success = overallResult.failedBundles === 0; // Treat all-skipped as success (no failures)
+        if (overallResult.success) {
+            if (executedBundles === 0) {
+                overallResult.message = `Batch sell process completed: 0 executed (all ${overallResult.skippedBundles} batches skipped).`;
+            } else {
+                overallResult.message = `Batch sell process completed successfully: ${overallResult.successfulBundles} successful, 0 failed, ${overallResult.skippedBundles} skipped out of ${overallResult.totalBundlesSent}.`;
+            }
+        } else {
+            overallResult.message = `Batch sell process completed with ${overallResult.successfulBundles} successful, ${overallResult.failedBundles} failed, ${overallResult.skippedBundles} skipped out of ${overallResult.totalBundlesSent}.`;
+        }
+
+    } catch (error) {
+        console.error(`Error in batchSellService (${adapter.name}):`, error);
+        overallResult.message = error.message;
+        overallResult.success = false;
+    }
+    return overallResult;
+}
+
+/**
+ * Emergency exit: sells 100% of a mint from every holder in the wallet set (DevWallet and the
+ * other wallets in parallel), then returns SOL to the mother wallet in one call.
+ * Wallets whose sell failed keep their SOL so the sell can be retried; every failure is recorded
+ * with the step it happened in.
+ *
+ * @param {object} adapter - Pool adapter resolved from the registry.
+ * @param {string} mintAddress - Token mint address
+ * @param {Array<{name: string, privateKey: string}>} wallets - API-provided wallets (must include DevWallet)
+ * @param {string} motherWalletPublicKeyBs58 - Receives the SOL
+ * @param {object} [options={}] - Execution options
+ * @param {number} [options.slippageBps=2500] - Slippage for every sell
+ * @param {string} [options.returnMode="drain"] - return-funds mode: "drain" (close token accounts, return to zero) or "standard"
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @param {boolean} [options.dryRun=false] - Simulate the sells; no SOL is returned
+ * @param {string} [options.txBuilder] - Transaction builder for the sells
+ * @param {string} [options.executionMode="local-parallel"] - Execution mode of the non-DevWallet sells
+ * @param {object} [options.jitoTip] - Jito tip strategy for jito-bundle mode
+ * @param {object} [options.retryPolicy] - Retry policy for the sells
+ * @param {object} [options.priorityFee] - Priority fee strategy for the sells
+ * @returns {Promise<object>} { success, message, mintAddress, pool, motherWallet, steps, wallets, failures }
+ */
+async function exitPositionService(adapter, mintAddress, wallets, motherWalletPublicKeyBs58, options = {}) {
+    const {
+        slippageBps = 2500,
+        returnMode = 'drain',
+        onProgress,
+        dryRun = false,
+        txBuilder,
+        executionMode,
+        jitoTip,
+        retryPolicy,
+        priorityFee
+    } = options;
+    const report = {
+        success: false,
+        pool: adapter.pool,
+        dryRun,
+        message: '',
+        mintAddress,
+        motherWallet: motherWalletPublicKeyBs58,
+        steps: {
+            scan: { status: 'pending', holders: [], error: null },
+            sell: { status: 'pending', devSell: null, batchSell: null, error: null },
+            returnFunds: { status: 'pending', mode: returnMode, results: [], error: null }
+        },
+        wallets: [],
+        failures: []
+    };
+    const walletReports = new Map();
+
+    try {
+        const loadedWallets = loadWalletsFromRequest(wallets);
+        if (!loadedWallets.some(wallet => wallet.name === DEV_WALLET_NAME)) {
+            throw new Error("DevWallet not found in provided wallets array.");
+        }
+        loadedWallets.forEach(wallet => walletReports.set(wallet.name, {
+            name: wallet.name,
+            publicKey: wallet.publicKey,
+            held: false,
+            sell: null,
+            returnFunds: null
+        }));
+
+        // Step 1: find the holders, so the sells only target wallets that have something to sell
+        console.log(`[TradingService] (${adapter.name}) Exit: scanning ${loadedWallets.length} wallets for ${mintAddress} balances...`);
+        const scans = await Promise.allSettled(loadedWallets.map(wallet => getTokenAccountsByOwner(wallet.publicKey)));
+        scans.forEach((scan, index) => {
+            const wallet = loadedWallets[index];
+            if (scan.status === 'rejected') {
+                // Unknown balance: try to sell anyway; a wallet without tokens just fails its sell
+                walletReports.get(wallet.name).held = null;
+                report.failures.push({ step: 'scan', walletName: wallet.name, error: scan.reason.message });
+                return;
+            }
+            walletReports.get(wallet.name).held = scan.value.some(account => account.mint === mintAddress && account.amount !== '0');
+        });
+        const sellers = loadedWallets.filter(wallet => walletReports.get(wallet.name).held !== false);
+        report.steps.scan.holders = sellers.map(wallet => wallet.name);
+        report.steps.scan.status = report.failures.length > 0 ? 'partial' : 'success';
+
+        // Step 2: sell 100% from DevWallet and the other holders in parallel (both flows confirm their sells)
+        const devSeller = sellers.find(wallet => wallet.name === DEV_WALLET_NAME);
+        const otherSellerNames = sellers.filter(wallet => wallet.name !== DEV_WALLET_NAME).map(wallet => wallet.name);
+        console.log(`[TradingService] Exit: selling 100% from ${sellers.length} holder(s)...`);
+        const [devSellResult, batchSellResult] = await Promise.all([
+            devSeller
+                ? devSellService(adapter, mintAddress, '100%', slippageBps, wallets, { onProgress, dryRun, txBuilder, retryPolicy, priorityFee })
+                : null,
+            otherSellerNames.length > 0
+                ? batchSellService(adapter, mintAddress, '100%', slippageBps, otherSellerNames, wallets, { onProgress, dryRun, txBuilder, executionMode, jitoTip, retryPolicy, priorityFee })
+                : null
+        ]);
+        report.steps.sell.devSell = devSellResult;
+        report.steps.sell.batchSell = batchSellResult;
+
+        const sellEntries = [
+            ...(devSellResult ? devSellResult.transactions : []),
+            ...(batchSellResult ? batchSellResult.bundleResults.flatMap(bundle => bundle.transactions) : [])
+        ];
+        for (const entry of sellEntries) {
+            walletReports.get(entry.walletName).sell = { success: entry.success, signature: entry.signature, error: entry.error };
+        }
+        // Flow-level failures (balance check, no transactions sent) leave sellers without an entry
+        const flowErrors = [
+            ...(devSellResult && !devSellResult.success ? [[[DEV_WALLET_NAME], devSellResult.message]] : []),
+            ...(batchSellResult && !batchSellResult.success ? [[otherSellerNames, batchSellResult.message]] : [])
+        ];
+        for (const [names, message] of flowErrors) {
+            for (const name of names) {
+                const walletReport = walletReports.get(name);
+                if (!walletReport.sell) walletReport.sell = { success: false, signature: null, error: message };
+            }
+        }
+        for (const wallet of sellers) {
+            const walletReport = walletReports.get(wallet.name);
+            if (!walletReport.sell) walletReport.sell = { success: false, signature: null, error: 'No sell transaction was sent' };
+            if (!walletReport.sell.success) {
+                report.failures.push({ step: 'sell', walletName: wallet.name, error: walletReport.sell.error });
+            }
+        }
+        const failedSellers = sellers.filter(wallet => !walletReports.get(wallet.name).sell.success);
+        if (sellers.length === 0) {
+            report.steps.sell.status = 'skipped';
+        } else if (failedSellers.length === 0) {
+            report.steps.sell.status = 'success';
+        } else {
+            report.steps.sell.status = failedSellers.length === sellers.length ? 'failed' : 'partial';
+            report.steps.sell.error = `${failedSellers.length}/${sellers.length} sell(s) failed`;
+        }
+
+        // Step 3: return SOL from every wallet whose position is closed (failed sellers keep SOL for a retry)
+        const returnWallets = wallets.filter(wallet => !failedSellers.some(failed => failed.name === wallet.name));
+        if (dryRun) {
+            report.steps.returnFunds.status = 'skipped';
+            report.steps.returnFunds.error = 'Dry run: no SOL returned';
+        } else if (returnWallets.length === 0) {
+            report.steps.returnFunds.status = 'skipped';
+            report.steps.returnFunds.error = 'Every sell failed; wallets keep their SOL';
+        } else {
+            console.log(`[TradingService] Exit: returning SOL from ${returnWallets.length} wallet(s) to ${motherWalletPublicKeyBs58} (${returnMode})...`);
+            try {
+                const returnResults = await returnFundsToMotherWalletService(returnWallets, motherWalletPublicKeyBs58, null, { onProgress, mode: returnMode });
+                report.steps.returnFunds.results = returnResults;
+                for (const result of returnResults) {
+                    walletReports.get(result.name).returnFunds = {
+                        status: result.status,
+                        signature: result.signature || null,
+                        amountReturned: result.amountReturned,
+                        ...(result.rentReclaimed !== undefined ? { rentReclaimed: result.rentReclaimed } : {}),
+                        error: result.error || null
+                    };
+                    if (result.status === 'failed') {
+                        report.failures.push({ step: 'return_funds', walletName: result.name, error: result.error });
+                    }
+                }
+                const failedReturns = returnResults.filter(result => result.status === 'failed').length;
+                report.steps.returnFunds.status = failedReturns === 0 ? 'success' : (failedReturns === returnResults.length ? 'failed' : 'partial');
+            } catch (error) {
+                report.steps.returnFunds.status = 'failed';
+                report.steps.returnFunds.error = error.message;
+                report.failures.push({ step: 'return_funds', walletName: null, error: error.message });
+            }
+        }
+
+        const returned = report.steps.returnFunds.results;
+        report.totals = {
+            holders: sellers.length,
+            sold: sellers.length - failedSellers.length,
+            sellFailed: failedSellers.length,
+            solReturned: Math.round(returned.reduce((sum, result) => sum + (result.amountReturned || 0), 0) * 1e9) / 1e9,
+            rentReclaimed: Math.round(returned.reduce((sum, result) => sum + (result.rentReclaimed || 0), 0) * 1e9) / 1e9
+        };
+        report.success = report.failures.length === 0;
+        report.message = report.success
+            ? `Exit completed: sold ${report.totals.sold} holder(s), returned ${report.totals.solReturned} SOL${report.totals.rentReclaimed > 0 ? ` + ${report.totals.rentReclaimed} SOL rent` : ''} to the mother wallet.`
+            : `Exit completed with ${report.failures.length} failure(s): sell ${report.steps.sell.status}, return funds ${report.steps.returnFunds.status}.`;
+    } catch (error) {
+        console.error(`Error in exitPositionService (${adapter.name}):`, error);
+        report.message = error.message;
+        report.success = false;
+    }
+    report.wallets = Array.from(walletReports.values());
+    console.log(`[TradingService] ${report.message}`);
+    return report;
+}
+
+module.exports = {
+    createAndBuyService,
+    batchBuyService,
+    devSellService,
+    batchSellService,
+    exitPositionService,
+
+    // Shared helpers for adapters and planners
+    loadWalletsFromRequest,
+    resolveBuyersFromBuyAmounts,
+    normalizeSellPercentage,
+    checkWalletBalancesForTokenOperations,
+
+    // Constants
+    DEV_WALLET_NAME,
+    FIRST_BUNDLED_BASE_NAME,
+    MAX_BUYERS_IN_CREATE_BUNDLE,
+    MAX_WALLETS_PER_BUNDLE,
+    MIN_SOL_BALANCE_TIPPER,
+    MIN_SOL_BALANCE_NON_TIPPER
+};
@@ -0,0 +1,138 @@
+/**
+ * TRANSACTION STATUS SERVICE - Final on-chain outcome of sent transactions
+ *
+ * Sending a transaction only means the RPC node accepted it. After the confirmation step the
+ * trading flows look every signature up again (getSignatureStatuses in chunks, then
+ * getTransaction) and attach the final status, slot, meta.err, fee paid and the decoded
+ * program error to each transaction entry, so `success` reflects what happened on-chain.
+ *
+ * MONOCODE Compliance: Observable implementation with structured logging; a failing status
+ * lookup is reported on the entries and never breaks the trade flow.
+ */
+
+const web3 = require('@solana/web3.js');
+const { getSolanaConnection } = require('../utils/walletUtils');
+const { sleep, rateLimitedRpcCall } = require('../utils/transactionUtils');
+const { extractProgramError } = require('./localTransactionService');
+
+// landed: confirmed without error | failed: confirmed with meta.err | pending: seen but not confirmed
+// not_landed: unknown to the cluster | not_sent: no signature | unknown: the lookup itself failed
+const FINAL_STATUSES = ['landed', 'failed', 'pending', 'not_landed', 'not_sent', 'unknown'];
+const STATUS_BATCH_SIZE = 256; // getSignatureStatuses limit
+const TRANSACTION_FETCH_ATTEMPTS = 3; // getTransaction can lag behind the signature status
+const TRANSACTION_FETCH_DELAY_MS = 1000;
+
+/**
+ * Fetches a confirmed transaction, retrying while the node has not indexed it yet.
+ * @param {web3.Connection} connection
+ * @param {string} signature
+ * @returns {Promise<object|null>} Transaction response or null
+ */
+async function fetchConfirmedTransaction(connection, signature) {
+    for (let attempt = 1; attempt <= TRANSACTION_FETCH_ATTEMPTS; attempt++) {
+        const transaction = await rateLimitedRpcCall(async () => {
+            return await connection.getTransaction(signature, { commitment: 'confirmed', maxSupportedTransactionVersion: 0 });
+        });
+        if (transaction) return transaction;
+        if (attempt < TRANSACTION_FETCH_ATTEMPTS) await sleep(TRANSACTION_FETCH_DELAY_MS);
+    }
+    return null;
+}
+
+/**
+ * Resolves the final status of a list of signatures.
+ * @param {string[]} signatures - Transaction signatures
+ * @returns {Promise<Map<string, object>>} signature -> { finalStatus, slot, err, feeSOL, programError }
+ */
+async function getFinalTransactionStatuses(signatures) {
+    const connection = getSolanaConnection();
+    const finalStatuses = new Map();
+
+    for (let i = 0; i < signatures.length; i += STATUS_BATCH_SIZE) {
+        const chunk = signatures.slice(i, i + STATUS_BATCH_SIZE);
+        const response = await rateLimitedRpcCall(async () => {
+            return await connection.getSignatureStatuses(chunk, { searchTransactionHistory: true });
+        });
+
+        await Promise.all(chunk.map(async (signature, index) => {
+            const status = response.value[index];
+            if (!status) {
+                finalStatuses.set(signature, { finalStatus: 'not_landed', slot: null, err: null, feeSOL: null, programError: null });
+                return;
+            }
+            const confirmed = status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized';
+            if (!confirmed) {
+                finalStatuses.set(signature, { finalStatus: 'pending', slot: status.slot, err: status.err || null, feeSOL: null, programError: null });
+                return;
+            }
+
+            const transaction = await fetchConfirmedTransaction(connection, signature);
+            const meta = transaction && transaction.meta;
+            const err = meta ? meta.err : status.err;
+            finalStatuses.set(signature, {
+                finalStatus: err ? 'failed' : 'landed',
+                slot: transaction ? transaction.slot : status.slot,
+                err: err || null,
+                feeSOL: meta ? meta.fee / web3.LAMPORTS_PER_SOL : null,
+                programError: extractProgramError(err, meta ? meta.logMessages : [])
+            });
+        }));
+    }
+    return finalStatuses;
+}
+
+/**
+ * Attaches the final on-chain status to transaction entries (as returned in API responses)
+ * and updates `success` / `error` accordingly. Dry-run entries (with `simulation`) and entries
+ * that already carry a finalStatus are left untouched.
+ * @param {Array<object>} transactionEntries - Entries with at least { signature }
+ * @returns {Promise<Array<object>>} The same entries, updated in place
+ */
+async function applyFinalStatuses(transactionEntries) {
+    const entries = transactionEntries.filter(entry => !entry.simulation && !entry.finalStatus);
+    const signatures = entries.filter(entry => entry.signature).map(entry => entry.signature);
+
+    let finalStatuses = new Map();
+    let lookupError = null;
+    if (signatures.length > 0) {
+        try {
+            finalStatuses = await getFinalTransactionStatuses(signatures);
+        } catch (error) {
+            lookupError = error.message;
+            console.warn(`[TransactionStatusService] Final status lookup failed: ${error.message}`);
+        }
+    }
+
+    for (const entry of entries) {
+        if (!entry.signature) {
+            Object.assign(entry, { finalStatus: 'not_sent', slot: null, err: null, feeSOL: null, programError: null, success: false });
+            continue;
+        }
+        const status = finalStatuses.get(entry.signature);
+        if (!status) {
+            // Keep the confirmation step's verdict when the lookup itself failed
+            Object.assign(entry, { finalStatus: 'unknown', slot: null, err: null, feeSOL: null, programError: null, statusError: lookupError });
+            continue;
+        }
+        Object.assign(entry, status);
+        entry.success = status.finalStatus === 'landed';
+        if (status.finalStatus === 'failed') {
+            entry.error = status.programError.name
+                ? `${status.programError.name}: ${status.programError.message}`
+                : status.programError.message;
+        } else if (status.finalStatus !== 'landed') {
+            entry.error = entry.error || `Transaction ${status.finalStatus === 'pending' ? 'not confirmed' : 'did not land'}`;
+        }
+    }
+
+    const landed = entries.filter(entry => entry.finalStatus === 'landed').length;
+    console.log(`[TransactionStatusService] Final status: ${landed}/${entries.length} transactions landed`);
+    return transactionEntries;
+}
+
+module.exports = {
+    getFinalTransactionStatuses,
+    applyFinalStatuses,
+    FINAL_STATUSES,
+    STATUS_BATCH_SIZE
+};
@@ -0,0 +1,364 @@
+/**
+ * TRANSFER BATCH SERVICE - Packs many small instructions into few transactions
+ *
+ * Wallet operations that repeat one instruction per wallet (funding transfers, ...) group each
+ * wallet's instructions into an item, pack as many items as fit into each transaction
+ * (PACKET_DATA_SIZE), send the transactions in parallel and confirm them together through
+ * the confirmation service. An optional address lookup table shrinks every recipient address
+ * to one byte, so a v0 transaction holds roughly three times as many transfers.
+ *
+ * A transaction that is not confirmed in time is only re-signed and resent once its blockhash
+ * has expired without it landing, so a slow confirmation never pays a wallet twice.
+ *
+ * MONOCODE Compliance: Explicit per-item outcomes, bounded retries and structured logging.
+ */
+
+const web3 = require('@solana/web3.js');
+const bs58 = require('bs58');
+const { TokenInstruction, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const { getSolanaConnection } = require('../utils/walletUtils');
+const { getRecentBlockhash, rateLimitedRpcCall, sleep } = require('../utils/transactionUtils');
+const { isFailoverError } = require('../utils/rpcPoolUtils');
+const { waitForConfirmation } = require('./confirmationService');
+
+const bs58Codec = bs58.default || bs58;
+
+const PLACEHOLDER_BLOCKHASH = web3.PublicKey.default.toBase58(); // Sizing only: every blockhash is 32 bytes
+const BATCH_PRIORITY_FEE_MICROLAMPORTS = 200000;
+const BATCH_BASE_COMPUTE_UNITS = 1000;
+// Compute unit budget per packed instruction, with headroom over the measured cost
+const SYSTEM_TRANSFER_COMPUTE_UNITS = 300; // A SystemProgram transfer uses 150
+const DEFAULT_INSTRUCTION_COMPUTE_UNITS = 20000; // Any instruction without an estimate below
+const TOKEN_INSTRUCTION_COMPUTE_UNITS = {
+    [TokenInstruction.CloseAccount]: { token: 3500, token2022: 5000 }, // ~2.9k / ~3.5k measured
+    [TokenInstruction.Burn]: { token: 5500, token2022: 7000 }, // ~4.5k / ~5k measured
+    [TokenInstruction.BurnChecked]: { token: 5500, token2022: 7000 },
+    [TokenInstruction.TransferChecked]: { token: 7000, token2022: 10000 } // ~6.2k / ~8k measured
+};
+// Creating an associated token account CPIs into the System and Token programs
+const CREATE_ASSOCIATED_TOKEN_ACCOUNT_COMPUTE_UNITS = { token: 35000, token2022: 45000 }; // ~25k / ~32k measured
+const MAX_TRANSACTION_COMPUTE_UNITS = 1400000;
+const MAX_BATCH_SEND_ATTEMPTS = 3;
+const BATCH_CONFIRMATION_TIMEOUT_MS = 60000;
+const BLOCKHASH_EXPIRY_POLL_MS = 2000;
+const MAX_BLOCKHASH_EXPIRY_WAIT_MS = 90000;
+const LOOKUP_TABLE_META_SIZE = 56;
+const LOOKUP_TABLE_EXTEND_CHUNK = 20; // Addresses per extend instruction (fits one transaction)
+
+/**
+ * Compute units budgeted for one packed instruction, by program and instruction type.
+ * @param {web3.TransactionInstruction} instruction
+ * @returns {number}
+ */
+function estimateInstructionComputeUnits(instruction) {
+    const { programId, data } = instruction;
+    if (programId.equals(web3.SystemProgram.programId)) {
+        return SYSTEM_TRANSFER_COMPUTE_UNITS;
+    }
+    if (programId.equals(TOKEN_PROGRAM_ID) || programId.equals(TOKEN_2022_PROGRAM_ID)) {
+        const estimate = TOKEN_INSTRUCTION_COMPUTE_UNITS[data[0]];
+        if (estimate) return programId.equals(TOKEN_PROGRAM_ID) ? estimate.token : estimate.token2022;
+    }
+    if (programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+        const tokenProgramId = instruction.keys[5] && instruction.keys[5].pubkey; // create / createIdempotent account order
+        return tokenProgramId && tokenProgramId.equals(TOKEN_PROGRAM_ID)
+            ? CREATE_ASSOCIATED_TOKEN_ACCOUNT_COMPUTE_UNITS.token
+            : CREATE_ASSOCIATED_TOKEN_ACCOUNT_COMPUTE_UNITS.token2022;
+    }
+    return DEFAULT_INSTRUCTION_COMPUTE_UNITS;
+}
+
+/**
+ * Compute units budgeted for a transaction carrying the packed instructions.
+ * @param {web3.TransactionInstruction[]} instructions
+ * @returns {number}
+ */
+function estimateBatchComputeUnits(instructions) {
+    return instructions.reduce((sum, instruction) => sum + estimateInstructionComputeUnits(instruction), BATCH_BASE_COMPUTE_UNITS);
+}
+
+/**
+ * Compute budget for a transaction carrying the packed instructions.
+ * @param {web3.TransactionInstruction[]} instructions
+ * @returns {web3.TransactionInstruction[]}
+ */
+function buildBatchComputeBudget(instructions) {
+    const units = estimateBatchComputeUnits(instructions);
+    return [
+        web3.ComputeBudgetProgram.setComputeUnitLimit({ units }),
+        web3.ComputeBudgetProgram.setComputeUnitPrice({ microLamports: BATCH_PRIORITY_FEE_MICROLAMPORTS })
+    ];
+}
+
+/**
+ * Compiles instructions (plus the compute budget) into an unsigned transaction:
+ * v0 when lookup tables are given, legacy otherwise.
+ * @returns {web3.VersionedTransaction}
+ */
+function compileBatchTransaction(payer, instructions, blockhash, lookupTables = []) {
+    const message = new web3.TransactionMessage({
+        payerKey: payer,
+        recentBlockhash: blockhash,
+        instructions: [...buildBatchComputeBudget(instructions), ...instructions]
+    });
+    return new web3.VersionedTransaction(lookupTables.length > 0
+        ? message.compileToV0Message(lookupTables)
+        : message.compileToLegacyMessage());
+}
+
+/**
+ * Packs items into as few transactions as fit PACKET_DATA_SIZE and MAX_TRANSACTION_COMPUTE_UNITS, keeping item order.
+ * Signatures are counted from the compiled message, so items signed by different owners can share a transaction.
+ * @param {web3.PublicKey} payer - Fee payer
+ * @param {Array<{instructions: web3.TransactionInstruction[]}>} items
+ * @param {object} [options={}]
+ * @param {web3.AddressLookupTableAccount[]} [options.lookupTables=[]]
+ * @returns {Array<Array<number>>} Item indexes per transaction
+ * @throws {Error} If a single item does not fit a transaction
+ */
+function packItems(payer, items, { lookupTables = [] } = {}) {
+    const fits = (instructions) => {
+        if (estimateBatchComputeUnits(instructions) > MAX_TRANSACTION_COMPUTE_UNITS) return false;
+        try {
+            const { message } = compileBatchTransaction(payer, instructions, PLACEHOLDER_BLOCKHASH, lookupTables);
+            const signatureCount = message.header.numRequiredSignatures; // Below 128, so one shortvec byte
+            return message.serialize().length + 1 + signatureCount * 64 <= web3.PACKET_DATA_SIZE;
+        } catch (error) {
+            return false; // Too many account keys for the message format
+        }
+    };
+
+    const batches = [];
+    let current = [];
+    let currentInstructions = [];
+    items.forEach((item, index) => {
+        const candidate = [...currentInstructions, ...item.instructions];
+        if (current.length > 0 && !fits(candidate)) {
+            batches.push(current);
+            current = [];
+            currentInstructions = [];
+        }
+        if (current.length === 0 && !fits(item.instructions)) {
+            throw new Error(`Item ${index} does not fit in a single transaction`);
+        }
+        current.push(index);
+        currentInstructions.push(...item.instructions);
+    });
+    if (current.length > 0) batches.push(current);
+    return batches;
+}
+
+/**
+ * Waits until the cluster's block height passes lastValidBlockHeight (bounded), then reports
+ * whether the signature landed after all.
+ * @returns {Promise<{expired: boolean, status: object|null}>}
+ */
+async function waitForBlockhashExpiry(connection, signature, lastValidBlockHeight) {
+    const deadline = Date.now() + MAX_BLOCKHASH_EXPIRY_WAIT_MS;
+    let expired = false;
+    while (!expired && Date.now() < deadline) {
+        const blockHeight = await rateLimitedRpcCall(() => connection.getBlockHeight('confirmed'));
+        expired = blockHeight > lastValidBlockHeight;
+        if (!expired) await sleep(BLOCKHASH_EXPIRY_POLL_MS);
+    }
+    const response = await rateLimitedRpcCall(() => connection.getSignatureStatuses([signature], { searchTransactionHistory: true }));
+    return { expired, status: response.value[0] };
+}
+
+/**
+ * Signs, sends and confirms one transaction, re-signing on a fresh blockhash only when the
+ * previous attempt provably never landed.
+ * @param {web3.Keypair} payer - Fee payer (first signer)
+ * @param {web3.TransactionInstruction[]} instructions
+ * @param {object} [options={}]
+ * @param {web3.Keypair[]} [options.signers=[]] - Additional signers
+ * @param {web3.AddressLookupTableAccount[]} [options.lookupTables=[]]
+ * @param {string} [options.label='batch'] - Used in logs
+ * @returns {Promise<{signature: string|null, confirmed: boolean, status: string, slot: number|null, err: object|null, error: string|null, attempts: number}>}
+ */
+async function sendBatchTransaction(payer, instructions, options = {}) {
+    const { signers = [], lookupTables = [], label = 'batch' } = options;
+    const connection = getSolanaConnection();
+    let outcome = { signature: null, confirmed: false, status: 'not_sent', slot: null, err: null, error: null, attempts: 0 };
+
+    for (let attempt = 1; attempt <= MAX_BATCH_SEND_ATTEMPTS; attempt++) {
+        outcome.attempts = attempt;
+        const { blockhash, lastValidBlockHeight } = await getRecentBlockhash(connection, 'confirmed', { forceRefresh: attempt > 1 });
+        const transaction = compileBatchTransaction(payer.publicKey, instructions, blockhash, lookupTables);
+        transaction.sign([payer, ...signers]);
+        const signature = bs58Codec.encode(transaction.signatures[0]);
+        outcome.signature = signature;
+
+        try {
+            await rateLimitedRpcCall(() => connection.sendRawTransaction(transaction.serialize(), { skipPreflight: true }));
+            console.log(`[TransferBatchService] ${label} sent (attempt ${attempt}/${MAX_BATCH_SEND_ATTEMPTS}): ${signature}`);
+        } catch (error) {
+            outcome = { ...outcome, status: 'not_sent', error: error.message };
+            if (!isFailoverError(error)) {
+                // The RPC rejected the transaction: it was never broadcast, so a new attempt is safe
+                console.warn(`[TransferBatchService] ${label} rejected on attempt ${attempt}: ${error.message}`);
+                continue;
+            }
+            console.warn(`[TransferBatchService] ${label} send failed on attempt ${attempt} (${error.message}); checking whether it was broadcast`);
+        }
+
+        const confirmation = await waitForConfirmation(signature, { timeoutMs: BATCH_CONFIRMATION_TIMEOUT_MS });
+        if (confirmation.status !== 'timeout') {
+            return {
+                ...outcome,
+                confirmed: confirmation.confirmed,
+                status: confirmation.status,
+                slot: confirmation.slot,
+                err: confirmation.err,
+                error: confirmation.confirmed ? null : `Transaction failed: ${JSON.stringify(confirmation.err)}`
+            };
+        }
+
+        // Not confirmed in time: resend only once the blockhash expired without the transaction
+        const { expired, status } = await waitForBlockhashExpiry(connection, signature, lastValidBlockHeight);
+        if (status) {
+            const landed = status.confirmationStatus === 'confirmed' || status.confirmationStatus === 'finalized';
+            return {
+                ...outcome,
+                confirmed: landed && !status.err,
+                status: status.err ? 'failed' : (landed ? status.confirmationStatus : 'pending'),
+                slot: status.slot,
+                err: status.err || null,
+                error: status.err ? `Transaction failed: ${JSON.stringify(status.err)}` : (landed ? null : 'Transaction not confirmed yet; check the signature before retrying')
+            };
+        }
+        if (!expired) {
+            return { ...outcome, status: 'timeout', error: 'Transaction not confirmed and its blockhash has not expired; check the signature before retrying' };
+        }
+        outcome = { ...outcome, status: 'expired', error: 'Blockhash expired before the transaction landed' };
+        console.warn(`[TransferBatchService] ${label} expired without landing (attempt ${attempt}/${MAX_BATCH_SEND_ATTEMPTS})`);
+    }
+    return outcome;
+}
+
+/**
+ * Exact fee of the transaction sendBatchTransaction would send for these instructions
+ * (base fee per signature plus the batch priority fee on their compute budget), from getFeeForMessage.
+ * @param {web3.PublicKey} payer - Fee payer
+ * @param {web3.TransactionInstruction[]} instructions
+ * @param {web3.AddressLookupTableAccount[]} [lookupTables=[]]
+ * @returns {Promise<number>} Lamports
+ * @throws {Error} If the RPC cannot price the message
+ */
+async function getBatchTransactionFee(payer, instructions, lookupTables = []) {
+    const connection = getSolanaConnection();
+    // The fee does not depend on the blockhash, but getFeeForMessage rejects expired ones
+    const { blockhash } = await getRecentBlockhash(connection, 'confirmed');
+    const { message } = compileBatchTransaction(payer, instructions, blockhash, lookupTables);
+    const response = await rateLimitedRpcCall(() => connection.getFeeForMessage(message, 'confirmed'));
+    if (response.value === null || response.value === undefined) {
+        throw new Error('Could not compute the transaction fee (blockhash not found by the RPC)');
+    }
+    return response.value;
+}
+
+/**
+ * Sends packed items in parallel and maps every batch outcome back to its items.
+ * @param {web3.Keypair} payer
+ * @param {Array<{instructions: web3.TransactionInstruction[], signers?: web3.Keypair[]}>} items - Item signers sign every batch holding the item
+ * @param {object} [options={}] - { signers, lookupTables, label }
+ * @returns {Promise<Array<object>>} One batch outcome per item, in item order, plus { batchIndex, batchSize }
+ */
+async function executeItemBatches(payer, items, options = {}) {
+    const { lookupTables = [], signers = [], label = 'Batch' } = options;
+    const batches = packItems(payer.publicKey, items, { lookupTables });
+    console.log(`[TransferBatchService] Packed ${items.length} items into ${batches.length} transaction(s)${lookupTables.length > 0 ? ' using an address lookup table' : ''}`);
+
+    const itemOutcomes = new Array(items.length);
+    await Promise.all(batches.map(async (itemIndexes, batchIndex) => {
+        const instructions = itemIndexes.flatMap(index => items[index].instructions);
+        const batchSigners = new Map();
+        [...signers, ...itemIndexes.flatMap(index => items[index].signers || [])]
+            .filter(signer => !signer.publicKey.equals(payer.publicKey))
+            .forEach(signer => batchSigners.set(signer.publicKey.toBase58(), signer));
+        const outcome = await sendBatchTransaction(payer, instructions, {
+            signers: Array.from(batchSigners.values()),
+            lookupTables,
+            label: `${label} ${batchIndex + 1}/${batches.length}`
+        });
+        itemIndexes.forEach(index => {
+            itemOutcomes[index] = { ...outcome, batchIndex: batchIndex + 1, batchSize: itemIndexes.length };
+        });
+    }));
+    return itemOutcomes;
+}
+
+/**
+ * Rent of an address lookup table holding `addressCount` addresses.
+ * @param {number} addressCount
+ * @returns {Promise<number>} Lamports
+ */
+async function getLookupTableRent(addressCount) {
+    const connection = getSolanaConnection();
+    return rateLimitedRpcCall(() => connection.getMinimumBalanceForRentExemption(LOOKUP_TABLE_META_SIZE + 32 * addressCount));
+}
+
+/**
+ * Creates an address lookup table holding `addresses` and waits until it can be used.
+ * The table stays on-chain (owned by the payer) and can be deactivated and closed later.
+ * @param {web3.Keypair} payer - Authority and rent payer
+ * @param {web3.PublicKey[]} addresses
+ * @returns {Promise<{lookupTable: web3.AddressLookupTableAccount, address: string, signatures: string[]}>}
+ * @throws {Error} If a create or extend transaction fails
+ */
+async function createLookupTable(payer, addresses) {
+    const connection = getSolanaConnection();
+    const recentSlot = await rateLimitedRpcCall(() => connection.getSlot('finalized'));
+    const [createInstruction, tableAddress] = web3.AddressLookupTableProgram.createLookupTable({
+        authority: payer.publicKey,
+        payer: payer.publicKey,
+        recentSlot
+    });
+    const extendInstruction = (chunk) => web3.AddressLookupTableProgram.extendLookupTable({
+        lookupTable: tableAddress,
+        authority: payer.publicKey,
+        payer: payer.publicKey,
+        addresses: chunk
+    });
+
+    const chunks = [];
+    for (let i = 0; i < addresses.length; i += LOOKUP_TABLE_EXTEND_CHUNK) {
+        chunks.push(addresses.slice(i, i + LOOKUP_TABLE_EXTEND_CHUNK));
+    }
+    console.log(`[TransferBatchService] Creating address lookup table ${tableAddress.toBase58()} with ${addresses.length} addresses`);
+
+    // The table must exist before it is extended: create with the first chunk, then extend in parallel
+    const signatures = [];
+    const sendOrThrow = async (instructions, label) => {
+        const outcome = await sendBatchTransaction(payer, instructions, { label });
+        if (!outcome.confirmed) {
+            throw new Error(`Address lookup table ${label} failed: ${outcome.error}`);
+        }
+        signatures.push(outcome.signature);
+        return outcome.slot;
+    };
+    let lastSlot = await sendOrThrow([createInstruction, ...(chunks.length > 0 ? [extendInstruction(chunks[0])] : [])], 'create');
+    const extendSlots = await Promise.all(chunks.slice(1).map((chunk, index) => sendOrThrow([extendInstruction(chunk)], `extend ${index + 2}/${chunks.length}`)));
+    lastSlot = Math.max(lastSlot, ...extendSlots);
+
+    // Addresses added in a slot become usable in the next one
+    while (await rateLimitedRpcCall(() => connection.getSlot('confirmed')) <= lastSlot) {
+        await sleep(400);
+    }
+    const response = await rateLimitedRpcCall(() => connection.getAddressLookupTable(tableAddress));
+    if (!response.value || response.value.state.addresses.length !== addresses.length) {
+        throw new Error(`Address lookup table ${tableAddress.toBase58()} is not ready`);
+    }
+    return { lookupTable: response.value, address: tableAddress.toBase58(), signatures };
+}
+
+module.exports = {
+    packItems,
+    sendBatchTransaction,
+    getBatchTransactionFee,
+    executeItemBatches,
+    createLookupTable,
+    getLookupTableRent,
+    BATCH_PRIORITY_FEE_MICROLAMPORTS,
+    MAX_BATCH_SEND_ATTEMPTS
+};
@@ -1,9 +1,20 @@
 const web3 = require('@solana/web3.js');
 const bs58 = require('bs58');
-const { saveKeypairToFile, loadKeypairFromFile, loadChildWalletsFromFile, saveChildWalletsToFile, getWalletBalance, getSolanaConnection, WALLETS_DIR } = require('../utils/walletUtils');
-const { sendAndConfirmTransactionRobustly, sleep, calculateTransactionFee, calculateTransactionCostWithRent, validateBalanceForRentOperations, getRentExemptionForAccountType } = require('../utils/transactionUtils');
+const { saveKeypairToFile, loadKeypairFromFile, loadChildWalletsFromFile, saveChildWalletsToFile, getWalletBalance, getWalletBalances, getSolanaConnection, generateMnemonic, deriveKeypairsFromMnemonic, SOLANA_DERIVATION_PATH_TEMPLATE, WALLETS_DIR } = require('../utils/walletUtils');
+const {
+    createCloseAccountInstruction,
+    createBurnInstruction,
+    createTransferCheckedInstruction,
+    createAssociatedTokenAccountIdempotentInstruction,
+    getAssociatedTokenAddressSync,
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID
+} = require('@solana/spl-token');
+const { executeItemBatches, createLookupTable, getLookupTableRent, packItems, sendBatchTransaction, getBatchTransactionFee } = require('./transferBatchService');
+const { sendAndConfirmTransactionRobustly, rateLimitedRpcCall, sleep, calculateTransactionFee, calculateTransactionCostWithRent, validateBalanceForRentOperations, getRentExemptionForAccountType, getRpcConfig, RPC_CONFIGS } = require('../utils/transactionUtils');
 // PHASE 2: Enhanced SPL Token Balance Support
-const { getTokenBalance, getAllTokenBalances, getBatchedTokenBalances, getWalletSummary, getFormattedTokenBalance, hasTokens } = require('../utils/solanaUtils');
+const { emitProgress } = require('../utils/progressUtils');
+const { getTokenBalance, getAllTokenBalances, getTokenAccountsByOwner, getBatchedTokenBalances, getWalletSummary, getFormattedTokenBalance, hasTokens } = require('../utils/solanaUtils');
 
 // MONOCODE Compliance: Fix bs58 decoder compatibility issue
 const bs58Decoder = bs58.default || bs58;
@@ -59,6 +70,41 @@ async function createOrImportMotherWalletService(privateKeyBs58) {
 
 // --- Placeholder for other wallet services ---
 
+/**
+ * Name of the wallet at a position in a bundled set: DevWallet, then "First Bundled Wallet 1-4", then ChildWalletN.
+ * @param {number} index - Position in the set (0 = DevWallet)
+ * @param {number} count - Size of the set
+ * @param {string} devWalletName
+ * @param {string} firstBundledWalletBaseName
+ * @returns {string}
+ */
+function getBundledWalletName(index, count, devWalletName, firstBundledWalletBaseName) {
+    if (index === 0) {
+        return devWalletName;
+    }
+    if (index >= 1 && index <= 4) {
+        return `${firstBundledWalletBaseName} ${index}`;
+    }
+    const genericIndex = index - (count > 4 ? 4 : 0); // Adjust index for generic naming
+    return `ChildWallet${genericIndex}`;
+}
+
+/**
+ * Derives a bundled wallet set from a mnemonic; wallet i uses m/44'/501'/i'/0'.
+ * @returns {Array<{name: string, publicKey: string, privateKey: string, derivationPath: string}>}
+ */
+function deriveBundledWallets(mnemonic, count, { passphrase = '', devWalletName = "DevWallet", firstBundledWalletBaseName = "First Bundled Wallet" } = {}) {
+    if (!Number.isInteger(count) || count < 1) throw new Error('Must derive at least one child wallet (for DevWallet).');
+
+    const indexes = Array.from({ length: count }, (_, i) => i);
+    return deriveKeypairsFromMnemonic(mnemonic, indexes, passphrase).map(({ index, derivationPath, keypair }) => ({
+        name: getBundledWalletName(index, count, devWalletName, firstBundledWalletBaseName),
+        publicKey: keypair.publicKey.toBase58(),
+        privateKey: bs58Decoder.encode(keypair.secretKey), // Return as base58 for API compatibility
+        derivationPath
+    }));
+}
+
 /**
  * Creates a specified number of new Bundled (Child) Wallets.
  * One will be named DevWallet, first four after DevWallet will be "First Bundled Wallet X".
@@ -74,16 +120,7 @@ async function createBundledWalletsService(count, devWalletName = "DevWallet", f
     const childWallets = [];
     for (let i = 0; i < count; i++) {
         const keypair = web3.Keypair.generate();
-        let name;
-        if (i === 0) {
-            name = devWalletName;
-        } else if (i >= 1 && i <= 4) {
-            name = `${firstBundledWalletBaseName} ${i}`;
-        } else {
-            const genericIndex = i - (count > 4 ? 4 : 0); // Adjust index for generic naming
-            name = `ChildWallet${genericIndex}`;
-        }
-        childWallets.push({ name, keypair });
+        childWallets.push({ name: getBundledWalletName(i, count, devWalletName, firstBundledWalletBaseName), keypair });
     }
     console.log(`${count} child wallets generated programmatically.`);
     
@@ -98,6 +135,45 @@ async function createBundledWalletsService(count, devWalletName = "DevWallet", f
     return walletsData;
 }
 
+/**
+ * Creates a Bundled Wallet set derived from a new mnemonic, so the mnemonic alone recovers every wallet.
+ * Naming matches createBundledWalletsService; wallet i uses m/44'/501'/i'/0'.
+ * MONOCODE Compliance: Stateless operation - the mnemonic is returned once and never stored
+ * @param {number} count - Total number of child wallets to create (including DevWallet).
+ * @param {string} [devWalletName="DevWallet"]
+ * @param {string} [firstBundledWalletBaseName="First Bundled Wallet"]
+ * @param {object} [options={}]
+ * @param {number} [options.wordCount=24] - 12 or 24 words
+ * @param {string} [options.passphrase=''] - Optional BIP39 passphrase, also required to recover the set
+ * @returns {Promise<{mnemonic: string, derivationPath: string, wallets: Array<object>}>} wallets: [{ name, publicKey, privateKey, derivationPath }]
+ */
+async function createMnemonicBundledWalletsService(count, devWalletName = "DevWallet", firstBundledWalletBaseName = "First Bundled Wallet", options = {}) {
+    const { wordCount = 24, passphrase = '' } = options;
+    const mnemonic = generateMnemonic(wordCount);
+    const wallets = deriveBundledWallets(mnemonic, count, { passphrase, devWalletName, firstBundledWalletBaseName });
+
+    console.log(`[WalletService] Created ${wallets.length} bundled wallets from a new ${wordCount}-word mnemonic (stateless)`);
+    return { mnemonic, derivationPath: SOLANA_DERIVATION_PATH_TEMPLATE, wallets };
+}
+
+/**
+ * Re-derives a Bundled Wallet set from its mnemonic. The same mnemonic, passphrase, count and names
+ * return exactly the wallets createMnemonicBundledWalletsService created.
+ * MONOCODE Compliance: Stateless operation
+ * @param {string} mnemonic - BIP39 mnemonic (12 or 24 words)
+ * @param {number} count - Total number of wallets in the set (including DevWallet)
+ * @param {object} [options={}]
+ * @param {string} [options.passphrase='']
+ * @param {string} [options.devWalletName="DevWallet"]
+ * @param {string} [options.firstBundledWalletBaseName="First Bundled Wallet"]
+ * @returns {Promise<Array<object>>} Array of wallet details [{ name, publicKey, privateKey, derivationPath }].
+ */
+async function importBundledWalletsFromMnemonicService(mnemonic, count, options = {}) {
+    const wallets = deriveBundledWallets(mnemonic, count, options);
+    console.log(`[WalletService] Re-derived ${wallets.length} bundled wallets from mnemonic (stateless)`);
+    return wallets;
+}
+
 /**
  * Imports Bundled (Child) Wallets from an array of private keys.
  * MONOCODE Compliance: Enhanced flexibility to accept both privateKey and privateKeyBs58 field names + Stateless operation
@@ -157,16 +233,55 @@ async function getWalletBalanceService(publicKeyString) {
     }
 }
 
+/**
+ * Resolves how many lamports each wallet receives: a fixed amount, a per-wallet amount, or
+ * the shortfall to a target balance (read in one batched call).
+ * @param {web3.Connection} connection
+ * @param {Array<object>} walletsToFund - Decoded child wallets { name, publicKey, keypair }
+ * @param {object} funding - Exactly one of amountPerWalletSOL, amountsSOL, targetBalanceSOL
+ * @returns {Promise<Array<{child: object, lamports: number, balanceBefore?: number, targetBalanceSOL?: number}>>}
+ */
+async function resolveFundingPlan(connection, walletsToFund, { amountPerWalletSOL, amountsSOL, targetBalanceSOL }) {
+    const toLamports = (sol) => Math.round(sol * web3.LAMPORTS_PER_SOL);
+
+    if (targetBalanceSOL === undefined || targetBalanceSOL === null) {
+        return walletsToFund.map(child => ({
+            child,
+            lamports: toLamports(amountsSOL ? amountsSOL[child.name] : amountPerWalletSOL)
+        }));
+    }
+
+    const balances = await getWalletBalances(connection, walletsToFund.map(child => new web3.PublicKey(child.publicKey)));
+    return walletsToFund.map((child, index) => {
+        const target = typeof targetBalanceSOL === 'number' ? targetBalanceSOL : targetBalanceSOL[child.name];
+        const shortfall = toLamports(target) - toLamports(balances[index]);
+        return {
+            child,
+            lamports: Math.max(0, shortfall),
+            balanceBefore: balances[index],
+            targetBalanceSOL: target
+        };
+    });
+}
+
 /**
  * Funds specified child wallets from the mother wallet.
  * MONOCODE Compliance: Stateless operation - wallets provided via API request
- * @param {number} amountPerWalletSOL - Amount of SOL to send to each child wallet.
+ * @param {number|null} amountPerWalletSOL - Amount of SOL to send to each child wallet (null when options.amountsSOL or options.targetBalanceSOL is given).
  * @param {Array<{name: string, privateKey: string, privateKeyBs58?: string}>} childWallets - Array of child wallet objects with private keys.
  * @param {string} motherWalletPrivateKeyBs58 - Required private key for mother wallet (base58 encoded).
  * @param {string[]} [targetWalletNames] - Optional array of child wallet names to fund. If empty/null, funds all.
- * @returns {Promise<Array<object>>} Array of results, each { name, publicKey, signature, status, balanceAfter }.
+ * @param {object} [options={}] - Execution options
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @param {boolean} [options.useLookupTable=false] - Create an address lookup table for the recipients so each transaction carries more transfers
+ * @param {Object<string, number>} [options.amountsSOL] - Per-wallet amounts by wallet name; only listed wallets are funded
+ * @param {number|Object<string, number>} [options.targetBalanceSOL] - Top up each wallet (or each listed wallet) to this balance, sending only the shortfall
+ * @returns {Promise<Array<object>>} Array of results, each { name, publicKey, signature, status, amountSent, balanceAfter }
+ *   (plus balanceBefore and targetBalanceSOL in top-up mode; status "skipped" when a wallet already holds its target).
+ *   Wallets sharing a batch transaction share its signature.
  */
-async function fundChildWalletsService(amountPerWalletSOL, childWallets, motherWalletPrivateKeyBs58, targetWalletNames) {
+async function fundChildWalletsService(amountPerWalletSOL, childWallets, motherWalletPrivateKeyBs58, targetWalletNames, options = {}) {
+    const { onProgress, useLookupTable = false, amountsSOL, targetBalanceSOL } = options;
     const connection = getSolanaConnection();
     
     // MONOCODE Fix: Require mother wallet private key for stateless operation
@@ -215,15 +330,28 @@ async function fundChildWalletsService(amountPerWalletSOL, childWallets, motherW
     
     console.log(`[WalletService] Loaded ${allChildWallets.length} child wallets from API request`);
 
-    const walletsToFund = targetWalletNames && targetWalletNames.length > 0
+    let walletsToFund = targetWalletNames && targetWalletNames.length > 0
         ? allChildWallets.filter(cw => targetWalletNames.includes(cw.name))
         : allChildWallets;
 
+    // Per-wallet maps fund only the wallets they name
+    const walletAmountMap = amountsSOL || (typeof targetBalanceSOL === 'object' ? targetBalanceSOL : null);
+    if (walletAmountMap) {
+        const unknownNames = Object.keys(walletAmountMap).filter(name => !allChildWallets.some(cw => cw.name === name));
+        if (unknownNames.length > 0) {
+            throw new Error(`Unknown wallet name(s) in ${amountsSOL ? 'amountsSOL' : 'targetBalanceSOL'}: ${unknownNames.join(', ')}`);
+        }
+        walletsToFund = walletsToFund.filter(cw => walletAmountMap[cw.name] !== undefined);
+    }
+
     if (walletsToFund.length === 0) {
         throw new Error('No matching child wallets to fund based on provided names.');
     }
 
-    const lamportsToSend = amountPerWalletSOL * web3.LAMPORTS_PER_SOL;
+    const plan = await resolveFundingPlan(connection, walletsToFund, { amountPerWalletSOL, amountsSOL, targetBalanceSOL });
+    const transfersPlanned = plan.filter(entry => entry.lamports > 0);
+    const totalLamports = transfersPlanned.reduce((sum, entry) => sum + entry.lamports, 0);
+    const totalTransferSOL = totalLamports / web3.LAMPORTS_PER_SOL;
     
     // MONOCODE Compliance: Enhanced fee calculation including rent exemption requirements
     // Calculate costs for transfer transactions, accounting for future token operations
@@ -234,50 +362,179 @@ async function fundChildWalletsService(amountPerWalletSOL, childWallets, motherW
         includeRentBuffer: true // Include rent exemption requirements
     });
     
-    const totalFees = costPerTransaction.summary.transactionFeeSOL * walletsToFund.length * 1.2; // 20% buffer
-    const totalSOLNeeded = (amountPerWalletSOL * walletsToFund.length) + totalFees;
+    const lookupTableRentSOL = useLookupTable && transfersPlanned.length > 0 ? await getLookupTableRent(transfersPlanned.length) / web3.LAMPORTS_PER_SOL : 0;
+    const totalFees = costPerTransaction.summary.transactionFeeSOL * transfersPlanned.length * 1.2 + lookupTableRentSOL; // 20% buffer
+    const totalSOLNeeded = totalTransferSOL + totalFees;
     
-    console.log(`[WalletService] Fund calculation: ${amountPerWalletSOL} SOL x ${walletsToFund.length} wallets + ${totalFees.toFixed(6)} SOL fees = ${totalSOLNeeded.toFixed(6)} SOL total`);
+    console.log(`[WalletService] Fund calculation: ${totalTransferSOL.toFixed(6)} SOL to ${transfersPlanned.length} wallets + ${totalFees.toFixed(6)} SOL fees = ${totalSOLNeeded.toFixed(6)} SOL total`);
     console.log(`[WalletService] Note: Each recipient will maintain ${costPerTransaction.summary.totalRentRequiredSOL.toFixed(8)} SOL rent exemption + ${costPerTransaction.summary.rentBufferSOL.toFixed(8)} SOL buffer for token operations`);
     
     if (motherBalance < totalSOLNeeded) {
-        throw new Error(`Insufficient SOL in mother wallet. Needs ${totalSOLNeeded.toFixed(6)} SOL (${(amountPerWalletSOL * walletsToFund.length).toFixed(6)} for transfers + ${totalFees.toFixed(6)} for fees), has ${motherBalance.toFixed(6)} SOL.`);
+        throw new Error(`Insufficient SOL in mother wallet. Needs ${totalSOLNeeded.toFixed(6)} SOL (${totalTransferSOL.toFixed(6)} for transfers + ${totalFees.toFixed(6)} for fees), has ${motherBalance.toFixed(6)} SOL.`);
     }
 
-    const results = [];
-    for (const child of walletsToFund) {
-        console.log(`Funding ${child.name} (${child.publicKey}) with ${amountPerWalletSOL} SOL...`);
-        const transaction = new web3.Transaction().add(
-            web3.SystemProgram.transfer({
-                fromPubkey: motherWallet.publicKey,
-                toPubkey: new web3.PublicKey(child.publicKey),
-                lamports: lamportsToSend,
-            })
-        );
-        try {
-            const signature = await sendAndConfirmTransactionRobustly(connection, transaction, [motherWallet], { 
-                skipPreflight: true,
-                priorityFeeMicrolamports: 200000,
-                computeUnitLimit: 300000,
-                commitment: 'confirmed'
-            });
-            const balanceAfter = await getWalletBalance(connection, new web3.PublicKey(child.publicKey));
-            results.push({ 
-                name: child.name, 
-                publicKey: child.publicKey, 
-                signature, 
-                status: 'success', 
-                amountSent: amountPerWalletSOL,
-                balanceAfter 
+    // Pack as many transfers as fit into each transaction and send the batches in parallel
+    const transfers = transfersPlanned.map(entry => ({
+        entry,
+        instructions: [web3.SystemProgram.transfer({
+            fromPubkey: motherWallet.publicKey,
+            toPubkey: new web3.PublicKey(entry.child.publicKey),
+            lamports: entry.lamports,
+        })]
+    }));
+
+    let outcomes = [];
+    if (transfers.length > 0) {
+        let lookupTables = [];
+        if (useLookupTable) {
+            const { lookupTable, address } = await createLookupTable(motherWallet, transfers.map(({ entry }) => new web3.PublicKey(entry.child.publicKey)));
+            lookupTables = [lookupTable];
+            console.log(`[WalletService] Funding through address lookup table ${address}`);
+        }
+
+        console.log(`[WalletService] Funding ${transfers.length} wallets (${plan.length - transfers.length} already at target)...`);
+        outcomes = await executeItemBatches(motherWallet, transfers, { lookupTables, label: 'Funding batch' });
+    }
+    const balancesAfter = await getWalletBalances(connection, plan.map(entry => new web3.PublicKey(entry.child.publicKey)));
+
+    return plan.map((entry, index) => {
+        const { child } = entry;
+        const amountSent = entry.lamports / web3.LAMPORTS_PER_SOL;
+        const planDetails = entry.targetBalanceSOL !== undefined
+            ? { balanceBefore: entry.balanceBefore, targetBalanceSOL: entry.targetBalanceSOL }
+            : {};
+        if (entry.lamports === 0) {
+            console.log(`${child.name} already holds ${entry.balanceBefore} SOL (target ${entry.targetBalanceSOL} SOL); skipped.`);
+            return { name: child.name, publicKey: child.publicKey, signature: null, status: 'skipped', amountSent: 0, balanceAfter: balancesAfter[index], ...planDetails };
+        }
+        const outcome = outcomes[transfersPlanned.indexOf(entry)];
+        if (outcome.confirmed) {
+            console.log(`Successfully funded ${child.name}. New balance: ${balancesAfter[index]} SOL. Tx: ${outcome.signature}`);
+            emitProgress(onProgress, 'tx_confirmed', { walletName: child.name, action: 'fund', signature: outcome.signature });
+            return {
+                name: child.name,
+                publicKey: child.publicKey,
+                signature: outcome.signature,
+                status: 'success',
+                amountSent,
+                balanceAfter: balancesAfter[index],
+                ...planDetails
+            };
+        }
+        console.error(`Failed to fund ${child.name}: ${outcome.error}`);
+        emitProgress(onProgress, 'tx_failed', { walletName: child.name, action: 'fund', error: outcome.error });
+        return { name: child.name, publicKey: child.publicKey, signature: outcome.signature, status: 'failed', error: outcome.error, amountSent, ...planDetails };
+    });
+}
+
+/**
+ * Whether a token account can be closed by its owner: no tokens, not frozen, and no
+ * close authority other than the owner.
+ * @param {object} tokenAccount - Entry from getTokenAccountsByOwner
+ * @param {string} ownerPublicKey
+ * @returns {boolean}
+ */
+function isClosableTokenAccount(tokenAccount, ownerPublicKey) {
+    return tokenAccount.amount === '0'
+        && tokenAccount.state !== 'frozen'
+        && (!tokenAccount.closeAuthority || tokenAccount.closeAuthority === ownerPublicKey);
+}
+
+/**
+ * Drains one child wallet to zero: closes its empty token accounts (rent goes straight to the
+ * mother wallet), then transfers the whole SOL balance minus the exact fee from getFeeForMessage.
+ * Closes that do not fit the final transaction are sent first in their own batches.
+ * @param {web3.Connection} connection
+ * @param {object} child - Decoded child wallet { name, publicKey, keypair }
+ * @param {web3.PublicKey} motherPublicKey
+ * @param {Function} [onProgress]
+ * @returns {Promise<object>} { name, publicKey, signature, signatures, status, error, amountReturned, rentReclaimed, tokenAccountsClosed, tokenAccountsKept, balanceBefore, balanceAfter }
+ */
+async function drainChildWallet(connection, child, motherPublicKey, onProgress) {
+    const childPublicKey = child.keypair.publicKey;
+    const getLamports = () => rateLimitedRpcCall(() => connection.getBalance(childPublicKey, 'confirmed'));
+    const result = {
+        name: child.name,
+        publicKey: child.publicKey,
+        signature: null,
+        signatures: [],
+        status: 'failed',
+        error: null,
+        amountReturned: 0,
+        rentReclaimed: 0,
+        tokenAccountsClosed: 0,
+        tokenAccountsKept: 0,
+        balanceBefore: 0,
+        balanceAfter: 0
+    };
+
+    try {
+        result.balanceBefore = (await getLamports()) / web3.LAMPORTS_PER_SOL;
+        const tokenAccounts = await getTokenAccountsByOwner(child.publicKey, connection);
+        const closable = tokenAccounts.filter(account => isClosableTokenAccount(account, child.publicKey));
+        result.tokenAccountsKept = tokenAccounts.length - closable.length;
+
+        const closeItems = closable.map(account => ({
+            account,
+            instructions: [createCloseAccountInstruction(account.address, motherPublicKey, childPublicKey, [], account.programId)]
+        }));
+        const transferItem = {
+            instructions: [web3.SystemProgram.transfer({ fromPubkey: childPublicKey, toPubkey: motherPublicKey, lamports: 0 })]
+        };
+        const items = [...closeItems, transferItem];
+        const batches = packItems(childPublicKey, items);
+
+        // Every batch but the last only closes accounts
+        for (const itemIndexes of batches.slice(0, -1)) {
+            const outcome = await sendBatchTransaction(child.keypair, itemIndexes.flatMap(index => items[index].instructions), { label: `${child.name} token account cleanup` });
+            if (outcome.signature) result.signatures.push(outcome.signature);
+            if (!outcome.confirmed) {
+                throw new Error(`Closing token accounts failed: ${outcome.error}`);
+            }
+            itemIndexes.forEach(index => {
+                result.tokenAccountsClosed++;
+                result.rentReclaimed += items[index].account.lamports;
             });
-            console.log(`Successfully funded ${child.name}. New balance: ${balanceAfter} SOL. Tx: ${signature}`);
-            if (walletsToFund.indexOf(child) < walletsToFund.length - 1) await sleep(1000); // Short delay between txs
-        } catch (error) {
-            console.error(`Failed to fund ${child.name}: ${error.message}`);
-            results.push({ name: child.name, publicKey: child.publicKey, status: 'failed', error: error.message, amountSent: amountPerWalletSOL });
         }
+
+        // Final transaction: remaining closes plus the transfer of everything the fee leaves
+        const finalCloses = batches[batches.length - 1].filter(index => items[index] !== transferItem).map(index => items[index]);
+        const balanceLamports = await getLamports();
+        const buildInstructions = (lamports) => [
+            ...finalCloses.flatMap(item => item.instructions),
+            ...(lamports > 0 ? [web3.SystemProgram.transfer({ fromPubkey: childPublicKey, toPubkey: motherPublicKey, lamports })] : [])
+        ];
+        const fee = await getBatchTransactionFee(childPublicKey, buildInstructions(1));
+        const amountToReturnLamports = balanceLamports - fee;
+        console.log(`${child.name} drain: balance ${balanceLamports} lamports, exact fee ${fee} lamports, ${finalCloses.length} token account(s) to close in the final transaction`);
+
+        if (amountToReturnLamports <= 0 && finalCloses.length === 0) {
+            // Nothing left to transfer: any earlier cleanup batch is the whole drain
+            result.signature = result.signatures[result.signatures.length - 1] || null;
+            result.status = result.tokenAccountsClosed > 0 ? 'success' : 'skipped_low_balance';
+        } else {
+            const outcome = await sendBatchTransaction(child.keypair, buildInstructions(amountToReturnLamports), { label: `${child.name} drain` });
+            if (outcome.signature) result.signatures.push(outcome.signature);
+            result.signature = outcome.signature;
+            if (!outcome.confirmed) {
+                throw new Error(outcome.error);
+            }
+            result.tokenAccountsClosed += finalCloses.length;
+            result.rentReclaimed += finalCloses.reduce((sum, item) => sum + item.account.lamports, 0);
+            result.amountReturned = Math.max(0, amountToReturnLamports) / web3.LAMPORTS_PER_SOL;
+            result.status = 'success';
+            console.log(`Successfully drained ${child.name}. Tx: ${outcome.signature}`);
+            emitProgress(onProgress, 'tx_confirmed', { walletName: child.name, action: 'return', signature: outcome.signature });
+        }
+    } catch (error) {
+        console.error(`Failed to drain ${child.name}: ${error.message}`);
+        result.error = error.message;
+        emitProgress(onProgress, 'tx_failed', { walletName: child.name, action: 'return', error: error.message });
     }
-    return results;
+
+    result.rentReclaimed /= web3.LAMPORTS_PER_SOL;
+    result.balanceAfter = await getWalletBalance(connection, childPublicKey);
+    return result;
 }
 
 /**
@@ -286,9 +543,16 @@ async function fundChildWalletsService(amountPerWalletSOL, childWallets, motherW
  * @param {Array<{name: string, privateKey: string, privateKeyBs58?: string}>} childWallets - Array of child wallet objects with private keys.
  * @param {string} motherWalletPublicKeyBs58 - Public key of the mother wallet to receive funds.
  * @param {string[]} [sourceWalletNames] - Optional array of child wallet names to return funds from. If empty/null, returns from all.
+ * @param {object} [options={}] - Execution options
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @param {string} [options.mode='standard'] - "standard" keeps a fee, rent and buffer reserve in each wallet;
+ *   "drain" closes empty token accounts and returns everything down to zero (wallets drained in parallel)
  * @returns {Promise<Array<object>>} Array of results, each { name, publicKey, signature, status, balanceAfter, amountReturned }.
+ *   Drain mode adds rentReclaimed (token account rent, sent to the mother wallet separately from amountReturned),
+ *   tokenAccountsClosed, tokenAccountsKept (accounts still holding tokens) and signatures.
  */
-async function returnFundsToMotherWalletService(childWallets, motherWalletPublicKeyBs58, sourceWalletNames) {
+async function returnFundsToMotherWalletService(childWallets, motherWalletPublicKeyBs58, sourceWalletNames, options = {}) {
+    const { onProgress, mode = 'standard' } = options;
     const connection = getSolanaConnection();
     const motherPublicKey = new web3.PublicKey(motherWalletPublicKeyBs58);
 
@@ -330,6 +594,11 @@ async function returnFundsToMotherWalletService(childWallets, motherWalletPublic
         throw new Error('No matching child wallets to return funds from based on provided names.');
     }
 
+    if (mode === 'drain') {
+        console.log(`[WalletService] Draining ${walletsToReturnFrom.length} child wallets to ${motherPublicKey.toBase58()}`);
+        return Promise.all(walletsToReturnFrom.map(child => drainChildWallet(connection, child, motherPublicKey, onProgress)));
+    }
+
     const results = [];
     for (const child of walletsToReturnFrom) {
         const childKeypair = child.keypair;
@@ -389,9 +658,11 @@ async function returnFundsToMotherWalletService(childWallets, motherWalletPublic
             });
             status = 'success';
             console.log(`Successfully returned SOL from ${child.name}. Tx: ${signature}`);
+            emitProgress(onProgress, 'tx_confirmed', { walletName: child.name, action: 'return', signature });
         } catch (error) {
             console.error(`Failed to return funds from ${child.name}: ${error.message}`);
             errorMsg = error.message;
+            emitProgress(onProgress, 'tx_failed', { walletName: child.name, action: 'return', error: error.message });
         }
         const balanceAfter = await getWalletBalance(connection, childPublicKey);
         results.push({
@@ -409,6 +680,368 @@ async function returnFundsToMotherWalletService(childWallets, motherWalletPublic
     return results;
 }
 
+/**
+ * Decodes API wallet objects ({ name, privateKey | privateKeyBs58 }) into keypairs.
+ * @param {Array<object>} childWallets
+ * @returns {Array<{name: string, publicKey: string, keypair: web3.Keypair}>}
+ * @throws {Error} If a wallet has no name or key, or the key cannot be decoded
+ */
+function decodeChildWallets(childWallets) {
+    return childWallets.map(walletData => {
+        const { name, privateKey, privateKeyBs58 } = walletData;
+        const privateKeyValue = privateKey || privateKeyBs58;
+        if (!name || !privateKeyValue) {
+            throw new Error(`Each child wallet must have a name and privateKey. Missing for wallet: ${JSON.stringify({ name })}`);
+        }
+        try {
+            const keypair = web3.Keypair.fromSecretKey(bs58Decoder.decode(privateKeyValue));
+            return { name, publicKey: keypair.publicKey.toBase58(), keypair };
+        } catch (error) {
+            throw new Error(`Failed to decode private key for wallet ${name}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Closes empty token accounts across a wallet set (optionally burning dust first) and sends their rent to a destination.
+ * Accounts are packed into as few transactions as fit: per wallet when each wallet pays its own fees, or across
+ * wallets when a fee payer is given (every owner co-signs the batches holding its accounts).
+ * @param {Array<{name: string, privateKey: string, privateKeyBs58?: string}>} childWallets - Wallets to clean up.
+ * @param {object} [options={}]
+ * @param {string} [options.destinationPublicKeyBs58] - Receives the reclaimed rent (each wallet itself when omitted)
+ * @param {string} [options.feePayerPrivateKeyBs58] - Pays every fee so accounts of different wallets share transactions
+ * @param {string[]} [options.mints] - Only close accounts of these mints
+ * @param {boolean} [options.burnDust=false] - Burn balances up to dustThreshold, then close those accounts too
+ * @param {number} [options.dustThreshold=1] - Largest balance (in UI token units) burned as dust
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @returns {Promise<object>} { success, message, destination, wallets, totals }
+ */
+async function closeTokenAccountsService(childWallets, options = {}) {
+    const {
+        destinationPublicKeyBs58,
+        feePayerPrivateKeyBs58,
+        mints,
+        burnDust = false,
+        dustThreshold = 1,
+        onProgress
+    } = options;
+    const connection = getSolanaConnection();
+
+    if (!childWallets || childWallets.length === 0) {
+        throw new Error('No child wallets provided in the request.');
+    }
+    const wallets = decodeChildWallets(childWallets);
+    const destination = destinationPublicKeyBs58 ? new web3.PublicKey(destinationPublicKeyBs58) : null;
+    let feePayer = null;
+    if (feePayerPrivateKeyBs58) {
+        try {
+            feePayer = web3.Keypair.fromSecretKey(bs58Decoder.decode(feePayerPrivateKeyBs58));
+        } catch (error) {
+            throw new Error('Invalid fee payer private key.');
+        }
+    }
+
+    console.log(`[WalletService] Scanning ${wallets.length} wallets for token accounts to close${burnDust ? ` (burning dust up to ${dustThreshold} tokens)` : ''}`);
+    const tokenAccountsByWallet = await Promise.all(wallets.map(wallet => getTokenAccountsByOwner(wallet.publicKey, connection)));
+
+    const walletResults = wallets.map(() => ({ accountsClosed: 0, dustBurned: 0, accountsKept: 0, rentReclaimed: 0, outcomes: [] }));
+    const items = [];
+    wallets.forEach((wallet, walletIndex) => {
+        const owner = wallet.keypair.publicKey;
+        for (const account of tokenAccountsByWallet[walletIndex]) {
+            if (mints && mints.length > 0 && !mints.includes(account.mint)) continue;
+            const isDust = burnDust
+                && account.amount !== '0'
+                && Number(account.amount) / Math.pow(10, account.decimals) <= dustThreshold
+                && isClosableTokenAccount({ ...account, amount: '0' }, wallet.publicKey);
+            if (!isClosableTokenAccount(account, wallet.publicKey) && !isDust) {
+                walletResults[walletIndex].accountsKept++;
+                continue;
+            }
+            const mint = new web3.PublicKey(account.mint);
+            items.push({
+                walletIndex,
+                account,
+                burned: isDust,
+                signers: [wallet.keypair],
+                instructions: [
+                    ...(isDust ? [createBurnInstruction(account.address, mint, owner, BigInt(account.amount), [], account.programId)] : []),
+                    createCloseAccountInstruction(account.address, destination || owner, owner, [], account.programId)
+                ]
+            });
+        }
+    });
+
+    if (items.length > 0) {
+        let outcomes;
+        if (feePayer) {
+            outcomes = await executeItemBatches(feePayer, items, { label: 'Token account cleanup' });
+        } else {
+            // Each wallet pays for its own accounts
+            outcomes = new Array(items.length);
+            await Promise.all(wallets.map(async (wallet, walletIndex) => {
+                const indexes = items.map((item, index) => index).filter(index => items[index].walletIndex === walletIndex);
+                if (indexes.length === 0) return;
+                const walletOutcomes = await executeItemBatches(wallet.keypair, indexes.map(index => items[index]), { label: `${wallet.name} token account cleanup` });
+                indexes.forEach((itemIndex, position) => {
+                    outcomes[itemIndex] = walletOutcomes[position];
+                });
+            }));
+        }
+
+        items.forEach((item, index) => {
+            const outcome = outcomes[index];
+            const walletResult = walletResults[item.walletIndex];
+            walletResult.outcomes.push(outcome);
+            if (outcome.confirmed) {
+                walletResult.accountsClosed++;
+                walletResult.rentReclaimed += item.account.lamports;
+                if (item.burned) walletResult.dustBurned++;
+            }
+        });
+    }
+
+    const results = wallets.map((wallet, walletIndex) => {
+        const { outcomes, ...counts } = walletResults[walletIndex];
+        const failedOutcomes = outcomes.filter(outcome => !outcome.confirmed);
+        const signatures = [...new Set(outcomes.map(outcome => outcome.signature).filter(Boolean))];
+        const errors = [...new Set(failedOutcomes.map(outcome => outcome.error))];
+        let status = 'success';
+        if (outcomes.length === 0) {
+            status = 'nothing_to_close';
+        } else if (failedOutcomes.length === outcomes.length) {
+            status = 'failed';
+        } else if (failedOutcomes.length > 0) {
+            status = 'partial';
+        }
+
+        for (const signature of new Set(outcomes.filter(outcome => outcome.confirmed).map(outcome => outcome.signature))) {
+            emitProgress(onProgress, 'tx_confirmed', { walletName: wallet.name, action: 'close_token_accounts', signature });
+        }
+        for (const error of errors) {
+            emitProgress(onProgress, 'tx_failed', { walletName: wallet.name, action: 'close_token_accounts', error });
+        }
+
+        return {
+            name: wallet.name,
+            publicKey: wallet.publicKey,
+            status,
+            ...counts,
+            rentReclaimed: counts.rentReclaimed / web3.LAMPORTS_PER_SOL,
+            failedAccounts: failedOutcomes.length,
+            signatures,
+            errors
+        };
+    });
+
+    const totals = {
+        wallets: results.length,
+        accountsClosed: results.reduce((sum, result) => sum + result.accountsClosed, 0),
+        dustBurned: results.reduce((sum, result) => sum + result.dustBurned, 0),
+        accountsKept: results.reduce((sum, result) => sum + result.accountsKept, 0),
+        failedAccounts: results.reduce((sum, result) => sum + result.failedAccounts, 0),
+        rentReclaimedSOL: results.reduce((sum, result) => sum + Math.round(result.rentReclaimed * web3.LAMPORTS_PER_SOL), 0) / web3.LAMPORTS_PER_SOL,
+        transactions: new Set(results.flatMap(result => result.signatures)).size
+    };
+    console.log(`[WalletService] Closed ${totals.accountsClosed} token account(s) in ${totals.transactions} transaction(s), reclaimed ${totals.rentReclaimedSOL} SOL${totals.failedAccounts > 0 ? `, ${totals.failedAccounts} failed` : ''}`);
+
+    return {
+        success: totals.failedAccounts === 0,
+        message: totals.failedAccounts === 0
+            ? `Closed ${totals.accountsClosed} token account(s), reclaimed ${totals.rentReclaimedSOL} SOL.`
+            : `Closed ${totals.accountsClosed} token account(s); ${totals.failedAccounts} could not be closed.`,
+        destination: destination ? destination.toBase58() : 'owner',
+        wallets: results,
+        totals
+    };
+}
+
+/**
+ * Resolves a token transfer amount ("50%" of the balance or a UI token amount) to raw units.
+ * @param {string|number} amount
+ * @param {bigint} rawBalance
+ * @param {number} decimals
+ * @returns {bigint}
+ */
+function resolveTokenTransferAmount(amount, rawBalance, decimals) {
+    if (typeof amount === 'string' && amount.trim().endsWith('%')) {
+        const pct = parseFloat(amount.trim().replace('%', ''));
+        return rawBalance * BigInt(Math.round(pct * 100)) / 10000n;
+    }
+    return BigInt(Math.round(Number(amount) * Math.pow(10, decimals)));
+}
+
+/**
+ * Moves SPL tokens of one mint from managed wallets to a destination wallet (one-to-one or many-to-one).
+ * Creates the destination's associated token account when missing, then packs the transfers of several
+ * source wallets into each transaction (every source co-signs; one fee payer pays) and sends the batches in parallel.
+ * @param {Array<{name: string, privateKey: string, privateKeyBs58?: string}>} sourceWallets - Wallets to move tokens from.
+ * @param {string} destinationPublicKeyBs58 - Wallet receiving the tokens (its associated token account is used).
+ * @param {string} mintAddress - Token mint (SPL Token or Token-2022).
+ * @param {object} [options={}]
+ * @param {string|number} [options.amount='100%'] - Per source: "N%" of its balance or a UI token amount
+ * @param {Object<string, string|number>} [options.amounts] - Per-wallet overrides of amount, by wallet name
+ * @param {string} [options.feePayerPrivateKeyBs58] - Pays fees and the destination account rent (first source wallet when omitted)
+ * @param {Function} [options.onProgress] - Progress listener (see utils/progressUtils)
+ * @returns {Promise<object>} { success, message, mint, destination, destinationTokenAccount, destinationAccountCreated, wallets, totals }
+ */
+async function transferTokensService(sourceWallets, destinationPublicKeyBs58, mintAddress, options = {}) {
+    const { amount = '100%', amounts = {}, feePayerPrivateKeyBs58, onProgress } = options;
+    const connection = getSolanaConnection();
+
+    if (!sourceWallets || sourceWallets.length === 0) {
+        throw new Error('No source wallets provided in the request.');
+    }
+    const wallets = decodeChildWallets(sourceWallets);
+    const destination = new web3.PublicKey(destinationPublicKeyBs58);
+    const mint = new web3.PublicKey(mintAddress);
+    let feePayer = wallets[0].keypair;
+    if (feePayerPrivateKeyBs58) {
+        try {
+            feePayer = web3.Keypair.fromSecretKey(bs58Decoder.decode(feePayerPrivateKeyBs58));
+        } catch (error) {
+            throw new Error('Invalid fee payer private key.');
+        }
+    }
+
+    const mintAccount = await rateLimitedRpcCall(() => connection.getAccountInfo(mint, 'confirmed'));
+    if (!mintAccount) {
+        throw new Error(`Mint ${mintAddress} not found.`);
+    }
+    const programId = mintAccount.owner;
+    if (!programId.equals(TOKEN_PROGRAM_ID) && !programId.equals(TOKEN_2022_PROGRAM_ID)) {
+        throw new Error(`Account ${mintAddress} is not an SPL token mint.`);
+    }
+    const destinationTokenAccount = getAssociatedTokenAddressSync(mint, destination, true, programId);
+
+    // Source balances: every account of this mint the wallet owns, except the destination account itself
+    const tokenAccountsByWallet = await Promise.all(wallets.map(wallet => getTokenAccountsByOwner(wallet.publicKey, connection)));
+    let decimals = null;
+    const walletResults = wallets.map((wallet, walletIndex) => {
+        const accounts = tokenAccountsByWallet[walletIndex]
+            .filter(account => account.mint === mintAddress && account.amount !== '0' && !account.address.equals(destinationTokenAccount));
+        if (accounts.length > 0) decimals = accounts[0].decimals;
+        return {
+            wallet,
+            accounts,
+            rawBalance: accounts.reduce((sum, account) => sum + BigInt(account.amount), 0n),
+            status: 'skipped',
+            error: null,
+            outcomes: []
+        };
+    });
+
+    const items = [];
+    for (const result of walletResults) {
+        const { wallet, accounts, rawBalance } = result;
+        if (wallet.keypair.publicKey.equals(destination)) {
+            result.error = 'Source wallet is the destination';
+            continue;
+        }
+        if (rawBalance === 0n) {
+            result.error = 'No token balance';
+            continue;
+        }
+        const requested = resolveTokenTransferAmount(amounts[wallet.name] !== undefined ? amounts[wallet.name] : amount, rawBalance, decimals);
+        if (requested <= 0n) {
+            result.error = 'Resolved transfer amount is zero';
+            continue;
+        }
+        if (requested > rawBalance) {
+            result.status = 'failed';
+            result.error = `Insufficient token balance: has ${rawBalance}, requested ${requested} (raw units)`;
+            continue;
+        }
+
+        // Take the amount from the wallet's accounts in order (usually just its associated account)
+        let remaining = requested;
+        for (const account of accounts) {
+            if (remaining === 0n) break;
+            const rawAmount = BigInt(account.amount) < remaining ? BigInt(account.amount) : remaining;
+            remaining -= rawAmount;
+            items.push({
+                result,
+                rawAmount,
+                signers: [wallet.keypair],
+                instructions: [createTransferCheckedInstruction(account.address, mint, destinationTokenAccount, wallet.keypair.publicKey, rawAmount, decimals, [], programId)]
+            });
+        }
+    }
+
+    // The destination account must exist before the transfer batches run in parallel
+    let destinationAccountCreated = false;
+    if (items.length > 0) {
+        const existing = await rateLimitedRpcCall(() => connection.getAccountInfo(destinationTokenAccount, 'confirmed'));
+        if (!existing) {
+            console.log(`[WalletService] Creating destination token account ${destinationTokenAccount.toBase58()}`);
+            const outcome = await sendBatchTransaction(feePayer, [
+                createAssociatedTokenAccountIdempotentInstruction(feePayer.publicKey, destinationTokenAccount, destination, mint, programId)
+            ], { label: 'Destination token account' });
+            if (!outcome.confirmed) {
+                throw new Error(`Creating the destination token account failed: ${outcome.error}`);
+            }
+            destinationAccountCreated = true;
+        }
+
+        console.log(`[WalletService] Transferring ${mintAddress} from ${new Set(items.map(item => item.result)).size} wallets to ${destinationPublicKeyBs58}`);
+        const outcomes = await executeItemBatches(feePayer, items, { label: 'Token transfer batch' });
+        items.forEach((item, index) => item.result.outcomes.push({ ...outcomes[index], rawAmount: item.rawAmount }));
+    }
+
+    const toUiAmount = (raw) => decimals === null ? 0 : Number(raw) / Math.pow(10, decimals);
+    const results = walletResults.map(result => {
+        const { wallet, outcomes } = result;
+        // Each account's transfer lands or fails with its batch
+        const amountMoved = outcomes.reduce((sum, outcome) => outcome.confirmed ? sum + outcome.rawAmount : sum, 0n);
+        if (outcomes.length > 0) {
+            const failed = outcomes.filter(outcome => !outcome.confirmed);
+            result.status = failed.length === 0 ? 'success' : (failed.length === outcomes.length ? 'failed' : 'partial');
+            result.error = failed.length > 0 ? failed[0].error : null;
+            for (const signature of new Set(outcomes.filter(outcome => outcome.confirmed).map(outcome => outcome.signature))) {
+                emitProgress(onProgress, 'tx_confirmed', { walletName: wallet.name, action: 'transfer_tokens', signature });
+            }
+            if (failed.length > 0) {
+                emitProgress(onProgress, 'tx_failed', { walletName: wallet.name, action: 'transfer_tokens', error: result.error });
+            }
+        }
+        return {
+            name: wallet.name,
+            publicKey: wallet.publicKey,
+            status: result.status,
+            error: result.error,
+            balanceBefore: toUiAmount(result.rawBalance),
+            amountMoved: toUiAmount(amountMoved),
+            rawAmountMoved: amountMoved.toString(),
+            signatures: [...new Set(outcomes.map(outcome => outcome.signature).filter(Boolean))]
+        };
+    });
+
+    const totalRawMoved = results.reduce((sum, result) => sum + BigInt(result.rawAmountMoved), 0n);
+    const failedCount = results.filter(result => result.status === 'failed' || result.status === 'partial').length;
+    const totals = {
+        wallets: results.length,
+        walletsMoved: results.filter(result => result.status === 'success').length,
+        walletsFailed: failedCount,
+        amountMoved: toUiAmount(totalRawMoved),
+        rawAmountMoved: totalRawMoved.toString(),
+        transactions: new Set(results.flatMap(result => result.signatures)).size
+    };
+    console.log(`[WalletService] Moved ${totals.amountMoved} tokens from ${totals.walletsMoved} wallet(s) in ${totals.transactions} transaction(s)${failedCount > 0 ? `, ${failedCount} wallet(s) failed` : ''}`);
+
+    return {
+        success: failedCount === 0,
+        message: failedCount === 0
+            ? `Moved ${totals.amountMoved} tokens from ${totals.walletsMoved} wallet(s).`
+            : `Moved ${totals.amountMoved} tokens; ${failedCount} wallet(s) failed.`,
+        mint: mintAddress,
+        destination: destination.toBase58(),
+        destinationTokenAccount: destinationTokenAccount.toBase58(),
+        destinationAccountCreated,
+        wallets: results,
+        totals
+    };
+}
+
 // ============================================================================
 // PHASE 2: ENHANCED SPL TOKEN BALANCE SERVICES
 // ============================================================================
@@ -462,7 +1095,7 @@ async function processBatchedBalanceRequests(requests, mintAddress) {
         const connection = getSolanaConnection();
         
         // MONOCODE Fix: Reduced batch size to prevent 429 errors - 2 for public RPC, 5 for premium RPC
-        const batchSize = process.env.SOLANA_RPC_URL && !process.env.SOLANA_RPC_URL.includes('api.mainnet-beta.solana.com') ? 5 : 2;
+        const batchSize = getRpcConfig() === RPC_CONFIGS.PREMIUM ? 5 : 2;
         const batchResults = await getBatchedTokenBalances(walletPublicKeys, mintAddress, connection, batchSize);
         
         // Map results back to individual requests
@@ -924,10 +1557,14 @@ module.exports = {
     // Existing services (backward compatibility maintained)
     createOrImportMotherWalletService,
     createBundledWalletsService,
+    createMnemonicBundledWalletsService,
     importBundledWalletsService,
+    importBundledWalletsFromMnemonicService,
     getWalletBalanceService, // Original SOL balance service
     fundChildWalletsService,
     returnFundsToMotherWalletService,
+    closeTokenAccountsService,
+    transferTokensService,
     
     // PHASE 2: Enhanced SPL Token Balance Services
     getTokenBalanceService,
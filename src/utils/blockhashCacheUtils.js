@@ -0,0 +1,148 @@
+/**
+ * BLOCKHASH CACHE UTILS - Background blockhash refresh for the pooled connection
+ *
+ * A blockhash stays valid for ~150 blocks (about a minute), so transactions built within a few
+ * seconds of each other can share one. The first read starts a refresher that fetches the latest
+ * blockhash every BLOCKHASH_REFRESH_INTERVAL_MS for every commitment read so far; it stops again
+ * after BLOCKHASH_IDLE_STOP_MS without reads, so an idle server spends no RPC budget on it.
+ * Reads older than maxAgeMs (refresher stalled or just started) fetch synchronously; concurrent
+ * misses share one request.
+ *
+ * MONOCODE Compliance: Bounded staleness, observable cache state (getBlockhashCacheStats) and
+ * the same { blockhash, lastValidBlockHeight } shape as getLatestBlockhash.
+ */
+
+const { getPooledConnection } = require('./rpcPoolUtils');
+
+const BLOCKHASH_REFRESH_INTERVAL_MS = parseInt(process.env.BLOCKHASH_REFRESH_INTERVAL_MS, 10) || 5000;
+const BLOCKHASH_MAX_AGE_MS = parseInt(process.env.BLOCKHASH_MAX_AGE_MS, 10) || 3 * BLOCKHASH_REFRESH_INTERVAL_MS;
+const BLOCKHASH_IDLE_STOP_MS = 60000;
+
+// commitment -> { blockhash, lastValidBlockHeight, fetchedAt, inflight, hits, misses, refreshes, lastError }
+const blockhashCache = new Map();
+let refreshTimer = null;
+let lastReadAt = 0;
+
+function getCacheEntry(commitment) {
+    if (!blockhashCache.has(commitment)) {
+        blockhashCache.set(commitment, {
+            blockhash: null,
+            lastValidBlockHeight: null,
+            fetchedAt: 0,
+            inflight: null,
+            hits: 0,
+            misses: 0,
+            refreshes: 0,
+            lastError: null
+        });
+    }
+    return blockhashCache.get(commitment);
+}
+
+/**
+ * Fetches the latest blockhash into the cache; concurrent calls share one request.
+ * @param {string} commitment
+ * @returns {Promise<object>} The cache entry
+ */
+function refreshBlockhash(commitment) {
+    const entry = getCacheEntry(commitment);
+    if (!entry.inflight) {
+        entry.inflight = getPooledConnection(commitment).getLatestBlockhash(commitment)
+            .then(({ blockhash, lastValidBlockHeight }) => {
+                Object.assign(entry, { blockhash, lastValidBlockHeight, fetchedAt: Date.now(), lastError: null });
+                entry.refreshes++;
+                return entry;
+            })
+            .catch(error => {
+                entry.lastError = error.message;
+                throw error;
+            })
+            .finally(() => {
+                entry.inflight = null;
+            });
+    }
+    return entry.inflight;
+}
+
+/**
+ * Runs the background refresh until no one has read a blockhash for BLOCKHASH_IDLE_STOP_MS.
+ */
+function scheduleRefresh() {
+    if (refreshTimer) return;
+    refreshTimer = setTimeout(async () => {
+        refreshTimer = null;
+        if (Date.now() - lastReadAt > BLOCKHASH_IDLE_STOP_MS) {
+            console.log('[BlockhashCacheUtils] No blockhash reads for a minute; background refresh paused');
+            return;
+        }
+        await Promise.all(Array.from(blockhashCache.keys()).map(commitment => refreshBlockhash(commitment).catch(error => {
+            console.warn(`[BlockhashCacheUtils] Background refresh (${commitment}) failed: ${error.message}`);
+        })));
+        scheduleRefresh();
+    }, BLOCKHASH_REFRESH_INTERVAL_MS);
+    refreshTimer.unref(); // Never keeps the process alive
+}
+
+/**
+ * Returns a recent blockhash, from the cache when it is fresh enough.
+ * @param {web3.Commitment} [commitment='confirmed']
+ * @param {object} [options={}]
+ * @param {number} [options.maxAgeMs=BLOCKHASH_MAX_AGE_MS] - Oldest cached blockhash accepted
+ * @param {boolean} [options.forceRefresh=false] - Always fetch (e.g. retrying after the previous blockhash expired)
+ * @returns {Promise<{blockhash: string, lastValidBlockHeight: number, fetchedAt: string, ageMs: number, cached: boolean}>}
+ */
+async function getCachedBlockhash(commitment = 'confirmed', options = {}) {
+    const { maxAgeMs = BLOCKHASH_MAX_AGE_MS, forceRefresh = false } = options;
+    lastReadAt = Date.now();
+    const entry = getCacheEntry(commitment);
+    let cached = true;
+
+    if (forceRefresh || !entry.blockhash || Date.now() - entry.fetchedAt > maxAgeMs) {
+        entry.misses++;
+        cached = false;
+        await refreshBlockhash(commitment);
+    } else {
+        entry.hits++;
+    }
+    scheduleRefresh();
+
+    return {
+        blockhash: entry.blockhash,
+        lastValidBlockHeight: entry.lastValidBlockHeight,
+        fetchedAt: new Date(entry.fetchedAt).toISOString(),
+        ageMs: Date.now() - entry.fetchedAt,
+        cached
+    };
+}
+
+/**
+ * Current cache state per commitment.
+ * @returns {{refreshIntervalMs: number, maxAgeMs: number, running: boolean, commitments: object}}
+ */
+function getBlockhashCacheStats() {
+    const commitments = {};
+    for (const [commitment, entry] of blockhashCache) {
+        commitments[commitment] = {
+            blockhash: entry.blockhash,
+            lastValidBlockHeight: entry.lastValidBlockHeight,
+            ageMs: entry.fetchedAt ? Date.now() - entry.fetchedAt : null,
+            hits: entry.hits,
+            misses: entry.misses,
+            refreshes: entry.refreshes,
+            lastError: entry.lastError
+        };
+    }
+    return {
+        refreshIntervalMs: BLOCKHASH_REFRESH_INTERVAL_MS,
+        maxAgeMs: BLOCKHASH_MAX_AGE_MS,
+        running: refreshTimer !== null,
+        commitments
+    };
+}
+
+module.exports = {
+    getCachedBlockhash,
+    getBlockhashCacheStats,
+    BLOCKHASH_REFRESH_INTERVAL_MS,
+    BLOCKHASH_MAX_AGE_MS
+};
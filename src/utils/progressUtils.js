@@ -0,0 +1,35 @@
+/**
+ * PROGRESS UTILITIES - Structured progress reporting for long-running operations
+ *
+ * Services accept an optional `onProgress(event)` callback (usually supplied by the job
+ * queue) and report through emitProgress so a failing listener can never break a trade.
+ *
+ * Event types:
+ *   wallet_validated - { walletName, publicKey, valid, isTipper, balanceSOL, requiredSOL, shortfallSOL }
+ *   tx_requested   - { walletName, action, pool, amount } (transaction requested from Pump Portal)
+ *   tx_sent        - { walletName, action, signature }
+ *   tx_confirmed   - { walletName?, action?, signature }
+ *   tx_failed      - { walletName?, action?, signature?, error }
+ *   tx_retry       - { walletName, action, attempt, slippageBps, priorityFeeSOL, previousOutcome } (retryPolicy)
+ *   batch_complete - { batchIndex, totalBatches, successful, failed }
+ *   bundle_complete - { bundleIndex, bundleId, size, landed, tipSOL, attempts, error } (executionMode "jito-bundle")
+ */
+
+/**
+ * Reports a progress event to an optional listener.
+ * @param {Function|undefined} onProgress - Listener supplied by the caller.
+ * @param {string} type - Event type (see module header).
+ * @param {object} [payload={}] - Event fields.
+ */
+function emitProgress(onProgress, type, payload = {}) {
+    if (typeof onProgress !== 'function') return;
+    try {
+        onProgress({ type, timestamp: new Date().toISOString(), ...payload });
+    } catch (error) {
+        console.warn(`[ProgressUtils] Progress listener failed for "${type}": ${error.message}`);
+    }
+}
+
+module.exports = {
+    emitProgress
+};
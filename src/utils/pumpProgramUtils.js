@@ -0,0 +1,315 @@
+/**
+ * PUMP PROGRAM UTILS - pump.fun on-chain program constants, PDAs and bonding curve math
+ *
+ * Shared by the native transaction builder so trades can be built without Pump Portal.
+ * Account layouts and instruction discriminators follow the public pump.fun Anchor IDL
+ * (discriminator = first 8 bytes of sha256("global:<instruction>")).
+ *
+ * MONOCODE Compliance: Pure functions with no RPC access, explicit constants.
+ */
+
+const web3 = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+
+// Program and well-known accounts
+const PUMP_PROGRAM_ID = new web3.PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+const PUMP_FEE_PROGRAM_ID = new web3.PublicKey('pfeeUxB6jkeY1Hxd7CsFCAjcbHA9rWtchMGdZ6VojVZ');
+const PUMP_FEE_RECIPIENT = new web3.PublicKey('CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM');
+const MPL_TOKEN_METADATA_PROGRAM_ID = new web3.PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// Instruction discriminators
+const CREATE_DISCRIMINATOR = Buffer.from([24, 30, 200, 40, 5, 28, 7, 119]);
+const BUY_DISCRIMINATOR = Buffer.from([102, 6, 61, 18, 1, 218, 235, 234]);
+const SELL_DISCRIMINATOR = Buffer.from([51, 230, 133, 164, 1, 127, 131, 173]);
+
+// Token and curve parameters (values of the pump.fun Global account at launch)
+const PUMP_TOKEN_DECIMALS = 6;
+const PUMP_FEE_BPS = 100; // Protocol fee (95 bps) + creator fee (5 bps)
+const INITIAL_VIRTUAL_TOKEN_RESERVES = 1073000000000000n;
+const INITIAL_VIRTUAL_SOL_RESERVES = 30000000000n;
+const INITIAL_REAL_TOKEN_RESERVES = 793100000000000n;
+const TOKEN_TOTAL_SUPPLY = 1000000000000000n;
+
+// Custom program errors (Anchor error codes from the pump.fun IDL)
+const PUMP_PROGRAM_ERRORS = {
+    6000: 'NotAuthorized',
+    6001: 'AlreadyInitialized',
+    6002: 'TooMuchSolRequired', // Buy slippage exceeded
+    6003: 'TooLittleSolReceived', // Sell slippage exceeded
+    6004: 'MintDoesNotMatchBondingCurve',
+    6005: 'BondingCurveComplete',
+    6006: 'BondingCurveNotComplete',
+    6007: 'NotInitialized',
+    6008: 'WithdrawTooFrequent',
+    6009: 'NewSizeShouldBeGreaterThanCurrentSize',
+    6010: 'AccountTypeNotSupported',
+    6011: 'InitialRealTokenReservesShouldBeLessThanTokenTotalSupply',
+    6012: 'InitialVirtualTokenReservesShouldBeGreaterThanInitialRealTokenReserves',
+    6013: 'FeeBasisPointsGreaterThanMaximum',
+    6014: 'AllZerosWithdrawAuthority',
+    6015: 'PoolMigrationFeeShouldBeLessThanFinalRealSolReserves',
+    6016: 'PoolMigrationFeeShouldBeGreaterThanCreatorFeePlusMaxMigrateFees',
+    6017: 'DisabledWithdraw',
+    6018: 'DisabledMigrate',
+    6019: 'InvalidCreator',
+    6020: 'BuyZeroAmount',
+    6021: 'NotEnoughTokensToBuy',
+    6022: 'SellZeroAmount',
+    6023: 'NotEnoughTokensToSell',
+    6024: 'Overflow',
+    6025: 'Truncation',
+    6026: 'DivisionByZero',
+    6027: 'NotEnoughRemainingAccounts'
+};
+
+// BondingCurve account: 8-byte discriminator, five u64 fields, complete flag, creator pubkey
+const BONDING_CURVE_MIN_SIZE = 8 + 5 * 8 + 1;
+const BONDING_CURVE_CREATOR_OFFSET = BONDING_CURVE_MIN_SIZE;
+
+const findPda = (seeds, programId = PUMP_PROGRAM_ID) => web3.PublicKey.findProgramAddressSync(seeds, programId)[0];
+
+const getGlobalPda = () => findPda([Buffer.from('global')]);
+const getMintAuthorityPda = () => findPda([Buffer.from('mint-authority')]);
+const getEventAuthorityPda = () => findPda([Buffer.from('__event_authority')]);
+const getGlobalVolumeAccumulatorPda = () => findPda([Buffer.from('global_volume_accumulator')]);
+const getUserVolumeAccumulatorPda = (user) => findPda([Buffer.from('user_volume_accumulator'), user.toBuffer()]);
+const getFeeConfigPda = () => findPda([Buffer.from('fee_config'), PUMP_PROGRAM_ID.toBuffer()], PUMP_FEE_PROGRAM_ID);
+
+/**
+ * Derives the bonding curve PDA for a mint.
+ * @param {web3.PublicKey} mint - Token mint
+ * @returns {web3.PublicKey}
+ */
+function getBondingCurvePda(mint) {
+    return findPda([Buffer.from('bonding-curve'), mint.toBuffer()]);
+}
+
+/**
+ * Derives the associated bonding curve (the bonding curve PDA's token account for the mint).
+ * @param {web3.PublicKey} mint - Token mint
+ * @returns {web3.PublicKey}
+ */
+function getAssociatedBondingCurve(mint) {
+    return getAssociatedTokenAddressSync(mint, getBondingCurvePda(mint), true, TOKEN_PROGRAM_ID);
+}
+
+/**
+ * Derives the creator fee vault PDA for a token creator.
+ * @param {web3.PublicKey} creator - Creator recorded in the bonding curve
+ * @returns {web3.PublicKey}
+ */
+function getCreatorVaultPda(creator) {
+    return findPda([Buffer.from('creator-vault'), creator.toBuffer()]);
+}
+
+/**
+ * Derives the Metaplex metadata account for a mint.
+ * @param {web3.PublicKey} mint - Token mint
+ * @returns {web3.PublicKey}
+ */
+function getMetadataPda(mint) {
+    return findPda(
+        [Buffer.from('metadata'), MPL_TOKEN_METADATA_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+        MPL_TOKEN_METADATA_PROGRAM_ID
+    );
+}
+
+/**
+ * Decodes the raw pump.fun BondingCurve account data.
+ * @param {Buffer|Uint8Array} data - Account data
+ * @returns {{virtualTokenReserves: bigint, virtualSolReserves: bigint, realTokenReserves: bigint,
+ *   realSolReserves: bigint, tokenTotalSupply: bigint, complete: boolean, creator: web3.PublicKey|null}}
+ * @throws {Error} If the data is too short to be a bonding curve
+ */
+function decodeBondingCurveAccount(data) {
+    const buffer = Buffer.from(data);
+    if (buffer.length < BONDING_CURVE_MIN_SIZE) {
+        throw new Error(`Invalid bonding curve account: expected at least ${BONDING_CURVE_MIN_SIZE} bytes, got ${buffer.length}`);
+    }
+    // Curves created before creator fees were introduced have no creator field
+    const hasCreator = buffer.length >= BONDING_CURVE_CREATOR_OFFSET + 32;
+    return {
+        virtualTokenReserves: buffer.readBigUInt64LE(8),
+        virtualSolReserves: buffer.readBigUInt64LE(16),
+        realTokenReserves: buffer.readBigUInt64LE(24),
+        realSolReserves: buffer.readBigUInt64LE(32),
+        tokenTotalSupply: buffer.readBigUInt64LE(40),
+        complete: buffer[48] === 1,
+        creator: hasCreator ? new web3.PublicKey(buffer.subarray(BONDING_CURVE_CREATOR_OFFSET, BONDING_CURVE_CREATOR_OFFSET + 32)) : null
+    };
+}
+
+/**
+ * Returns the curve state of a freshly created token (before any buy).
+ * @param {web3.PublicKey} creator - Token creator
+ * @returns {object} Same shape as decodeBondingCurveAccount
+ */
+function getInitialBondingCurveState(creator) {
+    return {
+        virtualTokenReserves: INITIAL_VIRTUAL_TOKEN_RESERVES,
+        virtualSolReserves: INITIAL_VIRTUAL_SOL_RESERVES,
+        realTokenReserves: INITIAL_REAL_TOKEN_RESERVES,
+        realSolReserves: 0n,
+        tokenTotalSupply: TOKEN_TOTAL_SUPPLY,
+        complete: false,
+        creator
+    };
+}
+
+/**
+ * Derives price, market cap and graduation progress from a bonding curve state.
+ * Price is the marginal spot price (virtual SOL / virtual tokens) before fees.
+ * @param {object} curve - Decoded bonding curve state
+ * @returns {{priceSOL: number, marketCapSOL: number, graduationProgressPercent: number}}
+ */
+function getBondingCurveMetrics(curve) {
+    const priceSOL = curve.virtualTokenReserves > 0n
+        ? (Number(curve.virtualSolReserves) / web3.LAMPORTS_PER_SOL) / (Number(curve.virtualTokenReserves) / 10 ** PUMP_TOKEN_DECIMALS)
+        : 0;
+    const marketCapSOL = priceSOL * (Number(curve.tokenTotalSupply) / 10 ** PUMP_TOKEN_DECIMALS);
+
+    // Graduation happens once every real (sellable) token has left the curve
+    const tokensSold = INITIAL_REAL_TOKEN_RESERVES - curve.realTokenReserves;
+    const graduationProgressPercent = curve.complete
+        ? 100
+        : Math.min(100, Math.max(0, Number(tokensSold * 10000n / INITIAL_REAL_TOKEN_RESERVES) / 100));
+
+    return { priceSOL, marketCapSOL, graduationProgressPercent };
+}
+
+/**
+ * Tokens received for spending `solLamports` (fee included) on the curve.
+ * @param {object} curve - Decoded bonding curve state
+ * @param {bigint} solLamports - Total SOL to spend, including the fee
+ * @param {number} [feeBps=PUMP_FEE_BPS] - Trade fee in basis points
+ * @returns {bigint} Raw token amount
+ */
+function getBuyTokenAmountFromSol(curve, solLamports, feeBps = PUMP_FEE_BPS) {
+    if (solLamports <= 0n) return 0n;
+    const solIntoCurve = solLamports * 10000n / (10000n + BigInt(feeBps));
+    const tokens = curve.virtualTokenReserves * solIntoCurve / (curve.virtualSolReserves + solIntoCurve);
+    return tokens < curve.realTokenReserves ? tokens : curve.realTokenReserves;
+}
+
+/**
+ * SOL cost (fee included) of buying exactly `tokenAmount` raw tokens.
+ * @param {object} curve - Decoded bonding curve state
+ * @param {bigint} tokenAmount - Raw tokens to buy
+ * @param {number} [feeBps=PUMP_FEE_BPS] - Trade fee in basis points
+ * @returns {bigint} Lamports
+ */
+function getBuySolCostForTokens(curve, tokenAmount, feeBps = PUMP_FEE_BPS) {
+    if (tokenAmount <= 0n) return 0n;
+    if (tokenAmount >= curve.virtualTokenReserves) {
+        throw new Error('Requested token amount exceeds the bonding curve reserves');
+    }
+    const solIntoCurve = curve.virtualSolReserves * tokenAmount / (curve.virtualTokenReserves - tokenAmount) + 1n;
+    return solIntoCurve + solIntoCurve * BigInt(feeBps) / 10000n;
+}
+
+/**
+ * SOL received (after fees) for selling `tokenAmount` raw tokens into the curve.
+ * @param {object} curve - Decoded bonding curve state
+ * @param {bigint} tokenAmount - Raw tokens to sell
+ * @param {number} [feeBps=PUMP_FEE_BPS] - Trade fee in basis points
+ * @returns {bigint} Lamports
+ */
+function getSellSolAmountFromTokens(curve, tokenAmount, feeBps = PUMP_FEE_BPS) {
+    if (tokenAmount <= 0n) return 0n;
+    const solOut = curve.virtualSolReserves * tokenAmount / (curve.virtualTokenReserves + tokenAmount);
+    return solOut - solOut * BigInt(feeBps) / 10000n;
+}
+
+/**
+ * Applies a SOL-denominated buy to a curve state without mutating it.
+ * When the buy would exceed the remaining real tokens it is capped and the curve completes.
+ * @param {object} curve - Decoded bonding curve state
+ * @param {bigint} solLamports - Total SOL to spend, including the fee
+ * @param {number} [feeBps=PUMP_FEE_BPS] - Trade fee in basis points
+ * @returns {{tokenAmount: bigint, solIntoCurve: bigint, feeLamports: bigint, capped: boolean, curve: object}}
+ */
+function applyBuyToCurve(curve, solLamports, feeBps = PUMP_FEE_BPS) {
+    let solIntoCurve = solLamports * 10000n / (10000n + BigInt(feeBps));
+    let tokenAmount = curve.virtualTokenReserves * solIntoCurve / (curve.virtualSolReserves + solIntoCurve);
+    const capped = tokenAmount >= curve.realTokenReserves;
+    if (capped) {
+        tokenAmount = curve.realTokenReserves;
+        solIntoCurve = curve.virtualSolReserves * tokenAmount / (curve.virtualTokenReserves - tokenAmount) + 1n;
+    }
+    const feeLamports = solIntoCurve * BigInt(feeBps) / 10000n;
+    return {
+        tokenAmount,
+        solIntoCurve,
+        feeLamports,
+        capped,
+        curve: {
+            ...curve,
+            virtualTokenReserves: curve.virtualTokenReserves - tokenAmount,
+            virtualSolReserves: curve.virtualSolReserves + solIntoCurve,
+            realTokenReserves: curve.realTokenReserves - tokenAmount,
+            realSolReserves: curve.realSolReserves + solIntoCurve,
+            complete: capped || curve.complete
+        }
+    };
+}
+
+/**
+ * Applies a token sell to a curve state without mutating it.
+ * @param {object} curve - Decoded bonding curve state
+ * @param {bigint} tokenAmount - Raw tokens to sell
+ * @param {number} [feeBps=PUMP_FEE_BPS] - Trade fee in basis points
+ * @returns {{solOutGross: bigint, feeLamports: bigint, solOut: bigint, curve: object}}
+ */
+function applySellToCurve(curve, tokenAmount, feeBps = PUMP_FEE_BPS) {
+    const solOutGross = curve.virtualSolReserves * tokenAmount / (curve.virtualTokenReserves + tokenAmount);
+    const feeLamports = solOutGross * BigInt(feeBps) / 10000n;
+    return {
+        solOutGross,
+        feeLamports,
+        solOut: solOutGross - feeLamports,
+        curve: {
+            ...curve,
+            virtualTokenReserves: curve.virtualTokenReserves + tokenAmount,
+            virtualSolReserves: curve.virtualSolReserves - solOutGross,
+            realTokenReserves: curve.realTokenReserves + tokenAmount,
+            realSolReserves: curve.realSolReserves - solOutGross
+        }
+    };
+}
+
+module.exports = {
+    getGlobalPda,
+    getMintAuthorityPda,
+    getEventAuthorityPda,
+    getGlobalVolumeAccumulatorPda,
+    getUserVolumeAccumulatorPda,
+    getFeeConfigPda,
+    getBondingCurvePda,
+    getAssociatedBondingCurve,
+    getCreatorVaultPda,
+    getMetadataPda,
+    decodeBondingCurveAccount,
+    getInitialBondingCurveState,
+    getBondingCurveMetrics,
+    getBuyTokenAmountFromSol,
+    getBuySolCostForTokens,
+    getSellSolAmountFromTokens,
+    applyBuyToCurve,
+    applySellToCurve,
+
+    // Constants
+    PUMP_PROGRAM_ID,
+    PUMP_FEE_PROGRAM_ID,
+    PUMP_FEE_RECIPIENT,
+    MPL_TOKEN_METADATA_PROGRAM_ID,
+    PUMP_PROGRAM_ERRORS,
+    CREATE_DISCRIMINATOR,
+    BUY_DISCRIMINATOR,
+    SELL_DISCRIMINATOR,
+    PUMP_TOKEN_DECIMALS,
+    PUMP_FEE_BPS,
+    INITIAL_VIRTUAL_TOKEN_RESERVES,
+    INITIAL_VIRTUAL_SOL_RESERVES,
+    INITIAL_REAL_TOKEN_RESERVES,
+    TOKEN_TOTAL_SUPPLY
+};
@@ -0,0 +1,476 @@
+/**
+ * RPC POOL UTILS - Weighted pool of Solana RPC endpoints with health checks and failover
+ *
+ * Endpoints come from SOLANA_RPC_ENDPOINTS, either a JSON array or a comma-separated list of URLs:
+ *   [{ "url": "https://...", "wsUrl": "wss://...", "weight": 3, "name": "helius",
+ *      "rateConfig": "PREMIUM", "requestsPerSecond": 50, "methodRequestsPerSecond": 20,
+ *      "maxConcurrentRequests": 8 }, "https://..."]
+ * Without it the pool holds the single endpoint SOLANA_RPC_URL (mainnet-beta by default).
+ *
+ * getPooledConnection() returns a web3.Connection whose RPC methods run on a healthy endpoint
+ * picked by weight and fail over to the next one on transport errors, 429s and 5xx responses.
+ * WebSocket subscriptions (on* / remove* listeners, confirmTransaction) always use the first
+ * endpoint so a listener is removed where it was added. With SOLANA_RPC_SEND_FANOUT > 1, signed
+ * transactions (sendRawTransaction, sendTransaction of a VersionedTransaction) go to that many
+ * endpoints at once; the first endpoint to accept the transaction returns its signature.
+ *
+ * Endpoints are probed with getSlot every SOLANA_RPC_HEALTH_INTERVAL_MS (0 disables probing);
+ * an endpoint that fails, is rate limited or lags more than MAX_SLOT_LAG slots behind the others
+ * is skipped until its cooldown ends. Calls are rate limited per endpoint and method by
+ * rpcRateLimitUtils; when every endpoint answered 429 the call is queued again, up to
+ * RATE_LIMIT_ROUNDS times.
+ *
+ * MONOCODE Compliance: Explicit configuration validation and observable failover logging.
+ */
+
+const web3 = require('@solana/web3.js');
+const {
+    createRateLimiter,
+    acquireRateLimit,
+    releaseRateLimit,
+    recordRateLimit,
+    recordRateLimitSuccess,
+    getRateLimiterStats,
+    parseRetryAfter,
+    RATE_LIMIT_PRESETS
+} = require('./rpcRateLimitUtils');
+
+const RATE_CONFIG_NAMES = ['PUBLIC', 'PREMIUM'];
+const PUBLIC_RPC_HOST = 'api.mainnet-beta.solana.com';
+const DEFAULT_HEALTH_INTERVAL_MS = 30000;
+const HEALTH_PROBE_TIMEOUT_MS = 5000;
+const MAX_SLOT_LAG = 150; // ~1 minute behind the most advanced endpoint
+const FAILURE_COOLDOWN_MS = 5000; // Doubles with consecutive failures, up to 8x
+const RATE_LIMIT_ROUNDS = 3; // Passes over the endpoints while every one of them answers 429
+
+// Errors worth retrying on another endpoint; anything else (simulation failures, invalid params) is final
+const FAILOVER_ERROR_PATTERN = /\b429\b|Too Many Requests|\b50[0-4]\b|Service Unavailable|Bad Gateway|Gateway Time-?out|fetch failed|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|network|timed out|timeout|Node is behind|-32005/i;
+const RATE_LIMIT_ERROR_PATTERN = /\b429\b|Too Many Requests/i;
+
+let rpcPool = null;
+
+/**
+ * Classifies an RPC URL the same way the rate limiter always has: the public mainnet-beta
+ * endpoint gets the PUBLIC preset, every other provider PREMIUM.
+ * @param {string} url
+ * @returns {string} "PUBLIC" | "PREMIUM"
+ */
+function detectRateConfigName(url) {
+    return url.includes(PUBLIC_RPC_HOST) ? 'PUBLIC' : 'PREMIUM';
+}
+
+/**
+ * Whether an RPC error should be retried on another endpoint.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isFailoverError(error) {
+    return FAILOVER_ERROR_PATTERN.test((error && error.message) || '');
+}
+
+function isRateLimitError(error) {
+    return RATE_LIMIT_ERROR_PATTERN.test((error && error.message) || '');
+}
+
+/**
+ * Validates one endpoint entry of SOLANA_RPC_ENDPOINTS and fills in defaults.
+ * @param {object|string} input - URL or { url, wsUrl, weight, name, rateConfig, requestsPerSecond,
+ *   methodRequestsPerSecond, maxConcurrentRequests }; limits default to the rateConfig preset
+ * @param {number} index - Position in the list, used in error messages
+ * @returns {object} Normalized endpoint config
+ * @throws {Error} If a field is invalid
+ */
+function normalizeEndpointConfig(input, index) {
+    const entry = typeof input === 'string' ? { url: input } : (input || {});
+    const label = `SOLANA_RPC_ENDPOINTS[${index}]`;
+
+    const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+    if (!/^https?:\/\//.test(url)) {
+        throw new Error(`${label}: url must be an http(s) URL`);
+    }
+    if (entry.wsUrl !== undefined && !/^wss?:\/\//.test(entry.wsUrl)) {
+        throw new Error(`${label}: wsUrl must be a ws(s) URL`);
+    }
+
+    const weight = entry.weight !== undefined ? Number(entry.weight) : 1;
+    if (!Number.isFinite(weight) || weight <= 0) {
+        throw new Error(`${label}: weight must be a positive number`);
+    }
+
+    const rateConfig = entry.rateConfig !== undefined ? String(entry.rateConfig).toUpperCase() : detectRateConfigName(url);
+    if (!RATE_CONFIG_NAMES.includes(rateConfig)) {
+        throw new Error(`${label}: rateConfig must be one of ${RATE_CONFIG_NAMES.join(', ')}`);
+    }
+
+    const readLimit = (field) => {
+        if (entry[field] === undefined) return RATE_LIMIT_PRESETS[rateConfig][field];
+        const value = Number(entry[field]);
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`${label}: ${field} must be a positive integer`);
+        }
+        return value;
+    };
+
+    return {
+        url,
+        wsUrl: entry.wsUrl || null,
+        name: entry.name ? String(entry.name) : new URL(url).host,
+        weight,
+        rateConfig,
+        limits: {
+            requestsPerSecond: readLimit('requestsPerSecond'),
+            methodRequestsPerSecond: readLimit('methodRequestsPerSecond'),
+            maxConcurrentRequests: readLimit('maxConcurrentRequests')
+        }
+    };
+}
+
+/**
+ * Reads the endpoint list from the environment.
+ * @returns {Array<object>} Normalized endpoint configs, in configured order
+ * @throws {Error} If SOLANA_RPC_ENDPOINTS is malformed
+ */
+function readEndpointConfigs() {
+    const raw = (process.env.SOLANA_RPC_ENDPOINTS || '').trim();
+    if (!raw) {
+        return [normalizeEndpointConfig(process.env.SOLANA_RPC_URL || web3.clusterApiUrl('mainnet-beta'), 0)];
+    }
+
+    let entries;
+    if (raw.startsWith('[')) {
+        try {
+            entries = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`SOLANA_RPC_ENDPOINTS is not valid JSON: ${error.message}`);
+        }
+    } else {
+        entries = raw.split(',').map(url => url.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('SOLANA_RPC_ENDPOINTS must list at least one endpoint');
+    }
+    return entries.map(normalizeEndpointConfig);
+}
+
+/**
+ * Reads a non-negative integer setting from the environment.
+ */
+function readIntegerEnv(name, defaultValue) {
+    if (process.env[name] === undefined || process.env[name] === '') return defaultValue;
+    const value = Number(process.env[name]);
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative integer`);
+    }
+    return value;
+}
+
+/**
+ * Builds the pool from the environment (once) and starts health probing for multi-endpoint pools.
+ * @returns {object} The pool
+ */
+function getRpcPool() {
+    if (rpcPool) return rpcPool;
+
+    const endpoints = readEndpointConfigs().map(config => ({
+        ...config,
+        connections: new Map(), // commitment -> web3.Connection
+        limiter: createRateLimiter(config.name, config.limits),
+        health: {
+            healthy: true,
+            consecutiveFailures: 0,
+            cooldownUntil: 0,
+            lastError: null,
+            lastCheckedAt: null,
+            latencyMs: null,
+            slot: null
+        }
+    }));
+    const sendFanout = Math.max(1, readIntegerEnv('SOLANA_RPC_SEND_FANOUT', 1));
+    const healthIntervalMs = readIntegerEnv('SOLANA_RPC_HEALTH_INTERVAL_MS', DEFAULT_HEALTH_INTERVAL_MS);
+
+    rpcPool = { endpoints, sendFanout, healthIntervalMs, pooledConnections: new Map(), healthTimer: null };
+    console.log(`[RpcPoolUtils] RPC pool: ${endpoints.map(endpoint => `${endpoint.name} (weight ${endpoint.weight}, ${endpoint.rateConfig})`).join(', ')}; send fan-out ${sendFanout}`);
+
+    if (endpoints.length > 1 && healthIntervalMs > 0) {
+        rpcPool.healthTimer = setInterval(() => {
+            probeRpcEndpoints().catch(error => console.warn(`[RpcPoolUtils] Health probe failed: ${error.message}`));
+        }, healthIntervalMs);
+        rpcPool.healthTimer.unref(); // Never keeps the process alive
+    }
+    return rpcPool;
+}
+
+/**
+ * The first configured endpoint: classifies the default rate config and hosts WebSocket subscriptions.
+ * @returns {object} Normalized endpoint config
+ */
+function getPrimaryRpcEndpoint() {
+    return getRpcPool().endpoints[0];
+}
+
+/**
+ * Returns the endpoint's web3.Connection for a commitment, creating it on first use.
+ * web3's own 429 retries are disabled: 429 responses pause the endpoint's limiter for their
+ * Retry-After instead, and the pool fails over or queues the call again.
+ */
+function getEndpointConnection(endpoint, commitment) {
+    if (!endpoint.connections.has(commitment)) {
+        endpoint.connections.set(commitment, new web3.Connection(endpoint.url, {
+            commitment,
+            ...(endpoint.wsUrl ? { wsEndpoint: endpoint.wsUrl } : {}),
+            disableRetryOnRateLimit: true,
+            fetch: async (url, init) => {
+                const response = await globalThis.fetch(url, init);
+                if (response.status === 429) {
+                    recordRateLimit(endpoint.limiter, parseRetryAfter(response.headers.get('retry-after')));
+                }
+                return response;
+            }
+        }));
+    }
+    return endpoint.connections.get(commitment);
+}
+
+function isEndpointAvailable(endpoint, now = Date.now()) {
+    return (endpoint.health.healthy || now >= endpoint.health.cooldownUntil) && now >= endpoint.limiter.pausedUntil;
+}
+
+/**
+ * Orders endpoints for one call: available endpoints in weighted random order
+ * (weighted sampling without replacement), then cooling-down endpoints as a last resort.
+ * @param {Array<object>} endpoints
+ * @returns {Array<object>}
+ */
+function orderEndpoints(endpoints) {
+    const now = Date.now();
+    const available = endpoints
+        .filter(endpoint => isEndpointAvailable(endpoint, now))
+        .map(endpoint => ({ endpoint, key: Math.pow(Math.random(), 1 / endpoint.weight) }))
+        .sort((a, b) => b.key - a.key)
+        .map(ranked => ranked.endpoint);
+    const coolingDown = endpoints
+        .filter(endpoint => !isEndpointAvailable(endpoint, now))
+        .sort((a, b) => a.health.cooldownUntil - b.health.cooldownUntil);
+    return [...available, ...coolingDown];
+}
+
+function recordSuccess(endpoint) {
+    Object.assign(endpoint.health, { healthy: true, consecutiveFailures: 0, cooldownUntil: 0, lastError: null });
+}
+
+/**
+ * Puts an endpoint on cooldown after a failover error. Rate limited endpoints cool down until
+ * their limiter's pause (Retry-After) ends.
+ */
+function recordFailure(endpoint, error) {
+    const health = endpoint.health;
+    health.consecutiveFailures++;
+    let cooldownUntil = Date.now() + FAILURE_COOLDOWN_MS * Math.min(Math.pow(2, health.consecutiveFailures - 1), 8);
+    if (isRateLimitError(error)) {
+        // The fetch hook already paused the limiter on an HTTP 429; a 429 reported inside a JSON-RPC error did not
+        cooldownUntil = endpoint.limiter.pausedUntil > Date.now() ? endpoint.limiter.pausedUntil : recordRateLimit(endpoint.limiter);
+    }
+    Object.assign(health, { healthy: false, cooldownUntil, lastError: error.message });
+}
+
+/**
+ * Runs one Connection method on one endpoint once its limiter lets it through, and records the
+ * outcome in its health. Errors that are not failover errors (the endpoint answered) leave the
+ * health untouched.
+ */
+async function runOnEndpoint(endpoint, commitment, method, args) {
+    await acquireRateLimit(endpoint.limiter, method);
+    try {
+        const connection = getEndpointConnection(endpoint, commitment);
+        const result = await connection[method](...args);
+        recordSuccess(endpoint);
+        recordRateLimitSuccess(endpoint.limiter);
+        return result;
+    } catch (error) {
+        if (isFailoverError(error)) recordFailure(endpoint, error);
+        throw error;
+    } finally {
+        releaseRateLimit(endpoint.limiter);
+    }
+}
+
+/**
+ * Runs a Connection method on the pool, failing over across endpoints. While every endpoint
+ * answers 429 the call goes around again (up to RATE_LIMIT_ROUNDS passes); each pass waits in
+ * the endpoints' queues until their Retry-After pause ends.
+ * @param {string} method - web3.Connection method name
+ * @param {Array} args
+ * @param {string} commitment
+ * @param {Array<object>} [endpoints] - Candidates in order (orderEndpoints of the pool by default)
+ * @returns {Promise<*>} The method's result
+ * @throws {Error} The first non-failover error, or the last error once every endpoint failed
+ *   (flagged `rpcPoolRetried` so callers do not retry rate limits again)
+ */
+async function callWithFailover(method, args, commitment, endpoints = orderEndpoints(getRpcPool().endpoints)) {
+    let lastError = null;
+    for (let round = 1; round <= RATE_LIMIT_ROUNDS; round++) {
+        let rateLimitedOnly = true;
+        for (let i = 0; i < endpoints.length; i++) {
+            try {
+                return await runOnEndpoint(endpoints[i], commitment, method, args);
+            } catch (error) {
+                if (!isFailoverError(error)) throw error;
+                lastError = error;
+                rateLimitedOnly = rateLimitedOnly && isRateLimitError(error);
+                if (i < endpoints.length - 1) {
+                    console.warn(`[RpcPoolUtils] ${method} failed on ${endpoints[i].name} (${error.message}); failing over to ${endpoints[i + 1].name}`);
+                }
+            }
+        }
+        if (!rateLimitedOnly) break;
+        if (round < RATE_LIMIT_ROUNDS) {
+            console.warn(`[RpcPoolUtils] ${method} rate limited on every endpoint; queueing again (pass ${round + 1}/${RATE_LIMIT_ROUNDS})`);
+        }
+    }
+    lastError.rpcPoolRetried = true;
+    throw lastError;
+}
+
+/**
+ * Sends a signed transaction to SOLANA_RPC_SEND_FANOUT endpoints at once and returns the first
+ * signature. Only already-signed transactions fan out: sendTransaction of a legacy Transaction
+ * signs it on the endpoint's own blockhash, so it is sent once with failover instead.
+ */
+async function sendWithFanout(method, args, commitment) {
+    const pool = getRpcPool();
+    const signed = method === 'sendRawTransaction' || args[0] instanceof web3.VersionedTransaction;
+    const ordered = orderEndpoints(pool.endpoints);
+    if (pool.sendFanout <= 1 || ordered.length <= 1 || !signed) {
+        return callWithFailover(method, args, commitment, ordered);
+    }
+
+    const targets = ordered.slice(0, pool.sendFanout);
+    try {
+        const signature = await Promise.any(targets.map(endpoint => runOnEndpoint(endpoint, commitment, method, args)));
+        console.log(`[RpcPoolUtils] ${method} fanned out to ${targets.map(endpoint => endpoint.name).join(', ')}: ${signature}`);
+        return signature;
+    } catch (aggregateError) {
+        const finalError = aggregateError.errors.find(error => !isFailoverError(error));
+        if (finalError) throw finalError;
+        const remaining = ordered.slice(targets.length);
+        if (remaining.length === 0) throw aggregateError.errors[0];
+        console.warn(`[RpcPoolUtils] ${method} failed on every fan-out endpoint; failing over to ${remaining[0].name}`);
+        return callWithFailover(method, args, commitment, remaining);
+    }
+}
+
+const SEND_METHODS = ['sendTransaction', 'sendRawTransaction', 'sendEncodedTransaction'];
+
+/**
+ * Whether a Connection method must stay on the primary endpoint (subscriptions and their
+ * WebSocket-based confirmation, plus web3 internals).
+ */
+function isPrimaryOnlyMethod(method) {
+    return method.startsWith('_') || /^(on|remove)[A-Z]/.test(method) || method === 'confirmTransaction';
+}
+
+/**
+ * Returns the pooled connection for a commitment. It is a web3.Connection (instanceof works and
+ * properties such as rpcEndpoint describe the primary endpoint) whose methods run on the pool.
+ * @param {web3.Commitment} [commitment='confirmed']
+ * @returns {web3.Connection}
+ */
+function getPooledConnection(commitment = 'confirmed') {
+    const pool = getRpcPool();
+    if (!pool.pooledConnections.has(commitment)) {
+        const primaryConnection = getEndpointConnection(pool.endpoints[0], commitment);
+        const methodCache = new Map();
+        pool.pooledConnections.set(commitment, new Proxy(primaryConnection, {
+            get(target, property, receiver) {
+                const value = Reflect.get(target, property, receiver);
+                if (typeof value !== 'function' || typeof property !== 'string' || isPrimaryOnlyMethod(property)) {
+                    return typeof value === 'function' ? value.bind(target) : value;
+                }
+                if (!methodCache.has(property)) {
+                    methodCache.set(property, SEND_METHODS.includes(property)
+                        ? (...args) => sendWithFanout(property, args, commitment)
+                        : (...args) => callWithFailover(property, args, commitment));
+                }
+                return methodCache.get(property);
+            }
+        }));
+    }
+    return pool.pooledConnections.get(commitment);
+}
+
+/**
+ * Whether a connection is one of the pool's pooled connections (as returned by getSolanaConnection()).
+ * @param {web3.Connection} connection
+ * @returns {boolean}
+ */
+function isPooledConnection(connection) {
+    return Array.from(getRpcPool().pooledConnections.values()).includes(connection);
+}
+
+/**
+ * Probes every endpoint with getSlot and updates its health: failures and endpoints lagging
+ * more than MAX_SLOT_LAG slots behind the most advanced endpoint are put on cooldown.
+ * @returns {Promise<Array<object>>} Pool status after the probe (see getRpcPoolStatus)
+ */
+async function probeRpcEndpoints() {
+    const pool = getRpcPool();
+    await Promise.all(pool.endpoints.map(async (endpoint) => {
+        const startedAt = Date.now();
+        let timer;
+        try {
+            const slot = await Promise.race([
+                getEndpointConnection(endpoint, 'processed').getSlot('processed'),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error(`health probe timed out after ${HEALTH_PROBE_TIMEOUT_MS}ms`)), HEALTH_PROBE_TIMEOUT_MS);
+                })
+            ]);
+            Object.assign(endpoint.health, { slot, latencyMs: Date.now() - startedAt });
+            recordSuccess(endpoint);
+        } catch (error) {
+            recordFailure(endpoint, error);
+            console.warn(`[RpcPoolUtils] ${endpoint.name} failed its health probe: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+            endpoint.health.lastCheckedAt = new Date().toISOString();
+        }
+    }));
+
+    const highestSlot = Math.max(...pool.endpoints.filter(endpoint => endpoint.health.healthy).map(endpoint => endpoint.health.slot || 0));
+    for (const endpoint of pool.endpoints) {
+        if (endpoint.health.healthy && highestSlot - endpoint.health.slot > MAX_SLOT_LAG) {
+            const error = new Error(`${highestSlot - endpoint.health.slot} slots behind`);
+            recordFailure(endpoint, error);
+            console.warn(`[RpcPoolUtils] ${endpoint.name} is ${error.message}; skipping it until it catches up`);
+        }
+    }
+    return getRpcPoolStatus();
+}
+
+/**
+ * Current configuration, health and rate limiter queue of every endpoint.
+ * @returns {Array<object>}
+ */
+function getRpcPoolStatus() {
+    const now = Date.now();
+    return getRpcPool().endpoints.map(endpoint => ({
+        name: endpoint.name,
+        url: endpoint.url,
+        weight: endpoint.weight,
+        rateConfig: endpoint.rateConfig,
+        available: isEndpointAvailable(endpoint, now),
+        ...endpoint.health,
+        rateLimiter: getRateLimiterStats(endpoint.limiter)
+    }));
+}
+
+module.exports = {
+    getPooledConnection,
+    isPooledConnection,
+    getPrimaryRpcEndpoint,
+    getRpcPoolStatus,
+    probeRpcEndpoints,
+    isFailoverError,
+    isRateLimitError,
+    detectRateConfigName,
+    MAX_SLOT_LAG
+};
@@ -0,0 +1,241 @@
+/**
+ * RPC RATE LIMIT UTILS - Token-bucket limiter per RPC endpoint and method, with priority lanes
+ *
+ * Every pooled RPC call waits here before it runs on its endpoint. A call needs one token from
+ * the endpoint bucket (requestsPerSecond) and one from its method's bucket (methodRequestsPerSecond),
+ * plus a free slot under maxConcurrentRequests. Waiting calls are served by lane:
+ *   send    - sendTransaction / sendRawTransaction
+ *   confirm - signature statuses, blockhash validity, transaction lookups and simulations
+ *   read    - everything else (balances, account info, ...)
+ * so a burst of balance reads never delays a send. Within a lane calls run in arrival order,
+ * except that a call whose method bucket is empty lets later calls of other methods through.
+ *
+ * A 429 pauses the endpoint for the response's Retry-After (or an exponential backoff when the
+ * header is missing); queued calls resume when the pause ends.
+ *
+ * MONOCODE Compliance: No busy-waiting, limits documented per preset, queue depth observable
+ * through getRateLimiterStats.
+ */
+
+// Public mainnet-beta: 100 req/10s per IP, 40 req/10s per method (https://solana.com/docs/references/clusters)
+const RATE_LIMIT_PRESETS = {
+    PUBLIC: { requestsPerSecond: 10, methodRequestsPerSecond: 4, maxConcurrentRequests: 2 },
+    PREMIUM: { requestsPerSecond: 25, methodRequestsPerSecond: 10, maxConcurrentRequests: 8 }
+};
+
+const PRIORITY_LANES = ['send', 'confirm', 'read'];
+const SEND_LANE_METHODS = ['sendTransaction', 'sendRawTransaction', 'sendEncodedTransaction'];
+const CONFIRM_LANE_METHODS = [
+    'getSignatureStatus',
+    'getSignatureStatuses',
+    'isBlockhashValid',
+    'getLatestBlockhash',
+    'getLatestBlockhashAndContext',
+    'getBlockHeight',
+    'getTransaction',
+    'getParsedTransaction',
+    'simulateTransaction'
+];
+const RATE_LIMIT_BACKOFF_MS = 500; // First pause after a 429 without Retry-After; doubles per consecutive 429
+const MAX_RATE_LIMIT_PAUSE_MS = 30000;
+
+/**
+ * Priority lane of an RPC method.
+ * @param {string} method - web3.Connection method name
+ * @returns {string} "send" | "confirm" | "read"
+ */
+function getPriorityLane(method) {
+    if (SEND_LANE_METHODS.includes(method)) return 'send';
+    if (CONFIRM_LANE_METHODS.includes(method)) return 'confirm';
+    return 'read';
+}
+
+function createBucket(ratePerSecond) {
+    return { capacity: ratePerSecond, tokens: ratePerSecond, ratePerMs: ratePerSecond / 1000, updatedAt: Date.now() };
+}
+
+function refillBucket(bucket, now) {
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.ratePerMs);
+    bucket.updatedAt = now;
+}
+
+function msUntilToken(bucket) {
+    return Math.ceil((1 - bucket.tokens) / bucket.ratePerMs);
+}
+
+/**
+ * Creates the limiter of one endpoint.
+ * @param {string} name - Endpoint name (logs and stats)
+ * @param {object} limits - { requestsPerSecond, methodRequestsPerSecond, maxConcurrentRequests }
+ * @returns {object} Limiter
+ */
+function createRateLimiter(name, limits) {
+    return {
+        name,
+        limits,
+        endpointBucket: createBucket(limits.requestsPerSecond),
+        methodBuckets: new Map(),
+        lanes: { send: [], confirm: [], read: [] },
+        inFlight: 0,
+        pausedUntil: 0,
+        consecutiveRateLimits: 0,
+        timer: null
+    };
+}
+
+function getMethodBucket(limiter, method) {
+    if (!limiter.methodBuckets.has(method)) {
+        limiter.methodBuckets.set(method, createBucket(limiter.limits.methodRequestsPerSecond));
+    }
+    return limiter.methodBuckets.get(method);
+}
+
+/**
+ * Starts every queued call that may run now and schedules a wake-up for the rest.
+ */
+function drainQueue(limiter) {
+    if (limiter.timer) {
+        clearTimeout(limiter.timer);
+        limiter.timer = null;
+    }
+    const now = Date.now();
+    const hasQueued = PRIORITY_LANES.some(lane => limiter.lanes[lane].length > 0);
+    if (!hasQueued) return;
+    if (now < limiter.pausedUntil) {
+        limiter.timer = setTimeout(() => drainQueue(limiter), limiter.pausedUntil - now);
+        return;
+    }
+
+    refillBucket(limiter.endpointBucket, now);
+    let wakeInMs = Infinity;
+    for (const lane of PRIORITY_LANES) {
+        const queue = limiter.lanes[lane];
+        let index = 0;
+        while (index < queue.length) {
+            if (limiter.inFlight >= limiter.limits.maxConcurrentRequests) return; // releaseRateLimit drains again
+            if (limiter.endpointBucket.tokens < 1) {
+                wakeInMs = Math.min(wakeInMs, msUntilToken(limiter.endpointBucket));
+                limiter.timer = setTimeout(() => drainQueue(limiter), wakeInMs);
+                return;
+            }
+            const methodBucket = getMethodBucket(limiter, queue[index].method);
+            refillBucket(methodBucket, now);
+            if (methodBucket.tokens < 1) {
+                wakeInMs = Math.min(wakeInMs, msUntilToken(methodBucket));
+                index++;
+                continue;
+            }
+            methodBucket.tokens -= 1;
+            limiter.endpointBucket.tokens -= 1;
+            limiter.inFlight++;
+            queue.splice(index, 1)[0].resolve();
+        }
+    }
+    if (wakeInMs !== Infinity) {
+        limiter.timer = setTimeout(() => drainQueue(limiter), wakeInMs);
+    }
+}
+
+/**
+ * Waits until a call of `method` may run on the limiter's endpoint. Every acquire must be
+ * followed by exactly one releaseRateLimit once the call settled.
+ * @param {object} limiter
+ * @param {string} method - web3.Connection method name
+ * @returns {Promise<void>}
+ */
+function acquireRateLimit(limiter, method) {
+    return new Promise(resolve => {
+        limiter.lanes[getPriorityLane(method)].push({ method, resolve, queuedAt: Date.now() });
+        drainQueue(limiter);
+    });
+}
+
+/**
+ * Frees the concurrency slot of a finished call.
+ * @param {object} limiter
+ */
+function releaseRateLimit(limiter) {
+    limiter.inFlight--;
+    drainQueue(limiter);
+}
+
+/**
+ * Parses a Retry-After header (seconds or an HTTP date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds) && seconds >= 0) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Pauses the endpoint after a 429: for Retry-After when the response carried one, otherwise for
+ * an exponential backoff. Overlapping 429s keep the longest pause.
+ * @param {object} limiter
+ * @param {number|null} [retryAfterMs] - From the Retry-After header
+ * @returns {number} Pause end (epoch ms)
+ */
+function recordRateLimit(limiter, retryAfterMs = null) {
+    limiter.consecutiveRateLimits++;
+    const pauseMs = retryAfterMs !== null
+        ? Math.min(retryAfterMs, MAX_RATE_LIMIT_PAUSE_MS)
+        : Math.min(RATE_LIMIT_BACKOFF_MS * Math.pow(2, limiter.consecutiveRateLimits - 1), MAX_RATE_LIMIT_PAUSE_MS);
+    limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + pauseMs);
+    console.warn(`[RpcRateLimitUtils] ${limiter.name} rate limited; pausing ${pauseMs}ms${retryAfterMs !== null ? ' (Retry-After)' : ''}`);
+    return limiter.pausedUntil;
+}
+
+/**
+ * Resets the 429 backoff after a successful call.
+ * @param {object} limiter
+ */
+function recordRateLimitSuccess(limiter) {
+    limiter.consecutiveRateLimits = 0;
+}
+
+/**
+ * Queue depth and limiter state of one endpoint.
+ * @param {object} limiter
+ * @returns {object} { limits, inFlight, queued, queuedByLane, queuedByMethod, oldestQueuedMs, pausedUntil, availableTokens }
+ */
+function getRateLimiterStats(limiter) {
+    const now = Date.now();
+    const queuedByLane = {};
+    const queuedByMethod = {};
+    let oldestQueuedAt = null;
+    for (const lane of PRIORITY_LANES) {
+        queuedByLane[lane] = limiter.lanes[lane].length;
+        for (const request of limiter.lanes[lane]) {
+            queuedByMethod[request.method] = (queuedByMethod[request.method] || 0) + 1;
+            oldestQueuedAt = oldestQueuedAt === null ? request.queuedAt : Math.min(oldestQueuedAt, request.queuedAt);
+        }
+    }
+    refillBucket(limiter.endpointBucket, now);
+    return {
+        limits: limiter.limits,
+        inFlight: limiter.inFlight,
+        queued: PRIORITY_LANES.reduce((sum, lane) => sum + queuedByLane[lane], 0),
+        queuedByLane,
+        queuedByMethod,
+        oldestQueuedMs: oldestQueuedAt === null ? 0 : now - oldestQueuedAt,
+        pausedUntil: limiter.pausedUntil > now ? new Date(limiter.pausedUntil).toISOString() : null,
+        availableTokens: Math.floor(limiter.endpointBucket.tokens)
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+    acquireRateLimit,
+    releaseRateLimit,
+    recordRateLimit,
+    recordRateLimitSuccess,
+    getRateLimiterStats,
+    getPriorityLane,
+    parseRetryAfter,
+    RATE_LIMIT_PRESETS,
+    PRIORITY_LANES
+};
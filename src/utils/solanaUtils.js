@@ -1,6 +1,14 @@
 const web3 = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
 const { getSolanaConnection } = require('./walletUtils');
-const { rateLimitedRpcCall, sleep, getRpcConfig } = require('./transactionUtils');
+const { rateLimitedRpcCall, sleep, getRpcConfig, RPC_CONFIGS } = require('./transactionUtils');
+const {
+    getBondingCurvePda,
+    getAssociatedBondingCurve,
+    decodeBondingCurveAccount,
+    getBondingCurveMetrics,
+    PUMP_TOKEN_DECIMALS
+} = require('./pumpProgramUtils');
 
 /**
  * Enhanced Solana Utilities for SPL Token Operations
@@ -159,6 +167,41 @@ async function getAllTokenBalances(walletPublicKey, connectionOverride = null) {
     }
 }
 
+/**
+ * Lists every SPL Token and Token-2022 account owned by a wallet, empty accounts included.
+ * Unlike getAllTokenBalances this throws on RPC errors, so callers never mistake a failure for "no accounts".
+ * @param {string} walletPublicKey - The wallet's public key as string
+ * @param {web3.Connection} [connectionOverride] - Optional connection override
+ * @returns {Promise<Array<{address: web3.PublicKey, programId: web3.PublicKey, mint: string, amount: string, decimals: number, lamports: number, state: string, closeAuthority: string|null}>>}
+ */
+async function getTokenAccountsByOwner(walletPublicKey, connectionOverride = null) {
+    const connection = connectionOverride || getSolanaConnection();
+    const owner = new web3.PublicKey(walletPublicKey);
+
+    const accountsByProgram = await Promise.all([TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map(async (programId) => {
+        const result = await rateLimitedRpcCall(async () => {
+            return await connection.getParsedTokenAccountsByOwner(owner, { programId });
+        });
+        return result.value.map(({ pubkey, account }) => {
+            const info = account.data.parsed.info;
+            return {
+                address: pubkey,
+                programId,
+                mint: info.mint,
+                amount: info.tokenAmount.amount,
+                decimals: info.tokenAmount.decimals,
+                lamports: account.lamports,
+                state: info.state,
+                closeAuthority: info.closeAuthority || null
+            };
+        });
+    }));
+
+    const accounts = accountsByProgram.flat();
+    console.log(`[SolanaUtils] Found ${accounts.length} token account(s) for wallet ${walletPublicKey.slice(0, 8)}...`);
+    return accounts;
+}
+
 /**
  * Gets specific SPL token balances for multiple wallets in parallel batches
  * @param {Array<string>} walletPublicKeys - Array of wallet public keys as strings
@@ -170,7 +213,7 @@ async function getAllTokenBalances(walletPublicKey, connectionOverride = null) {
 async function getBatchedTokenBalances(walletPublicKeys, mintAddress, connectionOverride = null, batchSize = null) {
     // MONOCODE Fix: Dynamic batch size to prevent 429 errors - 2 for public RPC, 5 for premium RPC
     if (batchSize === null) {
-        batchSize = process.env.SOLANA_RPC_URL && !process.env.SOLANA_RPC_URL.includes('api.mainnet-beta.solana.com') ? 5 : 2;
+        batchSize = getRpcConfig() === RPC_CONFIGS.PREMIUM ? 5 : 2;
     }
     console.log(`[SolanaUtils] Getting token balances for ${walletPublicKeys.length} wallets in batches of ${batchSize}`);
     
@@ -339,10 +382,79 @@ async function hasTokens(walletPublicKey, connectionOverride = null) {
     }
 }
 
+/**
+ * Reads and decodes the pump.fun bonding curve account for a mint
+ * @param {string} mintAddress - The token mint address as string
+ * @param {web3.Connection} [connectionOverride] - Optional connection override
+ * @returns {Promise<object|null>} Decoded curve state (bigint reserves) or null if the mint has no bonding curve
+ * @throws {Error} If the mint address is invalid or the RPC call fails
+ */
+async function getBondingCurveState(mintAddress, connectionOverride = null) {
+    let mintPubKey;
+    try {
+        mintPubKey = new web3.PublicKey(mintAddress);
+    } catch (error) {
+        throw new Error(`Invalid public key format: ${error.message}`);
+    }
+
+    const connection = connectionOverride || getSolanaConnection();
+    const accountInfo = await rateLimitedRpcCall(async () => {
+        return await connection.getAccountInfo(getBondingCurvePda(mintPubKey), 'confirmed');
+    });
+
+    if (!accountInfo) {
+        console.log(`[SolanaUtils] No bonding curve found for mint ${mintAddress.slice(0, 8)}...`);
+        return null;
+    }
+    return decodeBondingCurveAccount(accountInfo.data);
+}
+
+/**
+ * Gets pump.fun token info from the bonding curve: reserves, price, market cap and graduation progress
+ * @param {string} mintAddress - The token mint address as string
+ * @param {web3.Connection} [connectionOverride] - Optional connection override
+ * @returns {Promise<object|null>} JSON-safe token info (raw amounts as strings) or null if not a pump.fun token
+ */
+async function getPumpTokenInfo(mintAddress, connectionOverride = null) {
+    console.log(`[SolanaUtils] Getting pump.fun bonding curve info for mint: ${mintAddress.slice(0, 8)}...`);
+
+    const curve = await getBondingCurveState(mintAddress, connectionOverride);
+    if (!curve) return null;
+
+    const mintPubKey = new web3.PublicKey(mintAddress);
+    const metrics = getBondingCurveMetrics(curve);
+
+    console.log(`[SolanaUtils] ✅ Bonding curve: price ${metrics.priceSOL} SOL, ${metrics.graduationProgressPercent}% to graduation, complete=${curve.complete}`);
+    return {
+        mint: mintAddress,
+        bondingCurve: getBondingCurvePda(mintPubKey).toBase58(),
+        associatedBondingCurve: getAssociatedBondingCurve(mintPubKey).toBase58(),
+        creator: curve.creator ? curve.creator.toBase58() : null,
+        complete: curve.complete,
+        decimals: PUMP_TOKEN_DECIMALS,
+        reserves: {
+            virtualTokenReserves: curve.virtualTokenReserves.toString(),
+            virtualSolReserves: curve.virtualSolReserves.toString(),
+            realTokenReserves: curve.realTokenReserves.toString(),
+            realSolReserves: curve.realSolReserves.toString(),
+            realSolReservesSOL: Number(curve.realSolReserves) / web3.LAMPORTS_PER_SOL
+        },
+        tokenTotalSupply: curve.tokenTotalSupply.toString(),
+        priceSOL: metrics.priceSOL,
+        marketCapSOL: metrics.marketCapSOL,
+        graduationProgressPercent: metrics.graduationProgressPercent
+    };
+}
+
 module.exports = {
+    // pump.fun bonding curve
+    getBondingCurveState,
+    getPumpTokenInfo,
+
     // Core SPL token functions
     getTokenBalance,
     getAllTokenBalances,
+    getTokenAccountsByOwner,
     getBatchedTokenBalances,
     getWalletSummary,
     getFormattedTokenBalance,
@@ -1,19 +1,19 @@
 const web3 = require('@solana/web3.js');
 
 const bs58 = require('bs58');
+const { getPrimaryRpcEndpoint, isPooledConnection } = require('./rpcPoolUtils');
+const { getCachedBlockhash } = require('./blockhashCacheUtils');
 
 /**
  * RPC Provider Configuration for optimal settings
- * These settings are optimized for each provider type
+ * These settings are optimized for each provider type. Request rates and concurrency are
+ * limited per endpoint and method by rpcRateLimitUtils (RATE_LIMIT_PRESETS).
  */
 const RPC_CONFIGS = {
     // Public mainnet-beta (free tier) - Optimized for official limits
     // Official limits: 100 req/10s total, 40 req/10s per method, 40 concurrent connections
-    // Per method limit: 40 req/10s = 4 RPS = 250ms minimum interval per method
     PUBLIC: {
         name: 'Public Mainnet-Beta',
-        rpcCallInterval: 3000, // 2500ms between calls (4 req/10s = safe margin under 40 req/10s per method)
-        maxConcurrentRequests: 2, // Single concurrent request to avoid method-specific bursts
         retryBackoff: 500, // 3s initial backoff for 429 errors (reduced from 15s)
         confirmationTimeout: 9000, // 20s confirmation timeout
         useWebSocket: true, // Always use WebSocket to avoid polling overhead
@@ -23,8 +23,6 @@ const RPC_CONFIGS = {
     // Premium providers (QuickNode, Helius, Alchemy) - relaxed settings
     PREMIUM: {
         name: 'Premium RPC Provider',
-        rpcCallInterval: 100, // 100ms between calls (higher limits)
-        maxConcurrentRequests: 4, // More concurrent requests allowed
         retryBackoff: 500, // 1s backoff
         confirmationTimeout: 5000, // 10s confirmation timeout
         useWebSocket: true, // WebSocket preferred but polling fallback available
@@ -32,70 +30,55 @@ const RPC_CONFIGS = {
     }
 };
 
-// Detect RPC type based on URL
+// Detect RPC type from the primary endpoint of the RPC pool (its rateConfig, or the URL)
 function getRpcConfig() {
-    const rpcUrl = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-
-    if (rpcUrl.includes('api.mainnet-beta.solana.com')) {
-        console.log(`[TransactionUtils] Using PUBLIC RPC configuration for: ${rpcUrl}`);
-        return RPC_CONFIGS.PUBLIC;
-    } else {
-        console.log(`[TransactionUtils] Using PREMIUM RPC configuration for: ${rpcUrl}`);
-        return RPC_CONFIGS.PREMIUM;
-    }
+    const primaryEndpoint = getPrimaryRpcEndpoint();
+    console.log(`[TransactionUtils] Using ${primaryEndpoint.rateConfig} RPC configuration for: ${primaryEndpoint.url}`);
+    return RPC_CONFIGS[primaryEndpoint.rateConfig];
 }
 
 const currentRpcConfig = getRpcConfig();
 
 /**
- * Enhanced RPC rate limiting protection based on provider type
+ * Runs an RPC call and retries rate limit errors the RPC pool did not already retry.
+ * Calls on pooled connections are rate limited per endpoint and method (priority lanes, token
+ * buckets, Retry-After) before they reach the network, so they no longer wait on each other here.
+ * @param {Function} rpcFunction - async () => result
+ * @param {number} [retries=3] - Attempts for rate limited calls on non-pooled connections
+ * @returns {Promise<*>} The call's result
  */
-let lastRpcCall = 0;
-let concurrentRequests = 0;
-
 async function rateLimitedRpcCall(rpcFunction, retries = 3) {
-    // Wait for concurrent request slot
-    while (concurrentRequests >= currentRpcConfig.maxConcurrentRequests) {
-        await sleep(50); // Short wait for slot to open
-    }
-
-    concurrentRequests++;
-
-    try {
-        for (let i = 0; i < retries; i++) {
-            try {
-                // Ensure minimum interval between RPC calls
-                const now = Date.now();
-                const timeSinceLastCall = now - lastRpcCall;
-                if (timeSinceLastCall < currentRpcConfig.rpcCallInterval) {
-                    await sleep(currentRpcConfig.rpcCallInterval - timeSinceLastCall);
-                }
-                lastRpcCall = Date.now();
-
-                return await rpcFunction();
-            } catch (error) {
-                if (error.message.includes('429') || error.message.includes('Too Many Requests')) {
-                    const backoffTime = Math.min(currentRpcConfig.retryBackoff * Math.pow(2, i), 30000);
-                    console.warn(`[TransactionUtils] RPC rate limited, waiting ${backoffTime}ms (attempt ${i + 1}/${retries})`);
-                    await sleep(backoffTime);
-                    continue;
-                }
-                throw error;
+    for (let i = 0; i < retries; i++) {
+        try {
+            return await rpcFunction();
+        } catch (error) {
+            const rateLimited = error.message.includes('429') || error.message.includes('Too Many Requests');
+            if (rateLimited && !error.rpcPoolRetried && i < retries - 1) {
+                const backoffTime = Math.min(currentRpcConfig.retryBackoff * Math.pow(2, i), 30000);
+                console.warn(`[TransactionUtils] RPC rate limited, waiting ${backoffTime}ms (attempt ${i + 1}/${retries})`);
+                await sleep(backoffTime);
+                continue;
             }
+            throw error;
         }
-        throw new Error('RPC call failed after rate limiting retries');
-    } finally {
-        concurrentRequests--;
     }
 }
 
 /**
- * Gets recent blockhash with proper commitment level and rate limiting protection
+ * Gets recent blockhash with proper commitment level and rate limiting protection.
+ * Pooled connections read the background blockhash cache (see blockhashCacheUtils).
  * @param {web3.Connection} connection - Solana connection object
  * @param {web3.Commitment} [commitment='confirmed'] - Commitment level
+ * @param {object} [options={}] - Cache options for pooled connections ({ maxAgeMs, forceRefresh })
  * @returns {Promise<{blockhash: string, lastValidBlockHeight: number}>}
  */
-async function getRecentBlockhash(connection, commitment = 'confirmed') {
+async function getRecentBlockhash(connection, commitment = 'confirmed', options = {}) {
+    if (isPooledConnection(connection)) {
+        const cachedResult = await getCachedBlockhash(commitment, options);
+        console.log(`[TransactionUtils] Blockhash ${cachedResult.cached ? 'from cache' : 'fetched'}: ${cachedResult.blockhash.slice(0, 8)}... (age ${cachedResult.ageMs}ms)`);
+        return cachedResult;
+    }
+
     console.log(`[TransactionUtils] Fetching recent blockhash with commitment: ${commitment}`);
 
     const result = await rateLimitedRpcCall(async () => {
@@ -540,10 +523,8 @@ async function sendAndConfirmTransactionRobustly(connection, transaction, signer
                 }
             }
 
-            // Get FRESH blockhash for each attempt - CRITICAL for avoiding expiry
-            const latestBlockhash = await rateLimitedRpcCall(async () => {
-                return await connection.getLatestBlockhash(commitment);
-            });
+            // Recent blockhash from the background cache; retries force a FRESH one - CRITICAL for avoiding expiry
+            const latestBlockhash = await getRecentBlockhash(connection, commitment, { forceRefresh: retries > 0 });
 
             transaction.recentBlockhash = latestBlockhash.blockhash;
             transaction.feePayer = signers[0].publicKey;
@@ -725,9 +706,10 @@ async function estimateTransactionFee(connection, transaction, signers) {
  * Gets dynamic priority fee recommendations
  * @param {web3.Connection} connection - Solana connection object
  * @param {web3.PublicKey[]} [accounts] - Accounts involved in the transaction
+ * @param {number} [percentile=90] - Percentile of the recent fees to recommend (1-100)
  * @returns {Promise<number>} Recommended priority fee in microlamports
  */
-async function getDynamicPriorityFee(connection, accounts = []) {
+async function getDynamicPriorityFee(connection, accounts = [], percentile = 90) {
     try {
         console.log(`[TransactionUtils] Getting dynamic priority fee...`);
 
@@ -740,15 +722,15 @@ async function getDynamicPriorityFee(connection, accounts = []) {
             });
 
             if (recentFees && recentFees.length > 0) {
-                // Use 90th percentile for higher success rate
+                // Default 90th percentile for higher success rate
                 const sortedFees = recentFees
                     .map(fee => fee.prioritizationFee)
                     .sort((a, b) => a - b);
 
-                const percentile90Index = Math.floor(sortedFees.length * 0.9);
-                const recommendedFee = Math.max(sortedFees[percentile90Index] || 100000, 50000);
+                const percentileIndex = Math.min(Math.floor(sortedFees.length * percentile / 100), sortedFees.length - 1);
+                const recommendedFee = Math.max(sortedFees[percentileIndex] || 100000, 50000);
 
-                console.log(`[TransactionUtils] Dynamic priority fee (90th percentile): ${recommendedFee} microlamports`);
+                console.log(`[TransactionUtils] Dynamic priority fee (${percentile}th percentile): ${recommendedFee} microlamports`);
                 return recommendedFee;
             }
         }
@@ -2,8 +2,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const web3 = require('@solana/web3.js');
 const bs58 = require('bs58');
+const bip39 = require('bip39');
+const { derivePath } = require('ed25519-hd-key');
 const { getAssociatedTokenAddress } = require('@solana/spl-token'); // MONOCODE: Add for getTokenBalance
 const { rateLimitedRpcCall } = require('./transactionUtils');
+const { getPooledConnection } = require('./rpcPoolUtils');
 
 // Configuration for wallet storage - API services will use this.
 // For now, defaults to a 'data/wallets' directory in the project root.
@@ -206,6 +209,26 @@ async function getWalletBalance(connection, publicKey) {
     }
 }
 
+const MULTIPLE_ACCOUNTS_BATCH_SIZE = 100; // getMultipleAccountsInfo limit
+
+/**
+ * Gets the SOL balances of many public keys with getMultipleAccountsInfo (one call per 100 keys).
+ * @param {web3.Connection} connection Solana connection object.
+ * @param {web3.PublicKey[]} publicKeys The public keys to look up.
+ * @returns {Promise<number[]>} Balances in SOL in input order (0 for accounts that do not exist).
+ */
+async function getWalletBalances(connection, publicKeys) {
+    const balances = [];
+    for (let i = 0; i < publicKeys.length; i += MULTIPLE_ACCOUNTS_BATCH_SIZE) {
+        const chunk = publicKeys.slice(i, i + MULTIPLE_ACCOUNTS_BATCH_SIZE);
+        const accounts = await rateLimitedRpcCall(async () => {
+            return await connection.getMultipleAccountsInfo(chunk);
+        });
+        balances.push(...accounts.map(account => (account ? account.lamports : 0) / web3.LAMPORTS_PER_SOL));
+    }
+    return balances;
+}
+
 /**
  * Gets the token balance of a given public key for a specific mint.
  * @param {web3.Connection} connection Solana connection object.
@@ -235,33 +258,82 @@ async function getTokenBalance(connection, walletPublicKey, mintPublicKey) {
     }
 }
 
-// Solana connection configuration - this should be configurable for the API
-// For now, keeping it simple.
+// Solana connection configuration. Without an explicit URL the connection comes from the RPC pool
+// (SOLANA_RPC_ENDPOINTS, or SOLANA_RPC_URL alone - see rpcPoolUtils).
 let solanaConnection;
 function getSolanaConnection(rpcUrl, commitment = 'confirmed') {
-    // Prefer explicit arg, then env var, then mainnet-beta default
-    const envRpcUrl = process.env.SOLANA_RPC_URL;
-    const effectiveRpcUrl = rpcUrl || envRpcUrl || web3.clusterApiUrl('mainnet-beta');
-
     // Allow overriding commitment via env while preserving explicit arg precedence
     const effectiveCommitment = commitment || process.env.SOLANA_COMMITMENT || 'confirmed';
 
-    if (!solanaConnection || solanaConnection.rpcEndpoint !== effectiveRpcUrl) {
-        console.log(`Initializing Solana connection to: ${effectiveRpcUrl} with commitment: ${effectiveCommitment}`);
-        solanaConnection = new web3.Connection(effectiveRpcUrl, effectiveCommitment);
+    if (!rpcUrl) {
+        return getPooledConnection(effectiveCommitment);
+    }
+
+    if (!solanaConnection || solanaConnection.rpcEndpoint !== rpcUrl) {
+        console.log(`Initializing Solana connection to: ${rpcUrl} with commitment: ${effectiveCommitment}`);
+        solanaConnection = new web3.Connection(rpcUrl, effectiveCommitment);
     }
     return solanaConnection;
 }
 
+// Same account path as Phantom/Solflare/solana-keygen, so a derived set can also be opened in a wallet app
+const SOLANA_DERIVATION_PATH_TEMPLATE = "m/44'/501'/{index}'/0'";
+const MNEMONIC_STRENGTH_BY_WORD_COUNT = { 12: 128, 24: 256 };
+
+/**
+ * Solana derivation path for an account index.
+ * @param {number} index
+ * @returns {string} e.g. "m/44'/501'/3'/0'"
+ */
+function getSolanaDerivationPath(index) {
+    return SOLANA_DERIVATION_PATH_TEMPLATE.replace('{index}', index);
+}
+
+/**
+ * Generates a new BIP39 mnemonic.
+ * @param {number} [wordCount=24] - 12 or 24
+ * @returns {string}
+ */
+function generateMnemonic(wordCount = 24) {
+    const strength = MNEMONIC_STRENGTH_BY_WORD_COUNT[wordCount];
+    if (!strength) throw new Error('Mnemonic word count must be 12 or 24.');
+    return bip39.generateMnemonic(strength);
+}
+
+/**
+ * Derives keypairs from a BIP39 mnemonic along m/44'/501'/i'/0' (SLIP-0010, hardened only).
+ * @param {string} mnemonic
+ * @param {number[]} indexes - Account indexes to derive
+ * @param {string} [passphrase=''] - Optional BIP39 passphrase ("25th word")
+ * @returns {Array<{index: number, derivationPath: string, keypair: web3.Keypair}>}
+ */
+function deriveKeypairsFromMnemonic(mnemonic, indexes, passphrase = '') {
+    const normalizedMnemonic = mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+    if (!bip39.validateMnemonic(normalizedMnemonic)) {
+        throw new Error('Invalid mnemonic: unknown words or bad checksum.');
+    }
+    const seedHex = bip39.mnemonicToSeedSync(normalizedMnemonic, passphrase).toString('hex');
+    return indexes.map(index => {
+        const derivationPath = getSolanaDerivationPath(index);
+        const { key } = derivePath(derivationPath, seedHex);
+        return { index, derivationPath, keypair: web3.Keypair.fromSeed(key) };
+    });
+}
+
 module.exports = {
     saveKeypairToFile,
     loadKeypairFromFile,
     loadChildWalletsFromFile,
     saveChildWalletsToFile,
     getWalletBalance,
+    getWalletBalances,
     getTokenBalance, // MONOCODE: Export getTokenBalance for SPL token balance validation
     ensureWalletsDirectoryExists,
     getSolanaConnection,
+    generateMnemonic,
+    deriveKeypairsFromMnemonic,
+    getSolanaDerivationPath,
+    SOLANA_DERIVATION_PATH_TEMPLATE,
     WALLETS_DIR,
     PROJECT_ROOT_DATA_DIR
 }; 
\ No newline at end of file